@@ -0,0 +1,198 @@
+// -------------------------
+// SCHEMA MIGRATIONS for the JWT Banking API
+//   node migrate.js status          applied and pending migrations
+//   node migrate.js up [version]    apply pending migrations (up to version)
+//   node migrate.js down [steps]    revert the newest applied migration(s), default 1
+//   node migrate.js seed            add the demo users alice and bob
+// Migrations are ./migrations/<version>_<name>.js, applied in version order.
+// Each exports up(q) and down(q), q being { run, get, all, exec } on the
+// database; each runs in a transaction together with its schema_migrations
+// row. serveer.js applies pending migrations before it starts listening.
+// -------------------------
+require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require("sqlite3").verbose();
+const bcrypt = require("bcrypt");
+
+const DB_FILE = "./bank.db";
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE_RE = /^(\d+)_(\w+)\.js$/;
+
+// demo logins for local development only, never seeded unless asked for;
+// their passwords pass the server's password policy like any other
+const DEMO_USERS = [
+  { username: "alice", password: "alice-demo-river-stone", email: "alice@example.com", balance: 100000 },
+  { username: "bob", password: "bob-demo-copper-kettle", email: "bob@example.com", balance: 50000 },
+];
+
+// promisified statements on one connection
+function queries(db) {
+  return {
+    run: (sql, params = []) =>
+      new Promise((resolve, reject) =>
+        db.run(sql, params, function (err) {
+          if (err) reject(err);
+          else resolve(this); // lastID, changes
+        })
+      ),
+    get: (sql, params = []) =>
+      new Promise((resolve, reject) => db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)))),
+    all: (sql, params = []) =>
+      new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)))),
+    exec: sql => new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve()))),
+  };
+}
+
+function loadMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE_RE))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version, name, ...require(path.join(MIGRATIONS_DIR, file)) }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// version -> applied_at
+async function appliedMigrations(q) {
+  await q.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+  const rows = await q.all("SELECT version, applied_at FROM schema_migrations");
+  return new Map(rows.map(r => [r.version, r.applied_at]));
+}
+
+// one transaction per migration, so a failed one leaves nothing behind
+async function runMigrations(q, migrations, step) {
+  for (const migration of migrations) {
+    await q.exec("BEGIN IMMEDIATE");
+    try {
+      await step(migration);
+      await q.exec("COMMIT");
+    } catch (err) {
+      await q.exec("ROLLBACK").catch(() => {});
+      err.message = `migration ${migration.version}_${migration.name} failed: ${err.message}`;
+      throw err;
+    }
+  }
+}
+
+// apply pending migrations, oldest first, up to and including `to` when
+// given; returns the applied migrations' "<version>_<name>"
+async function migrateUp(db, { to } = {}) {
+  const q = queries(db);
+  const applied = await appliedMigrations(q);
+  const pending = loadMigrations().filter(
+    m => !applied.has(m.version) && (to == null || Number(m.version) <= Number(to))
+  );
+  await runMigrations(q, pending, async m => {
+    await m.up(q);
+    await q.run("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)", [
+      m.version,
+      m.name,
+      new Date().toISOString(),
+    ]);
+  });
+  return pending.map(m => `${m.version}_${m.name}`);
+}
+
+// revert the newest `steps` applied migrations, newest first
+async function migrateDown(db, { steps = 1 } = {}) {
+  const q = queries(db);
+  const applied = await appliedMigrations(q);
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const versions = [...applied.keys()].sort((a, b) => Number(b) - Number(a)).slice(0, steps);
+  const missing = versions.filter(v => !byVersion.has(v));
+  if (missing.length) throw new Error(`No migration file for applied version(s) ${missing.join(", ")}`);
+  const reverting = versions.map(v => byVersion.get(v));
+  await runMigrations(q, reverting, async m => {
+    await m.down(q);
+    await q.run("DELETE FROM schema_migrations WHERE version = ?", [m.version]);
+  });
+  return reverting.map(m => `${m.version}_${m.name}`);
+}
+
+// [{ version, name, appliedAt }]; appliedAt is null while pending
+async function migrationStatus(db) {
+  const applied = await appliedMigrations(queries(db));
+  return loadMigrations().map(m => ({ version: m.version, name: m.name, appliedAt: applied.get(m.version) || null }));
+}
+
+// create the demo users with a funded checking account each; existing
+// usernames are left alone. Needs an up-to-date schema.
+async function seedDemoData(db) {
+  const pending = (await migrationStatus(db)).filter(m => !m.appliedAt);
+  if (pending.length) throw new Error("Apply pending migrations first (node migrate.js up)");
+  const q = queries(db);
+  const currency = (process.env.BASE_CURRENCY || "USD").toUpperCase();
+  const created = [];
+  for (const demo of DEMO_USERS) {
+    const hash = await bcrypt.hash(demo.password, 10);
+    await q.exec("BEGIN IMMEDIATE");
+    try {
+      const user = await q.run(
+        "INSERT OR IGNORE INTO users (username, password, email) VALUES (?, ?, ?)",
+        [demo.username, hash, demo.email]
+      );
+      if (user.changes) {
+        await q.run(
+          "INSERT INTO accounts (user_id, type, account_number, balance, currency) VALUES (?, 'checking', ?, ?, ?)",
+          [user.lastID, String(crypto.randomInt(1e9, 1e10)), demo.balance, currency]
+        );
+        created.push(demo.username);
+      }
+      await q.exec("COMMIT");
+    } catch (err) {
+      await q.exec("ROLLBACK").catch(() => {});
+      throw err;
+    }
+  }
+  return created;
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus, seedDemoData };
+
+// -------------------------
+// COMMAND LINE
+// -------------------------
+async function main(db, [command = "status", arg]) {
+  switch (command) {
+    case "status":
+      for (const m of await migrationStatus(db)) {
+        console.log(`${m.appliedAt ? "applied" : "pending"}  ${m.version}_${m.name}${m.appliedAt ? `  ${m.appliedAt}` : ""}`);
+      }
+      return;
+    case "up": {
+      const applied = await migrateUp(db, { to: arg });
+      console.log(applied.length ? `Applied ${applied.join(", ")}` : "Nothing to apply");
+      return;
+    }
+    case "down": {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) throw new Error("steps must be a positive integer");
+      const reverted = await migrateDown(db, { steps });
+      console.log(reverted.length ? `Reverted ${reverted.join(", ")}` : "Nothing to revert");
+      return;
+    }
+    case "seed": {
+      const created = await seedDemoData(db);
+      console.log(created.length ? `Created demo users ${created.join(", ")}` : "Demo users already exist");
+      return;
+    }
+    default:
+      throw new Error(`Unknown command "${command}"; use status, up [version], down [steps] or seed`);
+  }
+}
+
+if (require.main === module) {
+  const db = new sqlite3.Database(DB_FILE);
+  main(db, process.argv.slice(2))
+    .catch(err => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
@@ -0,0 +1,179 @@
+// -------------------------
+// 001 BASELINE
+// The schema as it stood when migrations were introduced. Every step is
+// idempotent, so a bank.db created by an older serveer.js, which built its
+// schema on every start, is brought up to date by this migration: missing
+// tables and columns are added, a REAL users.balance becomes integer cents
+// and then moves into a checking account.
+// -------------------------
+const crypto = require("crypto");
+
+// currency of accounts and transactions that predate currencies
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || "USD").toUpperCase();
+
+async function up(q) {
+  if (!/^[A-Z]{3}$/.test(BASE_CURRENCY)) throw new Error("BASE_CURRENCY must be an ISO 4217 code");
+  await q.exec(`CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE,
+    password TEXT,
+    role TEXT NOT NULL DEFAULT 'customer'
+  )`);
+  await migrateBalanceToCents(q);
+
+  // a user can hold several accounts; balances live here, in cents
+  await q.exec(`CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    type TEXT NOT NULL CHECK(type IN ('checking', 'savings')),
+    account_number TEXT UNIQUE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'frozen', 'closed')),
+    balance INTEGER NOT NULL DEFAULT 0,
+    currency TEXT NOT NULL DEFAULT '${BASE_CURRENCY}',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    closed_at DATETIME
+  )`);
+  await migrateBalanceToAccounts(q);
+  await addColumnIfMissing(q, "users", "role", "TEXT NOT NULL DEFAULT 'customer'");
+  await addColumnIfMissing(q, "accounts", "currency", `TEXT NOT NULL DEFAULT '${BASE_CURRENCY}'`);
+
+  // one session per login; its refresh tokens form a rotation family
+  await q.exec(`CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    revoked_at DATETIME,
+    revoke_reason TEXT
+  )`);
+  await q.exec(`CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_hash TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    rotated_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // history of money moves, including rejected ('rolledback') attempts;
+  // the daily and hourly limits are counted from the committed rows
+  await q.exec(`CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    from_user INTEGER,
+    to_user INTEGER,
+    from_account INTEGER,
+    to_account INTEGER,
+    amount INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    currency TEXT NOT NULL DEFAULT '${BASE_CURRENCY}',
+    converted_amount INTEGER,
+    converted_currency TEXT,
+    exchange_rate INTEGER,
+    exchange_rate_id INTEGER
+  )`);
+  await q.exec("CREATE INDEX IF NOT EXISTS idx_transactions_from_user ON transactions(from_user, created_at)");
+  // converted transfers: amount is in currency (the sender's), converted_amount
+  // in converted_currency at exchange_rate (x RATE_SCALE)
+  await addColumnIfMissing(q, "transactions", "currency", `TEXT NOT NULL DEFAULT '${BASE_CURRENCY}'`);
+  await addColumnIfMissing(q, "transactions", "converted_amount", "INTEGER");
+  await addColumnIfMissing(q, "transactions", "converted_currency", "TEXT");
+  await addColumnIfMissing(q, "transactions", "exchange_rate", "INTEGER");
+  await addColumnIfMissing(q, "transactions", "exchange_rate_id", "INTEGER");
+  // admin-managed rates, see EXCHANGE RATES in serveer.js; rate is quote
+  // units per base unit, x RATE_SCALE
+  await q.exec(`CREATE TABLE IF NOT EXISTS exchange_rates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    base_currency TEXT NOT NULL,
+    quote_currency TEXT NOT NULL,
+    rate INTEGER NOT NULL CHECK(rate > 0),
+    effective_from TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await q.exec(`CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair
+                ON exchange_rates(base_currency, quote_currency, effective_from)`);
+  // per-role and per-user limits; NULL is unlimited on a role row and
+  // "use the role's limit" on a user row
+  await q.exec(`CREATE TABLE IF NOT EXISTS transaction_limits (
+    scope TEXT NOT NULL CHECK(scope IN ('role', 'user')),
+    subject TEXT NOT NULL,
+    max_single_transfer INTEGER,
+    daily_withdrawal INTEGER,
+    daily_outgoing INTEGER,
+    transfers_per_hour INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY(scope, subject)
+  )`);
+  // failed login counters, see LOGIN THROTTLING in serveer.js
+  await q.exec(`CREATE TABLE IF NOT EXISTS login_throttle (
+    kind TEXT NOT NULL CHECK(kind IN ('username', 'ip')),
+    subject TEXT NOT NULL,
+    failures INTEGER NOT NULL,
+    last_failure_at TEXT NOT NULL,
+    blocked_until TEXT NOT NULL,
+    PRIMARY KEY(kind, subject)
+  )`);
+}
+
+const TABLES = [
+  "login_throttle",
+  "transaction_limits",
+  "exchange_rates",
+  "transactions",
+  "refresh_tokens",
+  "sessions",
+  "accounts",
+  "users",
+];
+
+async function down(q) {
+  for (const table of TABLES) await q.exec(`DROP TABLE IF EXISTS ${table}`);
+}
+
+async function addColumnIfMissing(q, table, column, definition) {
+  const cols = await q.all(`PRAGMA table_info(${table})`);
+  if (!cols.some(c => c.name === column)) await q.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+// bank.db files created before balances were stored as cents hold a REAL
+// balance in dollars; rebuild the table with an INTEGER cents column.
+async function migrateBalanceToCents(q) {
+  const cols = await q.all("PRAGMA table_info(users)");
+  const balance = cols.find(c => c.name === "balance");
+  if (!balance || balance.type.toUpperCase() !== "REAL") return;
+  await q.exec(`
+    CREATE TABLE users_cents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE,
+      password TEXT,
+      balance INTEGER DEFAULT 0
+    );
+    INSERT INTO users_cents (id, username, password, balance)
+      SELECT id, username, password, CAST(ROUND(balance * 100) AS INTEGER) FROM users;
+    DROP TABLE users;
+    ALTER TABLE users_cents RENAME TO users;
+  `);
+  console.log("Migrated users.balance to integer cents");
+}
+
+// before accounts, each user had one users.balance: move it into a checking
+// account and drop the column
+async function migrateBalanceToAccounts(q) {
+  const cols = await q.all("PRAGMA table_info(users)");
+  if (!cols.some(c => c.name === "balance")) return;
+
+  const users = await q.all(
+    `SELECT id, balance FROM users
+     WHERE NOT EXISTS (SELECT 1 FROM accounts WHERE accounts.user_id = users.id)`
+  );
+  for (const user of users) {
+    await q.run(
+      "INSERT INTO accounts (user_id, type, account_number, balance) VALUES (?, 'checking', ?, ?)",
+      [user.id, String(crypto.randomInt(1e9, 1e10)), user.balance || 0]
+    );
+  }
+  await q.exec("ALTER TABLE users DROP COLUMN balance");
+  console.log(`Moved ${users.length} balance(s) into checking accounts`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// -------------------------
+// 002 DEFAULT ROLE LIMITS
+// Starting limits per role, in cents (null = unlimited); admins change them
+// through /api/limits, and rows already set are kept.
+// -------------------------
+const DEFAULT_ROLE_LIMITS = {
+  customer: { maxSingleTransfer: 500000, dailyWithdrawal: 100000, dailyOutgoing: 1000000, transfersPerHour: 20 },
+  admin: { maxSingleTransfer: null, dailyWithdrawal: null, dailyOutgoing: null, transfersPerHour: null },
+};
+
+async function up(q) {
+  for (const [role, l] of Object.entries(DEFAULT_ROLE_LIMITS)) {
+    await q.run(
+      `INSERT OR IGNORE INTO transaction_limits
+         (scope, subject, max_single_transfer, daily_withdrawal, daily_outgoing, transfers_per_hour)
+       VALUES ('role', ?, ?, ?, ?, ?)`,
+      [role, l.maxSingleTransfer, l.dailyWithdrawal, l.dailyOutgoing, l.transfersPerHour]
+    );
+  }
+}
+
+async function down(q) {
+  await q.run("DELETE FROM transaction_limits WHERE scope = 'role'");
+}
+
+module.exports = { up, down };
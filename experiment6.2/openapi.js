@@ -0,0 +1,664 @@
+// -------------------------
+// OPENAPI CONTRACT
+// the OpenAPI 3.1 document of the banking API and the middleware that checks
+// requests against it:
+//   buildSpec(options)        the document served at /api/openapi.json
+//   validateRequests(getSpec) express middleware: 400 INVALID_REQUEST with
+//                             per-field details when a body, query or path
+//                             parameter does not match the operation
+//   validate(schema, value)   [{ path, message }] problems, [] when it matches
+//   findOperation(spec, method, path)
+//   sendError(res, status, message, code?, details?)
+//                             answers with the error envelope
+//                             { code, message, details }
+//   notFound, errorHandler    the last two middlewares: unknown /api routes
+//                             and errors thrown past the handlers
+// validation covers shape (types, required fields, enums, ranges); rules that
+// need the database or configuration (does the account exist, is the
+// currency enabled) stay in the route handlers.
+// -------------------------
+
+// every `code` an error response can carry; errors sent without one get the
+// default for their HTTP status (DEFAULT_ERROR_CODES)
+const ERROR_CODES = {
+  INVALID_REQUEST: "The body, query or path does not match the contract, or a value is out of range",
+  INVALID_JSON: "The request body is not valid JSON",
+  UNAUTHORIZED: "Authentication failed",
+  AUTH_REQUIRED: "No Authorization header was sent",
+  INVALID_TOKEN: "The access token is malformed or expired",
+  SESSION_REVOKED: "The session behind the access token was revoked",
+  INVALID_CREDENTIALS: "Unknown username or wrong password",
+  WEAK_PASSWORD: "The new password breaks the password policy; details lists why",
+  INVALID_RESET_TOKEN: "The password reset token is unknown, used, replaced or expired",
+  LOGIN_THROTTLED: "Too many failed logins; see Retry-After",
+  INVALID_REFRESH_TOKEN: "The refresh token is unknown or revoked",
+  REFRESH_TOKEN_EXPIRED: "The refresh token has expired",
+  REFRESH_TOKEN_REUSED: "A rotated refresh token was used again; the session is revoked",
+  FORBIDDEN: "The caller may not do this",
+  NOT_FOUND: "No such route or resource",
+  ACCOUNT_NOT_FOUND: "An account named in the request does not exist",
+  USERNAME_TAKEN: "The username is already registered",
+  CONFLICT: "The resource is not in a state that allows this",
+  ACCOUNT_NOT_OPEN: "An account involved is closed",
+  SAME_ACCOUNT: "Source and destination are the same account",
+  INSUFFICIENT_FUNDS: "The balance does not cover the amount",
+  RATE_CHANGED: "The quoted exchange rate has been replaced",
+  NO_EXCHANGE_RATE: "No exchange rate is in effect for the currency pair",
+  AMOUNT_TOO_SMALL: "The amount converts to less than one cent",
+  LIMIT_MAX_SINGLE_TRANSFER: "Above the largest single transfer allowed",
+  LIMIT_DAILY_WITHDRAWAL: "Above what is left of today's withdrawal limit",
+  LIMIT_DAILY_OUTGOING: "Above what is left of today's outgoing limit",
+  LIMIT_TRANSFERS_PER_HOUR: "Too many transfers in the last hour",
+  PAYLOAD_TOO_LARGE: "The request body is too large",
+  TOO_MANY_REQUESTS: "Rate limited",
+  INTERNAL_ERROR: "Unexpected server error",
+};
+
+const DEFAULT_ERROR_CODES = {
+  400: "INVALID_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  429: "TOO_MANY_REQUESTS",
+};
+
+// -------------------------
+// ERROR ENVELOPE
+// -------------------------
+function sendError(res, status, message, code = null, details = null) {
+  const fallback = status >= 500 ? "INTERNAL_ERROR" : "INVALID_REQUEST";
+  return res.status(status).json({ code: code || DEFAULT_ERROR_CODES[status] || fallback, message, details });
+}
+
+function notFound(req, res) {
+  sendError(res, 404, `No route for ${req.method} ${req.originalUrl}`);
+}
+
+// express tells error middleware apart by its four parameters
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err.type === "entity.parse.failed") return sendError(res, 400, "Request body is not valid JSON", "INVALID_JSON");
+  if (err.type === "entity.too.large") return sendError(res, 413, "Request body is too large");
+  console.error(err);
+  sendError(res, 500, "Server error");
+}
+
+// -------------------------
+// SPEC BUILDING BLOCKS
+// -------------------------
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ anyOf: [schema, { type: "null" }] });
+const jsonContent = schema => ({ "application/json": { schema } });
+
+// ids and account numbers may be sent as numbers or digit strings
+const ID = { type: ["integer", "string"], pattern: "^[0-9]+$", minimum: 1, description: "Numeric id" };
+const ACCOUNT_NUMBER = { type: ["string", "integer"], pattern: "^[0-9]+$", description: "Account number, digits only" };
+const AMOUNT = {
+  type: ["string", "number"],
+  pattern: "^(0|[1-9][0-9]*)(\\.[0-9]{1,2})?$",
+  exclusiveMinimum: 0,
+  multipleOf: 0.01,
+  description: "Decimal amount in major units, at most two decimals",
+  examples: ["12.34"],
+};
+const MONEY = { type: "string", pattern: "^-?[0-9]+\\.[0-9]{2}$", description: "Decimal amount", examples: ["12.34"] };
+const RATE = { type: ["string", "number"], description: "Positive decimal with at most 8 decimals", examples: ["1.0825"] };
+const CURRENCY = { type: "string", pattern: "^[A-Za-z]{3}$", description: "ISO 4217 code of an enabled currency" };
+const EMAIL = { type: "string", pattern: "^[^\\s@]+@[^\\s@]+$", description: "Email address" };
+const ISO_TIME = { type: "string", description: "ISO 8601 date or date-time" };
+
+const pathId = (name = "id") => ({ name, in: "path", required: true, schema: { type: "integer", minimum: 1 } });
+const query = (name, schema, description) => ({ name, in: "query", required: false, schema, description });
+
+// `<prefix>AccountId` or `<prefix>AccountNumber`; anyOf makes one of them required
+function accountRef(prefix = "") {
+  const idKey = prefix ? `${prefix}AccountId` : "accountId";
+  const numberKey = prefix ? `${prefix}AccountNumber` : "accountNumber";
+  return {
+    properties: { [idKey]: ID, [numberKey]: ACCOUNT_NUMBER },
+    anyOf: [{ required: [idKey] }, { required: [numberKey] }],
+  };
+}
+
+// object schema from property maps and account references
+function object(properties, { required = [], refs = [] } = {}) {
+  const schema = { type: "object", properties: { ...properties }, required };
+  const allOf = [];
+  for (const r of refs) {
+    Object.assign(schema.properties, r.properties);
+    allOf.push({ anyOf: r.anyOf });
+  }
+  if (allOf.length) schema.allOf = allOf;
+  if (!required.length) delete schema.required;
+  return schema;
+}
+
+const OK = (schema, description = "OK") => ({ description, content: jsonContent(schema) });
+
+// operation(summary, { tags, auth, params, body, ok, status })
+function operation(summary, { tags, auth = true, params = [], body, ok, status = "200" }) {
+  const op = { summary, tags };
+  if (!auth) op.security = [];
+  if (params.length) op.parameters = params;
+  if (body) op.requestBody = { required: true, content: jsonContent(body) };
+  op.responses = {
+    [status]: ok || OK({ type: "object" }),
+    default: { $ref: "#/components/responses/Error" },
+  };
+  return op;
+}
+
+// buildSpec({ baseCurrency, currencies, accountTypes, roles })
+// the enumerations come from serveer.js so the document never drifts from
+// what the handlers accept
+function buildSpec(o) {
+  const schemas = {
+    Error: {
+      type: "object",
+      required: ["code", "message", "details"],
+      properties: {
+        code: ref("ErrorCode"),
+        message: { type: "string", description: "Human readable; may change, branch on code" },
+        details: {
+          description: "Extra context: [{ in, path, message }] for INVALID_REQUEST, null otherwise",
+        },
+      },
+    },
+    ErrorCode: { type: "string", enum: Object.keys(ERROR_CODES), "x-descriptions": ERROR_CODES },
+    Tokens: object(
+      { token: { type: "string", description: "Access token (Bearer)" }, refreshToken: { type: "string" }, user: ref("User") },
+      { required: ["token", "refreshToken"] }
+    ),
+    User: object(
+      { id: { type: "integer" }, username: { type: "string" }, role: { type: "string", enum: o.roles } },
+      { required: ["id", "username", "role"] }
+    ),
+    Account: object(
+      {
+        id: { type: "integer" },
+        accountNumber: { type: "string" },
+        type: { type: "string", enum: o.accountTypes },
+        status: { type: "string", enum: ["open", "closed"] },
+        currency: CURRENCY,
+        balance: MONEY,
+      },
+      { required: ["id", "accountNumber", "type", "status", "currency", "balance"] }
+    ),
+    Conversion: object(
+      {
+        amount: MONEY,
+        currency: CURRENCY,
+        convertedAmount: MONEY,
+        convertedCurrency: CURRENCY,
+        rate: { type: "string" },
+        rateId: { type: "integer" },
+        effectiveFrom: { type: "string" },
+      },
+      { required: ["amount", "currency", "convertedAmount", "convertedCurrency", "rate", "rateId"] }
+    ),
+    ExchangeRate: object(
+      {
+        id: { type: "integer" },
+        base: CURRENCY,
+        quote: CURRENCY,
+        rate: { type: "string" },
+        effectiveFrom: { type: "string" },
+        createdAt: { type: "string" },
+        inEffect: { type: "boolean" },
+      },
+      { required: ["id", "base", "quote", "rate", "effectiveFrom"] }
+    ),
+    Limits: object({
+      maxSingleTransfer: nullable(MONEY),
+      dailyWithdrawal: nullable(MONEY),
+      dailyOutgoing: nullable(MONEY),
+      transfersPerHour: nullable({ type: "integer" }),
+    }),
+  };
+  const list = name => ({ type: "array", items: ref(name) });
+  const limitsBody = {
+    type: "object",
+    properties: {
+      maxSingleTransfer: nullable(AMOUNT),
+      dailyWithdrawal: nullable(AMOUNT),
+      dailyOutgoing: nullable(AMOUNT),
+      transfersPerHour: nullable({ type: "integer", minimum: 0 }),
+    },
+    minProperties: 1,
+  };
+  const transferBody = object(
+    { amount: AMOUNT, rateId: { type: ["integer", "string"], description: "From /api/fx/quote" } },
+    { required: ["amount"], refs: [accountRef("from"), accountRef("to")] }
+  );
+  const transferResult = object(
+    { fromBalance: MONEY, toBalance: MONEY, conversion: ref("Conversion") },
+    { required: ["fromBalance"] }
+  );
+  const balanceResult = object({ balance: MONEY }, { required: ["balance"] });
+  const sessionsRevoked = object(
+    { ok: { const: true }, revokedSessions: { type: "integer" } },
+    { required: ["ok", "revokedSessions"] }
+  );
+
+  const paths = {
+    "/api/register": {
+      post: operation("Create a user with a checking account", {
+        tags: ["Auth"],
+        auth: false,
+        body: object(
+          {
+            username: { type: "string", minLength: 1 },
+            password: { type: "string", minLength: 1, description: "Must meet the password policy" },
+            email: nullable(EMAIL),
+          },
+          { required: ["username", "password"] }
+        ),
+        ok: OK({ allOf: [ref("Tokens"), { properties: { account: ref("Account") } }] }),
+      }),
+    },
+    "/api/login": {
+      post: operation("Log in", {
+        tags: ["Auth"],
+        auth: false,
+        body: object(
+          { username: { type: "string", minLength: 1 }, password: { type: "string" } },
+          { required: ["username", "password"] }
+        ),
+        ok: OK(ref("Tokens")),
+      }),
+    },
+    "/api/token/refresh": {
+      post: operation("Exchange a refresh token for a new pair (rotation)", {
+        tags: ["Auth"],
+        auth: false,
+        body: object({ refreshToken: { type: "string", minLength: 1 } }, { required: ["refreshToken"] }),
+        ok: OK(ref("Tokens")),
+      }),
+    },
+    "/api/logout": { post: operation("Revoke the current session", { tags: ["Auth"] }) },
+    "/api/logout-all": { post: operation("Revoke every session of the caller", { tags: ["Auth"] }) },
+    "/api/password": {
+      post: operation("Change the password; every other session is revoked", {
+        tags: ["Passwords"],
+        body: object(
+          { currentPassword: { type: "string" }, newPassword: { type: "string", minLength: 1 } },
+          { required: ["currentPassword", "newPassword"] }
+        ),
+        ok: OK(sessionsRevoked),
+      }),
+    },
+    "/api/email": {
+      put: operation("Set or clear (null) the address password reset mail goes to", {
+        tags: ["Passwords"],
+        body: object({ email: nullable(EMAIL), password: { type: "string" } }, { required: ["email", "password"] }),
+        ok: OK(object({ email: nullable(EMAIL) }, { required: ["email"] })),
+      }),
+    },
+    "/api/password/forgot": {
+      post: operation("Mail a password reset token; 202 whether or not the user exists", {
+        tags: ["Passwords"],
+        auth: false,
+        status: "202",
+        body: object({ username: { type: "string", minLength: 1 } }, { required: ["username"] }),
+        ok: OK(object({ ok: { const: true } }, { required: ["ok"] }), "Accepted"),
+      }),
+    },
+    "/api/password/reset": {
+      post: operation("Set a new password with a reset token; every session is revoked", {
+        tags: ["Passwords"],
+        auth: false,
+        body: object(
+          { token: { type: "string", minLength: 1 }, newPassword: { type: "string", minLength: 1 } },
+          { required: ["token", "newPassword"] }
+        ),
+        ok: OK(sessionsRevoked),
+      }),
+    },
+    "/api/balance": {
+      get: operation("Totals per currency and every open account", {
+        tags: ["Accounts"],
+        ok: OK(
+          object(
+            {
+              balance: MONEY,
+              currency: CURRENCY,
+              totals: { type: "object", additionalProperties: MONEY },
+              accounts: list("Account"),
+            },
+            { required: ["balance", "currency", "totals", "accounts"] }
+          )
+        ),
+      }),
+    },
+    "/api/accounts": {
+      post: operation("Open an account", {
+        tags: ["Accounts"],
+        status: "201",
+        body: object({ type: { type: "string", enum: o.accountTypes }, currency: CURRENCY }, { required: ["type"] }),
+        ok: OK(ref("Account"), "Created"),
+      }),
+    },
+    "/api/accounts/{id}/close": {
+      post: operation("Close an account with a zero balance", {
+        tags: ["Accounts"],
+        params: [pathId()],
+        ok: OK(ref("Account")),
+      }),
+    },
+    "/api/deposit": {
+      post: operation("Deposit cash", {
+        tags: ["Money"],
+        body: object({ amount: AMOUNT }, { required: ["amount"], refs: [accountRef()] }),
+        ok: OK(balanceResult),
+      }),
+    },
+    "/api/withdraw": {
+      post: operation("Withdraw cash", {
+        tags: ["Money"],
+        body: object({ amount: AMOUNT }, { required: ["amount"], refs: [accountRef()] }),
+        ok: OK(balanceResult),
+      }),
+    },
+    "/api/transfer": {
+      post: operation("Transfer from an own account to any account", {
+        tags: ["Money"],
+        body: transferBody,
+        ok: OK(transferResult),
+      }),
+    },
+    "/api/accounts/transfer": {
+      post: operation("Move money between two own accounts", {
+        tags: ["Money"],
+        body: transferBody,
+        ok: OK(transferResult),
+      }),
+    },
+    "/api/limits": {
+      get: operation("Limits, today's usage and what is left", {
+        tags: ["Limits"],
+        params: [query("userId", { type: "integer", minimum: 1 }, "Admins only, for another user")],
+      }),
+    },
+    "/api/limits/roles/{role}": {
+      put: operation("Change a role's limits (admin)", {
+        tags: ["Limits"],
+        params: [{ name: "role", in: "path", required: true, schema: { type: "string", enum: o.roles } }],
+        body: limitsBody,
+      }),
+    },
+    "/api/limits/users/{userId}": {
+      put: operation("Override a user's limits (admin); null falls back to the role", {
+        tags: ["Limits"],
+        params: [pathId("userId")],
+        body: limitsBody,
+      }),
+    },
+    "/api/fx/rates": {
+      get: operation("Exchange rates, newest first", {
+        tags: ["FX"],
+        params: [query("base", CURRENCY), query("quote", CURRENCY)],
+        ok: OK(
+          object(
+            { baseCurrency: CURRENCY, currencies: { type: "array", items: CURRENCY }, rates: list("ExchangeRate") },
+            { required: ["baseCurrency", "currencies", "rates"] }
+          )
+        ),
+      }),
+      post: operation("Add a rate (admin)", {
+        tags: ["FX"],
+        status: "201",
+        body: object({ base: CURRENCY, quote: CURRENCY, rate: RATE, effectiveFrom: ISO_TIME }, { required: ["base", "quote", "rate"] }),
+        ok: OK(ref("ExchangeRate"), "Created"),
+      }),
+    },
+    "/api/fx/quote": {
+      get: operation("Quote a conversion between currencies or accounts", {
+        tags: ["FX"],
+        params: [
+          { ...query("amount", AMOUNT), required: true },
+          query("from", CURRENCY),
+          query("to", CURRENCY),
+          query("fromAccountId", { type: "integer", minimum: 1 }),
+          query("fromAccountNumber", { type: "string" }),
+          query("toAccountId", { type: "integer", minimum: 1 }),
+          query("toAccountNumber", { type: "string" }),
+        ],
+        ok: OK({ allOf: [ref("Conversion"), { properties: { quotedAt: { type: "string" } } }] }),
+      }),
+    },
+    "/api/admin/login-lockouts": {
+      get: operation("Usernames and IPs currently locked out (admin)", {
+        tags: ["Admin"],
+        ok: OK({ type: "array", items: { type: "object" } }),
+      }),
+    },
+    "/api/admin/login-lockouts/unlock": {
+      post: operation("Lift a lockout (admin)", {
+        tags: ["Admin"],
+        body: {
+          type: "object",
+          properties: { username: { type: "string", minLength: 1 }, ip: { type: "string", minLength: 1 } },
+          oneOf: [{ required: ["username"] }, { required: ["ip"] }],
+        },
+        ok: OK(object({ unlocked: { type: "boolean" } }, { required: ["unlocked"] })),
+      }),
+    },
+    "/api/openapi.json": {
+      get: operation("This document", { tags: ["Meta"], auth: false, ok: OK({ type: "object" }) }),
+    },
+  };
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "JWT Banking API",
+      version: "1.0.0",
+      description:
+        `Amounts are decimal strings in the account's currency (base: ${o.baseCurrency}; ` +
+        `enabled: ${o.currencies.join(", ")}). Every error is { code, message, details }.`,
+    },
+    servers: [{ url: "/" }],
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" } },
+      responses: { Error: { description: "Error", content: jsonContent(ref("Error")) } },
+      schemas,
+    },
+  };
+}
+
+// -------------------------
+// VALIDATION
+// a JSON Schema subset: $ref, type, enum, const, properties, required,
+// additionalProperties, items, minItems, minProperties, minimum, maximum,
+// exclusiveMinimum, multipleOf, minLength, maxLength, pattern, allOf, anyOf, oneOf
+// -------------------------
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function resolve(schema, spec) {
+  while (schema && schema.$ref) {
+    schema = schema.$ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((node, key) => node && node[key], spec);
+  }
+  return schema || {};
+}
+
+function validate(schema, value, spec = {}, path = "") {
+  schema = resolve(schema, spec);
+  const problems = [];
+  const fail = message => problems.push({ path: path || "(root)", message });
+  const at = key => (path ? `${path}.${key}` : String(key));
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => hasType(value, t))) {
+      fail(`must be ${types.join(" or ")}`);
+      return problems;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.join(", ")}`);
+  if ("const" in schema && value !== schema.const) fail(`must be ${JSON.stringify(schema.const)}`);
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must not be shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must not be longer than ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value))
+      fail(schema.description ? `is not valid (${schema.description})` : `must match ${schema.pattern}`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum)
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    // 0.29 / 0.01 is 28.999999999999996, so compare with some slack
+    if (schema.multipleOf !== undefined) {
+      const steps = value / schema.multipleOf;
+      if (Math.abs(steps - Math.round(steps)) > 1e-9) fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => problems.push(...validate(schema.items, item, spec, at(i))));
+  }
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push({ path: at(key), message: "is required" });
+    }
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties)
+      fail(`must have at least ${schema.minProperties} of ${Object.keys(props).join(", ")}`);
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (props[key]) problems.push(...validate(props[key], item, spec, at(key)));
+      else if (schema.additionalProperties === false) problems.push({ path: at(key), message: "is not allowed" });
+      else if (typeof schema.additionalProperties === "object")
+        problems.push(...validate(schema.additionalProperties, item, spec, at(key)));
+    }
+  }
+
+  for (const sub of schema.allOf || []) problems.push(...validate(sub, value, spec, path));
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(sub => validate(sub, value, spec, path));
+    if (!results.some(r => !r.length)) problems.push(...describeAlternatives(schema.anyOf, results, path, "any"));
+  }
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(sub => validate(sub, value, spec, path));
+    const matches = results.filter(r => !r.length).length;
+    if (matches === 0) problems.push(...describeAlternatives(schema.oneOf, results, path, "one"));
+    else if (matches > 1) {
+      const keys = schema.oneOf.map(alt => (alt.required || []).join(", ")).filter(Boolean);
+      fail(keys.length === schema.oneOf.length ? `only one of ${keys.join(" | ")} may be given` : "must match exactly one alternative");
+    }
+  }
+  return problems;
+}
+
+// "accountId | accountNumber: one of these is required" rather than two problems
+function describeAlternatives(alternatives, results, path, kind) {
+  const required = alternatives.map(alt => alt.required && alt.required.length === 1 && !alt.properties && alt.required[0]);
+  if (required.every(Boolean)) {
+    const names = required.map(key => (path ? `${path}.${key}` : key));
+    return [{ path: names.join(" | "), message: kind === "one" ? "exactly one is required" : "one of these is required" }];
+  }
+  return results.reduce((shortest, r) => (r.length < shortest.length ? r : shortest));
+}
+
+// query and path values arrive as strings; read them the way the schema types them
+function coerceParam(value, schema, spec) {
+  const types = [].concat(resolve(schema, spec).type || []);
+  if (typeof value !== "string") return value;
+  if (types.includes("integer") && /^-?\d+$/.test(value)) return Number(value);
+  if (types.includes("number") && value.trim() !== "" && Number.isFinite(Number(value))) return Number(value);
+  if (types.includes("boolean") && (value === "true" || value === "false")) return value === "true";
+  return value;
+}
+
+// -------------------------
+// REQUEST MATCHING
+// -------------------------
+function compilePaths(spec) {
+  return Object.entries(spec.paths).map(([template, ops]) => {
+    const keys = [];
+    const source = template.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\\?\{(\w+)\\?\}/g, (m, key) => {
+      keys.push(key);
+      return "([^/]+)";
+    });
+    return { template, ops, keys, regex: new RegExp(`^${source}/?$`) };
+  });
+}
+
+const compiled = new WeakMap();
+
+// { template, operation, params } for a method + URL path, or null
+function findOperation(spec, method, path) {
+  if (!compiled.has(spec)) compiled.set(spec, compilePaths(spec));
+  for (const { template, ops, keys, regex } of compiled.get(spec)) {
+    const match = regex.exec(path);
+    const operation = match && ops[method.toLowerCase()];
+    if (!operation) continue;
+    const params = Object.fromEntries(keys.map((key, i) => [key, decodeURIComponent(match[i + 1])]));
+    return { template, operation, params };
+  }
+  return null;
+}
+
+// problems with a request, each { in, path, message }
+function checkRequest(spec, { operation, params }, req) {
+  const problems = [];
+  for (const param of operation.parameters || []) {
+    const raw = param.in === "path" ? params[param.name] : req.query[param.name];
+    if (raw === undefined || raw === "") {
+      if (param.required) problems.push({ in: param.in, path: param.name, message: "is required" });
+      continue;
+    }
+    for (const p of validate(param.schema, coerceParam(raw, param.schema, spec), spec, param.name))
+      problems.push({ in: param.in, ...p });
+  }
+  const content = operation.requestBody && operation.requestBody.content["application/json"];
+  if (content) {
+    for (const p of validate(content.schema, req.body, spec)) problems.push({ in: "body", ...p });
+  }
+  return problems;
+}
+
+// getSpec is called on the first request, once serveer.js has defined the
+// enumerations the document is built from
+function validateRequests(getSpec) {
+  return (req, res, next) => {
+    // express 5 leaves req.body undefined when nothing was sent; handlers
+    // read fields off it, so a request without a body gets an empty one
+    if (req.body === undefined) req.body = {};
+    const spec = getSpec();
+    const found = findOperation(spec, req.method, req.path);
+    if (!found) return next();
+    const problems = checkRequest(spec, found, req);
+    if (!problems.length) return next();
+    sendError(res, 400, "Request does not match the API contract", "INVALID_REQUEST", problems);
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  buildSpec,
+  validate,
+  findOperation,
+  validateRequests,
+  sendError,
+  notFound,
+  errorHandler,
+};
@@ -2,11 +2,16 @@
 // BANKING API with JWT AUTH
 // -------------------------
 require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 const express = require("express");
 const sqlite3 = require("sqlite3").verbose();
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
 const cors = require("cors");
+const { migrateUp } = require("./migrate");
+const { buildSpec, errorHandler, notFound, sendError, validateRequests } = require("./openapi");
 
 // -------------------------
 // CONFIG
@@ -14,55 +19,213 @@ const cors = require("cors");
 const app = express();
 app.use(express.json());
 app.use(cors());
+app.use(validateRequests(() => openApiSpec()));
 
 const PORT = process.env.PORT || 4000;
 const JWT_SECRET = process.env.JWT_SECRET || "supersecretkey";
-const JWT_EXPIRES_IN = "1h";
+// short-lived access tokens, renewed with rotating refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// comma-separated usernames given the admin role on startup
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || "").split(",").map(u => u.trim()).filter(Boolean);
+// login throttling: failures before a username / an IP is locked, lockout
+// length, and the cap on the delay between failed attempts
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_MAX_DELAY_SECONDS = Number(process.env.LOGIN_MAX_DELAY_SECONDS) || 30;
+// password policy: shortest password accepted and the breached-password list
+// new passwords are checked against
+const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 10;
+const BREACHED_PASSWORDS_FILE = process.env.BREACHED_PASSWORDS_FILE || path.join(__dirname, "breached-passwords.txt");
+// password reset token lifetime, and the page reset mail links to (the token
+// is appended as ?token=); without it the mail carries the bare token
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || "";
+// outgoing mail: sender, and where the default mailer writes messages
+const MAIL_FROM = process.env.MAIL_FROM || "no-reply@bank.local";
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || "./outbox";
+// ISO 4217 currencies accounts can hold, all with two decimal places;
+// accounts default to BASE_CURRENCY
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || "USD").toUpperCase();
+const CURRENCIES = (process.env.CURRENCIES || "USD,EUR,GBP,CAD,AUD,CHF,INR")
+  .split(",").map(c => c.trim().toUpperCase()).filter(Boolean);
+if (!/^[A-Z]{3}$/.test(BASE_CURRENCY) || !CURRENCIES.includes(BASE_CURRENCY))
+  throw new Error(`BASE_CURRENCY must be one of CURRENCIES (${CURRENCIES.join(", ")})`);
 
 // -------------------------
 // DATABASE SETUP
 // -------------------------
 const db = new sqlite3.Database("./bank.db");
 
-db.serialize(async () => {
-  db.run(`CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE,
-    password TEXT,
-    balance REAL DEFAULT 0
-  )`);
+// the schema is built by ./migrations (see migrate.js), applied in SERVER START
+async function promoteAdmins() {
+  if (!ADMIN_USERNAMES.length) return;
+  await dbRun(
+    `UPDATE users SET role = 'admin' WHERE username IN (${ADMIN_USERNAMES.map(() => "?").join(", ")})`,
+    ADMIN_USERNAMES
+  );
+}
 
-  // create demo users if not exist
-  const hash1 = await bcrypt.hash("password123", 10);
-  const hash2 = await bcrypt.hash("hunter2", 10);
-  db.run(`INSERT OR IGNORE INTO users (id, username, password, balance)
-          VALUES (1, 'alice', ?, 1000)`, [hash1]);
-  db.run(`INSERT OR IGNORE INTO users (id, username, password, balance)
-          VALUES (2, 'bob', ?, 500)`, [hash2]);
-});
+// -------------------------
+// MONEY HELPERS
+// Balances are integer cents; requests and responses use decimal amounts.
+// -------------------------
+const AMOUNT_RE = /^(0|[1-9]\d*)(\.\d{1,2})?$/;
+
+// "12.34" or 12.34 -> 1234. Returns null for zero, signs (including -0),
+// exponent notation like "1e3", or more than two decimals.
+function parseAmount(value) {
+  if (typeof value === "number") {
+    if (!Number.isFinite(value) || Object.is(value, -0)) return null;
+    value = String(value);
+  }
+  if (typeof value !== "string" || !AMOUNT_RE.test(value)) return null;
+  const [whole, frac = ""] = value.split(".");
+  const cents = Number(whole) * 100 + Number(frac.padEnd(2, "0"));
+  if (!Number.isSafeInteger(cents) || cents <= 0) return null;
+  return cents;
+}
+
+// 10030 -> "100.30"
+function formatCents(cents) {
+  const abs = Math.abs(cents);
+  const sign = cents < 0 ? "-" : "";
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, "0")}`;
+}
+
+// exchange rates are integers too: units of one currency per unit of the
+// other, x RATE_SCALE ("1.0825" -> 108250000)
+const RATE_SCALE = 100000000;
+const RATE_RE = /^(0|[1-9]\d*)(\.\d{1,8})?$/;
+
+// "1.0825" or 1.0825 -> 108250000; null for zero, signs or more than 8 decimals
+function parseRate(value) {
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) return null;
+    value = String(value);
+  }
+  if (typeof value !== "string" || !RATE_RE.test(value)) return null;
+  const [whole, frac = ""] = value.split(".");
+  const rate = Number(whole) * RATE_SCALE + Number(frac.padEnd(8, "0"));
+  if (!Number.isSafeInteger(rate) || rate <= 0) return null;
+  return rate;
+}
+
+// 108250000 -> "1.0825"
+function formatRate(rate) {
+  const frac = String(rate % RATE_SCALE).padStart(8, "0").replace(/0+$/, "");
+  const whole = Math.floor(rate / RATE_SCALE);
+  return frac ? `${whole}.${frac}` : String(whole);
+}
+
+// cents * rate and cents / rate, rounded half up; BigInt keeps the product exact
+function applyRate(cents, rate) {
+  const scale = BigInt(RATE_SCALE);
+  return Number((BigInt(cents) * BigInt(rate) + scale / 2n) / scale);
+}
+function applyInverseRate(cents, rate) {
+  return Number((BigInt(cents) * BigInt(RATE_SCALE) + BigInt(rate) / 2n) / BigInt(rate));
+}
 
 // -------------------------
 // HELPER FUNCTIONS
 // -------------------------
-function signToken(user) {
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this); // lastID, changes
+    });
+  });
+}
+
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+function signToken(user, sessionId) {
   return jwt.sign(
-    { id: user.id, username: user.username },
+    { id: user.id, username: user.username, role: user.role || "customer", sid: sessionId },
     JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// only the hash of a refresh token is stored
+async function issueRefreshToken(sessionId) {
+  const refreshToken = crypto.randomBytes(32).toString("base64url");
+  await dbRun(
+    `INSERT INTO refresh_tokens (token_hash, session_id, expires_at)
+     VALUES (?, ?, datetime('now', ?))`,
+    [hashToken(refreshToken), sessionId, `+${REFRESH_TOKEN_TTL_DAYS} days`]
+  );
+  return refreshToken;
+}
+
+async function createSession(user) {
+  const sessionId = crypto.randomUUID();
+  await dbRun("INSERT INTO sessions (id, user_id) VALUES (?, ?)", [sessionId, user.id]);
+  const refreshToken = await issueRefreshToken(sessionId);
+  return { token: signToken(user, sessionId), refreshToken };
+}
+
+function revokeSession(sessionId, reason) {
+  return dbRun(
+    "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ? WHERE id = ? AND revoked_at IS NULL",
+    [reason, sessionId]
+  );
+}
+
+// every session of the user, except exceptSessionId when given
+function revokeAllSessions(userId, reason, exceptSessionId = null) {
+  return dbRun(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?`,
+    [reason, userId, exceptSessionId]
   );
 }
 
 function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ error: "Missing token" });
+  if (!authHeader) return sendError(res, 401, "Missing token", "AUTH_REQUIRED");
   const token = authHeader.split(" ")[1];
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(401).json({ error: "Invalid token" });
-    req.user = decoded; // {id, username}
+  jwt.verify(token, JWT_SECRET, async (err, decoded) => {
+    if (err || !decoded.sid) return sendError(res, 401, "Invalid token", "INVALID_TOKEN");
+    try {
+      const session = await dbGet("SELECT revoked_at FROM sessions WHERE id = ?", [decoded.sid]);
+      if (!session || session.revoked_at) return sendError(res, 401, "Session revoked", "SESSION_REVOKED");
+    } catch (dbErr) {
+      return sendError(res, 500, "Server error");
+    }
+    req.user = decoded; // {id, username, role, sid}
     next();
   });
 }
 
+function requireAdmin(req, res, next) {
+  if (req.user.role !== "admin") return sendError(res, 403, "Forbidden");
+  next();
+}
+
 function findUserByUsername(username) {
   return new Promise((resolve, reject) => {
     db.get("SELECT * FROM users WHERE username = ?", [username], (err, row) => {
@@ -81,119 +244,1059 @@ function findUserById(id) {
   });
 }
 
-function updateBalance(id, newBalance) {
-  return new Promise((resolve, reject) => {
-    db.run("UPDATE users SET balance = ? WHERE id = ?", [newBalance, id], err => {
-      if (err) reject(err);
-      else resolve();
-    });
+const ACCOUNT_TYPES = ["checking", "savings"];
+
+async function openAccount(userId, type, currency = BASE_CURRENCY) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await dbRun(
+        "INSERT INTO accounts (user_id, type, account_number, currency) VALUES (?, ?, ?, ?)",
+        [userId, type, String(crypto.randomInt(1e9, 1e10)), currency]
+      );
+      return findAccount({ id: result.lastID });
+    } catch (err) {
+      // account numbers are random; retry on a collision
+      if (attempt >= 5 || !/UNIQUE constraint failed: accounts.account_number/.test(err.message)) throw err;
+    }
+  }
+}
+
+// find by { id } or { number }
+function findAccount({ id, number }) {
+  if (id != null) return dbGet("SELECT * FROM accounts WHERE id = ?", [id]);
+  if (number) return dbGet("SELECT * FROM accounts WHERE account_number = ?", [String(number)]);
+  return Promise.resolve(undefined);
+}
+
+// accountId / accountNumber, or fromAccountId / toAccountNumber etc.
+function accountRef(body, prefix) {
+  return prefix
+    ? { id: body[`${prefix}AccountId`], number: body[`${prefix}AccountNumber`] }
+    : { id: body.accountId, number: body.accountNumber };
+}
+
+// resolves to an open account owned by the user, or sends an error and resolves to null
+async function ownOpenAccount(req, res, ref) {
+  if (ref.id == null && !ref.number) {
+    sendError(res, 400, "accountId or accountNumber required");
+    return null;
+  }
+  const account = await findAccount(ref);
+  if (!account) {
+    sendError(res, 404, "Account not found", "ACCOUNT_NOT_FOUND");
+    return null;
+  }
+  if (account.user_id !== req.user.id) {
+    sendError(res, 403, "Forbidden");
+    return null;
+  }
+  if (account.status !== "open") {
+    sendError(res, 409, `Account is ${account.status}`, "ACCOUNT_NOT_OPEN");
+    return null;
+  }
+  return account;
+}
+
+function formatAccount(a) {
+  return {
+    id: a.id,
+    accountNumber: a.account_number,
+    type: a.type,
+    status: a.status,
+    currency: a.currency,
+    balance: formatCents(a.balance),
+  };
+}
+
+// -------------------------
+// TRANSACTION LIMITS
+// maxSingleTransfer, dailyWithdrawal, dailyOutgoing (cents) and transfersPerHour
+// apply to money leaving a user: withdrawals and transfers to someone else's
+// account. Days are UTC days; the hourly count is a rolling hour.
+// -------------------------
+const ROLES = ["customer", "admin"];
+const LIMIT_COLUMNS = {
+  maxSingleTransfer: "max_single_transfer",
+  dailyWithdrawal: "daily_withdrawal",
+  dailyOutgoing: "daily_outgoing",
+  transfersPerHour: "transfers_per_hour",
+};
+
+// move: { type, fromUser, toUser, fromAccount, toAccount, amount, currency, status, note }
+// plus, for converted transfers, fx: { rate, rateId, convertedAmount } and convertedCurrency
+function recordTransaction(move) {
+  const fx = move.fx || {};
+  return dbRun(
+    `INSERT INTO transactions (type, from_user, to_user, from_account, to_account, amount, status, note,
+                               currency, converted_amount, converted_currency, exchange_rate, exchange_rate_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [move.type, move.fromUser ?? null, move.toUser ?? null, move.fromAccount ?? null,
+     move.toAccount ?? null, move.amount, move.status, move.note ?? null, move.currency || BASE_CURRENCY,
+     fx.convertedAmount ?? null, move.convertedCurrency ?? null, fx.rate ?? null, fx.rateId ?? null]
+  );
+}
+
+// answer with an error and keep the attempt as a 'rolledback' transaction;
+// resolves to null, so a queued move can return it as "nothing moved"
+async function rejectMove(res, move, status, error, code) {
+  await recordTransaction({ ...move, status: "rolledback", note: error });
+  sendError(res, status, error, code);
+  return null;
+}
+
+// the role's limits overlaid with the user's own overrides
+async function effectiveLimits(userId) {
+  const user = await findUserById(userId);
+  const rows = await dbAll(
+    "SELECT * FROM transaction_limits WHERE (scope = 'role' AND subject = ?) OR (scope = 'user' AND subject = ?)",
+    [user ? user.role : "customer", String(userId)]
+  );
+  const roleRow = rows.find(r => r.scope === "role") || {};
+  const userRow = rows.find(r => r.scope === "user") || {};
+  const limits = {};
+  for (const [key, column] of Object.entries(LIMIT_COLUMNS))
+    limits[key] = userRow[column] ?? roleRow[column] ?? null;
+  return limits;
+}
+
+// limits are BASE_CURRENCY amounts; money sent from an account in another
+// currency counts at the rate in effect when the limit is checked.
+// `amount` cents of `currency` in BASE_CURRENCY, or null without a rate
+async function toBaseCurrency(currency, amount) {
+  if (currency === BASE_CURRENCY || !amount) return amount;
+  const row = await findExchangeRate(currency, BASE_CURRENCY);
+  if (!row) return null;
+  return row.base_currency === currency ? applyRate(amount, row.rate) : applyInverseRate(amount, row.rate);
+}
+
+const noBaseRate = currency => ({
+  code: "NO_EXCHANGE_RATE",
+  message: `No exchange rate for ${currency}/${BASE_CURRENCY}`,
+});
+
+// what the user sent today / in the last hour in BASE_CURRENCY, or { code, message };
+// amounts are in their source account's currency, so they are summed per currency
+async function limitUsage(userId) {
+  const rows = await dbAll(
+    `SELECT currency,
+            COALESCE(SUM(CASE WHEN type = 'withdraw' AND created_at >= datetime('now', 'start of day') THEN amount END), 0) AS withdrawn,
+            COALESCE(SUM(CASE WHEN created_at >= datetime('now', 'start of day') THEN amount END), 0) AS outgoing,
+            COUNT(CASE WHEN type = 'transfer' AND created_at >= datetime('now', '-1 hour') THEN 1 END) AS transfers
+     FROM transactions
+     WHERE from_user = ? AND status = 'committed'
+       AND created_at >= MIN(datetime('now', 'start of day'), datetime('now', '-1 hour'))
+       AND (type = 'withdraw' OR (type = 'transfer' AND to_user != from_user))
+     GROUP BY currency`,
+    [userId]
+  );
+  const used = { withdrawnToday: 0, outgoingToday: 0, transfersLastHour: 0 };
+  for (const row of rows) {
+    const withdrawn = await toBaseCurrency(row.currency, row.withdrawn);
+    const outgoing = await toBaseCurrency(row.currency, row.outgoing);
+    if (withdrawn === null || outgoing === null) return noBaseRate(row.currency);
+    used.withdrawnToday += withdrawn;
+    used.outgoingToday += outgoing;
+    used.transfersLastHour += row.transfers;
+  }
+  return used;
+}
+
+// a limit check counts what the user has already sent, so the check, the
+// debit and the transaction row of one move must all land before the next
+// move of that user is checked: money leaving a user goes through this queue
+const userQueues = new Map();
+function queueForUser(userId, fn) {
+  const result = (userQueues.get(userId) || Promise.resolve()).then(fn);
+  const tail = result.catch(() => {});
+  userQueues.set(userId, tail);
+  tail.then(() => {
+    if (userQueues.get(userId) === tail) userQueues.delete(userId);
   });
+  return result;
+}
+
+// { status, code, message } for the first limit `amount` (cents of
+// `currency`) would break, or null
+async function checkLimits(userId, type, amount, currency = BASE_CURRENCY) {
+  const limits = await effectiveLimits(userId);
+  if (Object.values(limits).every(limit => limit === null)) return null;
+  amount = await toBaseCurrency(currency, amount);
+  if (amount === null) return { status: 400, ...noBaseRate(currency) };
+  const used = await limitUsage(userId);
+  if (used.code) return { status: 400, ...used };
+  if (type === "transfer" && limits.maxSingleTransfer !== null && amount > limits.maxSingleTransfer)
+    return { status: 403, code: "LIMIT_MAX_SINGLE_TRANSFER", message: `Transfers are limited to ${formatCents(limits.maxSingleTransfer)} each` };
+  if (type === "transfer" && limits.transfersPerHour !== null && used.transfersLastHour >= limits.transfersPerHour)
+    return { status: 403, code: "LIMIT_TRANSFERS_PER_HOUR", message: `At most ${limits.transfersPerHour} transfers per hour are allowed` };
+  if (type === "withdraw" && limits.dailyWithdrawal !== null && used.withdrawnToday + amount > limits.dailyWithdrawal)
+    return { status: 403, code: "LIMIT_DAILY_WITHDRAWAL", message: `Daily withdrawal limit of ${formatCents(limits.dailyWithdrawal)} exceeded` };
+  if (limits.dailyOutgoing !== null && used.outgoingToday + amount > limits.dailyOutgoing)
+    return { status: 403, code: "LIMIT_DAILY_OUTGOING", message: `Daily outgoing limit of ${formatCents(limits.dailyOutgoing)} exceeded` };
+  return null;
+}
+
+function formatLimits(limits) {
+  const money = v => (v === null ? null : formatCents(v));
+  return {
+    maxSingleTransfer: money(limits.maxSingleTransfer),
+    dailyWithdrawal: money(limits.dailyWithdrawal),
+    dailyOutgoing: money(limits.dailyOutgoing),
+    transfersPerHour: limits.transfersPerHour,
+  };
+}
+
+// -------------------------
+// EXCHANGE RATES
+// a pair's rate is the newest exchange_rates row whose effective_from has
+// passed; a EUR/USD row also prices USD -> EUR at its inverse. rates are
+// only ever added: a row with a later effective_from replaces the old one.
+// transfers between accounts of different currencies debit the amount and
+// credit the converted amount; a quote's rateId sent with the transfer makes
+// it fail with RATE_CHANGED instead of converting at another rate.
+// -------------------------
+function parseCurrency(value) {
+  return typeof value === "string" && CURRENCIES.includes(value.toUpperCase()) ? value.toUpperCase() : null;
+}
+
+function findExchangeRate(fromCurrency, toCurrency) {
+  return dbGet(
+    `SELECT * FROM exchange_rates
+     WHERE ((base_currency = ? AND quote_currency = ?) OR (base_currency = ? AND quote_currency = ?))
+       AND effective_from <= ?
+     ORDER BY effective_from DESC, id DESC
+     LIMIT 1`,
+    [fromCurrency, toCurrency, toCurrency, fromCurrency, new Date().toISOString()]
+  );
+}
+
+// { rate, rateId, effectiveFrom, convertedAmount } for `amount` cents of
+// fromCurrency (rate is toCurrency per fromCurrency), or { code, message }
+async function quoteConversion(fromCurrency, toCurrency, amount) {
+  if (fromCurrency === toCurrency) return { rate: RATE_SCALE, rateId: null, effectiveFrom: null, convertedAmount: amount };
+  const row = await findExchangeRate(fromCurrency, toCurrency);
+  if (!row) return { code: "NO_EXCHANGE_RATE", message: `No exchange rate for ${fromCurrency}/${toCurrency}` };
+  const inverse = row.base_currency !== fromCurrency;
+  const convertedAmount = inverse ? applyInverseRate(amount, row.rate) : applyRate(amount, row.rate);
+  if (convertedAmount <= 0) return { code: "AMOUNT_TOO_SMALL", message: "Amount is too small to convert" };
+  return {
+    rate: inverse ? applyInverseRate(RATE_SCALE, row.rate) : row.rate,
+    rateId: row.id,
+    effectiveFrom: row.effective_from,
+    convertedAmount,
+  };
+}
+
+// checks and prices a transfer between two accounts: { fx } (null for the
+// same currency), or { status, code, message } to reject it with
+async function transferConversion(fromAccount, toAccount, amount, rateId) {
+  if (fromAccount.currency === toAccount.currency) return { fx: null };
+  const fx = await quoteConversion(fromAccount.currency, toAccount.currency, amount);
+  if (fx.code) return { status: 400, ...fx };
+  if (rateId != null && fx.rateId !== Number(rateId))
+    return { status: 409, code: "RATE_CHANGED", message: "The exchange rate has changed; get a new quote" };
+  return { fx };
+}
+
+function formatConversion(fromCurrency, toCurrency, amount, fx) {
+  return {
+    amount: formatCents(amount),
+    currency: fromCurrency,
+    convertedAmount: formatCents(fx.convertedAmount),
+    convertedCurrency: toCurrency,
+    rate: formatRate(fx.rate),
+    rateId: fx.rateId,
+    effectiveFrom: fx.effectiveFrom,
+  };
+}
+
+// -------------------------
+// LOGIN THROTTLING
+// failed logins are counted per username and per client IP in login_throttle
+// (so they survive a restart). after failure n the key waits 2^(n-1) seconds
+// (capped at LOGIN_MAX_DELAY_SECONDS); at the failure limit it is locked for
+// LOGIN_LOCKOUT_MINUTES. a quiet period that long, a successful login
+// (username only) or an admin unlock resets it.
+// -------------------------
+// compared against for unknown usernames so they take as long as known ones
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+function loginThrottleKeys(req, username) {
+  return [["username", String(username || "").toLowerCase()], ["ip", req.ip]];
+}
+
+// seconds until every key may try again (0 = now)
+async function loginRetryAfter(keys) {
+  let wait = 0;
+  for (const [kind, subject] of keys) {
+    const row = await dbGet("SELECT blocked_until FROM login_throttle WHERE kind = ? AND subject = ?", [kind, subject]);
+    if (row) wait = Math.max(wait, Math.ceil((Date.parse(row.blocked_until) - Date.now()) / 1000));
+  }
+  return wait;
+}
+
+async function recordLoginFailure(keys) {
+  const now = Date.now();
+  const windowMs = LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+  for (const [kind, subject] of keys) {
+    const maxFailures = kind === "ip" ? LOGIN_IP_MAX_FAILURES : LOGIN_MAX_FAILURES;
+    const row = await dbGet("SELECT * FROM login_throttle WHERE kind = ? AND subject = ?", [kind, subject]);
+    const failures = !row || now - Date.parse(row.last_failure_at) > windowMs ? 1 : row.failures + 1;
+    const delayMs = failures >= maxFailures
+      ? windowMs
+      : Math.min(2 ** (failures - 1), LOGIN_MAX_DELAY_SECONDS) * 1000;
+    await dbRun(
+      `INSERT INTO login_throttle (kind, subject, failures, last_failure_at, blocked_until) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(kind, subject) DO UPDATE SET failures = excluded.failures,
+         last_failure_at = excluded.last_failure_at, blocked_until = excluded.blocked_until`,
+      [kind, subject, failures, new Date(now).toISOString(), new Date(now + delayMs).toISOString()]
+    );
+  }
 }
 
+function clearLoginFailures(username) {
+  return dbRun("DELETE FROM login_throttle WHERE kind = 'username' AND subject = ?", [
+    String(username).toLowerCase(),
+  ]);
+}
+
+// -------------------------
+// API CONTRACT AND ERRORS
+// GET /api/openapi.json   the OpenAPI 3.1 document (see openapi.js); every
+//                         request is checked against it before its route
+// every error is { code, message, details }, sent with sendError; the codes
+// are listed in openapi.js, ERROR_CODES.
+// -------------------------
+
+// built on first use, once the enumerations below are defined
+let openApiDocument = null;
+function openApiSpec() {
+  if (!openApiDocument)
+    openApiDocument = buildSpec({
+      baseCurrency: BASE_CURRENCY,
+      currencies: CURRENCIES,
+      accountTypes: ACCOUNT_TYPES,
+      roles: ROLES,
+    });
+  return openApiDocument;
+}
+
+app.get("/api/openapi.json", (req, res) => res.json(openApiSpec()));
+
 // -------------------------
 // AUTH ROUTES
 // -------------------------
 app.post("/api/register", async (req, res) => {
   try {
-    const { username, password } = req.body;
-    if (!username || !password)
-      return res.status(400).json({ error: "Username and password required" });
+    const { username, password, email = null } = req.body;
+    if (!username || !password) return sendError(res, 400, "Username and password required");
+    const problems = await passwordProblems(password, username);
+    if (problems.length) return weakPassword(res, "password", problems);
 
     const existing = await findUserByUsername(username);
-    if (existing) return res.status(409).json({ error: "Username already exists" });
+    if (existing) return sendError(res, 409, "Username already exists", "USERNAME_TAKEN");
 
     const hashed = await bcrypt.hash(password, 10);
-    db.run(
-      "INSERT INTO users (username, password, balance) VALUES (?, ?, ?)",
-      [username, hashed, 0],
-      function (err) {
-        if (err) return res.status(500).json({ error: "DB error" });
-        const user = { id: this.lastID, username, balance: 0 };
-        const token = signToken(user);
-        res.json({ token, user });
-      }
+    const result = await dbRun(
+      "INSERT INTO users (username, password, email) VALUES (?, ?, ?)",
+      [username, hashed, email]
     );
+    const user = { id: result.lastID, username, role: "customer" };
+    const account = await openAccount(user.id, "checking");
+    const { token, refreshToken } = await createSession(user);
+    res.json({ token, refreshToken, user, account: formatAccount(account) });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Server error" });
+    sendError(res, 500, "Server error");
   }
 });
 
 app.post("/api/login", async (req, res) => {
   try {
     const { username, password } = req.body;
-    const user = await findUserByUsername(username);
-    if (!user) return res.status(401).json({ error: "Invalid credentials" });
+    const keys = loginThrottleKeys(req, username);
+    const retryAfter = await loginRetryAfter(keys);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return sendError(res, 429, "Too many login attempts, try again later", "LOGIN_THROTTLED");
+    }
 
-    const match = await bcrypt.compare(password, user.password);
-    if (!match) return res.status(401).json({ error: "Invalid credentials" });
+    const user = await findUserByUsername(username);
+    const match = await bcrypt.compare(String(password || ""), user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !match) {
+      await recordLoginFailure(keys);
+      return sendError(res, 401, "Invalid credentials", "INVALID_CREDENTIALS");
+    }
 
-    const token = signToken(user);
+    await clearLoginFailures(user.username);
+    const { token, refreshToken } = await createSession(user);
     res.json({
       token,
-      user: { id: user.id, username: user.username, balance: user.balance },
+      refreshToken,
+      user: { id: user.id, username: user.username, role: user.role },
     });
   } catch (err) {
-    res.status(500).json({ error: "Server error" });
+    sendError(res, 500, "Server error");
+  }
+});
+
+// exchange a refresh token for a new access + refresh token pair.
+// a refresh token that was already rotated revokes its whole session.
+app.post("/api/token/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== "string") return sendError(res, 400, "Refresh token required");
+
+    const stored = await dbGet(
+      `SELECT r.*, s.user_id, s.revoked_at, r.expires_at <= datetime('now') AS expired
+       FROM refresh_tokens r JOIN sessions s ON s.id = r.session_id
+       WHERE r.token_hash = ?`,
+      [hashToken(refreshToken)]
+    );
+    if (!stored || stored.revoked_at) return sendError(res, 401, "Invalid refresh token", "INVALID_REFRESH_TOKEN");
+    if (stored.expired) return sendError(res, 401, "Refresh token expired", "REFRESH_TOKEN_EXPIRED");
+
+    const claim = await dbRun(
+      "UPDATE refresh_tokens SET rotated_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND rotated_at IS NULL",
+      [stored.token_hash]
+    );
+    if (claim.changes === 0) {
+      await revokeSession(stored.session_id, "refresh token reuse");
+      return sendError(res, 401, "Refresh token reuse detected", "REFRESH_TOKEN_REUSED");
+    }
+
+    const user = await findUserById(stored.user_id);
+    if (!user) return sendError(res, 401, "Invalid refresh token", "INVALID_REFRESH_TOKEN");
+
+    const newRefreshToken = await issueRefreshToken(stored.session_id);
+    res.json({ token: signToken(user, stored.session_id), refreshToken: newRefreshToken });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.post("/api/logout", authMiddleware, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, "logout");
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, 500, "Server error");
+  }
+});
+
+// log out all sessions of the current user
+app.post("/api/logout-all", authMiddleware, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user.id, "logout all");
+    res.json({ ok: true, revokedSessions: result.changes });
+  } catch (err) {
+    sendError(res, 500, "Server error");
+  }
+});
+
+// -------------------------
+// PASSWORDS
+// POST /api/password          body: { currentPassword, newPassword }; signs out every other session
+// PUT  /api/email             body: { email | null, password }; where reset mail goes
+// POST /api/password/forgot   body: { username }; mails a reset token, always 202
+// POST /api/password/reset    body: { token, newPassword }; signs out every session
+// new passwords (these routes and /api/register) need PASSWORD_MIN_LENGTH
+// characters, at most 72 bytes (bcrypt ignores the rest), must differ from
+// the username and must not be on the BREACHED_PASSWORDS_FILE list. a reset
+// token works once, for PASSWORD_RESET_TTL_MINUTES, until a newer one is sent.
+// -------------------------
+const BCRYPT_MAX_BYTES = 72;
+// another reset mail for the same user is not sent sooner than this
+const PASSWORD_RESET_RESEND_SECONDS = 60;
+
+function sha1Hex(value) {
+  return crypto.createHash("sha1").update(value).digest("hex").toUpperCase();
+}
+
+// SHA-1 digests of the breached list, read once (SERVER START waits for it)
+let breachedPasswordHashes = null;
+function loadBreachedPasswords() {
+  if (!breachedPasswordHashes)
+    breachedPasswordHashes = fs.promises.readFile(BREACHED_PASSWORDS_FILE, "utf8").then(text => {
+      const hashes = new Set();
+      for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line || line.startsWith("#")) continue;
+        const digest = line.match(/^([0-9a-f]{40})(:\d+)?$/i);
+        hashes.add(digest ? digest[1].toUpperCase() : sha1Hex(line));
+      }
+      return hashes;
+    });
+  return breachedPasswordHashes;
+}
+
+// what is wrong with a new password; [] when it meets the policy
+async function passwordProblems(password, username) {
+  if (typeof password !== "string") return ["must be a string"];
+  const problems = [];
+  if ([...password].length < PASSWORD_MIN_LENGTH) problems.push(`must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  if (Buffer.byteLength(password) > BCRYPT_MAX_BYTES) problems.push(`must be at most ${BCRYPT_MAX_BYTES} bytes`);
+  if (username != null && password.toLowerCase() === String(username).toLowerCase())
+    problems.push("must not be the username");
+  const breached = await loadBreachedPasswords();
+  if (breached.has(sha1Hex(password)) || breached.has(sha1Hex(password.toLowerCase())))
+    problems.push("appears in a list of breached passwords");
+  return problems;
+}
+
+function weakPassword(res, field, problems) {
+  return sendError(
+    res,
+    400,
+    "Password does not meet the password policy",
+    "WEAK_PASSWORD",
+    problems.map(message => ({ in: "body", path: field, message }))
+  );
+}
+
+// new password hash; outstanding reset tokens stop working
+async function setPassword(userId, password) {
+  const hashed = await bcrypt.hash(password, 10);
+  await dbRun("UPDATE users SET password = ? WHERE id = ?", [hashed, userId]);
+  await dbRun(
+    "UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL",
+    [new Date().toISOString(), userId]
+  );
+}
+
+// mailer.send({ to, subject, text }) delivers one message. the default writes
+// each one as a JSON file to MAIL_OUTBOX_DIR so nothing leaves the machine;
+// a real transport only has to replace mailer.send.
+function outboxMailer(dir) {
+  return async message => {
+    const sentAt = new Date().toISOString();
+    const id = `${sentAt.replace(/[:.]/g, "-")}-${crypto.randomBytes(4).toString("hex")}`;
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ id, from: MAIL_FROM, ...message, sentAt }, null, 2)
+    );
+    return { id };
+  };
+}
+const mailer = { send: outboxMailer(MAIL_OUTBOX_DIR) };
+
+function passwordResetMail(user, token, expiresAt) {
+  const link = PASSWORD_RESET_URL
+    ? `${PASSWORD_RESET_URL}${PASSWORD_RESET_URL.includes("?") ? "&" : "?"}token=${encodeURIComponent(token)}`
+    : null;
+  return {
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Someone asked to reset the password of ${user.username}.`,
+      link ? `Choose a new one here: ${link}` : `Your reset token: ${token}`,
+      `It can be used once, until ${expiresAt}.`,
+      "If this wasn't you, ignore this mail; your password has not changed.",
+    ].join("\n\n"),
+  };
+}
+
+app.post("/api/password", authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await findUserById(req.user.id);
+    // failures count like failed logins, so an access token can't be used to guess
+    const keys = loginThrottleKeys(req, user.username);
+    const retryAfter = await loginRetryAfter(keys);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return sendError(res, 429, "Too many login attempts, try again later", "LOGIN_THROTTLED");
+    }
+    if (!(await bcrypt.compare(String(currentPassword || ""), user.password))) {
+      await recordLoginFailure(keys);
+      return sendError(res, 401, "Invalid credentials", "INVALID_CREDENTIALS");
+    }
+    const problems = await passwordProblems(newPassword, user.username);
+    if (newPassword === currentPassword) problems.push("must differ from the current password");
+    if (problems.length) return weakPassword(res, "newPassword", problems);
+
+    await setPassword(user.id, newPassword);
+    const result = await revokeAllSessions(user.id, "password change", req.user.sid);
+    res.json({ ok: true, revokedSessions: result.changes });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.put("/api/email", authMiddleware, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+    if (!(await bcrypt.compare(String(req.body.password || ""), user.password)))
+      return sendError(res, 401, "Invalid credentials", "INVALID_CREDENTIALS");
+    const email = req.body.email === null ? null : String(req.body.email).trim();
+    await dbRun("UPDATE users SET email = ? WHERE id = ?", [email, user.id]);
+    res.json({ email });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+// 202 whether or not the user exists or has an email address, so the route
+// can't be used to find out either
+app.post("/api/password/forgot", async (req, res) => {
+  try {
+    const user = await findUserByUsername(String(req.body.username));
+    if (!user || !user.email) return res.status(202).json({ ok: true });
+    const now = Date.now();
+    const recent = await dbGet(
+      "SELECT 1 FROM password_reset_tokens WHERE user_id = ? AND created_at > ?",
+      [user.id, new Date(now - PASSWORD_RESET_RESEND_SECONDS * 1000).toISOString()]
+    );
+    if (recent) return res.status(202).json({ ok: true });
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = new Date(now + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString();
+    // only the newest token works
+    await dbRun(
+      "UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL",
+      [new Date(now).toISOString(), user.id]
+    );
+    await dbRun(
+      "INSERT INTO password_reset_tokens (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)",
+      [hashToken(token), user.id, new Date(now).toISOString(), expiresAt]
+    );
+    await mailer.send(passwordResetMail(user, token, expiresAt));
+    res.status(202).json({ ok: true });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
+  }
+});
+
+app.post("/api/password/reset", async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    const tokenHash = hashToken(String(token));
+    const now = new Date().toISOString();
+    const stored = await dbGet("SELECT * FROM password_reset_tokens WHERE token_hash = ?", [tokenHash]);
+    if (!stored || stored.used_at || stored.expires_at <= now)
+      return sendError(res, 400, "Reset token is invalid, used or expired", "INVALID_RESET_TOKEN");
+    const user = await findUserById(stored.user_id);
+    // a password the policy rejects leaves the token usable for another try
+    const problems = await passwordProblems(newPassword, user.username);
+    if (problems.length) return weakPassword(res, "newPassword", problems);
+
+    // claim the token first; a concurrent redeem finds it used
+    const claim = await dbRun(
+      "UPDATE password_reset_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL",
+      [now, tokenHash]
+    );
+    if (claim.changes === 0)
+      return sendError(res, 400, "Reset token is invalid, used or expired", "INVALID_RESET_TOKEN");
+    await setPassword(user.id, newPassword);
+    const result = await revokeAllSessions(user.id, "password reset");
+    await clearLoginFailures(user.username);
+    res.json({ ok: true, revokedSessions: result.changes });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "Server error");
   }
 });
 
 // -------------------------
 // BANKING ROUTES (protected)
+// accounts are addressed by accountId or accountNumber
 // -------------------------
 app.get("/api/balance", authMiddleware, async (req, res) => {
-  const user = await findUserById(req.user.id);
-  if (!user) return res.status(404).json({ error: "User not found" });
-  res.json({ balance: user.balance });
+  const accounts = await new Promise((resolve, reject) =>
+    db.all(
+      "SELECT * FROM accounts WHERE user_id = ? AND status != 'closed' ORDER BY id",
+      [req.user.id],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    )
+  );
+  const totals = {};
+  for (const a of accounts) totals[a.currency] = (totals[a.currency] || 0) + a.balance;
+  // balance is the BASE_CURRENCY total; totals has one entry per currency held
+  res.json({
+    balance: formatCents(totals[BASE_CURRENCY] || 0),
+    currency: BASE_CURRENCY,
+    totals: Object.fromEntries(Object.entries(totals).map(([currency, total]) => [currency, formatCents(total)])),
+    accounts: accounts.map(formatAccount),
+  });
+});
+
+app.post("/api/accounts", authMiddleware, async (req, res) => {
+  const { type } = req.body;
+  if (!ACCOUNT_TYPES.includes(type)) return sendError(res, 400, "Invalid account type");
+  const currency = req.body.currency === undefined ? BASE_CURRENCY : parseCurrency(req.body.currency);
+  if (!currency) return sendError(res, 400, `currency must be one of ${CURRENCIES.join(", ")}`);
+
+  const account = await openAccount(req.user.id, type, currency);
+  res.status(201).json(formatAccount(account));
+});
+
+app.post("/api/accounts/:id/close", authMiddleware, async (req, res) => {
+  const account = await ownOpenAccount(req, res, { id: req.params.id });
+  if (!account) return;
+  const result = await dbRun(
+    "UPDATE accounts SET status = 'closed', closed_at = CURRENT_TIMESTAMP WHERE id = ? AND balance = 0",
+    [account.id]
+  );
+  if (result.changes === 0) return sendError(res, 409, "Account balance must be zero to close");
+  res.json(formatAccount(await findAccount({ id: account.id })));
 });
 
 app.post("/api/deposit", authMiddleware, async (req, res) => {
-  const { amount } = req.body;
-  if (!amount || amount <= 0)
-    return res.status(400).json({ error: "Invalid amount" });
+  const amount = parseAmount(req.body.amount);
+  if (amount === null) return sendError(res, 400, "Invalid amount");
 
-  const user = await findUserById(req.user.id);
-  const newBalance = user.balance + Number(amount);
-  await updateBalance(user.id, newBalance);
-  res.json({ balance: newBalance });
+  const account = await ownOpenAccount(req, res, accountRef(req.body));
+  if (!account) return;
+  await dbRun("UPDATE accounts SET balance = balance + ? WHERE id = ?", [amount, account.id]);
+  await recordTransaction({
+    type: "deposit", toUser: req.user.id, toAccount: account.id, amount, currency: account.currency, status: "committed",
+  });
+  const updated = await findAccount({ id: account.id });
+  res.json({ balance: formatCents(updated.balance) });
 });
 
 app.post("/api/withdraw", authMiddleware, async (req, res) => {
-  const { amount } = req.body;
-  if (!amount || amount <= 0)
-    return res.status(400).json({ error: "Invalid amount" });
-
-  const user = await findUserById(req.user.id);
-  if (user.balance < amount)
-    return res.status(400).json({ error: "Insufficient funds" });
+  const amount = parseAmount(req.body.amount);
+  if (amount === null) return sendError(res, 400, "Invalid amount");
 
-  const newBalance = user.balance - Number(amount);
-  await updateBalance(user.id, newBalance);
-  res.json({ balance: newBalance });
+  const account = await ownOpenAccount(req, res, accountRef(req.body));
+  if (!account) return;
+  const move = { type: "withdraw", fromUser: req.user.id, fromAccount: account.id, amount, currency: account.currency };
+  const withdrawn = await queueForUser(req.user.id, async () => {
+    const violation = await checkLimits(req.user.id, "withdraw", amount, account.currency);
+    if (violation) return rejectMove(res, move, violation.status, violation.message, violation.code);
+    // the balance check is part of the update so two withdrawals can't overdraw
+    const result = await dbRun(
+      "UPDATE accounts SET balance = balance - ? WHERE id = ? AND balance >= ?",
+      [amount, account.id, amount]
+    );
+    if (result.changes === 0) return rejectMove(res, move, 400, "Insufficient funds", "INSUFFICIENT_FUNDS");
+    await recordTransaction({ ...move, status: "committed" });
+    return true;
+  });
+  if (!withdrawn) return;
+  const updated = await findAccount({ id: account.id });
+  res.json({ balance: formatCents(updated.balance) });
 });
 
+// body: { fromAccountId | fromAccountNumber, toAccountNumber | toAccountId, amount, rateId? }
+// amount is in the sender's currency; see EXCHANGE RATES for other recipients
 app.post("/api/transfer", authMiddleware, async (req, res) => {
-  const { toUsername, amount } = req.body;
-  if (!toUsername || !amount || amount <= 0)
-    return res.status(400).json({ error: "Invalid input" });
+  const amount = parseAmount(req.body.amount);
+  const toRef = accountRef(req.body, "to");
+  if ((toRef.id == null && !toRef.number) || amount === null) return sendError(res, 400, "Invalid input");
+
+  const fromAccount = await ownOpenAccount(req, res, accountRef(req.body, "from"));
+  if (!fromAccount) return;
+  const toAccount = await findAccount(toRef);
+  if (!toAccount) return sendError(res, 404, "Recipient account not found", "ACCOUNT_NOT_FOUND");
+  if (toAccount.status !== "open")
+    return sendError(res, 409, `Recipient account is ${toAccount.status}`, "ACCOUNT_NOT_OPEN");
+  if (toAccount.id === fromAccount.id)
+    return sendError(res, 400, "Cannot transfer to the same account", "SAME_ACCOUNT");
+
+  const move = {
+    type: "transfer",
+    fromUser: req.user.id,
+    toUser: toAccount.user_id,
+    fromAccount: fromAccount.id,
+    toAccount: toAccount.id,
+    amount,
+    currency: fromAccount.currency,
+  };
+  const moved = await queueForUser(req.user.id, async () => {
+    // moving money between the user's own accounts is not limited
+    if (toAccount.user_id !== req.user.id) {
+      const violation = await checkLimits(req.user.id, "transfer", amount, fromAccount.currency);
+      if (violation) return rejectMove(res, move, violation.status, violation.message, violation.code);
+    }
+    const { fx, status, code, message } = await transferConversion(fromAccount, toAccount, amount, req.body.rateId);
+    if (code) return rejectMove(res, move, status, message, code);
+    const debit = await dbRun(
+      "UPDATE accounts SET balance = balance - ? WHERE id = ? AND balance >= ?",
+      [amount, fromAccount.id, amount]
+    );
+    if (debit.changes === 0) return rejectMove(res, move, 400, "Insufficient funds", "INSUFFICIENT_FUNDS");
+    await dbRun("UPDATE accounts SET balance = balance + ? WHERE id = ?", [fx ? fx.convertedAmount : amount, toAccount.id]);
+    await recordTransaction({ ...move, fx, convertedCurrency: fx && toAccount.currency, status: "committed" });
+    return { fx };
+  });
+  if (!moved) return;
+  const { fx } = moved;
+
+  const updatedFrom = await findAccount({ id: fromAccount.id });
+  const body = { fromBalance: formatCents(updatedFrom.balance) };
+  // only show the recipient balance for the user's own accounts
+  if (toAccount.user_id === req.user.id) {
+    const updatedTo = await findAccount({ id: toAccount.id });
+    body.toBalance = formatCents(updatedTo.balance);
+  }
+  if (fx) body.conversion = formatConversion(fromAccount.currency, toAccount.currency, amount, fx);
+  res.json(body);
+});
+
+// move money between two of the user's own accounts
+app.post("/api/accounts/transfer", authMiddleware, async (req, res) => {
+  const amount = parseAmount(req.body.amount);
+  if (amount === null) return sendError(res, 400, "Invalid amount");
+
+  const fromAccount = await ownOpenAccount(req, res, accountRef(req.body, "from"));
+  if (!fromAccount) return;
+  const toAccount = await ownOpenAccount(req, res, accountRef(req.body, "to"));
+  if (!toAccount) return;
+  if (toAccount.id === fromAccount.id)
+    return sendError(res, 400, "Cannot transfer to the same account", "SAME_ACCOUNT");
+
+  const move = {
+    type: "transfer",
+    fromUser: req.user.id,
+    toUser: req.user.id,
+    fromAccount: fromAccount.id,
+    toAccount: toAccount.id,
+    amount,
+    currency: fromAccount.currency,
+  };
+  const { fx, status, code, message } = await transferConversion(fromAccount, toAccount, amount, req.body.rateId);
+  if (code) return rejectMove(res, move, status, message, code);
+  const debit = await dbRun(
+    "UPDATE accounts SET balance = balance - ? WHERE id = ? AND balance >= ?",
+    [amount, fromAccount.id, amount]
+  );
+  if (debit.changes === 0) return rejectMove(res, move, 400, "Insufficient funds", "INSUFFICIENT_FUNDS");
+  await dbRun("UPDATE accounts SET balance = balance + ? WHERE id = ?", [fx ? fx.convertedAmount : amount, toAccount.id]);
+  await recordTransaction({ ...move, fx, convertedCurrency: fx && toAccount.currency, status: "committed" });
+
+  const updatedFrom = await findAccount({ id: fromAccount.id });
+  const updatedTo = await findAccount({ id: toAccount.id });
+  const body = { fromBalance: formatCents(updatedFrom.balance), toBalance: formatCents(updatedTo.balance) };
+  if (fx) body.conversion = formatConversion(fromAccount.currency, toAccount.currency, amount, fx);
+  res.json(body);
+});
+
+// -------------------------
+// LIMIT ROUTES
+// GET /api/limits?userId=          limits, usage today and what is left
+// PUT /api/limits/roles/:role      (admin) body: any of the limit fields
+// PUT /api/limits/users/:userId    (admin) same body; null falls back to the role
+// -------------------------
+app.get("/api/limits", authMiddleware, async (req, res) => {
+  const userId = req.query.userId ? Number(req.query.userId) : req.user.id;
+  if (userId !== req.user.id && req.user.role !== "admin") return sendError(res, 403, "Forbidden");
+  if (!(await findUserById(userId))) return sendError(res, 404, "User not found");
+
+  const limits = await effectiveLimits(userId);
+  const used = await limitUsage(userId);
+  if (used.code) return sendError(res, 400, used.message, used.code);
+  const left = (limit, spent) => (limit === null ? null : Math.max(limit - spent, 0));
+  const outgoingLeft = left(limits.dailyOutgoing, used.outgoingToday);
+  // withdrawals also count towards the outgoing total
+  let withdrawalLeft = left(limits.dailyWithdrawal, used.withdrawnToday);
+  if (outgoingLeft !== null) withdrawalLeft = Math.min(withdrawalLeft ?? outgoingLeft, outgoingLeft);
+  res.json({
+    currency: BASE_CURRENCY,
+    limits: formatLimits(limits),
+    used: {
+      withdrawnToday: formatCents(used.withdrawnToday),
+      outgoingToday: formatCents(used.outgoingToday),
+      transfersLastHour: used.transfersLastHour,
+    },
+    remaining: {
+      withdrawal: withdrawalLeft === null ? null : formatCents(withdrawalLeft),
+      outgoing: outgoingLeft === null ? null : formatCents(outgoingLeft),
+      transfersThisHour: left(limits.transfersPerHour, used.transfersLastHour),
+    },
+  });
+});
 
-  const fromUser = await findUserById(req.user.id);
-  const toUser = await findUserByUsername(toUsername);
-  if (!toUser) return res.status(404).json({ error: "Recipient not found" });
-  if (fromUser.balance < amount)
-    return res.status(400).json({ error: "Insufficient funds" });
+// body -> { values } of columns to write, or { error }
+function parseLimitsBody(body) {
+  const values = {};
+  for (const [key, column] of Object.entries(LIMIT_COLUMNS)) {
+    if (!(key in body)) continue;
+    const value = body[key];
+    if (value === null) {
+      values[column] = null;
+    } else if (key === "transfersPerHour") {
+      if (!Number.isInteger(value) || value < 0)
+        return { error: `${key} must be a non-negative integer or null` };
+      values[column] = value;
+    } else {
+      const cents = parseAmount(value);
+      if (cents === null) return { error: `${key} must be a positive amount or null` };
+      values[column] = cents;
+    }
+  }
+  if (!Object.keys(values).length)
+    return { error: `Provide at least one of ${Object.keys(LIMIT_COLUMNS).join(", ")}` };
+  return { values };
+}
+
+async function saveLimits(res, scope, subject, body) {
+  const { values, error } = parseLimitsBody(body);
+  if (error) return sendError(res, 400, error);
+  const columns = Object.keys(values);
+  await dbRun(
+    `INSERT INTO transaction_limits (scope, subject, ${columns.join(", ")})
+     VALUES (?, ?, ${columns.map(() => "?").join(", ")})
+     ON CONFLICT(scope, subject) DO UPDATE SET ${columns.map(c => `${c} = excluded.${c}`).join(", ")},
+       updated_at = CURRENT_TIMESTAMP`,
+    [scope, subject, ...Object.values(values)]
+  );
+  const row = await dbGet("SELECT * FROM transaction_limits WHERE scope = ? AND subject = ?", [scope, subject]);
+  const limits = {};
+  for (const [key, column] of Object.entries(LIMIT_COLUMNS)) limits[key] = row[column];
+  res.json({ scope, subject, ...formatLimits(limits) });
+}
+
+app.put("/api/limits/roles/:role", authMiddleware, requireAdmin, async (req, res) => {
+  if (!ROLES.includes(req.params.role)) return sendError(res, 404, "Unknown role");
+  await saveLimits(res, "role", req.params.role, req.body);
+});
+
+app.put("/api/limits/users/:userId", authMiddleware, requireAdmin, async (req, res) => {
+  const user = await findUserById(req.params.userId);
+  if (!user) return sendError(res, 404, "User not found");
+  await saveLimits(res, "user", String(user.id), req.body);
+});
+
+// -------------------------
+// FX ROUTES
+// GET  /api/fx/rates?base=&quote=        every rate, newest first; inEffect marks
+//                                        the one each pair uses right now
+// POST /api/fx/rates                     (admin) body: { base, quote, rate, effectiveFrom? }
+// GET  /api/fx/quote?amount=&from=&to=   currency codes, or fromAccountId|fromAccountNumber
+//                                        and toAccountId|toAccountNumber
+// -------------------------
+function formatExchangeRate(r) {
+  return {
+    id: r.id,
+    base: r.base_currency,
+    quote: r.quote_currency,
+    rate: formatRate(r.rate),
+    effectiveFrom: r.effective_from,
+    createdAt: r.created_at,
+  };
+}
+
+app.get("/api/fx/rates", authMiddleware, async (req, res) => {
+  const where = [];
+  const params = [];
+  for (const [param, column] of [["base", "base_currency"], ["quote", "quote_currency"]]) {
+    if (req.query[param] === undefined) continue;
+    const currency = parseCurrency(req.query[param]);
+    if (!currency) return sendError(res, 400, `${param} must be one of ${CURRENCIES.join(", ")}`);
+    where.push(`${column} = ?`);
+    params.push(currency);
+  }
+  const rows = await dbAll(
+    `SELECT * FROM exchange_rates ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY effective_from DESC, id DESC`,
+    params
+  );
+  const now = new Date().toISOString();
+  const pairsInEffect = new Set();
+  const rates = rows.map(r => {
+    const pair = [r.base_currency, r.quote_currency].sort().join("/");
+    const inEffect = r.effective_from <= now && !pairsInEffect.has(pair);
+    if (inEffect) pairsInEffect.add(pair);
+    return { ...formatExchangeRate(r), inEffect };
+  });
+  res.json({ baseCurrency: BASE_CURRENCY, currencies: CURRENCIES, rates });
+});
 
-  const newFromBal = fromUser.balance - Number(amount);
-  const newToBal = toUser.balance + Number(amount);
+app.post("/api/fx/rates", authMiddleware, requireAdmin, async (req, res) => {
+  const base = parseCurrency(req.body.base);
+  const quote = parseCurrency(req.body.quote);
+  if (!base || !quote || base === quote)
+    return sendError(res, 400, `base and quote must be two different currencies of ${CURRENCIES.join(", ")}`);
+  const rate = parseRate(req.body.rate);
+  if (rate === null) return sendError(res, 400, "rate must be a positive decimal with at most 8 decimals");
+  const effectiveFrom = req.body.effectiveFrom === undefined ? new Date() : new Date(req.body.effectiveFrom);
+  if (typeof req.body.effectiveFrom === "number" || isNaN(effectiveFrom.getTime()))
+    return sendError(res, 400, "effectiveFrom must be an ISO date");
 
-  await updateBalance(fromUser.id, newFromBal);
-  await updateBalance(toUser.id, newToBal);
+  const result = await dbRun(
+    "INSERT INTO exchange_rates (base_currency, quote_currency, rate, effective_from) VALUES (?, ?, ?, ?)",
+    [base, quote, rate, effectiveFrom.toISOString()]
+  );
+  res.status(201).json(formatExchangeRate(await dbGet("SELECT * FROM exchange_rates WHERE id = ?", [result.lastID])));
+});
 
-  res.json({ fromBalance: newFromBal, toBalance: newToBal });
+app.get("/api/fx/quote", authMiddleware, async (req, res) => {
+  const amount = parseAmount(req.query.amount);
+  if (amount === null) return sendError(res, 400, "Invalid amount");
+
+  let fromCurrency = parseCurrency(req.query.from);
+  let toCurrency = parseCurrency(req.query.to);
+  const fromRef = accountRef(req.query, "from");
+  const toRef = accountRef(req.query, "to");
+  if (fromRef.id != null || fromRef.number) {
+    const fromAccount = await ownOpenAccount(req, res, fromRef);
+    if (!fromAccount) return;
+    fromCurrency = fromAccount.currency;
+  }
+  if (toRef.id != null || toRef.number) {
+    const toAccount = await findAccount(toRef);
+    if (!toAccount) return sendError(res, 404, "Recipient account not found", "ACCOUNT_NOT_FOUND");
+    toCurrency = toAccount.currency;
+  }
+  if (!fromCurrency || !toCurrency) return sendError(res, 400, "Give from and to as currencies or as accounts");
+
+  const fx = await quoteConversion(fromCurrency, toCurrency, amount);
+  if (fx.code) return sendError(res, 400, fx.message, fx.code);
+  res.json({ ...formatConversion(fromCurrency, toCurrency, amount, fx), quotedAt: new Date().toISOString() });
+});
+
+// -------------------------
+// ADMIN ROUTES
+// GET  /api/admin/login-lockouts          usernames / IPs currently blocked
+// POST /api/admin/login-lockouts/unlock   body: { username } | { ip }
+// -------------------------
+app.get("/api/admin/login-lockouts", authMiddleware, requireAdmin, async (req, res) => {
+  const rows = await dbAll(
+    "SELECT * FROM login_throttle WHERE blocked_until > ? ORDER BY blocked_until DESC",
+    [new Date().toISOString()]
+  );
+  res.json(rows.map(r => ({
+    kind: r.kind,
+    subject: r.subject,
+    failures: r.failures,
+    lastFailureAt: r.last_failure_at,
+    blockedUntil: r.blocked_until,
+  })));
+});
+
+app.post("/api/admin/login-lockouts/unlock", authMiddleware, requireAdmin, async (req, res) => {
+  const { username, ip } = req.body;
+  if (!username === !ip) return sendError(res, 400, "Provide either username or ip");
+  const result = username
+    ? await clearLoginFailures(username)
+    : await dbRun("DELETE FROM login_throttle WHERE kind = 'ip' AND subject = ?", [String(ip)]);
+  res.json({ unlocked: result.changes > 0 });
 });
 
 // -------------------------
 // SERVER START
 // -------------------------
 app.get("/", (req, res) => res.send("JWT Banking API Running..."));
-app.listen(PORT, () => console.log(`✅ Server running on http://localhost:${PORT}`));
+
+// unknown API routes and errors thrown past the handlers (malformed JSON
+// bodies among them) still answer with the envelope
+app.use("/api", notFound);
+app.use(errorHandler);
+
+migrateUp(db)
+  .then(applied => {
+    if (applied.length) console.log(`Applied migrations: ${applied.join(", ")}`);
+    return promoteAdmins();
+  })
+  .then(loadBreachedPasswords)
+  .then(() => app.listen(PORT, () => console.log(`✅ Server running on http://localhost:${PORT}`)))
+  .catch(err => {
+    console.error("Startup failed:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,165 @@
+// contract tests: every operation in the OpenAPI document is called, and
+// every response, errors included, must match the schema the document
+// declares for its status
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PASSWORD, startServer } = require("./helpers");
+const { findOperation, validate } = require("../openapi");
+
+let s;
+let spec;
+let admin;
+let alice;
+let bob;
+const called = new Set();
+
+// s.request, checked against the contract: the status must be declared by
+// the operation (errors fall under `default`) and the body must match it.
+// asserts the status, and the code of an error
+async function call(method, url, options, status = 200, code) {
+  const found = findOperation(spec, method, url.split("?")[0]);
+  assert.ok(found, `${method} ${url} is not in the contract`);
+  called.add(`${method} ${found.template}`);
+  const res = await s.request(method, url, options);
+  const label = `${method} ${url} ${res.status} ${JSON.stringify(res.body)}`;
+  assert.equal(res.status, status, label);
+  if (code) assert.equal(res.body.code, code, label);
+
+  const declared = found.operation.responses[res.status] || (res.status >= 400 && found.operation.responses.default);
+  assert.ok(declared, `${label}: status not in the contract`);
+  const response = declared.$ref ? spec.components.responses.Error : declared;
+  assert.deepEqual(validate(response.content["application/json"].schema, res.body, spec), [], label);
+  return res;
+}
+
+before(async () => {
+  s = await startServer();
+  spec = (await s.request("GET", "/api/openapi.json")).body;
+  admin = await s.createUser("admin", { role: "admin" });
+  alice = await s.createUser("alice", { deposit: "500.00" });
+  bob = await s.createUser("bob", { deposit: "100.00" });
+});
+
+after(() => s.close());
+
+test("authentication and sessions", async () => {
+  await call("POST", "/api/register", { body: { username: "carol", password: PASSWORD, email: "carol@example.com" } });
+  await call("POST", "/api/register", { body: { username: "carol", password: PASSWORD } }, 409, "USERNAME_TAKEN");
+  await call("POST", "/api/register", { body: { username: "dave", password: "short" } }, 400, "WEAK_PASSWORD");
+  await call("POST", "/api/register", { body: { username: "dave" } }, 400, "INVALID_REQUEST");
+
+  const login = await call("POST", "/api/login", { body: { username: "carol", password: PASSWORD } });
+  const wrong = { body: { username: "carol", password: "wrong password" } };
+  await call("POST", "/api/login", wrong, 401, "INVALID_CREDENTIALS");
+  // one failure blocks both the username and the IP for a second
+  await call("POST", "/api/login", { body: { username: "carol", password: PASSWORD } }, 429, "LOGIN_THROTTLED");
+  const lockouts = await call("GET", "/api/admin/login-lockouts", { token: admin.token });
+  assert.equal(lockouts.body.length, 2);
+  for (const { kind, subject } of lockouts.body) {
+    const key = kind === "ip" ? { ip: subject } : { username: subject };
+    await call("POST", "/api/admin/login-lockouts/unlock", { token: admin.token, body: key });
+  }
+  const both = { username: "carol", ip: "127.0.0.1" };
+  await call("POST", "/api/admin/login-lockouts/unlock", { token: admin.token, body: both }, 400, "INVALID_REQUEST");
+
+  await call("POST", "/api/token/refresh", { body: { refreshToken: login.body.refreshToken } });
+  const reused = { body: { refreshToken: login.body.refreshToken } };
+  await call("POST", "/api/token/refresh", reused, 401, "REFRESH_TOKEN_REUSED");
+
+  const { token } = (await call("POST", "/api/login", { body: { username: "carol", password: PASSWORD } })).body;
+  const newPassword = `${PASSWORD} again`;
+  await call("PUT", "/api/email", { token, body: { email: "carol@example.org", password: PASSWORD } });
+  await call("POST", "/api/password", { token, body: { currentPassword: PASSWORD, newPassword } });
+  const same = { token, body: { currentPassword: newPassword, newPassword } };
+  await call("POST", "/api/password", same, 400, "WEAK_PASSWORD");
+
+  await call("POST", "/api/password/forgot", { body: { username: "carol" } }, 202);
+  const [mail] = s.outbox().slice(-1);
+  const resetToken = mail.text.match(/Your reset token: (\S+)/)[1];
+  await call("POST", "/api/password/reset", { body: { token: resetToken, newPassword: PASSWORD } });
+  await call("POST", "/api/password/reset", { body: { token: resetToken, newPassword } }, 400, "INVALID_RESET_TOKEN");
+
+  const first = (await call("POST", "/api/login", { body: { username: "carol", password: PASSWORD } })).body.token;
+  await call("POST", "/api/logout", { token: first });
+  await call("GET", "/api/balance", { token: first }, 401, "SESSION_REVOKED");
+  const second = (await call("POST", "/api/login", { body: { username: "carol", password: PASSWORD } })).body.token;
+  await call("POST", "/api/logout-all", { token: second });
+  await call("POST", "/api/logout-all", { token: second }, 401, "SESSION_REVOKED");
+  await call("GET", "/api/balance", {}, 401, "AUTH_REQUIRED");
+  await call("GET", "/api/balance", { token: "not-a-token" }, 401, "INVALID_TOKEN");
+});
+
+test("accounts", async () => {
+  await call("GET", "/api/balance", { token: alice.token });
+  const euros = { type: "savings", currency: "EUR" };
+  const savings = await call("POST", "/api/accounts", { token: alice.token, body: euros }, 201);
+  await call("POST", "/api/accounts", { token: alice.token, body: { type: "pension" } }, 400, "INVALID_REQUEST");
+  await call("POST", `/api/accounts/${savings.body.id}/close`, { token: alice.token });
+  await call("POST", `/api/accounts/${savings.body.id}/close`, { token: alice.token }, 409, "ACCOUNT_NOT_OPEN");
+  await call("POST", `/api/accounts/${alice.accountId}/close`, { token: alice.token }, 409, "CONFLICT");
+  await call("POST", `/api/accounts/${bob.accountId}/close`, { token: alice.token }, 403, "FORBIDDEN");
+});
+
+test("limits and exchange rates", async () => {
+  await call("GET", "/api/limits", { token: alice.token });
+  await call("GET", `/api/limits?userId=${bob.id}`, { token: admin.token });
+  await call("PUT", "/api/limits/roles/customer", { token: admin.token, body: { transfersPerHour: 100 } });
+  await call("PUT", "/api/limits/roles/customer", { token: admin.token, body: {} }, 400, "INVALID_REQUEST");
+  const limits = { transfersPerHour: 1 };
+  await call("PUT", "/api/limits/roles/customer", { token: alice.token, body: limits }, 403, "FORBIDDEN");
+  await call("PUT", `/api/limits/users/${bob.id}`, { token: admin.token, body: { maxSingleTransfer: "50.00" } });
+
+  await call("POST", "/api/fx/rates", { token: admin.token, body: { base: "USD", quote: "EUR", rate: "0.9" } }, 201);
+  await call("POST", "/api/fx/rates", { token: admin.token, body: { base: "USD", quote: "USD", rate: "1" } }, 400);
+  await call("GET", "/api/fx/rates?base=USD", { token: alice.token });
+  await call("GET", "/api/fx/quote?amount=10&from=USD&to=EUR", { token: alice.token });
+  await call("GET", "/api/fx/quote?amount=10&from=USD&to=GBP", { token: alice.token }, 400, "NO_EXCHANGE_RATE");
+  await call("GET", "/api/fx/quote?from=USD&to=EUR", { token: alice.token }, 400, "INVALID_REQUEST");
+});
+
+test("moving money", async () => {
+  const transfer = { fromAccountId: alice.accountId, toAccountId: bob.accountId, amount: "10.00" };
+  await call("POST", "/api/transfer", { token: alice.token, body: transfer });
+  await call("POST", "/api/accounts/transfer", { token: alice.token, body: transfer }, 403, "FORBIDDEN");
+  const savings = await call("POST", "/api/accounts", { token: alice.token, body: { type: "savings" } }, 201);
+  const between = { ...transfer, toAccountId: savings.body.id };
+  await call("POST", "/api/accounts/transfer", { token: alice.token, body: between });
+  const tooMuch = { ...transfer, amount: "4000.00" };
+  await call("POST", "/api/transfer", { token: alice.token, body: tooMuch }, 400, "INSUFFICIENT_FUNDS");
+  const overLimit = { fromAccountId: bob.accountId, toAccountId: alice.accountId, amount: "60.00" };
+  await call("POST", "/api/transfer", { token: bob.token, body: overLimit }, 403, "LIMIT_MAX_SINGLE_TRANSFER");
+  const toSelf = { ...transfer, toAccountId: alice.accountId };
+  await call("POST", "/api/transfer", { token: alice.token, body: toSelf }, 400, "SAME_ACCOUNT");
+  const nowhere = { ...transfer, toAccountId: 999999 };
+  await call("POST", "/api/transfer", { token: alice.token, body: nowhere }, 404, "ACCOUNT_NOT_FOUND");
+  const tenthOfACent = { ...transfer, amount: 0.001 };
+  await call("POST", "/api/transfer", { token: alice.token, body: tenthOfACent }, 400, "INVALID_REQUEST");
+  await call("POST", "/api/transfer", { token: alice.token, raw: '{"amount":' }, 400, "INVALID_JSON");
+
+  const deposit = { accountId: alice.accountId, amount: "5.00" };
+  await call("POST", "/api/deposit", { token: alice.token, body: deposit });
+  await call("POST", "/api/withdraw", { token: alice.token, body: deposit });
+  const intoBob = { ...deposit, accountId: bob.accountId };
+  await call("POST", "/api/deposit", { token: alice.token, body: intoBob }, 403, "FORBIDDEN");
+  const overdraw = { ...deposit, amount: "900.00" };
+  await call("POST", "/api/withdraw", { token: alice.token, body: overdraw }, 400, "INSUFFICIENT_FUNDS");
+});
+
+test("unknown routes answer with the error envelope", async () => {
+  const res = await s.request("GET", "/api/nope");
+  assert.equal(res.status, 404);
+  assert.deepEqual(validate(spec.components.responses.Error.content["application/json"].schema, res.body, spec), []);
+  assert.equal(res.body.code, "NOT_FOUND");
+});
+
+test("every operation in the contract was called", async () => {
+  await call("GET", "/api/openapi.json");
+  const operations = [];
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    for (const method of Object.keys(methods)) operations.push(`${method.toUpperCase()} ${path}`);
+  }
+  assert.deepEqual(
+    operations.filter(operation => !called.has(operation)),
+    []
+  );
+});
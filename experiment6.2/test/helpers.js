@@ -0,0 +1,134 @@
+// -------------------------
+// TEST HELPERS
+// shared setup for the API tests. from experiment6.2, with the server's
+// dependencies installed:
+//   node --test test/*.test.js
+// serveer.js starts listening as soon as it is loaded, so startServer() runs
+// it as a child process, with a fresh database in a temp directory and a
+// free port.
+// -------------------------
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+
+// passes the password policy; every test user gets it
+const PASSWORD = "correct horse battery staple";
+
+const START_TIMEOUT_MS = 20000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// resolves once the server logs that it is listening, rejects if it exits first
+function waitForListening(child) {
+  return new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(() => fail(new Error(`server did not start:\n${output}`)), START_TIMEOUT_MS);
+    const fail = err => {
+      clearTimeout(timer);
+      child.kill();
+      reject(err);
+    };
+    const collect = chunk => {
+      output += chunk;
+      if (output.includes("Server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+    child.once("exit", code => fail(new Error(`server exited with ${code}:\n${output}`)));
+  });
+}
+
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-test-"));
+  const port = await freePort();
+  // bank.db and the mail outbox are relative to the working directory
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "serveer.js")], {
+    cwd: dir,
+    env: { ...process.env, NODE_ENV: "test", PORT: String(port), ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const exited = new Promise(resolve => child.once("exit", resolve));
+  await waitForListening(child);
+  const base = `http://127.0.0.1:${port}`;
+  const db = new sqlite3.Database(path.join(dir, "bank.db"));
+
+  // { status, headers, body }; body is parsed JSON when the response is JSON
+  async function request(method, url, { token, body, raw, headers = {} } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        ...(body !== undefined || raw !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: raw !== undefined ? raw : body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    const isJson = (res.headers.get("content-type") || "").includes("application/json");
+    return { status: res.status, headers: res.headers, body: text && isJson ? JSON.parse(text) : text };
+  }
+
+  const dbRun = (sql, params = []) =>
+    new Promise((resolve, reject) => db.run(sql, params, err => (err ? reject(err) : resolve())));
+
+  // mails the server wrote to its outbox, oldest first
+  function outbox() {
+    const outboxDir = path.join(dir, "outbox");
+    if (!fs.existsSync(outboxDir)) return [];
+    return fs
+      .readdirSync(outboxDir)
+      .sort()
+      .map(file => JSON.parse(fs.readFileSync(path.join(outboxDir, file), "utf8")));
+  }
+
+  async function login(username) {
+    const res = await request("POST", "/api/login", { body: { username, password: PASSWORD } });
+    if (res.status !== 200) throw new Error(`login ${username} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    return res.body.token;
+  }
+
+  // registers `username` (role set straight in the database) and deposits
+  // `deposit` into their checking account: { id, username, token, accountId }
+  async function createUser(username, { role = "customer", deposit } = {}) {
+    const res = await request("POST", "/api/register", { body: { username, password: PASSWORD } });
+    if (res.status !== 200) throw new Error(`register ${username} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    const user = { id: res.body.user.id, username, token: res.body.token, accountId: res.body.account.id };
+    if (role !== "customer") {
+      await dbRun("UPDATE users SET role = ? WHERE id = ?", [role, user.id]);
+      user.token = await login(username); // the role travels in the token
+    }
+    if (deposit) {
+      const dep = await request("POST", "/api/deposit", {
+        token: user.token,
+        body: { accountId: user.accountId, amount: deposit },
+      });
+      if (dep.status !== 200) throw new Error(`deposit for ${username} failed: ${dep.status}`);
+    }
+    return user;
+  }
+
+  async function close() {
+    await new Promise(resolve => db.close(resolve));
+    child.kill();
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { base, request, login, createUser, dbRun, outbox, close };
+}
+
+module.exports = { PASSWORD, startServer };
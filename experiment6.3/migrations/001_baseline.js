@@ -0,0 +1,449 @@
+// -----------------------------
+// 001 baseline
+// The schema as it stood when migrations were introduced (section names in
+// the comments refer to seerver.js). Every step is idempotent, so a database
+// created by an older seerver.js, which built its schema on every boot, is
+// brought up to date by this migration: missing tables and columns are
+// added, REAL amounts become integer cents, users.balance moves into a
+// checking account and balances without ledger entries get an opening entry.
+// -----------------------------
+const crypto = require('crypto');
+
+// Default currency of accounts and transactions that predate currencies
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+async function up(q) {
+  if (!/^[A-Z]{3}$/.test(BASE_CURRENCY)) throw new Error('BASE_CURRENCY must be an ISO 4217 code');
+  await q.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'customer' CHECK(role IN ('customer', 'teller', 'admin')),
+      totp_secret TEXT,          -- base32; set at enrollment, used once confirmed
+      totp_enabled INTEGER NOT NULL DEFAULT 0,
+      totp_last_step INTEGER,    -- last accepted TOTP time step (replay guard)
+      step_up_threshold INTEGER  -- cents; NULL = STEP_UP_THRESHOLD
+    );
+    CREATE TABLE IF NOT EXISTS accounts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL CHECK(type IN ('checking', 'savings')),
+      account_number TEXT UNIQUE NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'frozen', 'closed')),
+      balance INTEGER NOT NULL DEFAULT 0,  -- cents; cache of the ledger sum
+      currency TEXT NOT NULL DEFAULT '${BASE_CURRENCY}',  -- ISO 4217
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      closed_at DATETIME,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_accounts_user ON accounts(user_id);
+    CREATE TABLE IF NOT EXISTS transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,        -- 'deposit', 'withdraw', 'transfer', 'opening_balance', 'reversal'
+      from_user INTEGER,         -- nullable; owner of from_account
+      to_user INTEGER,           -- nullable; owner of to_account
+      amount INTEGER NOT NULL,   -- cents
+      status TEXT NOT NULL,      -- 'committed' or 'rolledback'
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      note TEXT,
+      from_account INTEGER,      -- nullable (cash side of deposits)
+      to_account INTEGER,        -- nullable (cash side of withdrawals)
+      reversal_of INTEGER,       -- for type 'reversal': the transaction it undoes
+      scheduled_transfer_id INTEGER, -- set for runs of a scheduled transfer
+      scheduled_for TEXT,        -- ISO time of that run
+      currency TEXT NOT NULL DEFAULT '${BASE_CURRENCY}',  -- of amount (the source side when converted)
+      converted_amount INTEGER,  -- cents credited to to_account; NULL unless converted
+      converted_currency TEXT,
+      exchange_rate INTEGER,     -- converted_currency per currency unit, x RATE_SCALE
+      exchange_rate_id INTEGER,  -- the exchange_rates row it came from
+      FOREIGN KEY(from_user) REFERENCES users(id),
+      FOREIGN KEY(to_user) REFERENCES users(id),
+      FOREIGN KEY(from_account) REFERENCES accounts(id),
+      FOREIGN KEY(to_account) REFERENCES accounts(id),
+      FOREIGN KEY(reversal_of) REFERENCES transactions(id),
+      FOREIGN KEY(scheduled_transfer_id) REFERENCES scheduled_transfers(id),
+      FOREIGN KEY(exchange_rate_id) REFERENCES exchange_rates(id)
+    );
+    -- Admin-managed exchange rates; see "Currencies and exchange rates"
+    CREATE TABLE IF NOT EXISTS exchange_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      base_currency TEXT NOT NULL,
+      quote_currency TEXT NOT NULL,
+      rate INTEGER NOT NULL CHECK(rate > 0),  -- quote units per base unit, x RATE_SCALE
+      effective_from TEXT NOT NULL,  -- ISO
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(created_by) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair
+      ON exchange_rates(base_currency, quote_currency, effective_from);
+    CREATE TABLE IF NOT EXISTS scheduled_transfers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      from_account INTEGER NOT NULL,
+      to_account INTEGER NOT NULL,
+      amount INTEGER NOT NULL CHECK(amount > 0),  -- cents
+      frequency TEXT NOT NULL CHECK(frequency IN ('once', 'daily', 'weekly', 'monthly')),
+      start_at TEXT NOT NULL,    -- ISO time of the first run; anchors weekday / day of month
+      end_at TEXT,               -- optional ISO time after which no runs happen
+      next_run_at TEXT,          -- NULL once completed or cancelled
+      run_count INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'paused', 'completed', 'cancelled')),
+      note TEXT,
+      last_run_at TEXT,
+      last_status TEXT,          -- 'committed' or 'rolledback'
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id),
+      FOREIGN KEY(from_account) REFERENCES accounts(id),
+      FOREIGN KEY(to_account) REFERENCES accounts(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_scheduled_transfers_due ON scheduled_transfers(status, next_run_at);
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      user_id INTEGER NOT NULL,
+      idem_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      response_status INTEGER,   -- NULL while the first request is in flight
+      response_body TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      PRIMARY KEY(user_id, idem_key),
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    );
+    -- Double-entry postings for committed transactions only.
+    -- account is 'account:<id>' for customer accounts or 'cash' for the external cash account.
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id INTEGER NOT NULL,
+      account TEXT NOT NULL,
+      direction TEXT NOT NULL CHECK(direction IN ('debit', 'credit')),
+      amount INTEGER NOT NULL CHECK(amount > 0),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(transaction_id) REFERENCES transactions(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account);
+    -- One session per login. Its refresh tokens form a rotation family;
+    -- revoking the session invalidates every access and refresh token in it.
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      revoked_at DATETIME,
+      revoke_reason TEXT,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    );
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      token_hash TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      rotated_at DATETIME,       -- set once exchanged; presenting it again is reuse
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(session_id) REFERENCES sessions(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,   -- sha256 of the normalized code
+      used_at DATETIME,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id);
+    -- Security audit trail; see "Audit log". Rows are hash-chained and
+    -- the triggers below make the table append-only.
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,  -- ISO
+      action TEXT NOT NULL,      -- e.g. 'auth.login', 'user.role_change'
+      outcome TEXT NOT NULL CHECK(outcome IN ('success', 'failure', 'denied')),
+      actor_id INTEGER,
+      actor_username TEXT,
+      target_type TEXT,
+      target_id TEXT,
+      ip TEXT,
+      user_agent TEXT,
+      details TEXT,              -- JSON
+      prev_hash TEXT NOT NULL,
+      hash TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action);
+    CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_id);
+    CREATE TRIGGER IF NOT EXISTS audit_events_no_update BEFORE UPDATE ON audit_events BEGIN
+      SELECT RAISE(ABORT, 'audit_events is append-only');
+    END;
+    CREATE TRIGGER IF NOT EXISTS audit_events_no_delete BEFORE DELETE ON audit_events BEGIN
+      SELECT RAISE(ABORT, 'audit_events is append-only');
+    END;
+    -- Outbound webhooks; see "Webhooks"
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,  -- admin who created it
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,      -- HMAC key shared with the receiver
+      event_types TEXT NOT NULL, -- JSON array, '*' = all
+      status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'paused')),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    );
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id INTEGER NOT NULL,
+      event_id TEXT NOT NULL,    -- shared by the deliveries of one event
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,     -- exact JSON body that is signed and sent
+      status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'succeeded', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT,      -- ISO; NULL once succeeded or failed
+      last_status_code INTEGER,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered_at TEXT,
+      FOREIGN KEY(subscription_id) REFERENCES webhook_subscriptions(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+    CREATE TABLE IF NOT EXISTS webhook_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      delivery_id INTEGER NOT NULL,
+      attempted_at TEXT NOT NULL,
+      status_code INTEGER,       -- NULL when no response (network error, timeout)
+      error TEXT,
+      duration_ms INTEGER,
+      FOREIGN KEY(delivery_id) REFERENCES webhook_deliveries(id)
+    );
+    -- Authorization holds; see "Authorization holds"
+    CREATE TABLE IF NOT EXISTS holds (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id INTEGER NOT NULL,
+      to_account INTEGER,        -- payee on capture; NULL = out to cash
+      amount INTEGER NOT NULL CHECK(amount > 0),  -- cents, in the account's currency
+      captured_amount INTEGER,
+      status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'captured', 'released', 'expired')),
+      description TEXT,
+      expires_at TEXT NOT NULL,  -- ISO
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TEXT,          -- ISO; when it left 'active'
+      capture_transaction_id INTEGER,
+      FOREIGN KEY(account_id) REFERENCES accounts(id),
+      FOREIGN KEY(to_account) REFERENCES accounts(id),
+      FOREIGN KEY(created_by) REFERENCES users(id),
+      FOREIGN KEY(capture_transaction_id) REFERENCES transactions(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_holds_account ON holds(account_id, status);
+    -- Per-user events for /api/stream; the id is the SSE event id
+    CREATE TABLE IF NOT EXISTS stream_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      event TEXT NOT NULL,       -- 'transaction' or 'balance'
+      data TEXT NOT NULL,        -- JSON
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_stream_events_user ON stream_events(user_id, id);
+    -- Failed login counters; see "Login throttling"
+    CREATE TABLE IF NOT EXISTS login_throttle (
+      kind TEXT NOT NULL CHECK(kind IN ('username', 'ip')),
+      subject TEXT NOT NULL,     -- lower-cased username or client IP
+      failures INTEGER NOT NULL,
+      last_failure_at TEXT NOT NULL,  -- ISO
+      blocked_until TEXT NOT NULL,    -- ISO; no attempts before this
+      PRIMARY KEY(kind, subject)
+    );
+    -- Per-role and per-user transaction limits. On role rows NULL means
+    -- unlimited; on user rows NULL means "use the role's limit".
+    CREATE TABLE IF NOT EXISTS transaction_limits (
+      scope TEXT NOT NULL CHECK(scope IN ('role', 'user')),
+      subject TEXT NOT NULL,     -- role name or user id
+      max_single_transfer INTEGER,  -- cents
+      daily_withdrawal INTEGER,     -- cents
+      daily_outgoing INTEGER,       -- cents, withdrawals + transfers to other users
+      transfers_per_hour INTEGER,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY(scope, subject)
+    );
+  `);
+
+  await migrateMoneyToCents(q);
+  await addColumnIfMissing(q, 'users', 'role', `TEXT NOT NULL DEFAULT 'customer' CHECK(role IN ('customer', 'teller', 'admin'))`);
+  await addColumnIfMissing(q, 'users', 'totp_secret', 'TEXT');
+  await addColumnIfMissing(q, 'users', 'totp_enabled', 'INTEGER NOT NULL DEFAULT 0');
+  await addColumnIfMissing(q, 'users', 'totp_last_step', 'INTEGER');
+  await addColumnIfMissing(q, 'users', 'step_up_threshold', 'INTEGER');
+  await addColumnIfMissing(q, 'transactions', 'from_account', 'INTEGER REFERENCES accounts(id)');
+  await addColumnIfMissing(q, 'transactions', 'to_account', 'INTEGER REFERENCES accounts(id)');
+  await addColumnIfMissing(q, 'transactions', 'reversal_of', 'INTEGER REFERENCES transactions(id)');
+  await addColumnIfMissing(q, 'transactions', 'scheduled_transfer_id', 'INTEGER REFERENCES scheduled_transfers(id)');
+  await addColumnIfMissing(q, 'transactions', 'scheduled_for', 'TEXT');
+  await addColumnIfMissing(q, 'accounts', 'currency', `TEXT NOT NULL DEFAULT '${BASE_CURRENCY}'`);
+  await addColumnIfMissing(q, 'transactions', 'currency', `TEXT NOT NULL DEFAULT '${BASE_CURRENCY}'`);
+  await addColumnIfMissing(q, 'transactions', 'converted_amount', 'INTEGER');
+  await addColumnIfMissing(q, 'transactions', 'converted_currency', 'TEXT');
+  await addColumnIfMissing(q, 'transactions', 'exchange_rate', 'INTEGER');
+  await addColumnIfMissing(q, 'transactions', 'exchange_rate_id', 'INTEGER REFERENCES exchange_rates(id)');
+  // a transaction can be reversed at most once
+  await q.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_reversal_of
+                ON transactions(reversal_of) WHERE status = 'committed';`);
+  await migrateBalancesToAccounts(q);
+  await createTransactionSearch(q);
+  await backfillOpeningBalances(q);
+}
+
+// Dependents first; transactions_fts goes with its triggers
+const TABLES = [
+  'transactions_fts',
+  'stream_events',
+  'webhook_attempts',
+  'webhook_deliveries',
+  'webhook_subscriptions',
+  'audit_events',
+  'login_throttle',
+  'transaction_limits',
+  'recovery_codes',
+  'holds',
+  'ledger_entries',
+  'idempotency_keys',
+  'refresh_tokens',
+  'sessions',
+  'transactions',
+  'exchange_rates',
+  'scheduled_transfers',
+  'accounts',
+  'users',
+];
+
+async function down(q) {
+  for (const table of TABLES) await q.exec(`DROP TABLE IF EXISTS ${table};`);
+}
+
+async function addColumnIfMissing(q, table, column, definition) {
+  const cols = await q.all(`PRAGMA table_info(${table})`);
+  if (!cols.some((c) => c.name === column)) {
+    await q.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`);
+  }
+}
+
+// Databases created before amounts were stored as cents still have REAL
+// columns holding decimal amounts. Rebuild those tables with INTEGER cents.
+async function migrateMoneyToCents(q) {
+  const userCols = await q.all('PRAGMA table_info(users)');
+  const txCols = await q.all('PRAGMA table_info(transactions)');
+  const isReal = (cols, name) => cols.some((c) => c.name === name && c.type.toUpperCase() === 'REAL');
+  if (isReal(userCols, 'balance')) {
+    await q.exec(`
+      CREATE TABLE users_cents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        balance INTEGER DEFAULT 0
+      );
+      INSERT INTO users_cents (id, username, password, balance)
+        SELECT id, username, password, CAST(ROUND(balance * 100) AS INTEGER) FROM users;
+      DROP TABLE users;
+      ALTER TABLE users_cents RENAME TO users;
+    `);
+    console.log('Migrated users.balance to integer cents');
+  }
+  if (isReal(txCols, 'amount')) {
+    await q.exec(`
+      CREATE TABLE transactions_cents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        from_user INTEGER,
+        to_user INTEGER,
+        amount INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        note TEXT,
+        FOREIGN KEY(from_user) REFERENCES users(id),
+        FOREIGN KEY(to_user) REFERENCES users(id)
+      );
+      INSERT INTO transactions_cents (id, type, from_user, to_user, amount, status, created_at, note)
+        SELECT id, type, from_user, to_user, CAST(ROUND(amount * 100) AS INTEGER), status, created_at, note
+        FROM transactions;
+      DROP TABLE transactions;
+      ALTER TABLE transactions_cents RENAME TO transactions;
+    `);
+    console.log('Migrated transactions.amount to integer cents');
+  }
+}
+
+// Before accounts existed each user had a single users.balance. Move it into a
+// checking account, repoint the user's ledger postings and history at that
+// account, then drop the column.
+async function migrateBalancesToAccounts(q) {
+  const userCols = await q.all('PRAGMA table_info(users)');
+  if (!userCols.some((c) => c.name === 'balance')) return;
+
+  const users = await q.all(
+    'SELECT u.id, u.balance FROM users u WHERE NOT EXISTS (SELECT 1 FROM accounts a WHERE a.user_id = u.id)'
+  );
+  for (const user of users) {
+    const account = await q.run(
+      `INSERT INTO accounts (user_id, type, account_number, balance) VALUES (?, 'checking', ?, ?)`,
+      [user.id, String(crypto.randomInt(1e9, 1e10)), user.balance || 0]
+    );
+    await q.run('UPDATE ledger_entries SET account = ? WHERE account = ?', [`account:${account.lastID}`, `user:${user.id}`]);
+    await q.run('UPDATE transactions SET from_account = ? WHERE from_user = ? AND from_account IS NULL', [
+      account.lastID,
+      user.id,
+    ]);
+    await q.run('UPDATE transactions SET to_account = ? WHERE to_user = ? AND to_account IS NULL', [
+      account.lastID,
+      user.id,
+    ]);
+  }
+  await q.exec('ALTER TABLE users DROP COLUMN balance;');
+  console.log(`Moved ${users.length} user balance(s) into checking accounts`);
+}
+
+// Indexes for filtering and paginating /api/transactions, plus an FTS5 index
+// over note kept in sync by triggers. Created after the table rebuilds above,
+// which would drop triggers attached to the old table.
+async function createTransactionSearch(q) {
+  const fts = await q.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'transactions_fts'`);
+  await q.exec(`
+    CREATE INDEX IF NOT EXISTS idx_transactions_created ON transactions(created_at, id);
+    CREATE INDEX IF NOT EXISTS idx_transactions_from_user ON transactions(from_user, created_at);
+    CREATE INDEX IF NOT EXISTS idx_transactions_to_user ON transactions(to_user, created_at);
+    CREATE INDEX IF NOT EXISTS idx_transactions_from_account ON transactions(from_account);
+    CREATE INDEX IF NOT EXISTS idx_transactions_to_account ON transactions(to_account);
+    CREATE INDEX IF NOT EXISTS idx_transactions_amount ON transactions(amount);
+    CREATE VIRTUAL TABLE IF NOT EXISTS transactions_fts USING fts5(note, content='transactions', content_rowid='id');
+    CREATE TRIGGER IF NOT EXISTS transactions_fts_ai AFTER INSERT ON transactions BEGIN
+      INSERT INTO transactions_fts(rowid, note) VALUES (new.id, new.note);
+    END;
+    CREATE TRIGGER IF NOT EXISTS transactions_fts_ad AFTER DELETE ON transactions BEGIN
+      INSERT INTO transactions_fts(transactions_fts, rowid, note) VALUES ('delete', old.id, old.note);
+    END;
+    CREATE TRIGGER IF NOT EXISTS transactions_fts_au AFTER UPDATE OF note ON transactions BEGIN
+      INSERT INTO transactions_fts(transactions_fts, rowid, note) VALUES ('delete', old.id, old.note);
+      INSERT INTO transactions_fts(rowid, note) VALUES (new.id, new.note);
+    END;
+  `);
+  // index rows written before the search table existed
+  if (!fts) await q.exec(`INSERT INTO transactions_fts(transactions_fts) VALUES ('rebuild');`);
+}
+
+// Balances that predate the ledger get a single opening entry funded from
+// cash so the ledger sum matches accounts.balance.
+async function backfillOpeningBalances(q) {
+  const accounts = await q.all(
+    `SELECT a.id, a.user_id, a.balance, a.currency FROM accounts a
+     WHERE a.balance != 0
+       AND NOT EXISTS (SELECT 1 FROM ledger_entries e WHERE e.account = 'account:' || a.id)`
+  );
+  for (const account of accounts) {
+    const tx = await q.run(
+      `INSERT INTO transactions (type, to_user, to_account, amount, status, note, currency)
+       VALUES ('opening_balance', ?, ?, ?, 'committed', 'opening balance carried over from the cached balance', ?)`,
+      [account.user_id, account.id, Math.abs(account.balance), account.currency]
+    );
+    const [debit, credit] = account.balance > 0 ? ['cash', `account:${account.id}`] : [`account:${account.id}`, 'cash'];
+    await q.run(
+      `INSERT INTO ledger_entries (transaction_id, account, direction, amount) VALUES (?, ?, 'debit', ?), (?, ?, 'credit', ?)`,
+      [tx.lastID, debit, Math.abs(account.balance), tx.lastID, credit, Math.abs(account.balance)]
+    );
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// -----------------------------
+// 002 default role limits
+// Starting limits for each role (see "Transaction limits" in seerver.js).
+// Amounts in cents, null = unlimited. Rows an admin has already set are kept.
+// -----------------------------
+const DEFAULT_ROLE_LIMITS = {
+  customer: { maxSingleTransfer: 500000, dailyWithdrawal: 100000, dailyOutgoing: 1000000, transfersPerHour: 20 },
+  teller: { maxSingleTransfer: 2000000, dailyWithdrawal: 500000, dailyOutgoing: 5000000, transfersPerHour: 60 },
+  admin: { maxSingleTransfer: null, dailyWithdrawal: null, dailyOutgoing: null, transfersPerHour: null },
+};
+
+async function up(q) {
+  for (const [role, limits] of Object.entries(DEFAULT_ROLE_LIMITS)) {
+    await q.run(
+      `INSERT OR IGNORE INTO transaction_limits
+         (scope, subject, max_single_transfer, daily_withdrawal, daily_outgoing, transfers_per_hour)
+       VALUES ('role', ?, ?, ?, ?, ?)`,
+      [role, limits.maxSingleTransfer, limits.dailyWithdrawal, limits.dailyOutgoing, limits.transfersPerHour]
+    );
+  }
+}
+
+async function down(q) {
+  await q.run(`DELETE FROM transaction_limits WHERE scope = 'role'`);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// -----------------------------
+// 003 password reset
+// users.email, where reset mail goes, and the single-use reset tokens of
+// "Passwords" in seerver.js. Only a token's sha256 is stored.
+// -----------------------------
+async function up(q) {
+  await q.exec(`
+    ALTER TABLE users ADD COLUMN email TEXT;
+    CREATE TABLE password_reset_tokens (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at TEXT NOT NULL,  -- ISO
+      expires_at TEXT NOT NULL,  -- ISO
+      used_at TEXT,              -- set once the token is redeemed or replaced
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    );
+    CREATE INDEX idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+  `);
+}
+
+async function down(q) {
+  await q.exec(`
+    DROP TABLE password_reset_tokens;
+    ALTER TABLE users DROP COLUMN email;
+  `);
+}
+
+module.exports = { up, down };
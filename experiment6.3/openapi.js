@@ -0,0 +1,1174 @@
+// openapi.js
+// -----------------------------
+// OpenAPI 3.1 contract of the Transactional Banking API and the middleware
+// that checks requests against it.
+//   buildSpec(options)        the document served at /api/openapi.json
+//   validateRequests(getSpec) Express middleware: 400 INVALID_REQUEST with
+//                             per-field details when a body, query or path
+//                             parameter does not match the operation
+//   validate(schema, value)   [{ path, message }] problems, [] when it matches;
+//                             what contract tests use on responses
+//   findOperation(spec, method, path)
+//   sendError(res, status, message, code?, details?)
+//                             answers with the error envelope
+//                             { code, message, details }
+//   notFound, errorHandler    the last two middlewares: unknown /api routes
+//                             and errors thrown past the handlers
+// Validation covers shape (types, required fields, enums, ranges). Rules that
+// need the database or configuration (does the account exist, is the
+// currency enabled) stay in the route handlers.
+// -----------------------------
+
+// Every `code` an error response can carry. seerver.js names one for every
+// error; the default for the HTTP status (DEFAULT_ERROR_CODES) is only a
+// fallback for errors sent without one.
+const ERROR_CODES = {
+  INVALID_REQUEST: 'The body, query or path does not match the contract, or a value is out of range',
+  INVALID_JSON: 'The request body is not valid JSON',
+  UNAUTHORIZED: 'Authentication failed',
+  AUTH_REQUIRED: 'No Authorization header was sent',
+  INVALID_TOKEN: 'The access token is malformed, expired or of the wrong kind',
+  SESSION_REVOKED: 'The session behind the access token was revoked',
+  INVALID_CREDENTIALS: 'Unknown username or wrong password',
+  WEAK_PASSWORD: 'The new password breaks the password policy; details lists why',
+  INVALID_RESET_TOKEN: 'The password reset token is unknown, used, replaced or expired',
+  LOGIN_THROTTLED: 'Too many failed logins; see Retry-After',
+  INVALID_REFRESH_TOKEN: 'The refresh token is unknown or revoked',
+  REFRESH_TOKEN_EXPIRED: 'The refresh token has expired',
+  REFRESH_TOKEN_REUSED: 'A rotated refresh token was used again; the session is revoked',
+  STEP_UP_REQUIRED: 'The amount needs a TOTP code in X-TOTP-Code',
+  INVALID_TOTP: 'The TOTP code is wrong or already used',
+  INVALID_MFA_TOKEN: 'The mfaToken from the login is invalid or expired',
+  INVALID_2FA_CODE: 'The TOTP or recovery code is wrong or already used',
+  TWO_FACTOR_NOT_ENROLLED: 'No pending enrollment; start with POST /api/2fa/enroll',
+  TWO_FACTOR_ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+  TWO_FACTOR_NOT_ENABLED: 'Two-factor authentication is not enabled',
+  FORBIDDEN: 'The caller may not do this',
+  CANNOT_CHANGE_OWN_ROLE: 'Admins cannot change their own role',
+  NOT_FOUND: 'No such route or resource',
+  ACCOUNT_NOT_FOUND: 'An account named in the request does not exist',
+  USER_NOT_FOUND: 'No user with that id',
+  ROLE_NOT_FOUND: 'No role with that name',
+  TRANSACTION_NOT_FOUND: 'No transaction with that id',
+  HOLD_NOT_FOUND: 'No hold with that id',
+  SCHEDULED_TRANSFER_NOT_FOUND: 'No scheduled transfer with that id',
+  WEBHOOK_NOT_FOUND: 'No webhook subscription with that id',
+  DELIVERY_NOT_FOUND: 'No webhook delivery with that id',
+  FAULT_POINT_NOT_FOUND: 'No fault point with that name',
+  USERNAME_TAKEN: 'The username is already registered',
+  CONFLICT: 'The resource is not in a state that allows this',
+  ACCOUNT_NOT_OPEN: 'An account involved is frozen or closed',
+  ACCOUNT_BALANCE_NOT_ZERO: 'Only an account with a zero balance can be closed',
+  SAME_ACCOUNT: 'Source and destination are the same account',
+  INSUFFICIENT_FUNDS: 'The available balance does not cover the amount',
+  ALREADY_REVERSED: 'The transaction has already been reversed',
+  TRANSACTION_NOT_REVERSIBLE: 'Only committed deposits, withdrawals and transfers can be reversed',
+  HOLD_NOT_ACTIVE: 'The hold was captured, released or has expired',
+  CAPTURE_EXCEEDS_HOLD: 'The capture is larger than the held amount',
+  SCHEDULED_TRANSFER_ENDED: 'The scheduled transfer has completed or was cancelled',
+  RATE_CHANGED: 'The quoted exchange rate has been replaced',
+  NO_EXCHANGE_RATE: 'No exchange rate is in effect for the currency pair',
+  AMOUNT_TOO_SMALL: 'The amount converts to less than one cent',
+  LIMIT_MAX_SINGLE_TRANSFER: 'Above the largest single transfer allowed',
+  LIMIT_DAILY_WITHDRAWAL: "Above what is left of today's withdrawal limit",
+  LIMIT_DAILY_OUTGOING: "Above what is left of today's outgoing limit",
+  LIMIT_TRANSFERS_PER_HOUR: 'Too many transfers in the last hour',
+  INVALID_IDEMPOTENCY_KEY: 'The Idempotency-Key is longer than 255 characters',
+  IDEMPOTENCY_KEY_REUSED: 'The Idempotency-Key was used with a different request',
+  IDEMPOTENCY_KEY_IN_PROGRESS: 'A request with this Idempotency-Key is still running',
+  PAYLOAD_TOO_LARGE: 'The request body is too large',
+  TOO_MANY_REQUESTS: 'Rate limited',
+  INTERNAL_ERROR: 'Unexpected server error; nothing was changed',
+};
+
+const DEFAULT_ERROR_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'TOO_MANY_REQUESTS',
+};
+
+// -----------------------------
+// Error envelope
+// Every error response is { code, message, details }; details is null unless
+// the error has more to say (which fields failed, when to retry...).
+// -----------------------------
+function sendError(res, status, message, code = null, details = null) {
+  const fallback = status >= 500 ? 'INTERNAL_ERROR' : 'INVALID_REQUEST';
+  return res.status(status).json({ code: code || DEFAULT_ERROR_CODES[status] || fallback, message, details });
+}
+
+// Mounted on /api after every route
+function notFound(req, res) {
+  sendError(res, 404, `No route for ${req.method} ${req.originalUrl}`);
+}
+
+// Malformed JSON bodies among them; Express knows an error handler by its four parameters
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') return sendError(res, 400, 'Request body is not valid JSON', 'INVALID_JSON');
+  if (err.type === 'entity.too.large') return sendError(res, 413, 'Request body is too large');
+  console.error('unhandled error', err);
+  sendError(res, 500, 'server error');
+}
+
+// -----------------------------
+// Spec building blocks
+// -----------------------------
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+// Ids and account numbers may be sent as numbers or digit strings
+const ID = { type: ['integer', 'string'], pattern: '^[0-9]+$', minimum: 1, description: 'Numeric id' };
+const ACCOUNT_NUMBER = { type: ['string', 'integer'], pattern: '^[0-9]+$', description: 'Account number, digits only' };
+const AMOUNT = {
+  type: ['string', 'number'],
+  pattern: '^(0|[1-9][0-9]*)(\\.[0-9]{1,2})?$',
+  exclusiveMinimum: 0,
+  multipleOf: 0.01,
+  description: 'Decimal amount in major units, at most two decimals',
+  examples: ['12.34'],
+};
+const MONEY = { type: 'string', pattern: '^-?[0-9]+\\.[0-9]{2}$', description: 'Decimal amount', examples: ['12.34'] };
+const RATE = { type: ['string', 'number'], description: 'Positive decimal with at most 8 decimals', examples: ['1.0825'] };
+const CURRENCY = { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'ISO 4217 code of an enabled currency' };
+const ISO_TIME = { type: 'string', description: 'ISO 8601 date or date-time' };
+const NOTE = { type: 'string', description: 'Kept up to 200 characters' };
+const EMAIL = { type: 'string', pattern: '^[^\\s@]+@[^\\s@]+$', description: 'Email address' };
+const TOTP_CODE = { type: ['string', 'integer'], pattern: '^[0-9]{6}$', description: 'Six digits' };
+
+const pathId = (name = 'id') => ({ name, in: 'path', required: true, schema: { type: 'integer', minimum: 1 } });
+const query = (name, schema, description) => ({ name, in: 'query', required: false, schema, description });
+const pageParams = (maxPageSize) => [
+  query('limit', { type: 'integer', minimum: 1, maximum: maxPageSize }, 'Page size'),
+  query('cursor', { type: 'string' }, 'nextCursor of the previous page'),
+];
+
+// `<prefix>AccountId` or `<prefix>AccountNumber`; anyOf makes one of them required
+function accountRef(prefix = '', { required = true } = {}) {
+  const idKey = prefix ? `${prefix}AccountId` : 'accountId';
+  const numberKey = prefix ? `${prefix}AccountNumber` : 'accountNumber';
+  return {
+    properties: { [idKey]: ID, [numberKey]: ACCOUNT_NUMBER },
+    anyOf: required ? [{ required: [idKey] }, { required: [numberKey] }] : undefined,
+  };
+}
+
+// Object schema from property maps and account references
+function object(properties, { required = [], refs = [] } = {}) {
+  const schema = { type: 'object', properties: { ...properties }, required };
+  const allOf = [];
+  for (const r of refs) {
+    Object.assign(schema.properties, r.properties);
+    if (r.anyOf) allOf.push({ anyOf: r.anyOf });
+  }
+  if (allOf.length) schema.allOf = allOf;
+  if (!required.length) delete schema.required;
+  return schema;
+}
+
+const OK = (schema, description = 'OK') => ({ description, content: jsonContent(schema) });
+
+// operation(summary, { tags, auth, headers, params, body, ok, status, ... })
+function operation(summary, { tags, auth = true, params = [], body, ok, status = '200', headers = [], ...rest }) {
+  const op = { summary, tags, ...rest };
+  if (!auth) op.security = [];
+  const parameters = [...headers, ...params];
+  if (parameters.length) op.parameters = parameters;
+  if (body) op.requestBody = { required: true, content: jsonContent(body) };
+  op.responses = {
+    [status]: status === '204' ? { description: 'No content' } : ok || OK({ type: 'object' }),
+    default: { $ref: '#/components/responses/Error' },
+  };
+  return op;
+}
+
+const IDEMPOTENCY_KEY = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  schema: { type: 'string', maxLength: 255 },
+  description: 'Replays the first response for retries with the same key and body',
+};
+const TOTP_HEADER = {
+  name: 'X-TOTP-Code',
+  in: 'header',
+  required: false,
+  schema: { type: 'string' },
+  description: 'Needed when 2FA is on and the amount is above the step-up threshold',
+};
+
+/*
+  buildSpec({ baseCurrency, currencies, accountTypes, roles, frequencies,
+              holdStatuses, transactionTypes, transactionStatuses, webhookEventTypes,
+              deliveryStatuses, auditOutcomes, statementFormats, faultPoints,
+              faultActions, maxPageSize })
+  Enumerations come from seerver.js so the document never drifts from what
+  the handlers accept. faultPoints is omitted in production, where the fault
+  injection routes do not exist.
+*/
+function buildSpec(o) {
+  const schemas = {
+    Error: {
+      type: 'object',
+      required: ['code', 'message', 'details'],
+      properties: {
+        code: ref('ErrorCode'),
+        message: { type: 'string', description: 'Human readable; may change, branch on code' },
+        details: {
+          description: 'Extra context: [{ in, path, message }] for INVALID_REQUEST, an object or null otherwise',
+        },
+      },
+    },
+    ErrorCode: { type: 'string', enum: Object.keys(ERROR_CODES), 'x-descriptions': ERROR_CODES },
+    Tokens: object(
+      {
+        token: { type: 'string', description: 'Access token (Bearer)' },
+        refreshToken: { type: 'string' },
+        user: ref('User'),
+      },
+      { required: ['token', 'refreshToken'] }
+    ),
+    User: object(
+      { id: { type: 'integer' }, username: { type: 'string' }, role: { type: 'string', enum: o.roles } },
+      { required: ['id', 'username', 'role'] }
+    ),
+    Account: object(
+      {
+        id: { type: 'integer' },
+        userId: { type: 'integer' },
+        accountNumber: { type: 'string' },
+        type: { type: 'string', enum: o.accountTypes },
+        status: { type: 'string', enum: ['open', 'frozen', 'closed'] },
+        currency: CURRENCY,
+        balance: MONEY,
+        createdAt: { type: 'string' },
+        closedAt: nullable({ type: 'string' }),
+      },
+      { required: ['id', 'accountNumber', 'type', 'status', 'currency', 'balance'] }
+    ),
+    Transaction: object(
+      {
+        id: { type: 'integer' },
+        type: { type: 'string', enum: o.transactionTypes },
+        status: { type: 'string', enum: o.transactionStatuses },
+        amount: MONEY,
+        currency: CURRENCY,
+        from_user: nullable({ type: 'integer' }),
+        to_user: nullable({ type: 'integer' }),
+        from_account: nullable({ type: 'integer' }),
+        to_account: nullable({ type: 'integer' }),
+        converted_amount: nullable(MONEY),
+        converted_currency: nullable(CURRENCY),
+        exchange_rate: nullable({ type: 'string' }),
+        exchange_rate_id: nullable({ type: 'integer' }),
+        reversal_of: nullable({ type: 'integer' }),
+        note: nullable({ type: 'string' }),
+        created_at: { type: 'string' },
+      },
+      { required: ['id', 'type', 'status', 'amount'] }
+    ),
+    Conversion: object(
+      {
+        amount: MONEY,
+        currency: CURRENCY,
+        convertedAmount: MONEY,
+        convertedCurrency: CURRENCY,
+        rate: { type: 'string' },
+        rateId: { type: 'integer' },
+        effectiveFrom: { type: 'string' },
+      },
+      { required: ['amount', 'currency', 'convertedAmount', 'convertedCurrency', 'rate', 'rateId'] }
+    ),
+    ExchangeRate: object(
+      {
+        id: { type: 'integer' },
+        base: CURRENCY,
+        quote: CURRENCY,
+        rate: { type: 'string' },
+        effectiveFrom: { type: 'string' },
+        createdBy: nullable({ type: 'integer' }),
+        createdAt: { type: 'string' },
+        inEffect: { type: 'boolean' },
+      },
+      { required: ['id', 'base', 'quote', 'rate', 'effectiveFrom'] }
+    ),
+    Limits: object({
+      maxSingleTransfer: nullable(MONEY),
+      dailyWithdrawal: nullable(MONEY),
+      dailyOutgoing: nullable(MONEY),
+      transfersPerHour: nullable({ type: 'integer' }),
+    }),
+    Hold: object(
+      {
+        id: { type: 'integer' },
+        accountId: { type: 'integer' },
+        toAccountId: nullable({ type: 'integer' }),
+        amount: MONEY,
+        capturedAmount: nullable(MONEY),
+        status: { type: 'string', enum: o.holdStatuses },
+        description: nullable({ type: 'string' }),
+        expiresAt: { type: 'string' },
+        createdAt: { type: 'string' },
+        resolvedAt: nullable({ type: 'string' }),
+        captureTransactionId: nullable({ type: 'integer' }),
+      },
+      { required: ['id', 'accountId', 'amount', 'status', 'expiresAt'] }
+    ),
+    ScheduledTransfer: object(
+      {
+        id: { type: 'integer' },
+        fromAccountId: { type: 'integer' },
+        toAccountId: { type: 'integer' },
+        amount: MONEY,
+        frequency: { type: 'string', enum: o.frequencies },
+        startAt: { type: 'string' },
+        endAt: nullable({ type: 'string' }),
+        nextRunAt: nullable({ type: 'string' }),
+        status: { type: 'string', enum: ['active', 'paused', 'completed', 'cancelled'] },
+        note: nullable({ type: 'string' }),
+        runCount: { type: 'integer' },
+        lastRunAt: nullable({ type: 'string' }),
+        lastStatus: nullable({ type: 'string' }),
+      },
+      { required: ['id', 'fromAccountId', 'toAccountId', 'amount', 'frequency', 'status'] }
+    ),
+    Webhook: object(
+      {
+        id: { type: 'integer' },
+        url: { type: 'string' },
+        eventTypes: { type: 'array', items: { type: 'string' } },
+        status: { type: 'string', enum: ['active', 'paused'] },
+        createdAt: { type: 'string' },
+        secret: { type: 'string', description: 'Only in the response that created the webhook' },
+      },
+      { required: ['id', 'url', 'eventTypes', 'status'] }
+    ),
+    Page: object(
+      { data: { type: 'array' }, nextCursor: nullable({ type: 'string' }) },
+      { required: ['data', 'nextCursor'] }
+    ),
+  };
+  const list = (name) => ({ type: 'array', items: ref(name) });
+  const page = (name) => ({ allOf: [ref('Page'), { properties: { data: list(name) } }] });
+  const limitsBody = {
+    type: 'object',
+    properties: {
+      maxSingleTransfer: nullable(AMOUNT),
+      dailyWithdrawal: nullable(AMOUNT),
+      dailyOutgoing: nullable(AMOUNT),
+      transfersPerHour: nullable({ type: 'integer', minimum: 0 }),
+    },
+    minProperties: 1,
+  };
+  const secondFactor = {
+    type: 'object',
+    properties: { code: TOTP_CODE, recoveryCode: { type: 'string' } },
+    anyOf: [{ required: ['code'] }, { required: ['recoveryCode'] }],
+  };
+  const transferResult = object(
+    {
+      transactionId: { type: 'integer' },
+      fromBalance: MONEY,
+      toBalance: MONEY,
+      conversion: ref('Conversion'),
+    },
+    { required: ['transactionId', 'fromBalance'] }
+  );
+  const pageSize = o.maxPageSize;
+
+  const paths = {
+    '/api/register': {
+      post: operation('Create a user with a checking account', {
+        tags: ['Auth'],
+        auth: false,
+        body: object(
+          {
+            username: { type: 'string', minLength: 1 },
+            password: { type: 'string', minLength: 1, description: 'Must meet the password policy' },
+            email: nullable(EMAIL),
+          },
+          { required: ['username', 'password'] }
+        ),
+        ok: OK({ allOf: [ref('Tokens'), { properties: { account: ref('Account') } }] }),
+      }),
+    },
+    '/api/login': {
+      post: operation('Log in; answers { mfaRequired, mfaToken } when 2FA is on', {
+        tags: ['Auth'],
+        auth: false,
+        body: object(
+          { username: { type: 'string', minLength: 1 }, password: { type: 'string' } },
+          { required: ['username', 'password'] }
+        ),
+        ok: OK({
+          anyOf: [
+            ref('Tokens'),
+            object({ mfaRequired: { const: true }, mfaToken: { type: 'string' } }, { required: ['mfaRequired', 'mfaToken'] }),
+          ],
+        }),
+      }),
+    },
+    '/api/login/2fa': {
+      post: operation('Second login step with a TOTP or recovery code', {
+        tags: ['Auth'],
+        auth: false,
+        body: { allOf: [object({ mfaToken: { type: 'string' } }, { required: ['mfaToken'] }), secondFactor] },
+        ok: OK(ref('Tokens')),
+      }),
+    },
+    '/api/token/refresh': {
+      post: operation('Exchange a refresh token for a new pair (rotation)', {
+        tags: ['Auth'],
+        auth: false,
+        body: object({ refreshToken: { type: 'string', minLength: 1 } }, { required: ['refreshToken'] }),
+        ok: OK(ref('Tokens')),
+      }),
+    },
+    '/api/logout': { post: operation('Revoke the current session', { tags: ['Auth'] }) },
+    '/api/logout-all': { post: operation('Revoke every session of the caller', { tags: ['Auth'] }) },
+    '/api/password': {
+      post: operation('Change the password; every other session is revoked', {
+        tags: ['Passwords'],
+        body: object(
+          { currentPassword: { type: 'string' }, newPassword: { type: 'string', minLength: 1 } },
+          { required: ['currentPassword', 'newPassword'] }
+        ),
+        ok: OK(
+          object(
+            { ok: { const: true }, revokedSessions: { type: 'integer' } },
+            { required: ['ok', 'revokedSessions'] }
+          )
+        ),
+      }),
+    },
+    '/api/email': {
+      put: operation('Set or clear (null) the address password reset mail goes to', {
+        tags: ['Passwords'],
+        body: object({ email: nullable(EMAIL), password: { type: 'string' } }, { required: ['email', 'password'] }),
+        ok: OK(object({ email: nullable(EMAIL) }, { required: ['email'] })),
+      }),
+    },
+    '/api/password/forgot': {
+      post: operation('Mail a password reset token; 202 whether or not the user exists', {
+        tags: ['Passwords'],
+        auth: false,
+        status: '202',
+        body: object({ username: { type: 'string', minLength: 1 } }, { required: ['username'] }),
+        ok: OK(object({ ok: { const: true } }, { required: ['ok'] }), 'Accepted'),
+      }),
+    },
+    '/api/password/reset': {
+      post: operation('Set a new password with a reset token; every session is revoked', {
+        tags: ['Passwords'],
+        auth: false,
+        body: object(
+          { token: { type: 'string', minLength: 1 }, newPassword: { type: 'string', minLength: 1 } },
+          { required: ['token', 'newPassword'] }
+        ),
+        ok: OK(
+          object(
+            { ok: { const: true }, revokedSessions: { type: 'integer' } },
+            { required: ['ok', 'revokedSessions'] }
+          )
+        ),
+      }),
+    },
+    '/api/2fa/enroll': {
+      post: operation('Start TOTP enrollment', {
+        tags: ['Two-factor'],
+        ok: OK(object({ secret: { type: 'string' }, otpauthUri: { type: 'string' } }, { required: ['secret', 'otpauthUri'] })),
+      }),
+    },
+    '/api/2fa/confirm': {
+      post: operation('Turn 2FA on with a first code; returns recovery codes', {
+        tags: ['Two-factor'],
+        body: object({ code: TOTP_CODE }, { required: ['code'] }),
+      }),
+    },
+    '/api/2fa/recovery-codes': {
+      post: operation('Replace the recovery codes', {
+        tags: ['Two-factor'],
+        body: object({ code: TOTP_CODE }, { required: ['code'] }),
+      }),
+    },
+    '/api/2fa/disable': {
+      post: operation('Turn 2FA off', {
+        tags: ['Two-factor'],
+        body: { allOf: [object({ password: { type: 'string' } }, { required: ['password'] }), secondFactor] },
+      }),
+    },
+    '/api/2fa/step-up-threshold': {
+      put: operation('Set the amount above which transfers need a fresh code (null = server default)', {
+        tags: ['Two-factor'],
+        body: object({ amount: nullable(AMOUNT) }, { required: ['amount'] }),
+      }),
+    },
+    '/api/balance': {
+      get: operation('Totals per currency and every own account with ledger and available balances', {
+        tags: ['Accounts'],
+        ok: OK(
+          object(
+            {
+              balance: MONEY,
+              availableBalance: MONEY,
+              currency: CURRENCY,
+              totals: { type: 'object', additionalProperties: MONEY },
+              availableTotals: { type: 'object', additionalProperties: MONEY },
+              accounts: list('Account'),
+            },
+            { required: ['balance', 'currency', 'totals', 'accounts'] }
+          )
+        ),
+      }),
+    },
+    '/api/accounts': {
+      get: operation('Own accounts (tellers and admins: any user)', {
+        tags: ['Accounts'],
+        params: [query('userId', { type: 'integer', minimum: 1 })],
+        ok: OK(list('Account')),
+      }),
+      post: operation('Open an account', {
+        tags: ['Accounts'],
+        status: '201',
+        body: object(
+          { type: { type: 'string', enum: o.accountTypes }, currency: CURRENCY },
+          { required: ['type'] }
+        ),
+        ok: OK(ref('Account'), 'Created'),
+      }),
+    },
+    '/api/accounts/{id}/close': {
+      post: operation('Close an account with a zero balance', {
+        tags: ['Accounts'],
+        params: [pathId()],
+        ok: OK(ref('Account')),
+      }),
+    },
+    '/api/accounts/{id}/status': {
+      patch: operation('Freeze or unfreeze an account (admin)', {
+        tags: ['Accounts'],
+        params: [pathId()],
+        body: object({ status: { type: 'string', enum: ['open', 'frozen'] } }, { required: ['status'] }),
+        ok: OK(ref('Account')),
+      }),
+    },
+    '/api/limits': {
+      get: operation("Limits, today's usage and what is left", {
+        tags: ['Limits'],
+        params: [query('userId', { type: 'integer', minimum: 1 })],
+      }),
+    },
+    '/api/limits/roles/{role}': {
+      put: operation("Change a role's limits (admin)", {
+        tags: ['Limits'],
+        params: [{ name: 'role', in: 'path', required: true, schema: { type: 'string', enum: o.roles } }],
+        body: limitsBody,
+      }),
+    },
+    '/api/limits/users/{userId}': {
+      put: operation("Override a user's limits (admin); null falls back to the role", {
+        tags: ['Limits'],
+        params: [pathId('userId')],
+        body: limitsBody,
+      }),
+    },
+    '/api/fx/rates': {
+      get: operation('Exchange rates, newest first', {
+        tags: ['FX'],
+        params: [query('base', CURRENCY), query('quote', CURRENCY)],
+        ok: OK(
+          object(
+            { baseCurrency: CURRENCY, currencies: { type: 'array', items: CURRENCY }, rates: list('ExchangeRate') },
+            { required: ['baseCurrency', 'currencies', 'rates'] }
+          )
+        ),
+      }),
+      post: operation('Add a rate (admin)', {
+        tags: ['FX'],
+        status: '201',
+        body: object({ base: CURRENCY, quote: CURRENCY, rate: RATE, effectiveFrom: ISO_TIME }, { required: ['base', 'quote', 'rate'] }),
+        ok: OK(ref('ExchangeRate'), 'Created'),
+      }),
+    },
+    '/api/fx/quote': {
+      get: operation('Quote a conversion between currencies or accounts', {
+        tags: ['FX'],
+        params: [
+          { ...query('amount', AMOUNT), required: true },
+          query('from', CURRENCY),
+          query('to', CURRENCY),
+          query('fromAccountId', { type: 'integer', minimum: 1 }),
+          query('fromAccountNumber', { type: 'string' }),
+          query('toAccountId', { type: 'integer', minimum: 1 }),
+          query('toAccountNumber', { type: 'string' }),
+        ],
+        ok: OK({ allOf: [ref('Conversion'), { properties: { quotedAt: { type: 'string' } } }] }),
+      }),
+    },
+    '/api/transfer': {
+      post: operation('Transfer from an own account to any account', {
+        tags: ['Money'],
+        headers: [IDEMPOTENCY_KEY, TOTP_HEADER],
+        body: object(
+          { amount: AMOUNT, rateId: { type: ['integer', 'string'], description: 'From /api/fx/quote' } },
+          { required: ['amount'], refs: [accountRef('from'), accountRef('to')] }
+        ),
+        ok: OK(transferResult),
+      }),
+    },
+    '/api/accounts/transfer': {
+      post: operation('Move money between two own accounts', {
+        tags: ['Money'],
+        headers: [IDEMPOTENCY_KEY],
+        body: object(
+          { amount: AMOUNT, rateId: { type: ['integer', 'string'] } },
+          { required: ['amount'], refs: [accountRef('from'), accountRef('to')] }
+        ),
+        ok: OK(transferResult),
+      }),
+    },
+    '/api/deposit-tx': {
+      post: operation('Deposit cash', {
+        tags: ['Money'],
+        headers: [IDEMPOTENCY_KEY],
+        body: object({ amount: AMOUNT }, { required: ['amount'], refs: [accountRef()] }),
+        ok: OK(object({ transactionId: { type: 'integer' }, balance: MONEY }, { required: ['transactionId', 'balance'] })),
+      }),
+    },
+    '/api/withdraw-tx': {
+      post: operation('Withdraw cash', {
+        tags: ['Money'],
+        headers: [IDEMPOTENCY_KEY],
+        body: object({ amount: AMOUNT }, { required: ['amount'], refs: [accountRef()] }),
+        ok: OK(object({ transactionId: { type: 'integer' }, balance: MONEY }, { required: ['transactionId', 'balance'] })),
+      }),
+    },
+    '/api/holds': {
+      get: operation('Own holds (tellers and admins: any account)', {
+        tags: ['Holds'],
+        params: [query('accountId', { type: 'integer', minimum: 1 }), query('status', { type: 'string', enum: o.holdStatuses })],
+        ok: OK(list('Hold')),
+      }),
+      post: operation('Reserve money on an account', {
+        tags: ['Holds'],
+        status: '201',
+        headers: [IDEMPOTENCY_KEY, TOTP_HEADER],
+        body: object(
+          { amount: AMOUNT, description: { type: 'string' }, expiresAt: ISO_TIME },
+          { required: ['amount'], refs: [accountRef(), accountRef('to', { required: false })] }
+        ),
+        ok: OK({ allOf: [ref('Hold'), { properties: { availableBalance: MONEY } }] }, 'Created'),
+      }),
+    },
+    '/api/holds/{id}': {
+      get: operation('One hold', { tags: ['Holds'], params: [pathId()], ok: OK(ref('Hold')) }),
+    },
+    '/api/holds/{id}/capture': {
+      post: operation('Move up to the held amount; the rest is released', {
+        tags: ['Holds'],
+        headers: [IDEMPOTENCY_KEY],
+        params: [pathId()],
+        body: object({ amount: AMOUNT }),
+        ok: OK({ allOf: [ref('Hold'), { properties: { transactionId: { type: 'integer' }, balance: MONEY } }] }),
+      }),
+    },
+    '/api/holds/{id}/release': {
+      post: operation('Release a hold', { tags: ['Holds'], params: [pathId()], ok: OK(ref('Hold')) }),
+    },
+    '/api/scheduled-transfers': {
+      get: operation('Own scheduled transfers', { tags: ['Scheduled transfers'], ok: OK(list('ScheduledTransfer')) }),
+      post: operation('Schedule a one-off or recurring transfer', {
+        tags: ['Scheduled transfers'],
+        status: '201',
+        headers: [TOTP_HEADER],
+        body: object(
+          {
+            amount: AMOUNT,
+            frequency: { type: 'string', enum: o.frequencies },
+            startAt: ISO_TIME,
+            endAt: ISO_TIME,
+            note: NOTE,
+          },
+          { required: ['amount', 'frequency'], refs: [accountRef('from'), accountRef('to')] }
+        ),
+        ok: OK(ref('ScheduledTransfer'), 'Created'),
+      }),
+    },
+    '/api/scheduled-transfers/{id}': {
+      get: operation('One scheduled transfer', {
+        tags: ['Scheduled transfers'],
+        params: [pathId()],
+        ok: OK(ref('ScheduledTransfer')),
+      }),
+      patch: operation('Change amount, note or end, or pause / resume', {
+        tags: ['Scheduled transfers'],
+        headers: [TOTP_HEADER],
+        params: [pathId()],
+        body: object({
+          amount: AMOUNT,
+          status: { type: 'string', enum: ['active', 'paused'] },
+          endAt: nullable(ISO_TIME),
+          note: nullable(NOTE),
+        }),
+        ok: OK(ref('ScheduledTransfer')),
+      }),
+      delete: operation('Cancel', { tags: ['Scheduled transfers'], params: [pathId()], ok: OK(ref('ScheduledTransfer')) }),
+    },
+    '/api/webhooks': {
+      get: operation('Webhook subscriptions (admin)', { tags: ['Webhooks'], ok: OK(list('Webhook')) }),
+      post: operation('Subscribe a URL to transaction events (admin)', {
+        tags: ['Webhooks'],
+        status: '201',
+        body: object(
+          {
+            url: { type: 'string', minLength: 1 },
+            eventTypes: { type: 'array', minItems: 1, items: { type: 'string', enum: [...o.webhookEventTypes, '*'] } },
+            secret: { type: 'string', minLength: 1 },
+          },
+          { required: ['url', 'eventTypes'] }
+        ),
+        ok: OK(ref('Webhook'), 'Created'),
+      }),
+    },
+    '/api/webhooks/{id}': {
+      get: operation('One subscription (admin)', { tags: ['Webhooks'], params: [pathId()], ok: OK(ref('Webhook')) }),
+      patch: operation('Change or pause a subscription (admin)', {
+        tags: ['Webhooks'],
+        params: [pathId()],
+        body: object({
+          url: { type: 'string', minLength: 1 },
+          eventTypes: { type: 'array', minItems: 1, items: { type: 'string', enum: [...o.webhookEventTypes, '*'] } },
+          status: { type: 'string', enum: ['active', 'paused'] },
+        }),
+        ok: OK(ref('Webhook')),
+      }),
+      delete: operation('Delete a subscription (admin)', { tags: ['Webhooks'], params: [pathId()], status: '204' }),
+    },
+    '/api/webhooks/{id}/deliveries': {
+      get: operation('Deliveries of a subscription with every attempt (admin)', {
+        tags: ['Webhooks'],
+        params: [pathId(), query('status', { type: 'string' }, `Comma-separated: ${o.deliveryStatuses.join(', ')}`)],
+        ok: OK({ type: 'array', items: { type: 'object' } }),
+      }),
+    },
+    '/api/webhook-deliveries/{id}/redeliver': {
+      post: operation('Queue a delivery again (admin)', { tags: ['Webhooks'], params: [pathId()], status: '202' }),
+    },
+    '/api/stream': {
+      get: operation('Server-Sent Events: transaction and balance events for the caller', {
+        tags: ['Stream'],
+        params: [
+          query('access_token', { type: 'string' }, 'For EventSource, which cannot send headers'),
+          query('lastEventId', { type: 'integer', minimum: 0 }, 'Same as the Last-Event-ID header'),
+        ],
+        ok: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+      }),
+    },
+    '/api/statements': {
+      get: operation('Account statement with running balance', {
+        tags: ['Statements'],
+        params: [
+          query('accountId', { type: 'integer', minimum: 1 }),
+          query('accountNumber', { type: 'string' }),
+          query('from', ISO_TIME),
+          query('to', ISO_TIME),
+          query('format', { type: 'string', enum: o.statementFormats }),
+          query('includeRolledBack', { type: 'boolean' }),
+        ],
+        ok: {
+          description: 'Statement',
+          content: {
+            'application/json': { schema: { type: 'object' } },
+            'text/csv': { schema: { type: 'string' } },
+            'application/x-ofx': { schema: { type: 'string' } },
+          },
+        },
+      }),
+    },
+    '/api/transactions': {
+      get: operation('Transaction history, newest first', {
+        tags: ['Transactions'],
+        params: [
+          query('userId', { type: 'integer', minimum: 1 }),
+          query('type', { type: 'string' }, `Comma-separated: ${o.transactionTypes.join(', ')}`),
+          query('status', { type: 'string' }, `Comma-separated: ${o.transactionStatuses.join(', ')}`),
+          query('counterparty', { type: 'string' }, 'Username or account number'),
+          query('minAmount', AMOUNT),
+          query('maxAmount', AMOUNT),
+          query('from', ISO_TIME),
+          query('to', ISO_TIME),
+          query('q', { type: 'string' }, 'Full-text search over the note'),
+          ...pageParams(pageSize),
+        ],
+        ok: OK(page('Transaction')),
+      }),
+    },
+    '/api/transactions/{id}/reverse': {
+      post: operation('Reverse a committed transaction (teller, admin)', {
+        tags: ['Transactions'],
+        params: [pathId()],
+        body: object({ reason: { type: 'string' }, shortfall: { type: 'string', enum: ['partial', 'negative'] } }),
+        ok: OK(
+          object(
+            {
+              transactionId: { type: 'integer' },
+              reversalOf: { type: 'integer' },
+              amount: MONEY,
+              partial: { type: 'boolean' },
+              shortfall: MONEY,
+            },
+            { required: ['transactionId', 'reversalOf', 'amount', 'partial'] }
+          )
+        ),
+      }),
+    },
+    '/api/users': {
+      get: operation('Users (teller, admin)', {
+        tags: ['Users'],
+        ok: OK({
+          type: 'array',
+          items: {
+            allOf: [
+              ref('User'),
+              {
+                type: 'object',
+                required: ['balance', 'currency', 'totals'],
+                properties: {
+                  balance: { ...MONEY, description: 'Total of the BASE_CURRENCY accounts' },
+                  currency: CURRENCY,
+                  totals: { type: 'object', additionalProperties: MONEY, description: 'currency -> total' },
+                },
+              },
+            ],
+          },
+        }),
+      }),
+    },
+    '/api/users/{id}/role': {
+      patch: operation("Change a user's role (admin)", {
+        tags: ['Users'],
+        params: [pathId()],
+        body: object({ role: { type: 'string', enum: o.roles } }, { required: ['role'] }),
+        ok: OK(ref('User')),
+      }),
+    },
+    '/api/admin/login-lockouts': {
+      get: operation('Usernames and IPs currently locked out (admin)', {
+        tags: ['Users'],
+        ok: OK({ type: 'array', items: { type: 'object' } }),
+      }),
+    },
+    '/api/admin/login-lockouts/unlock': {
+      post: operation('Lift a lockout (admin)', {
+        tags: ['Users'],
+        body: {
+          type: 'object',
+          properties: { username: { type: 'string', minLength: 1 }, ip: { type: 'string', minLength: 1 } },
+          oneOf: [{ required: ['username'] }, { required: ['ip'] }],
+        },
+        ok: OK(object({ unlocked: { type: 'boolean' } }, { required: ['unlocked'] })),
+      }),
+    },
+    '/api/admin/reconciliation': {
+      get: operation('Check the ledger against cached balances (admin)', {
+        tags: ['Ledger'],
+        ok: OK(
+          object(
+            {
+              balanced: { type: 'boolean' },
+              totalDebits: MONEY,
+              totalCredits: MONEY,
+              cashBalance: MONEY,
+              fxPositions: { type: 'object', additionalProperties: MONEY },
+              mismatches: { type: 'array', items: { type: 'object' } },
+            },
+            { required: ['balanced', 'mismatches'] }
+          )
+        ),
+      }),
+    },
+    '/api/audit': {
+      get: operation('Audit events, newest first (admin)', {
+        tags: ['Audit'],
+        params: [
+          query('action', { type: 'string' }, 'Comma-separated'),
+          query('outcome', { type: 'string', enum: o.auditOutcomes }),
+          query('actorId', { type: 'string' }),
+          query('actorUsername', { type: 'string' }),
+          query('targetType', { type: 'string' }),
+          query('targetId', { type: 'string' }),
+          query('ip', { type: 'string' }),
+          query('from', ISO_TIME),
+          query('to', ISO_TIME),
+          ...pageParams(pageSize),
+        ],
+        ok: OK(ref('Page')),
+      }),
+    },
+    '/api/audit/verify': {
+      get: operation('Walk the audit hash chain (admin)', {
+        tags: ['Audit'],
+        ok: OK(
+          object(
+            {
+              valid: { type: 'boolean' },
+              checked: { type: 'integer' },
+              brokenAt: nullable({ type: 'integer' }),
+              headHash: nullable({ type: 'string' }),
+            },
+            { required: ['valid', 'checked'] }
+          )
+        ),
+      }),
+    },
+    '/api/openapi.json': {
+      get: operation('This document', { tags: ['Meta'], auth: false, ok: OK({ type: 'object' }) }),
+    },
+  };
+
+  if (o.faultPoints) {
+    const point = { name: 'point', in: 'path', required: true, schema: { type: 'string', enum: o.faultPoints } };
+    paths['/api/admin/faults'] = {
+      get: operation('Fault injection points and what they are armed with (admin, not in production)', {
+        tags: ['Fault injection'],
+      }),
+      delete: operation('Disarm every point', { tags: ['Fault injection'], status: '204' }),
+    };
+    paths['/api/admin/faults/{point}'] = {
+      put: operation('Arm a point', {
+        tags: ['Fault injection'],
+        params: [point],
+        body: object({
+          action: { type: 'string', enum: o.faultActions },
+          delayMs: { type: 'integer', minimum: 0, maximum: 60000 },
+          times: nullable({ type: 'integer', minimum: 1 }),
+        }),
+      }),
+      delete: operation('Disarm a point', { tags: ['Fault injection'], params: [point], status: '204' }),
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Transactional Banking API',
+      version: '1.0.0',
+      description:
+        `Amounts are decimal strings in the account's currency (base: ${o.baseCurrency}; ` +
+        `enabled: ${o.currencies.join(', ')}). Every error is { code, message, details }.`,
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+      responses: { Error: { description: 'Error', content: jsonContent(ref('Error')) } },
+      schemas,
+    },
+  };
+}
+
+// -----------------------------
+// Validation
+// A JSON Schema subset: $ref, type, enum, const, properties, required,
+// additionalProperties, items, minItems, minProperties, minimum, maximum,
+// exclusiveMinimum, multipleOf, minLength, maxLength, pattern, allOf, anyOf, oneOf.
+// -----------------------------
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolve(schema, spec) {
+  while (schema && schema.$ref) {
+    schema = schema.$ref
+      .replace(/^#\//, '')
+      .split('/')
+      .reduce((node, key) => node && node[key], spec);
+  }
+  return schema || {};
+}
+
+function validate(schema, value, spec = {}, path = '') {
+  schema = resolve(schema, spec);
+  const problems = [];
+  const fail = (message) => problems.push({ path: path || '(root)', message });
+  const at = (key) => (path ? `${path}.${key}` : String(key));
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => hasType(value, t))) {
+      fail(`must be ${types.join(' or ')}`);
+      return problems;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.join(', ')}`);
+  if ('const' in schema && value !== schema.const) fail(`must be ${JSON.stringify(schema.const)}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must not be shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must not be longer than ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema.description ? `is not valid (${schema.description})` : `must match ${schema.pattern}`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+    // 0.29 / 0.01 is 28.999999999999996, so compare with some slack
+    if (schema.multipleOf !== undefined) {
+      const steps = value / schema.multipleOf;
+      if (Math.abs(steps - Math.round(steps)) > 1e-9) fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => problems.push(...validate(schema.items, item, spec, at(i))));
+  }
+  if (typeOf(value) === 'object') {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push({ path: at(key), message: 'is required' });
+    }
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} of ${Object.keys(props).join(', ')}`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (props[key]) problems.push(...validate(props[key], item, spec, at(key)));
+      else if (schema.additionalProperties === false) problems.push({ path: at(key), message: 'is not allowed' });
+      else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...validate(schema.additionalProperties, item, spec, at(key)));
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) problems.push(...validate(sub, value, spec, path));
+  if (schema.anyOf) {
+    const results = schema.anyOf.map((sub) => validate(sub, value, spec, path));
+    if (!results.some((r) => !r.length)) problems.push(...describeAlternatives(schema.anyOf, results, path, 'any'));
+  }
+  if (schema.oneOf) {
+    const results = schema.oneOf.map((sub) => validate(sub, value, spec, path));
+    const matches = results.filter((r) => !r.length).length;
+    if (matches === 0) problems.push(...describeAlternatives(schema.oneOf, results, path, 'one'));
+    else if (matches > 1) {
+      const keys = schema.oneOf.map((alt) => (alt.required || []).join(', ')).filter(Boolean);
+      fail(keys.length === schema.oneOf.length ? `only one of ${keys.join(' | ')} may be given` : 'must match exactly one alternative');
+    }
+  }
+  return problems;
+}
+
+// "accountId or accountNumber is required" rather than two separate problems
+function describeAlternatives(alternatives, results, path, kind) {
+  const required = alternatives.map((alt) => alt.required && alt.required.length === 1 && !alt.properties && alt.required[0]);
+  if (required.every(Boolean)) {
+    const names = required.map((key) => (path ? `${path}.${key}` : key));
+    return [{ path: names.join(' | '), message: kind === 'one' ? 'exactly one is required' : 'one of these is required' }];
+  }
+  return results.reduce((shortest, r) => (r.length < shortest.length ? r : shortest));
+}
+
+// Query and path values arrive as strings; read them the way the schema types them
+function coerceParam(value, schema, spec) {
+  const types = [].concat(resolve(schema, spec).type || []);
+  if (typeof value !== 'string') return value;
+  if (types.includes('integer') && /^-?\d+$/.test(value)) return Number(value);
+  if (types.includes('number') && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+// -----------------------------
+// Request matching
+// -----------------------------
+function compilePaths(spec) {
+  return Object.entries(spec.paths).map(([template, ops]) => {
+    const keys = [];
+    const source = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\\?\{(\w+)\\?\}/g, (m, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+    return { template, ops, keys, regex: new RegExp(`^${source}/?$`) };
+  });
+}
+
+const compiled = new WeakMap();
+
+// { template, operation, params } for a method + URL path, or null
+function findOperation(spec, method, path) {
+  if (!compiled.has(spec)) compiled.set(spec, compilePaths(spec));
+  for (const { template, ops, keys, regex } of compiled.get(spec)) {
+    const match = regex.exec(path);
+    const operation = match && ops[method.toLowerCase()];
+    if (!operation) continue;
+    const params = Object.fromEntries(keys.map((key, i) => [key, decodeURIComponent(match[i + 1])]));
+    return { template, operation, params };
+  }
+  return null;
+}
+
+// Problems with a request, each { in, path, message }
+function checkRequest(spec, { operation, params }, req) {
+  const problems = [];
+  for (const param of operation.parameters || []) {
+    if (param.in !== 'query' && param.in !== 'path') continue;
+    const raw = param.in === 'path' ? params[param.name] : req.query[param.name];
+    if (raw === undefined || raw === '') {
+      if (param.required) problems.push({ in: param.in, path: param.name, message: 'is required' });
+      continue;
+    }
+    for (const p of validate(param.schema, coerceParam(raw, param.schema, spec), spec, param.name)) {
+      problems.push({ in: param.in, ...p });
+    }
+  }
+  const content = operation.requestBody && operation.requestBody.content['application/json'];
+  if (content) {
+    for (const p of validate(content.schema, req.body, spec)) {
+      problems.push({ in: 'body', ...p });
+    }
+  }
+  return problems;
+}
+
+// getSpec is called on the first request, once seerver.js has defined the
+// enumerations the document is built from
+function validateRequests(getSpec) {
+  return (req, res, next) => {
+    // Express 5 leaves req.body undefined when nothing was sent; handlers
+    // read fields off it, so a request without a body gets an empty one
+    if (req.body === undefined) req.body = {};
+    const spec = getSpec();
+    const found = findOperation(spec, req.method, req.path);
+    if (!found) return next();
+    const problems = checkRequest(spec, found, req);
+    if (!problems.length) return next();
+    sendError(res, 400, 'Request does not match the API contract', 'INVALID_REQUEST', problems);
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  buildSpec,
+  validate,
+  findOperation,
+  validateRequests,
+  sendError,
+  notFound,
+  errorHandler,
+};
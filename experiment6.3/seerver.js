@@ -4,19 +4,102 @@
 // Experiment 6.3 — rollback capability (single-file)
 // -----------------------------
 require('dotenv').config();
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
+const { migrateUp } = require('./migrate');
+const { buildSpec, errorHandler, notFound, sendError, validateRequests } = require('./openapi');
 
 const app = express();
 app.use(express.json());
 app.use(cors());
+app.use(validateRequests(() => openApiSpec()));
 
 const PORT = process.env.PORT || 4000;
 const JWT_SECRET = process.env.JWT_SECRET || 'supersecretkey';
-const JWT_EXPIRES_IN = '1h';
+// Access tokens are short-lived; clients renew them with a rotating refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// How long a stored Idempotency-Key response can be replayed
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// What a reversal does when the recipient no longer holds the full amount:
+// 'partial' claws back what is left, 'negative' lets the balance go below zero
+const REVERSAL_SHORTFALL_POLICY = process.env.REVERSAL_SHORTFALL_POLICY || 'partial';
+// Authorization holds: lifetime when the request gives none, the longest
+// allowed, and how often expired holds are swept
+const HOLD_DEFAULT_TTL_HOURS = Number(process.env.HOLD_DEFAULT_TTL_HOURS) || 7 * 24;
+const HOLD_MAX_TTL_HOURS = Number(process.env.HOLD_MAX_TTL_HOURS) || 30 * 24;
+const HOLD_SWEEP_INTERVAL_MS = Number(process.env.HOLD_SWEEP_INTERVAL_MS) || 60 * 1000;
+// How often the scheduler looks for due scheduled transfers
+const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 30 * 1000;
+// withTransaction retries on SQLITE_BUSY (another process holding the file)
+const TX_MAX_RETRIES = Number(process.env.TX_MAX_RETRIES) || 5;
+const TX_RETRY_BASE_MS = Number(process.env.TX_RETRY_BASE_MS) || 20;
+// Fault injection (see "Fault injection") can be armed from tests anywhere,
+// and through the admin API only when NODE_ENV is not 'production'
+const FAULT_INJECTION_API = process.env.NODE_ENV !== 'production';
+// Comma-separated usernames promoted to the admin role on startup
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '')
+  .split(',')
+  .map((u) => u.trim())
+  .filter(Boolean);
+
+// ISO 4217 currencies accounts can hold; all of them have two decimal places,
+// like every amount here. Accounts default to BASE_CURRENCY.
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+const CURRENCIES = (process.env.CURRENCIES || 'USD,EUR,GBP,CAD,AUD,CHF,INR')
+  .split(',')
+  .map((c) => c.trim().toUpperCase())
+  .filter(Boolean);
+if (!/^[A-Z]{3}$/.test(BASE_CURRENCY) || !CURRENCIES.includes(BASE_CURRENCY)) {
+  throw new Error(`BASE_CURRENCY must be one of CURRENCIES (${CURRENCIES.join(', ')})`);
+}
+
+// Webhook delivery: worker interval, request timeout, attempts before a
+// delivery is marked failed and the first retry delay (doubling after that)
+const WEBHOOK_INTERVAL_MS = Number(process.env.WEBHOOK_INTERVAL_MS) || 5 * 1000;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+// Live stream: heartbeat interval and how long events are kept for resume
+const STREAM_HEARTBEAT_MS = Number(process.env.STREAM_HEARTBEAT_MS) || 15 * 1000;
+const STREAM_RETENTION_HOURS = Number(process.env.STREAM_RETENTION_HOURS) || 24;
+// Two-factor authentication: issuer shown in authenticator apps, lifetime of
+// the token between password and code, and the default amount (in major
+// units) above which a transfer needs a fresh code
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Transactional Bank';
+const MFA_TOKEN_EXPIRES_IN = process.env.MFA_TOKEN_EXPIRES_IN || '5m';
+const STEP_UP_THRESHOLD = Math.round(Number(process.env.STEP_UP_THRESHOLD || 1000) * 100);
+
+// Login throttling: failures before a username / an IP is locked out, how
+// long the lockout lasts, and the cap on the delay between failed attempts
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_MAX_DELAY_SECONDS = Number(process.env.LOGIN_MAX_DELAY_SECONDS) || 30;
+
+// Password policy: shortest password accepted and the breached-password list
+// new passwords are checked against (see "Passwords")
+const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 10;
+const BREACHED_PASSWORDS_FILE =
+  process.env.BREACHED_PASSWORDS_FILE || path.join(__dirname, 'breached-passwords.txt');
+// Password reset: token lifetime, and the page the reset mail links to
+// (the token is appended as ?token=); without it the mail carries the bare token
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || '';
+// Outgoing mail: sender address, and where the default mailer writes messages
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@bank.local';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || './outbox';
+
+// Source of "now" for scheduled transfers, TOTP codes, login throttling and
+// password reset tokens; tests replace clock.now
+const clock = { now: () => new Date() };
 
 // -----------------------------
 // Open DB
@@ -27,110 +110,274 @@ const db = new sqlite3.Database('./bank_tx.db', (err) => {
 });
 
 // Promisified helpers
+// There is a single connection, so a statement issued while another request
+// has a transaction open would run inside it. Every statement therefore goes
+// through `exclusive`, except those made from inside withTransaction, which
+// already hold the connection.
+const txContext = new AsyncLocalStorage();
+let dbQueue = Promise.resolve();
+
+function exclusive(fn) {
+  const result = dbQueue.then(fn);
+  dbQueue = result.catch(() => {});
+  return result;
+}
+function withConnection(fn) {
+  return txContext.getStore() ? fn() : exclusive(fn);
+}
+
 function runAsync(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.run(sql, params, function (err) {
-      if (err) reject(err);
-      else resolve(this); // caller can use lastID, changes
-    });
-  });
+  return withConnection(
+    () =>
+      new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+          if (err) reject(err);
+          else resolve(this); // caller can use lastID, changes
+        });
+      })
+  );
 }
 function getAsync(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => {
-      if (err) reject(err);
-      else resolve(row);
-    });
-  });
+  return withConnection(
+    () =>
+      new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      })
+  );
 }
 function allAsync(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
+  return withConnection(
+    () =>
+      new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      })
+  );
 }
 function execAsync(sql) {
-  return new Promise((resolve, reject) => {
-    db.exec(sql, (err) => {
-      if (err) reject(err);
-      else resolve();
-    });
-  });
+  return withConnection(
+    () =>
+      new Promise((resolve, reject) => {
+        db.exec(sql, (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      })
+  );
+}
+
+const isBusy = (err) => err && (err.code === 'SQLITE_BUSY' || err.code === 'SQLITE_LOCKED');
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/*
+  withTransaction(fn) -> fn's result
+  Runs fn between BEGIN IMMEDIATE and COMMIT with the connection to itself;
+  other callers queue until it finishes. Any throw rolls back and rethrows.
+  SQLITE_BUSY rolls back and retries the whole of fn with exponential backoff,
+  so fn must not have side effects outside the database. Nested calls join the
+  outer transaction.
+*/
+async function withTransaction(fn) {
+  if (txContext.getStore()) return fn();
+  return exclusive(() =>
+    txContext.run({}, async () => {
+      for (let attempt = 0; ; attempt++) {
+        let began = false;
+        try {
+          await execAsync('BEGIN IMMEDIATE;');
+          began = true;
+          const result = await fn();
+          await execAsync('COMMIT;');
+          return result;
+        } catch (err) {
+          if (began) {
+            await execAsync('ROLLBACK;').catch((rbErr) => console.error('rollback failed', rbErr));
+          }
+          if (!isBusy(err) || attempt >= TX_MAX_RETRIES) throw err;
+          await sleep(TX_RETRY_BASE_MS * 2 ** attempt * (1 + Math.random()));
+        }
+      }
+    })
+  );
 }
 
 // -----------------------------
-// Initialize schema + demo users
+// Money helpers
+// All amounts are integer cents internally; the API speaks decimal strings.
 // -----------------------------
-async function initDb() {
-  // Use serialize to avoid concurrency during init
-  db.serialize(async () => {
-    try {
-      await execAsync(`
-        PRAGMA foreign_keys = ON;
-        CREATE TABLE IF NOT EXISTS users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          username TEXT UNIQUE NOT NULL,
-          password TEXT NOT NULL,
-          balance REAL DEFAULT 0
-        );
-        CREATE TABLE IF NOT EXISTS transactions (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          type TEXT NOT NULL,        -- 'deposit', 'withdraw', 'transfer'
-          from_user INTEGER,         -- nullable
-          to_user INTEGER,           -- nullable
-          amount REAL NOT NULL,
-          status TEXT NOT NULL,      -- 'committed' or 'rolledback'
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          note TEXT,
-          FOREIGN KEY(from_user) REFERENCES users(id),
-          FOREIGN KEY(to_user) REFERENCES users(id)
-        );
-      `);
+const AMOUNT_RE = /^(0|[1-9]\d*)(\.\d{1,2})?$/;
 
-      // create demo users if not exist
-      const aliceHash = await bcrypt.hash('password123', 10);
-      const bobHash = await bcrypt.hash('hunter2', 10);
+// Parse a positive request amount ("12.34" or 12.34) into cents.
+// Returns null for anything else: more than two decimals, exponent
+// notation ("1e3"), signs (including -0), zero, or unsafe integers.
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || Object.is(value, -0)) return null;
+    value = String(value);
+  }
+  if (typeof value !== 'string' || !AMOUNT_RE.test(value)) return null;
+  const [whole, frac = ''] = value.split('.');
+  const cents = Number(whole) * 100 + Number(frac.padEnd(2, '0'));
+  if (!Number.isSafeInteger(cents) || cents <= 0) return null;
+  return cents;
+}
 
-      await runAsync(
-        `INSERT OR IGNORE INTO users (id, username, password, balance) VALUES (1, 'alice', ?, 1000)`,
-        [aliceHash]
-      );
-      await runAsync(
-        `INSERT OR IGNORE INTO users (id, username, password, balance) VALUES (2, 'bob', ?, 500)`,
-        [bobHash]
-      );
+// 10030 -> "100.30", -5 -> "-0.05"
+function formatCents(cents) {
+  const abs = Math.abs(cents);
+  const sign = cents < 0 ? '-' : '';
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+}
 
-      console.log('DB initialized (users + transactions)');
-    } catch (err) {
-      console.error('DB init error', err);
-    }
-  });
+// Exchange rates are integers too: units of one currency per unit of the
+// other, times RATE_SCALE ("1.0825" -> 108250000).
+const RATE_SCALE = 100000000;
+const RATE_RE = /^(0|[1-9]\d*)(\.\d{1,8})?$/;
+
+// "1.0825" or 1.0825 -> 108250000; null for zero, signs or more than 8 decimals
+function parseRate(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null;
+    value = String(value);
+  }
+  if (typeof value !== 'string' || !RATE_RE.test(value)) return null;
+  const [whole, frac = ''] = value.split('.');
+  const rate = Number(whole) * RATE_SCALE + Number(frac.padEnd(8, '0'));
+  if (!Number.isSafeInteger(rate) || rate <= 0) return null;
+  return rate;
+}
+
+// 108250000 -> "1.0825"
+function formatRate(rate) {
+  const frac = String(rate % RATE_SCALE).padStart(8, '0').replace(/0+$/, '');
+  const whole = Math.floor(rate / RATE_SCALE);
+  return frac ? `${whole}.${frac}` : String(whole);
+}
+
+// cents * rate and cents / rate, rounded half up. BigInt keeps the
+// intermediate product exact.
+function applyRate(cents, rate) {
+  const scale = BigInt(RATE_SCALE);
+  return Number((BigInt(cents) * BigInt(rate) + scale / 2n) / scale);
+}
+function applyInverseRate(cents, rate) {
+  return Number((BigInt(cents) * BigInt(RATE_SCALE) + BigInt(rate) / 2n) / BigInt(rate));
+}
+function invertRate(rate) {
+  return applyInverseRate(RATE_SCALE, rate);
 }
-initDb().catch(console.error);
 
 // -----------------------------
-// Auth utils (JWT)
+// Auth utils (JWT + refresh tokens)
 // -----------------------------
-function signToken(user) {
-  return jwt.sign({ id: user.id, username: user.username }, JWT_SECRET, {
-    expiresIn: JWT_EXPIRES_IN,
+function signToken(user, sessionId) {
+  return jwt.sign({ id: user.id, username: user.username, role: user.role, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
   });
 }
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+// Store a new refresh token for the session; only its hash is kept.
+async function issueRefreshToken(sessionId) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  await runAsync(
+    `INSERT INTO refresh_tokens (token_hash, session_id, expires_at) VALUES (?, ?, datetime('now', ?))`,
+    [hashToken(refreshToken), sessionId, `+${REFRESH_TOKEN_TTL_DAYS} days`]
+  );
+  return refreshToken;
+}
+// Start a session for a freshly authenticated user: { token, refreshToken }
+async function createSession(user) {
+  const sessionId = crypto.randomUUID();
+  await runAsync('INSERT INTO sessions (id, user_id) VALUES (?, ?)', [sessionId, user.id]);
+  const refreshToken = await issueRefreshToken(sessionId);
+  return { token: signToken(user, sessionId), refreshToken };
+}
+async function revokeSession(sessionId, reason) {
+  await runAsync(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ? WHERE id = ? AND revoked_at IS NULL',
+    [reason, sessionId]
+  );
+  closeStreams({ sid: sessionId }, 'revoked');
+}
+// Revokes every session of the user, except exceptSessionId when given
+async function revokeAllSessions(userId, reason, { exceptSessionId = null } = {}) {
+  const result = await runAsync(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?`,
+    [reason, userId, exceptSessionId]
+  );
+  closeStreams({ userId, exceptSid: exceptSessionId }, 'revoked');
+  return result.changes;
+}
 function authMiddleware(req, res, next) {
   const auth = req.headers.authorization;
-  if (!auth) return res.status(401).json({ error: 'Missing Authorization header' });
+  if (!auth) return sendError(res, 401, 'Missing Authorization header', 'AUTH_REQUIRED');
+  // Rejections are audited without waiting; audit() never throws
+  const reject = (message, reason, actor = null, code = 'INVALID_TOKEN') => {
+    audit(req, { action: 'auth.token_rejected', outcome: 'failure', actor, details: { reason, path: req.path } });
+    return sendError(res, 401, message, code);
+  };
   const parts = auth.split(' ');
-  if (parts.length !== 2) return res.status(401).json({ error: 'Invalid Authorization header' });
+  if (parts.length !== 2) return reject('Invalid Authorization header', 'malformed header');
   const token = parts[1];
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(401).json({ error: 'Invalid or expired token' });
+  jwt.verify(token, JWT_SECRET, async (err, decoded) => {
+    if (err || !decoded.sid) return reject('Invalid or expired token', err ? err.message : 'not an access token');
+    try {
+      const session = await getAsync('SELECT revoked_at FROM sessions WHERE id = ?', [decoded.sid]);
+      if (!session || session.revoked_at) {
+        return reject('Session has been revoked', 'session revoked', decoded, 'SESSION_REVOKED');
+      }
+    } catch (dbErr) {
+      console.error('session lookup error', dbErr);
+      return sendError(res, 500, 'server error');
+    }
     req.user = decoded;
     next();
   });
 }
 
+// -----------------------------
+// Authorization policy
+// customer: own data only; teller: read any account; admin: everything,
+// including user administration. Routes check actions, never role names.
+// -----------------------------
+const ROLES = ['customer', 'teller', 'admin'];
+const PERMISSIONS = {
+  'users:read': ['teller', 'admin'],
+  'users:manage': ['admin'],
+  'transactions:read:any': ['teller', 'admin'],
+  'accounts:read:any': ['teller', 'admin'],
+  'accounts:manage': ['admin'],
+  'transactions:reverse': ['teller', 'admin'],
+  'ledger:reconcile': ['admin'],
+  'limits:manage': ['admin'],
+  'audit:read': ['admin'],
+  'webhooks:manage': ['admin'],
+  'fx:manage': ['admin'],
+  'faults:manage': ['admin'],
+};
+function can(user, action) {
+  return (PERMISSIONS[action] || []).includes(user.role);
+}
+// Customers may only act on their own user id
+function canReadUserData(user, userId) {
+  return Number(userId) === user.id || can(user, 'accounts:read:any');
+}
+function forbidden(res) {
+  return sendError(res, 403, 'Forbidden', 'FORBIDDEN');
+}
+// Route guard; must run after authMiddleware
+function authorize(action) {
+  return (req, res, next) => (can(req.user, action) ? next() : forbidden(res));
+}
+
 // -----------------------------
 // DB helpers
 // -----------------------------
@@ -140,376 +387,3807 @@ async function findUserByUsername(username) {
 async function findUserById(id) {
   return getAsync('SELECT * FROM users WHERE id = ?', [id]);
 }
-async function updateBalance(id, newBalance) {
-  return runAsync('UPDATE users SET balance = ? WHERE id = ?', [newBalance, id]);
+function formatTransactionRow(row) {
+  return {
+    ...row,
+    amount: formatCents(row.amount),
+    converted_amount: row.converted_amount == null ? null : formatCents(row.converted_amount),
+    exchange_rate: row.exchange_rate == null ? null : formatRate(row.exchange_rate),
+  };
 }
 async function insertTransactionRecord(tx) {
-  // tx: { type, from_user, to_user, amount, status, note }
+  // tx: { type, from_user, to_user, from_account, to_account, amount, status, note,
+  //       reversal_of, scheduled_transfer_id, scheduled_for, currency,
+  //       converted_amount, converted_currency, exchange_rate, exchange_rate_id }
   const res = await runAsync(
-    `INSERT INTO transactions (type, from_user, to_user, amount, status, note) VALUES (?, ?, ?, ?, ?, ?)`,
-    [tx.type, tx.from_user || null, tx.to_user || null, tx.amount, tx.status, tx.note || null]
+    `INSERT INTO transactions (type, from_user, to_user, from_account, to_account, amount, status, note,
+                               reversal_of, scheduled_transfer_id, scheduled_for, currency,
+                               converted_amount, converted_currency, exchange_rate, exchange_rate_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      tx.type,
+      tx.from_user || null,
+      tx.to_user || null,
+      tx.from_account || null,
+      tx.to_account || null,
+      tx.amount,
+      tx.status,
+      tx.note || null,
+      tx.reversal_of || null,
+      tx.scheduled_transfer_id || null,
+      tx.scheduled_for || null,
+      tx.currency || BASE_CURRENCY,
+      tx.converted_amount || null,
+      tx.converted_currency || null,
+      tx.exchange_rate || null,
+      tx.exchange_rate_id || null,
+    ]
   );
+  // Part of the caller's transaction when there is one (see "Webhooks")
+  await enqueueWebhookEvents(res.lastID);
   return res.lastID;
 }
 
+const ACCOUNT_TYPES = ['checking', 'savings'];
+
+// 10 random digits; retried by openAccount on the (unlikely) collision
+function generateAccountNumber() {
+  return String(crypto.randomInt(1e9, 1e10));
+}
+// Create an empty account
+async function openAccount(userId, type, currency = BASE_CURRENCY) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await runAsync('INSERT INTO accounts (user_id, type, account_number, currency) VALUES (?, ?, ?, ?)', [
+        userId,
+        type,
+        generateAccountNumber(),
+        currency,
+      ]);
+      return findAccount({ id: result.lastID });
+    } catch (err) {
+      if (attempt >= 5 || !/UNIQUE constraint failed: accounts.account_number/.test(err.message)) throw err;
+    }
+  }
+}
+// Look up by { id } or { number }
+async function findAccount({ id, number }) {
+  if (id != null) return getAsync('SELECT * FROM accounts WHERE id = ?', [id]);
+  if (number) return getAsync('SELECT * FROM accounts WHERE account_number = ?', [String(number)]);
+  return undefined;
+}
+function formatAccount(a) {
+  return {
+    id: a.id,
+    userId: a.user_id,
+    accountNumber: a.account_number,
+    type: a.type,
+    status: a.status,
+    currency: a.currency,
+    balance: formatCents(a.balance),
+    createdAt: a.created_at,
+    closedAt: a.closed_at,
+  };
+}
+
+// -----------------------------
+// Ledger helpers
+// An account's balance is credits minus debits on 'account:<id>'.
+// accounts.balance is a cache of that sum, updated in the same DB transaction.
+// -----------------------------
+const CASH_ACCOUNT = 'cash';
+const FX_CLEARING_PREFIX = 'fx:';
+function accountLedger(accountId) {
+  return `account:${accountId}`;
+}
+// A converted transfer leaves through the clearing account of the source
+// currency and arrives through that of the destination currency, so every
+// currency balances on its own.
+function fxLedger(currency) {
+  return `${FX_CLEARING_PREFIX}${currency}`;
+}
+
+// Post one balanced debit/credit pair. Call inside the caller's withTransaction.
+async function postLedgerEntries(transactionId, debitAccount, creditAccount, amount) {
+  await runAsync(`INSERT INTO ledger_entries (transaction_id, account, direction, amount) VALUES (?, ?, 'debit', ?)`, [
+    transactionId,
+    debitAccount,
+    amount,
+  ]);
+  await runAsync(`INSERT INTO ledger_entries (transaction_id, account, direction, amount) VALUES (?, ?, 'credit', ?)`, [
+    transactionId,
+    creditAccount,
+    amount,
+  ]);
+}
+
+async function ledgerBalance(account) {
+  const row = await getAsync(
+    `SELECT COALESCE(SUM(CASE direction WHEN 'credit' THEN amount ELSE -amount END), 0) AS balance
+     FROM ledger_entries WHERE account = ?`,
+    [account]
+  );
+  return row.balance;
+}
+
+// -----------------------------
+// Login throttling
+// Failed logins (bad password, unknown user, bad 2FA code) are counted per
+// username and per client IP in login_throttle, so a restart keeps them.
+// After failure n the key must wait 2^(n-1) seconds (at most
+// LOGIN_MAX_DELAY_SECONDS); at LOGIN_MAX_FAILURES (LOGIN_IP_MAX_FAILURES for
+// an IP) it is locked for LOGIN_LOCKOUT_MINUTES. A quiet period of that
+// length, a successful login (username only) or an admin unlock resets it.
+// Blocked attempts get the same 429 + Retry-After whichever key tripped.
+// -----------------------------
+// Compared against when the username is unknown, so both cases cost one bcrypt
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+function loginThrottleKeys(req, username) {
+  return [
+    ['username', String(username || '').toLowerCase()],
+    ['ip', req.ip],
+  ];
+}
+
+// Seconds until every key may try again (0 = now)
+async function loginRetryAfter(keys) {
+  const now = clock.now().getTime();
+  let wait = 0;
+  for (const [kind, subject] of keys) {
+    const row = await getAsync('SELECT blocked_until FROM login_throttle WHERE kind = ? AND subject = ?', [
+      kind,
+      subject,
+    ]);
+    if (row && row.blocked_until) wait = Math.max(wait, Math.ceil((Date.parse(row.blocked_until) - now) / 1000));
+  }
+  return wait;
+}
+
+async function recordLoginFailure(keys) {
+  const now = clock.now();
+  const windowMs = LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+  for (const [kind, subject] of keys) {
+    const maxFailures = kind === 'ip' ? LOGIN_IP_MAX_FAILURES : LOGIN_MAX_FAILURES;
+    await withTransaction(async () => {
+      const row = await getAsync('SELECT * FROM login_throttle WHERE kind = ? AND subject = ?', [kind, subject]);
+      const stale = !row || now - Date.parse(row.last_failure_at) > windowMs;
+      const failures = stale ? 1 : row.failures + 1;
+      const delayMs =
+        failures >= maxFailures ? windowMs : Math.min(2 ** (failures - 1), LOGIN_MAX_DELAY_SECONDS) * 1000;
+      await runAsync(
+        `INSERT INTO login_throttle (kind, subject, failures, last_failure_at, blocked_until) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(kind, subject) DO UPDATE SET failures = excluded.failures,
+           last_failure_at = excluded.last_failure_at, blocked_until = excluded.blocked_until`,
+        [kind, subject, failures, now.toISOString(), new Date(now.getTime() + delayMs).toISOString()]
+      );
+    });
+  }
+}
+
+function clearLoginFailures(username) {
+  return runAsync(`DELETE FROM login_throttle WHERE kind = 'username' AND subject = ?`, [
+    String(username).toLowerCase(),
+  ]);
+}
+
+function tooManyLoginAttempts(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return sendError(res, 429, 'Too many login attempts, try again later', 'LOGIN_THROTTLED');
+}
+
+// -----------------------------
+// API contract and error envelope
+// GET /api/openapi.json   the OpenAPI 3.1 document (see openapi.js); every
+//                         request is validated against it before its route
+// Every error is { code, message, details }, sent with sendError; the codes
+// are listed in openapi.js, ERROR_CODES.
+// -----------------------------
+
+// Built on first use: the enumerations it lists are defined further down
+let openApiDocument = null;
+function openApiSpec() {
+  if (!openApiDocument) {
+    openApiDocument = buildSpec({
+      baseCurrency: BASE_CURRENCY,
+      currencies: CURRENCIES,
+      accountTypes: ACCOUNT_TYPES,
+      roles: ROLES,
+      frequencies: FREQUENCIES,
+      holdStatuses: HOLD_STATUSES,
+      transactionTypes: TRANSACTION_TYPES,
+      transactionStatuses: TRANSACTION_STATUSES,
+      webhookEventTypes: WEBHOOK_EVENT_TYPES,
+      deliveryStatuses: DELIVERY_STATUSES,
+      auditOutcomes: AUDIT_OUTCOMES,
+      statementFormats: STATEMENT_FORMATS,
+      faultPoints: FAULT_INJECTION_API ? FAULT_POINTS : null,
+      faultActions: FAULT_ACTIONS,
+      maxPageSize: MAX_PAGE_SIZE,
+    });
+  }
+  return openApiDocument;
+}
+
+app.get('/api/openapi.json', (req, res) => res.json(openApiSpec()));
+
 // -----------------------------
 // AUTH ROUTES
 // -----------------------------
 app.post('/api/register', async (req, res) => {
   try {
-    const { username, password } = req.body;
-    if (!username || !password) return res.status(400).json({ error: 'username & password required' });
+    const { username, password, email = null } = req.body;
+    if (!username || !password) return sendError(res, 400, 'username & password required', 'INVALID_REQUEST');
+    const problems = await passwordProblems(password, username);
+    if (problems.length) return weakPassword(res, 'password', problems);
 
     const existing = await findUserByUsername(username);
-    if (existing) return res.status(409).json({ error: 'username taken' });
+    if (existing) return sendError(res, 409, 'username taken', 'USERNAME_TAKEN');
 
     const hashed = await bcrypt.hash(password, 10);
-    const result = await runAsync('INSERT INTO users (username, password, balance) VALUES (?, ?, ?)', [
-      username,
-      hashed,
-      0,
-    ]);
-    const user = { id: result.lastID, username, balance: 0 };
-    const token = signToken(user);
-    res.json({ token, user });
+    // a user never exists without their first account
+    const { user, account } = await withTransaction(async () => {
+      const result = await runAsync('INSERT INTO users (username, password, email) VALUES (?, ?, ?)', [
+        username,
+        hashed,
+        email,
+      ]);
+      const user = { id: result.lastID, username, role: 'customer' };
+      return { user, account: await openAccount(user.id, 'checking') };
+    });
+    const { token, refreshToken } = await createSession(user);
+    await audit(req, { action: 'auth.register', actor: user, targetType: 'user', targetId: user.id });
+    res.json({ token, refreshToken, user, account: formatAccount(account) });
   } catch (err) {
     console.error('register error', err);
-    res.status(500).json({ error: 'server error' });
+    sendError(res, 500, 'server error');
   }
 });
 
 app.post('/api/login', async (req, res) => {
   try {
     const { username, password } = req.body;
+    const attempted = { id: null, username: username == null ? null : String(username) };
+    const keys = loginThrottleKeys(req, username);
+    const retryAfter = await loginRetryAfter(keys);
+    if (retryAfter > 0) {
+      await audit(req, { action: 'auth.login', outcome: 'denied', actor: attempted, details: { reason: 'throttled' } });
+      return tooManyLoginAttempts(res, retryAfter);
+    }
+
     const user = await findUserByUsername(username);
-    if (!user) return res.status(401).json({ error: 'Invalid credentials' });
+    const ok = await bcrypt.compare(String(password || ''), user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !ok) {
+      await recordLoginFailure(keys);
+      await audit(req, {
+        action: 'auth.login',
+        outcome: 'failure',
+        actor: user || attempted,
+        details: { reason: user ? 'wrong password' : 'unknown user' },
+      });
+      return sendError(res, 401, 'Invalid credentials', 'INVALID_CREDENTIALS');
+    }
 
-    const ok = await bcrypt.compare(password, user.password);
-    if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
+    // With 2FA the password only earns a short-lived ticket for /api/login/2fa
+    if (user.totp_enabled) {
+      const mfaToken = jwt.sign({ id: user.id, purpose: 'mfa' }, JWT_SECRET, { expiresIn: MFA_TOKEN_EXPIRES_IN });
+      await audit(req, { action: 'auth.mfa_challenge', actor: user });
+      return res.json({ mfaRequired: true, mfaToken });
+    }
 
-    const token = signToken(user);
-    res.json({ token, user: { id: user.id, username: user.username, balance: user.balance } });
+    await clearLoginFailures(user.username);
+    const { token, refreshToken } = await createSession(user);
+    await audit(req, { action: 'auth.login', actor: user, details: { method: 'password' } });
+    res.json({
+      token,
+      refreshToken,
+      user: { id: user.id, username: user.username, role: user.role },
+    });
   } catch (err) {
     console.error('login error', err);
-    res.status(500).json({ error: 'server error' });
+    sendError(res, 500, 'server error');
   }
 });
 
-// -----------------------------
-// Simple (non-transactional) endpoints for convenience
-// -----------------------------
-app.get('/api/balance', authMiddleware, async (req, res) => {
-  try {
-    const user = await findUserById(req.user.id);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    res.json({ balance: user.balance });
-  } catch (err) {
-    console.error('balance error', err);
-    res.status(500).json({ error: 'server error' });
-  }
-});
-
-// -----------------------------
-// TRANSACTIONAL TRANSFER ENDPOINT
-// Uses explicit BEGIN/COMMIT/ROLLBACK to ensure atomicity.
-// -----------------------------
 /*
-  POST /api/transfer
-  body: { toUsername: string, amount: number }
-  Requires auth.
+  POST /api/token/refresh
+  body: { refreshToken }
+  Exchanges a refresh token for a new access token and a new refresh token.
+  The old refresh token stops working; presenting it again revokes the session.
 */
-app.post('/api/transfer', authMiddleware, async (req, res) => {
-  const fromUserId = req.user.id;
-  const { toUsername, amount } = req.body;
-
-  if (!toUsername || !amount || isNaN(amount) || amount <= 0) {
-    return res.status(400).json({ error: 'Invalid input' });
-  }
-
-  // We'll manually manage transaction using exec/ run sequence.
-  // Steps:
-  // 1. BEGIN TRANSACTION
-  // 2. SELECT balances for both users (FOR UPDATE not available - SQLite uses DB lock)
-  // 3. Check sufficient funds
-  // 4. UPDATE balances
-  // 5. INSERT transaction history with status 'committed'
-  // 6. COMMIT
-  // On any error -> ROLLBACK and insert transaction with status 'rolledback' (optional)
-
+app.post('/api/token/refresh', async (req, res) => {
   try {
-    const toUser = await findUserByUsername(toUsername);
-    if (!toUser) return res.status(404).json({ error: 'Recipient not found' });
-
-    // Start transaction
-    await execAsync('BEGIN TRANSACTION;');
-
-    // Re-read users inside transaction to ensure consistent balances
-    const fromUser = await getAsync('SELECT * FROM users WHERE id = ?', [fromUserId]);
-    const freshToUser = await getAsync('SELECT * FROM users WHERE id = ?', [toUser.id]);
-
-    if (!fromUser) {
-      await execAsync('ROLLBACK;');
-      return res.status(404).json({ error: 'Sender not found' });
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return sendError(res, 400, 'refreshToken required', 'INVALID_REQUEST');
     }
-    if (fromUser.balance < amount) {
-      // rollback and record a rolledback transaction row
-      await insertTransactionRecord({
-        type: 'transfer',
-        from_user: fromUserId,
-        to_user: toUser.id,
-        amount,
-        status: 'rolledback',
-        note: 'insufficient funds'
-      });
-      await execAsync('ROLLBACK;');
-      return res.status(400).json({ error: 'Insufficient funds' });
+    const stored = await getAsync(
+      `SELECT r.*, s.user_id, s.revoked_at, r.expires_at <= datetime('now') AS expired
+       FROM refresh_tokens r JOIN sessions s ON s.id = r.session_id
+       WHERE r.token_hash = ?`,
+      [hashToken(refreshToken)]
+    );
+    if (!stored || stored.revoked_at) {
+      return sendError(res, 401, 'Invalid refresh token', 'INVALID_REFRESH_TOKEN');
     }
+    if (stored.expired) return sendError(res, 401, 'Refresh token expired', 'REFRESH_TOKEN_EXPIRED');
 
-    const newFromBal = Number(fromUser.balance) - Number(amount);
-    const newToBal = Number(freshToUser.balance) + Number(amount);
+    // Claim the token; a concurrent or later second use finds it already rotated
+    const claim = await runAsync(
+      'UPDATE refresh_tokens SET rotated_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND rotated_at IS NULL',
+      [stored.token_hash]
+    );
+    if (claim.changes === 0) {
+      await revokeSession(stored.session_id, 'refresh token reuse');
+      await audit(req, {
+        action: 'auth.refresh_reuse',
+        outcome: 'failure',
+        actor: { id: stored.user_id },
+        targetType: 'session',
+        targetId: stored.session_id,
+      });
+      return sendError(res, 401, 'Refresh token reuse detected, session revoked', 'REFRESH_TOKEN_REUSED');
+    }
 
-    // Update balances
-    await runAsync('UPDATE users SET balance = ? WHERE id = ?', [newFromBal, fromUser.id]);
-    await runAsync('UPDATE users SET balance = ? WHERE id = ?', [newToBal, freshToUser.id]);
+    const user = await findUserById(stored.user_id);
+    if (!user) return sendError(res, 401, 'Invalid refresh token', 'INVALID_REFRESH_TOKEN');
 
-    // record transaction as committed
-    await insertTransactionRecord({
-      type: 'transfer',
-      from_user: fromUser.id,
-      to_user: freshToUser.id,
-      amount,
-      status: 'committed',
-      note: `transfer ${amount} from ${fromUser.username} to ${freshToUser.username}`
-    });
+    const newRefreshToken = await issueRefreshToken(stored.session_id);
+    res.json({ token: signToken(user, stored.session_id), refreshToken: newRefreshToken });
+  } catch (err) {
+    console.error('refresh error', err);
+    sendError(res, 500, 'server error');
+  }
+});
 
-    // commit
-    await execAsync('COMMIT;');
+// POST /api/logout — revokes the current session
+app.post('/api/logout', authMiddleware, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, 'logout');
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('logout error', err);
+    sendError(res, 500, 'server error');
+  }
+});
 
-    res.json({ fromBalance: newFromBal, toBalance: newToBal });
+// POST /api/logout-all — revokes every session of the current user
+app.post('/api/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'logout all');
+    res.json({ ok: true, revokedSessions: revoked });
   } catch (err) {
-    console.error('transfer error, attempting rollback', err);
-    try {
-      await execAsync('ROLLBACK;');
-      // record rollback transaction (best-effort)
-      try {
-        await insertTransactionRecord({
-          type: 'transfer',
-          from_user: fromUserId,
-          to_user: null,
-          amount: amount,
-          status: 'rolledback',
-          note: `error: ${err.message}`
-        });
-      } catch (recErr) {
-        console.error('failed to insert rollback record', recErr);
-      }
-    } catch (rbErr) {
-      console.error('rollback failed', rbErr);
-    }
-    res.status(500).json({ error: 'Transfer failed, rolled back' });
+    console.error('logout-all error', err);
+    sendError(res, 500, 'server error');
   }
 });
 
 // -----------------------------
-// DEMONSTRATION: Transfer with simulated failure
-// Endpoint to show rollback in case of mid-transaction failure.
-// POST /api/transfer-fail
-// body: { toUsername, amount }
-// This endpoint will purposely throw after debiting sender (before crediting recipient) to show rollback.
+// Passwords
+// POST /api/password          body: { currentPassword, newPassword } -> signs out every other session
+// PUT  /api/email             body: { email | null, password } -> where reset mail goes
+// POST /api/password/forgot   body: { username } -> mails a reset token; always 202
+// POST /api/password/reset    body: { token, newPassword } -> signs out every session
+// New passwords (these routes and /api/register) need PASSWORD_MIN_LENGTH
+// characters, at most 72 bytes (bcrypt ignores the rest), must differ from
+// the username and must not be on the BREACHED_PASSWORDS_FILE list.
+// A reset token is single-use, expires after PASSWORD_RESET_TTL_MINUTES and
+// is replaced by the next one requested; only its hash is stored.
 // -----------------------------
-app.post('/api/transfer-fail', authMiddleware, async (req, res) => {
-  const fromUserId = req.user.id;
-  const { toUsername, amount } = req.body;
+const BCRYPT_MAX_BYTES = 72;
+// Another reset mail for the same user is not sent sooner than this
+const PASSWORD_RESET_RESEND_SECONDS = 60;
 
-  if (!toUsername || !amount || isNaN(amount) || amount <= 0) {
-    return res.status(400).json({ error: 'Invalid input' });
-  }
+function sha1Hex(value) {
+  return crypto.createHash('sha1').update(value).digest('hex').toUpperCase();
+}
 
-  try {
-    const toUser = await findUserByUsername(toUsername);
-    if (!toUser) return res.status(404).json({ error: 'Recipient not found' });
+// SHA-1 digests of the breached list, read once (startup waits for it, see ready)
+let breachedPasswordHashes = null;
+function loadBreachedPasswords() {
+  if (!breachedPasswordHashes) {
+    breachedPasswordHashes = fs.promises.readFile(BREACHED_PASSWORDS_FILE, 'utf8').then((text) => {
+      const hashes = new Set();
+      for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) continue;
+        const digest = line.match(/^([0-9a-f]{40})(:\d+)?$/i);
+        hashes.add(digest ? digest[1].toUpperCase() : sha1Hex(line));
+      }
+      return hashes;
+    });
+  }
+  return breachedPasswordHashes;
+}
 
-    await execAsync('BEGIN TRANSACTION;');
+// Why `password` breaks the policy: a list of messages, empty when it is fine
+async function passwordProblems(password, username) {
+  if (typeof password !== 'string') return ['must be a string'];
+  const problems = [];
+  if ([...password].length < PASSWORD_MIN_LENGTH) problems.push(`must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  if (Buffer.byteLength(password) > BCRYPT_MAX_BYTES) problems.push(`must be at most ${BCRYPT_MAX_BYTES} bytes`);
+  if (username != null && password.toLowerCase() === String(username).toLowerCase()) {
+    problems.push('must not be the username');
+  }
+  const breached = await loadBreachedPasswords();
+  if (breached.has(sha1Hex(password)) || breached.has(sha1Hex(password.toLowerCase()))) {
+    problems.push('appears in a list of breached passwords');
+  }
+  return problems;
+}
 
-    const fromUser = await getAsync('SELECT * FROM users WHERE id = ?', [fromUserId]);
-    if (!fromUser) {
-      await execAsync('ROLLBACK;');
-      return res.status(404).json({ error: 'Sender not found' });
-    }
-    if (fromUser.balance < amount) {
-      await insertTransactionRecord({
-        type: 'transfer',
-        from_user: fromUserId,
-        to_user: toUser.id,
-        amount,
-        status: 'rolledback',
-        note: 'insufficient funds (fail demo)'
-      });
-      await execAsync('ROLLBACK;');
-      return res.status(400).json({ error: 'Insufficient funds' });
-    }
+function weakPassword(res, field, problems) {
+  return sendError(
+    res,
+    400,
+    'Password does not meet the password policy',
+    'WEAK_PASSWORD',
+    problems.map((message) => ({ in: 'body', path: field, message }))
+  );
+}
 
-    const newFromBal = Number(fromUser.balance) - Number(amount);
-    await runAsync('UPDATE users SET balance = ? WHERE id = ?', [newFromBal, fromUser.id]);
+// Store a new bcrypt hash; outstanding reset tokens stop working.
+// Call inside the caller's withTransaction.
+async function setPasswordHash(userId, hashed) {
+  await runAsync('UPDATE users SET password = ? WHERE id = ?', [hashed, userId]);
+  await runAsync('UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL', [
+    clock.now().toISOString(),
+    userId,
+  ]);
+}
 
-    // insert a partially-completed transaction record (status pending) - optional
-    await runAsync(`INSERT INTO transactions (type, from_user, to_user, amount, status, note)
-                    VALUES (?, ?, ?, ?, ?, ?)`,
-      ['transfer', fromUser.id, toUser.id, amount, 'rolledback', 'simulated failure mid-transaction']);
+// Mail
+// mailer.send({ to, subject, text }) delivers one message. The default writes
+// each message as a JSON file to MAIL_OUTBOX_DIR, so nothing leaves the
+// machine; replace mailer.send with a real transport, or in tests.
+function outboxMailer(dir) {
+  return async (message) => {
+    const sentAt = clock.now().toISOString();
+    const id = `${sentAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ id, from: MAIL_FROM, ...message, sentAt }, null, 2)
+    );
+    return { id };
+  };
+}
+const mailer = { send: outboxMailer(MAIL_OUTBOX_DIR) };
 
-    // Simulate crash/failure
-    throw new Error('Simulated mid-transaction failure — testing rollback');
+function passwordResetMail(user, token, expiresAt) {
+  const link = PASSWORD_RESET_URL
+    ? `${PASSWORD_RESET_URL}${PASSWORD_RESET_URL.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`
+    : null;
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Someone asked to reset the password of ${user.username}.`,
+      link ? `Choose a new one here: ${link}` : `Your reset token: ${token}`,
+      `It can be used once, until ${expiresAt}.`,
+      "If this wasn't you, ignore this mail; your password has not changed.",
+    ].join('\n\n'),
+  };
+}
 
-    // commit (never reached)
-    // await execAsync('COMMIT;');
+app.post('/api/password', authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await findUserById(req.user.id);
+    // a stolen access token must not be a way around login throttling
+    const keys = loginThrottleKeys(req, user.username);
+    const retryAfter = await loginRetryAfter(keys);
+    if (retryAfter > 0) return tooManyLoginAttempts(res, retryAfter);
+    if (!(await bcrypt.compare(String(currentPassword || ''), user.password))) {
+      await recordLoginFailure(keys);
+      await audit(req, { action: 'auth.password_change', outcome: 'failure', details: { reason: 'wrong password' } });
+      return sendError(res, 401, 'Invalid credentials', 'INVALID_CREDENTIALS');
+    }
+    const problems = await passwordProblems(newPassword, user.username);
+    if (newPassword === currentPassword) problems.push('must differ from the current password');
+    if (problems.length) return weakPassword(res, 'newPassword', problems);
 
+    const hashed = await bcrypt.hash(newPassword, 10);
+    await withTransaction(() => setPasswordHash(user.id, hashed));
+    const revoked = await revokeAllSessions(user.id, 'password change', { exceptSessionId: req.user.sid });
+    await audit(req, {
+      action: 'auth.password_change',
+      targetType: 'user',
+      targetId: user.id,
+      details: { revokedSessions: revoked },
+    });
+    res.json({ ok: true, revokedSessions: revoked });
   } catch (err) {
-    console.error('simulated transfer error -> rolling back', err.message);
-    try {
-      await execAsync('ROLLBACK;');
-    } catch (rbErr) {
-      console.error('rollback error', rbErr);
-    }
-    return res.status(500).json({ error: 'Simulated failure occurred — transaction rolled back' });
+    console.error('password change error', err);
+    sendError(res, 500, 'server error');
   }
 });
 
-// -----------------------------
-// DEPOSIT / WITHDRAW — done inside transactions too (example)
-// POST /api/deposit-tx { amount }
-// POST /api/withdraw-tx { amount }
-// -----------------------------
-app.post('/api/deposit-tx', authMiddleware, async (req, res) => {
-  const uid = req.user.id;
-  const { amount } = req.body;
-  if (!amount || isNaN(amount) || amount <= 0) return res.status(400).json({ error: 'Invalid amount' });
-
+app.put('/api/email', authMiddleware, async (req, res) => {
   try {
-    await execAsync('BEGIN TRANSACTION;');
-
-    const user = await getAsync('SELECT * FROM users WHERE id = ?', [uid]);
-    if (!user) {
-      await execAsync('ROLLBACK;');
-      return res.status(404).json({ error: 'User not found' });
+    const user = await findUserById(req.user.id);
+    if (!(await bcrypt.compare(String(req.body.password || ''), user.password))) {
+      return sendError(res, 401, 'Invalid credentials', 'INVALID_CREDENTIALS');
     }
-
-    const newBal = Number(user.balance) + Number(amount);
-    await runAsync('UPDATE users SET balance = ? WHERE id = ?', [newBal, uid]);
-
-    await insertTransactionRecord({
-      type: 'deposit',
-      from_user: null,
-      to_user: uid,
-      amount,
-      status: 'committed',
-      note: 'deposit via deposit-tx'
-    });
-
-    await execAsync('COMMIT;');
-    res.json({ balance: newBal });
+    const email = req.body.email === null ? null : String(req.body.email).trim();
+    await runAsync('UPDATE users SET email = ? WHERE id = ?', [email, user.id]);
+    await audit(req, { action: 'user.email_change', targetType: 'user', targetId: user.id });
+    res.json({ email });
   } catch (err) {
-    console.error('deposit-tx error', err);
-    try { await execAsync('ROLLBACK;'); } catch (e) { console.error('rollback failed', e); }
-    res.status(500).json({ error: 'Deposit failed, rolled back' });
+    console.error('email change error', err);
+    sendError(res, 500, 'server error');
   }
 });
 
-app.post('/api/withdraw-tx', authMiddleware, async (req, res) => {
-  const uid = req.user.id;
-  const { amount } = req.body;
-  if (!amount || isNaN(amount) || amount <= 0) return res.status(400).json({ error: 'Invalid amount' });
-
+// Answers 202 whether or not the user exists or has an email address, so the
+// route cannot be used to find out either
+app.post('/api/password/forgot', async (req, res) => {
   try {
-    await execAsync('BEGIN TRANSACTION;');
-
-    const user = await getAsync('SELECT * FROM users WHERE id = ?', [uid]);
-    if (!user) {
-      await execAsync('ROLLBACK;');
-      return res.status(404).json({ error: 'User not found' });
-    }
-    if (user.balance < amount) {
-      await insertTransactionRecord({
-        type: 'withdraw',
-        from_user: uid,
-        to_user: null,
-        amount,
-        status: 'rolledback',
-        note: 'insufficient funds for withdraw'
+    const username = String(req.body.username);
+    const user = await findUserByUsername(username);
+    const now = clock.now();
+    const recent =
+      user &&
+      (await getAsync('SELECT 1 FROM password_reset_tokens WHERE user_id = ? AND created_at > ?', [
+        user.id,
+        new Date(now.getTime() - PASSWORD_RESET_RESEND_SECONDS * 1000).toISOString(),
+      ]));
+    let reason = null;
+    if (!user) reason = 'unknown user';
+    else if (!user.email) reason = 'no email address';
+    else if (recent) reason = 'requested again too soon';
+    if (reason) {
+      await audit(req, {
+        action: 'auth.password_reset_request',
+        outcome: 'failure',
+        actor: user || { id: null, username },
+        details: { reason },
       });
-      await execAsync('ROLLBACK;');
-      return res.status(400).json({ error: 'Insufficient funds' });
+      return res.status(202).json({ ok: true });
     }
 
-    const newBal = Number(user.balance) - Number(amount);
-    await runAsync('UPDATE users SET balance = ? WHERE id = ?', [newBal, uid]);
-    await insertTransactionRecord({
-      type: 'withdraw',
-      from_user: uid,
-      to_user: null,
-      amount,
-      status: 'committed',
-      note: 'withdraw via withdraw-tx'
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString();
+    // only the newest token works
+    await withTransaction(async () => {
+      await runAsync('UPDATE password_reset_tokens SET used_at = ? WHERE user_id = ? AND used_at IS NULL', [
+        now.toISOString(),
+        user.id,
+      ]);
+      await runAsync(
+        'INSERT INTO password_reset_tokens (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)',
+        [hashToken(token), user.id, now.toISOString(), expiresAt]
+      );
     });
-
-    await execAsync('COMMIT;');
-    res.json({ balance: newBal });
+    await mailer.send(passwordResetMail(user, token, expiresAt));
+    await audit(req, { action: 'auth.password_reset_request', actor: user, targetType: 'user', targetId: user.id });
+    res.status(202).json({ ok: true });
   } catch (err) {
-    console.error('withdraw-tx error', err);
-    try { await execAsync('ROLLBACK;'); } catch (e) { console.error('rollback failed', e); }
-    res.status(500).json({ error: 'Withdraw failed, rolled back' });
+    console.error('password reset request error', err);
+    sendError(res, 500, 'server error');
   }
 });
 
-// -----------------------------
-// Endpoint: list transactions (admin/user view)
-// GET /api/transactions?userId=
-// -----------------------------
-app.get('/api/transactions', authMiddleware, async (req, res) => {
-  // optional query param userId to filter; by default show all (simple demo)
-  const userId = req.query.userId;
+app.post('/api/password/reset', async (req, res) => {
   try {
-    if (userId) {
-      const rows = await allAsync(
-        `SELECT t.*, u1.username as from_username, u2.username as to_username
-         FROM transactions t
-         LEFT JOIN users u1 ON t.from_user = u1.id
-         LEFT JOIN users u2 ON t.to_user = u2.id
-         WHERE t.from_user = ? OR t.to_user = ?
-         ORDER BY t.created_at DESC`,
-        [userId, userId]
-      );
-      return res.json(rows);
-    } else {
-      const rows = await allAsync(
-        `SELECT t.*, u1.username as from_username, u2.username as to_username
-         FROM transactions t
-         LEFT JOIN users u1 ON t.from_user = u1.id
-         LEFT JOIN users u2 ON t.to_user = u2.id
-         ORDER BY t.created_at DESC`
-      );
-      return res.json(rows);
+    const { token, newPassword } = req.body;
+    const tokenHash = hashToken(String(token));
+    const now = clock.now().toISOString();
+    const invalid = () =>
+      sendError(res, 400, 'Reset token is invalid, used or expired', 'INVALID_RESET_TOKEN');
+    const stored = await getAsync('SELECT * FROM password_reset_tokens WHERE token_hash = ?', [tokenHash]);
+    if (!stored || stored.used_at || stored.expires_at <= now) {
+      await audit(req, {
+        action: 'auth.password_reset',
+        outcome: 'failure',
+        actor: stored ? { id: stored.user_id } : null,
+        details: { reason: !stored ? 'unknown token' : stored.used_at ? 'token used' : 'token expired' },
+      });
+      return invalid();
     }
+    const user = await findUserById(stored.user_id);
+    // a policy failure leaves the token usable for another try
+    const problems = await passwordProblems(newPassword, user.username);
+    if (problems.length) return weakPassword(res, 'newPassword', problems);
+
+    const hashed = await bcrypt.hash(newPassword, 10);
+    // claim the token with the password change; a concurrent redeem finds it used
+    const claimed = await withTransaction(async () => {
+      const claim = await runAsync(
+        'UPDATE password_reset_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL',
+        [now, tokenHash]
+      );
+      if (claim.changes === 0) return false;
+      await setPasswordHash(user.id, hashed);
+      return true;
+    });
+    if (!claimed) return invalid();
+    const revoked = await revokeAllSessions(user.id, 'password reset');
+    await clearLoginFailures(user.username);
+    await audit(req, {
+      action: 'auth.password_reset',
+      actor: user,
+      targetType: 'user',
+      targetId: user.id,
+      details: { revokedSessions: revoked },
+    });
+    res.json({ ok: true, revokedSessions: revoked });
   } catch (err) {
-    console.error('transactions list error', err);
-    res.status(500).json({ error: 'server error' });
+    console.error('password reset error', err);
+    sendError(res, 500, 'server error');
   }
 });
 
 // -----------------------------
-// Quick admin/users listing (convenience)
-// GET /api/users
+// Two-factor authentication (TOTP, RFC 6238)
+// POST /api/2fa/enroll              starts enrollment: { secret, otpauthUri }
+// POST /api/2fa/confirm             body: { code } -> turns 2FA on, returns recovery codes
+// POST /api/2fa/recovery-codes      body: { code } -> replaces the recovery codes
+// POST /api/2fa/disable             body: { password, code | recoveryCode }
+// PUT  /api/2fa/step-up-threshold   body: { amount } (null = server default)
+// POST /api/login/2fa               body: { mfaToken, code | recoveryCode }
+// With 2FA on, /api/login only answers { mfaRequired, mfaToken } and the
+// session is created by /api/login/2fa. Transfers above the user's step-up
+// threshold also need a current code in the X-TOTP-Code header.
+// Codes are 6 digits over 30 s steps with one step of drift either way, and
+// each step is accepted once. Time comes from clock.now.
 // -----------------------------
-app.get('/api/users', async (req, res) => {
-  try {
-    const users = await allAsync('SELECT id, username, balance FROM users');
-    res.json(users);
-  } catch (err) {
-    res.status(500).json({ error: 'server error' });
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = '';
+  for (const byte of buf) bits += byte.toString(2).padStart(8, '0');
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+}
+function base32Decode(str) {
+  let bits = '';
+  for (const ch of str.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(ch);
+    if (value === -1) throw new Error('invalid base32');
+    bits += value.toString(2).padStart(5, '0');
   }
-});
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
 
-// -----------------------------
-// Root + start server
-// -----------------------------
-app.get('/', (req, res) => res.send('Transactional Banking API (with rollback) running.'));
-app.listen(PORT, () => console.log(`Server running at http://localhost:${PORT}`));
+// HOTP (RFC 4226) code for one counter value
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+function totpStep(date) {
+  return Math.floor(date.getTime() / 1000 / TOTP_STEP_SECONDS);
+}
+function totp(secret, date = clock.now()) {
+  return hotp(secret, totpStep(date));
+}
+// The time step `code` is valid for, or null
+function matchTotp(secret, code, date = clock.now()) {
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(String(code))) return null;
+  const current = totpStep(date);
+  for (let step = current - TOTP_DRIFT_STEPS; step <= current + TOTP_DRIFT_STEPS; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(String(code)))) return step;
+  }
+  return null;
+}
+
+function otpauthUri(username, secret) {
+  // %20 rather than URLSearchParams' "+": some authenticator apps show a literal +
+  const issuer = encodeURIComponent(TOTP_ISSUER);
+  const label = `${issuer}:${encodeURIComponent(username)}`;
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+}
+
+// Check a code for an enrolled user and burn its time step, so the same code
+// (or an older one) cannot be used again.
+async function verifyUserTotp(user, code) {
+  if (!user.totp_secret) return false;
+  const step = matchTotp(user.totp_secret, code);
+  if (step === null) return false;
+  const result = await runAsync(
+    'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+    [step, user.id, step]
+  );
+  return result.changes === 1;
+}
+
+// Recovery codes look like "abcd-efgh"; only their hashes are stored
+function normalizeRecoveryCode(code) {
+  return String(code).replace(/[\s-]/g, '').toUpperCase();
+}
+async function issueRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(5)).toLowerCase();
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  await withTransaction(async () => {
+    await runAsync('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+    for (const code of codes) {
+      await runAsync('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)', [
+        userId,
+        hashToken(normalizeRecoveryCode(code)),
+      ]);
+    }
+  });
+  return codes;
+}
+async function useRecoveryCode(userId, code) {
+  const result = await runAsync(
+    'UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.changes === 1;
+}
+
+// Second factor from a body: { code } or { recoveryCode }
+async function verifySecondFactor(user, body) {
+  if (body.code) return verifyUserTotp(user, body.code);
+  if (body.recoveryCode) return useRecoveryCode(user.id, body.recoveryCode);
+  return false;
+}
+
+// Route guard for money-moving routes: a 2FA user sending more than their
+// threshold must pass X-TOTP-Code. Runs before `idempotency` so a rejected
+// attempt can be retried with the code under the same key.
+async function requireStepUp(req, res, next) {
+  const amount = parseAmount(req.body && req.body.amount);
+  if (amount === null) return next(); // the route reports the bad amount
+  try {
+    const user = await findUserById(req.user.id);
+    if (!user || !user.totp_enabled) return next();
+    const threshold = user.step_up_threshold ?? STEP_UP_THRESHOLD;
+    if (amount <= threshold) return next();
+    const code = req.get('X-TOTP-Code');
+    if (!code) {
+      return sendError(
+        res,
+        401,
+        `Amounts over ${formatCents(threshold)} need a TOTP code in the X-TOTP-Code header`,
+        'STEP_UP_REQUIRED'
+      );
+    }
+    if (!(await verifyUserTotp(user, code))) {
+      return sendError(res, 401, 'Invalid or already used TOTP code', 'INVALID_TOTP');
+    }
+    next();
+  } catch (err) {
+    console.error('step-up error', err);
+    sendError(res, 500, 'server error');
+  }
+}
+
+app.post('/api/login/2fa', async (req, res) => {
+  const { mfaToken } = req.body;
+  let claims;
+  try {
+    claims = jwt.verify(String(mfaToken), JWT_SECRET);
+  } catch (err) {
+    return sendError(res, 401, 'Invalid or expired mfaToken', 'INVALID_MFA_TOKEN');
+  }
+  if (claims.purpose !== 'mfa') return sendError(res, 401, 'Invalid or expired mfaToken', 'INVALID_MFA_TOKEN');
+  try {
+    const user = await findUserById(claims.id);
+    if (!user || !user.totp_enabled) return sendError(res, 401, 'Invalid or expired mfaToken', 'INVALID_MFA_TOKEN');
+    const keys = loginThrottleKeys(req, user.username);
+    const retryAfter = await loginRetryAfter(keys);
+    if (retryAfter > 0) {
+      await audit(req, { action: 'auth.login', outcome: 'denied', actor: user, details: { reason: 'throttled' } });
+      return tooManyLoginAttempts(res, retryAfter);
+    }
+    const method = req.body.code ? 'totp' : 'recovery code';
+    if (!(await verifySecondFactor(user, req.body))) {
+      await recordLoginFailure(keys);
+      await audit(req, { action: 'auth.login', outcome: 'failure', actor: user, details: { reason: `invalid ${method}` } });
+      return sendError(res, 401, 'Invalid code', 'INVALID_2FA_CODE');
+    }
+
+    await clearLoginFailures(user.username);
+    const { token, refreshToken } = await createSession(user);
+    await audit(req, { action: 'auth.login', actor: user, details: { method } });
+    res.json({ token, refreshToken, user: { id: user.id, username: user.username, role: user.role } });
+  } catch (err) {
+    console.error('login 2fa error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.post('/api/2fa/enroll', authMiddleware, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+    if (user.totp_enabled) {
+      return sendError(res, 409, 'Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+    // Re-enrolling before confirmation replaces the pending secret
+    const secret = base32Encode(crypto.randomBytes(20));
+    await runAsync('UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?', [secret, user.id]);
+    res.json({ secret, otpauthUri: otpauthUri(user.username, secret) });
+  } catch (err) {
+    console.error('2fa enroll error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.post('/api/2fa/confirm', authMiddleware, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+    if (user.totp_enabled) {
+      return sendError(res, 409, 'Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+    if (!user.totp_secret) return sendError(res, 400, 'Start with POST /api/2fa/enroll', 'TWO_FACTOR_NOT_ENROLLED');
+    if (!(await verifyUserTotp(user, req.body.code))) return sendError(res, 400, 'Invalid code', 'INVALID_2FA_CODE');
+
+    await runAsync('UPDATE users SET totp_enabled = 1 WHERE id = ?', [user.id]);
+    await audit(req, { action: 'auth.2fa_enabled', targetType: 'user', targetId: user.id });
+    // Shown once; the user should store them offline
+    res.json({ enabled: true, recoveryCodes: await issueRecoveryCodes(user.id) });
+  } catch (err) {
+    console.error('2fa confirm error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.post('/api/2fa/recovery-codes', authMiddleware, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+    if (!user.totp_enabled) {
+      return sendError(res, 409, 'Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+    if (!(await verifyUserTotp(user, req.body.code))) return sendError(res, 400, 'Invalid code', 'INVALID_2FA_CODE');
+    const recoveryCodes = await issueRecoveryCodes(user.id);
+    await audit(req, { action: 'auth.recovery_codes_replaced', targetType: 'user', targetId: user.id });
+    res.json({ recoveryCodes });
+  } catch (err) {
+    console.error('2fa recovery codes error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.post('/api/2fa/disable', authMiddleware, async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+    if (!user.totp_enabled) {
+      return sendError(res, 409, 'Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+    if (!req.body.password || !(await bcrypt.compare(String(req.body.password), user.password))) {
+      return sendError(res, 401, 'Invalid credentials', 'INVALID_CREDENTIALS');
+    }
+    if (!(await verifySecondFactor(user, req.body))) return sendError(res, 400, 'Invalid code', 'INVALID_2FA_CODE');
+
+    await withTransaction(async () => {
+      await runAsync(
+        'UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL WHERE id = ?',
+        [user.id]
+      );
+      await runAsync('DELETE FROM recovery_codes WHERE user_id = ?', [user.id]);
+    });
+    await audit(req, { action: 'auth.2fa_disabled', targetType: 'user', targetId: user.id });
+    res.json({ enabled: false });
+  } catch (err) {
+    console.error('2fa disable error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.put('/api/2fa/step-up-threshold', authMiddleware, async (req, res) => {
+  const { amount } = req.body;
+  const threshold = amount === null ? null : parseAmount(amount);
+  if (amount !== null && threshold === null) {
+    return sendError(res, 400, 'amount must be a positive amount or null', 'INVALID_REQUEST');
+  }
+  try {
+    await runAsync('UPDATE users SET step_up_threshold = ? WHERE id = ?', [threshold, req.user.id]);
+    res.json({ stepUpThreshold: formatCents(threshold ?? STEP_UP_THRESHOLD), isDefault: threshold === null });
+  } catch (err) {
+    console.error('step-up threshold error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// -----------------------------
+// Accounts
+// GET  /api/balance                 totals + per-account ledger and available balances
+// GET  /api/accounts?userId=        own accounts (tellers/admins: any user)
+// POST /api/accounts                body: { type: 'checking' | 'savings', currency? }
+// POST /api/accounts/:id/close      balance must be zero
+// PATCH /api/accounts/:id/status    (admin) body: { status: 'open' | 'frozen' }
+// -----------------------------
+app.get('/api/balance', authMiddleware, async (req, res) => {
+  try {
+    const accounts = await allAsync(`SELECT * FROM accounts WHERE user_id = ? AND status != 'closed'`, [req.user.id]);
+    const held = await heldAmounts(accounts.map((a) => a.id));
+    const totals = {};
+    const availableTotals = {};
+    for (const a of accounts) {
+      totals[a.currency] = (totals[a.currency] || 0) + a.balance;
+      availableTotals[a.currency] = (availableTotals[a.currency] || 0) + a.balance - (held.get(a.id) || 0);
+    }
+    const formatTotals = (sums) =>
+      Object.fromEntries(Object.entries(sums).map(([currency, total]) => [currency, formatCents(total)]));
+    // balance / availableBalance are the BASE_CURRENCY totals; the *totals
+    // maps have one entry per currency held. balance is the ledger balance.
+    res.json({
+      balance: formatCents(totals[BASE_CURRENCY] || 0),
+      availableBalance: formatCents(availableTotals[BASE_CURRENCY] || 0),
+      currency: BASE_CURRENCY,
+      totals: formatTotals(totals),
+      availableTotals: formatTotals(availableTotals),
+      accounts: accounts.map((a) => ({
+        ...formatAccount(a),
+        ledgerBalance: formatCents(a.balance),
+        availableBalance: formatCents(a.balance - (held.get(a.id) || 0)),
+      })),
+    });
+  } catch (err) {
+    console.error('balance error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.get('/api/accounts', authMiddleware, async (req, res) => {
+  const userId = req.query.userId || req.user.id;
+  if (!canReadUserData(req.user, userId)) return forbidden(res);
+  try {
+    const accounts = await allAsync('SELECT * FROM accounts WHERE user_id = ? ORDER BY id', [userId]);
+    res.json(accounts.map(formatAccount));
+  } catch (err) {
+    console.error('accounts list error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.post('/api/accounts', authMiddleware, async (req, res) => {
+  const { type } = req.body;
+  if (!ACCOUNT_TYPES.includes(type)) {
+    return sendError(res, 400, `type must be one of ${ACCOUNT_TYPES.join(', ')}`, 'INVALID_REQUEST');
+  }
+  const currency = req.body.currency === undefined ? BASE_CURRENCY : parseCurrency(req.body.currency);
+  if (!currency) return sendError(res, 400, `currency must be one of ${CURRENCIES.join(', ')}`, 'INVALID_REQUEST');
+  try {
+    const account = await openAccount(req.user.id, type, currency);
+    res.status(201).json(formatAccount(account));
+  } catch (err) {
+    console.error('open account error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.post('/api/accounts/:id/close', authMiddleware, async (req, res) => {
+  try {
+    const account = await findAccount({ id: req.params.id });
+    if (!account) return sendError(res, 404, 'Account not found', 'ACCOUNT_NOT_FOUND');
+    if (account.user_id !== req.user.id && !can(req.user, 'accounts:manage')) return forbidden(res);
+    if (account.status === 'closed') return sendError(res, 409, 'Account already closed', 'ACCOUNT_NOT_OPEN');
+    if (account.balance !== 0) {
+      return sendError(res, 409, 'Account balance must be zero to close', 'ACCOUNT_BALANCE_NOT_ZERO');
+    }
+
+    // The balance condition guards against a deposit landing between the check and the update
+    const result = await runAsync(
+      `UPDATE accounts SET status = 'closed', closed_at = CURRENT_TIMESTAMP WHERE id = ? AND balance = 0`,
+      [account.id]
+    );
+    if (result.changes === 0) {
+      return sendError(res, 409, 'Account balance must be zero to close', 'ACCOUNT_BALANCE_NOT_ZERO');
+    }
+    res.json(formatAccount(await findAccount({ id: account.id })));
+  } catch (err) {
+    console.error('close account error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.patch('/api/accounts/:id/status', authMiddleware, authorize('accounts:manage'), async (req, res) => {
+  const { status } = req.body;
+  if (!['open', 'frozen'].includes(status)) {
+    return sendError(res, 400, 'status must be open or frozen', 'INVALID_REQUEST');
+  }
+  try {
+    const account = await findAccount({ id: req.params.id });
+    if (!account) return sendError(res, 404, 'Account not found', 'ACCOUNT_NOT_FOUND');
+    if (account.status === 'closed') return sendError(res, 409, 'Account is closed', 'ACCOUNT_NOT_OPEN');
+    await runAsync('UPDATE accounts SET status = ? WHERE id = ?', [status, account.id]);
+    await audit(req, {
+      action: 'account.status_change',
+      targetType: 'account',
+      targetId: account.id,
+      details: { from: account.status, to: status },
+    });
+    res.json(formatAccount({ ...account, status }));
+  } catch (err) {
+    console.error('account status error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// -----------------------------
+// Idempotency keys for money-moving endpoints
+// A client sends `Idempotency-Key: <unique string>`; the first response is
+// stored per user and replayed for retries with the same key and body.
+// -----------------------------
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.path} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+  if (key.length > 255) return sendError(res, 400, 'Idempotency-Key too long', 'INVALID_IDEMPOTENCY_KEY');
+
+  const userId = req.user.id;
+  const requestHash = hashRequest(req);
+  try {
+    await runAsync(
+      `DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ? AND expires_at <= datetime('now')`,
+      [userId, key]
+    );
+    // Claim the key; only one request can insert it
+    const claim = await runAsync(
+      `INSERT OR IGNORE INTO idempotency_keys (user_id, idem_key, request_hash, expires_at)
+       VALUES (?, ?, ?, datetime('now', ?))`,
+      [userId, key, requestHash, `+${IDEMPOTENCY_TTL_HOURS} hours`]
+    );
+    if (claim.changes === 0) {
+      const stored = await getAsync('SELECT * FROM idempotency_keys WHERE user_id = ? AND idem_key = ?', [
+        userId,
+        key,
+      ]);
+      if (stored.request_hash !== requestHash) {
+        return sendError(
+          res,
+          422,
+          'Idempotency-Key was already used with a different request',
+          'IDEMPOTENCY_KEY_REUSED'
+        );
+      }
+      if (stored.response_status === null) {
+        return sendError(
+          res,
+          409,
+          'A request with this Idempotency-Key is still in progress',
+          'IDEMPOTENCY_KEY_IN_PROGRESS'
+        );
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.response_status).json(JSON.parse(stored.response_body));
+    }
+  } catch (err) {
+    console.error('idempotency lookup error', err);
+    return sendError(res, 500, 'server error');
+  }
+
+  // Store the response once the handler sends it. Server errors release the
+  // key so the client can retry; everything else is replayed as-is.
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const save =
+      res.statusCode >= 500
+        ? runAsync('DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ?', [userId, key])
+        : runAsync(
+            'UPDATE idempotency_keys SET response_status = ?, response_body = ? WHERE user_id = ? AND idem_key = ?',
+            [res.statusCode, JSON.stringify(body), userId, key]
+          );
+    save.catch((err) => console.error('idempotency save error', err));
+    return sendJson(body);
+  };
+  next();
+}
+
+// Expired keys are also dropped lazily on lookup; this keeps the table small.
+setInterval(() => {
+  runAsync(`DELETE FROM idempotency_keys WHERE expires_at <= datetime('now')`).catch((err) =>
+    console.error('idempotency purge error', err)
+  );
+}, 60 * 60 * 1000).unref();
+
+// -----------------------------
+// Fault injection
+// Named points on moveMoney's transaction path. Armed, a point throws,
+// sleeps or fails with SQLITE_BUSY (which withTransaction retries) when the
+// transaction reaches it, so tests can check that whatever went before is
+// rolled back. Unarmed points cost one Map lookup.
+//   beforeDebit    accounts read and checked, nothing written yet
+//   afterDebit     source balance updated
+//   afterCredit    destination balance updated
+//   historyInsert  transactions row written, ledger entries not yet
+//   commit         everything written, right before COMMIT
+// -----------------------------
+const FAULT_POINTS = ['beforeDebit', 'afterDebit', 'afterCredit', 'historyInsert', 'commit'];
+const FAULT_ACTIONS = ['throw', 'delay', 'busy'];
+
+class FaultInjectedError extends Error {
+  constructor(point) {
+    super(`Injected fault at ${point}`);
+    this.code = 'FAULT_INJECTED';
+    this.point = point;
+  }
+}
+
+// point -> { action, delayMs, remaining (null = until disarmed), hits }
+const armedFaults = new Map();
+
+const faults = {
+  points: FAULT_POINTS,
+  // Arm `point`; it fires on the next `times` passes (default every pass)
+  arm(point, { action = 'throw', delayMs = 0, times = null } = {}) {
+    if (!FAULT_POINTS.includes(point)) throw new Error(`Unknown fault point "${point}"`);
+    if (!FAULT_ACTIONS.includes(action)) throw new Error(`Unknown fault action "${action}"`);
+    armedFaults.set(point, { action, delayMs, remaining: times, hits: 0 });
+  },
+  // Disarm one point, or all of them
+  disarm(point) {
+    if (point === undefined) armedFaults.clear();
+    else armedFaults.delete(point);
+  },
+  list() {
+    return FAULT_POINTS.map((point) => {
+      const fault = armedFaults.get(point);
+      return fault ? { point, armed: true, ...fault } : { point, armed: false };
+    });
+  },
+};
+
+async function injectFault(point) {
+  const fault = armedFaults.get(point);
+  if (!fault) return;
+  fault.hits++;
+  if (fault.remaining !== null && --fault.remaining <= 0) armedFaults.delete(point);
+  if (fault.action === 'delay') return sleep(fault.delayMs);
+  if (fault.action === 'busy') {
+    const err = new Error(`SQLITE_BUSY: database is locked (injected at ${point})`);
+    err.code = 'SQLITE_BUSY';
+    throw err;
+  }
+  throw new FaultInjectedError(point);
+}
+
+// -----------------------------
+// Money movement
+// Every deposit, withdraw and transfer goes through moveMoney(), which runs
+// inside one withTransaction. A missing side is the external cash account.
+// -----------------------------
+
+// Expected rejections (not found, frozen, insufficient funds...). moveMoney
+// rolls back, records a 'rolledback' row with `note`, and the route answers
+// with `status` (and `code`, when set, for clients to branch on).
+class BankError extends Error {
+  constructor(status, message, note, code) {
+    super(message);
+    this.status = status;
+    this.note = note || message.toLowerCase();
+    this.code = code;
+  }
+}
+
+/*
+  moveMoney({ type, fromAccountId, toAccountId, amount, note, reversalOf, shortfall,
+              scheduledTransferId, scheduledFor, rateId, conversion })
+  shortfall decides what happens when the source holds less than amount:
+  'reject' (default), 'partial' (move what is there) or 'negative' (overdraw).
+  amount is in the source account's currency. Between accounts of different
+  currencies the recipient is credited at the rate in effect; rateId (from a
+  quote) makes the move fail instead if that rate has since been replaced,
+  and conversion ({ rate, rateId, convertedAmount }) fixes the conversion
+  outright, as reversals do.
+  The source's available balance (ledger minus active holds) is what counts;
+  captureHoldId captures that hold with this move, so its own reservation
+  is spendable.
+  Returns { transactionId, amount, fx, from, to } with the amount actually
+  moved, the conversion used (or null) and the updated account rows.
+*/
+async function moveMoney({
+  type,
+  fromAccountId = null,
+  toAccountId = null,
+  amount,
+  note,
+  reversalOf = null,
+  shortfall = 'reject',
+  scheduledTransferId = null,
+  scheduledFor = null,
+  rateId = null,
+  conversion = null,
+  captureHoldId = null,
+}) {
+  let from = null;
+  let to = null;
+  // Reversals may pull money back out of a frozen account
+  const usableStatuses = reversalOf ? ['open', 'frozen'] : ['open'];
+  let result;
+  try {
+    result = await withTransaction(async () => {
+      if (reversalOf) {
+        const existing = await getAsync(`SELECT id FROM transactions WHERE reversal_of = ? AND status = 'committed'`, [
+          reversalOf,
+        ]);
+        if (existing) {
+          throw new BankError(409, `Transaction already reversed by #${existing.id}`, 'already reversed', 'ALREADY_REVERSED');
+        }
+      }
+
+      // Read accounts inside the transaction to get consistent balances
+      if (fromAccountId) {
+        from = await getAsync('SELECT * FROM accounts WHERE id = ?', [fromAccountId]);
+        if (!from) throw new BankError(404, 'Source account not found', null, 'ACCOUNT_NOT_FOUND');
+        if (!usableStatuses.includes(from.status)) {
+          throw new BankError(409, `Source account is ${from.status}`, null, 'ACCOUNT_NOT_OPEN');
+        }
+      }
+      if (toAccountId) {
+        to = await getAsync('SELECT * FROM accounts WHERE id = ?', [toAccountId]);
+        if (!to) throw new BankError(404, 'Destination account not found', null, 'ACCOUNT_NOT_FOUND');
+        if (!usableStatuses.includes(to.status)) {
+          throw new BankError(409, `Destination account is ${to.status}`, null, 'ACCOUNT_NOT_OPEN');
+        }
+      }
+      if (from && to && from.id === to.id) {
+        throw new BankError(400, 'Cannot transfer to the same account', null, 'SAME_ACCOUNT');
+      }
+
+      let moved = amount;
+      const available = from && from.balance - (await heldAmount(from.id, captureHoldId));
+      if (from && available < amount) {
+        if (shortfall === 'partial' && available > 0) moved = available;
+        else if (shortfall !== 'negative') throw new BankError(400, 'Insufficient funds', null, 'INSUFFICIENT_FUNDS');
+      }
+      if (from && !reversalOf && isOutgoing(type, from, to)) await enforceLimits(from.user_id, type, moved, from.currency);
+
+      let fx = null;
+      if (from && to && from.currency !== to.currency) {
+        if (conversion) {
+          // a partial move converts the same share of the fixed amount
+          const convertedAmount =
+            moved === amount ? conversion.convertedAmount : Math.round((conversion.convertedAmount * moved) / amount);
+          fx = { ...conversion, convertedAmount };
+        } else {
+          fx = await quoteConversion(from.currency, to.currency, moved);
+          if (rateId != null && fx.rateId !== Number(rateId)) {
+            throw new BankError(409, 'The exchange rate has changed; get a new quote', 'exchange rate changed', 'RATE_CHANGED');
+          }
+        }
+      }
+      const credited = fx ? fx.convertedAmount : moved;
+
+      await injectFault('beforeDebit');
+      if (from) {
+        from.balance -= moved;
+        await runAsync('UPDATE accounts SET balance = ? WHERE id = ?', [from.balance, from.id]);
+      }
+      await injectFault('afterDebit');
+      if (to) {
+        to.balance += credited;
+        await runAsync('UPDATE accounts SET balance = ? WHERE id = ?', [to.balance, to.id]);
+      }
+      await injectFault('afterCredit');
+
+      const transactionId = await insertTransactionRecord({
+        type,
+        from_user: from && from.user_id,
+        to_user: to && to.user_id,
+        from_account: from && from.id,
+        to_account: to && to.id,
+        amount: moved,
+        status: 'committed',
+        note,
+        reversal_of: reversalOf,
+        scheduled_transfer_id: scheduledTransferId,
+        scheduled_for: scheduledFor,
+        currency: (from || to).currency,
+        converted_amount: fx && credited,
+        converted_currency: fx && to.currency,
+        exchange_rate: fx && fx.rate,
+        exchange_rate_id: fx && fx.rateId,
+      });
+      await injectFault('historyInsert');
+      if (fx) {
+        await postLedgerEntries(transactionId, accountLedger(from.id), fxLedger(from.currency), moved);
+        await postLedgerEntries(transactionId, fxLedger(to.currency), accountLedger(to.id), credited);
+      } else {
+        await postLedgerEntries(
+          transactionId,
+          from ? accountLedger(from.id) : CASH_ACCOUNT,
+          to ? accountLedger(to.id) : CASH_ACCOUNT,
+          moved
+        );
+      }
+
+      if (captureHoldId) {
+        const captured = await runAsync(
+          `UPDATE holds SET status = 'captured', captured_amount = ?, capture_transaction_id = ?, resolved_at = ?
+           WHERE id = ? AND account_id = ? AND status = 'active' AND expires_at > ?`,
+          [moved, transactionId, clock.now().toISOString(), captureHoldId, from.id, clock.now().toISOString()]
+        );
+        if (!captured.changes) throw new BankError(409, 'Hold is no longer active', 'hold no longer active', 'HOLD_NOT_ACTIVE');
+      }
+
+      await injectFault('commit');
+      return { transactionId, amount: moved, fx, from, to };
+    });
+  } catch (err) {
+    // record the rolled back attempt outside the transaction (best-effort)
+    try {
+      await insertTransactionRecord({
+        type,
+        from_user: from && from.user_id,
+        to_user: to && to.user_id,
+        from_account: fromAccountId,
+        to_account: toAccountId,
+        amount,
+        status: 'rolledback',
+        note: err instanceof BankError ? err.note : `error: ${err.message}`,
+        reversal_of: reversalOf,
+        scheduled_transfer_id: scheduledTransferId,
+        scheduled_for: scheduledFor,
+        currency: (from || to || {}).currency,
+      });
+    } catch (recErr) {
+      console.error('failed to insert rollback record', recErr);
+    }
+    throw err;
+  }
+  // After COMMIT: notify the users involved on /api/stream
+  await publishTransactionEvents(result.transactionId);
+  return result;
+}
+
+// Send a BankError as its status, anything else as a 500 with `failMessage`
+function sendMoneyError(res, err, failMessage) {
+  if (err instanceof BankError) return sendError(res, err.status, err.message, err.code);
+  console.error(failMessage, err);
+  return sendError(res, 500, failMessage);
+}
+
+// Resolve `<prefix>AccountId` / `<prefix>AccountNumber` from a request body
+function accountRefFromBody(body, prefix = '') {
+  const idKey = prefix ? `${prefix}AccountId` : 'accountId';
+  const numberKey = prefix ? `${prefix}AccountNumber` : 'accountNumber';
+  return { id: body[idKey], number: body[numberKey] };
+}
+
+// Load an account the caller owns, or send 400/404/403 and return null
+async function ownAccountOrReject(req, res, ref) {
+  if (ref.id == null && !ref.number) {
+    sendError(res, 400, 'accountId or accountNumber required', 'INVALID_REQUEST');
+    return null;
+  }
+  const account = await findAccount(ref);
+  if (!account) {
+    sendError(res, 404, 'Account not found', 'ACCOUNT_NOT_FOUND');
+    return null;
+  }
+  if (account.user_id !== req.user.id) {
+    forbidden(res);
+    return null;
+  }
+  return account;
+}
+
+// -----------------------------
+// Transaction limits
+// GET /api/limits?userId=             limits, today's usage and what is left
+// PUT /api/limits/roles/:role         (admin) body: any of the limit fields below
+// PUT /api/limits/users/:userId       (admin) same body; null falls back to the role
+// Limit fields: maxSingleTransfer, dailyWithdrawal, dailyOutgoing (amounts in
+// BASE_CURRENCY) and transfersPerHour (count). Money leaving an account in
+// another currency counts at the exchange rate in effect when it is checked,
+// so a limit means the same whichever accounts the user spends from.
+// They apply to money leaving a user: withdrawals and transfers to someone
+// else's account, scheduled runs included. Moves between the user's own
+// accounts, deposits and reversals are not limited.
+// Days are UTC days; the hourly count is a rolling hour.
+// -----------------------------
+const LIMIT_COLUMNS = {
+  maxSingleTransfer: 'max_single_transfer',
+  dailyWithdrawal: 'daily_withdrawal',
+  dailyOutgoing: 'daily_outgoing',
+  transfersPerHour: 'transfers_per_hour',
+};
+const HOUR_MS = 60 * 60 * 1000;
+
+function isOutgoing(type, from, to) {
+  return type === 'withdraw' || (type === 'transfer' && to && to.user_id !== from.user_id);
+}
+
+// Role limits overlaid with the user's own overrides
+async function effectiveLimits(userId) {
+  const user = await getAsync('SELECT id, role FROM users WHERE id = ?', [userId]);
+  const rows = await allAsync(
+    `SELECT * FROM transaction_limits WHERE (scope = 'role' AND subject = ?) OR (scope = 'user' AND subject = ?)`,
+    [user ? user.role : 'customer', String(userId)]
+  );
+  const roleRow = rows.find((r) => r.scope === 'role') || {};
+  const userRow = rows.find((r) => r.scope === 'user') || {};
+  const limits = {};
+  for (const [key, column] of Object.entries(LIMIT_COLUMNS)) limits[key] = userRow[column] ?? roleRow[column] ?? null;
+  return limits;
+}
+
+function startOfUtcDay(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+// Committed outgoing money since the start of the UTC day / in the last hour,
+// amounts in BASE_CURRENCY. A transaction's amount is in its source account's
+// currency, so the sums are taken per currency and converted.
+async function limitUsage(userId, now = clock.now()) {
+  const dayStart = toSqlTime(startOfUtcDay(now));
+  const hourAgo = toSqlTime(new Date(now.getTime() - HOUR_MS));
+  const rows = await allAsync(
+    `SELECT currency,
+            COALESCE(SUM(CASE WHEN type = 'withdraw' AND created_at >= ? THEN amount END), 0) AS withdrawn,
+            COALESCE(SUM(CASE WHEN created_at >= ? THEN amount END), 0) AS outgoing,
+            COUNT(CASE WHEN type = 'transfer' AND created_at >= ? THEN 1 END) AS transfers
+     FROM transactions
+     WHERE from_user = ? AND status = 'committed' AND created_at >= MIN(?, ?)
+       AND (type = 'withdraw' OR (type = 'transfer' AND to_user != from_user))
+     GROUP BY currency`,
+    [dayStart, dayStart, hourAgo, userId, dayStart, hourAgo]
+  );
+  const used = { withdrawnToday: 0, outgoingToday: 0, transfersLastHour: 0 };
+  for (const row of rows) {
+    used.withdrawnToday += await toBaseCurrency(row.currency, row.withdrawn);
+    used.outgoingToday += await toBaseCurrency(row.currency, row.outgoing);
+    used.transfersLastHour += row.transfers;
+  }
+  return used;
+}
+
+// Throws a 403 BankError naming the first limit `amount` (cents of
+// `currency`) would break. moveMoney calls this inside its transaction, so
+// concurrent requests are checked one after another.
+async function enforceLimits(userId, type, amount, currency = BASE_CURRENCY) {
+  const limits = await effectiveLimits(userId);
+  // unlimited users need no exchange rate
+  if (Object.values(limits).every((limit) => limit === null)) return;
+  amount = await toBaseCurrency(currency, amount);
+  const used = await limitUsage(userId);
+  const reject = (code, message, note) => {
+    throw new BankError(403, message, `limit exceeded: ${note}`, code);
+  };
+  if (type === 'transfer') {
+    if (limits.maxSingleTransfer !== null && amount > limits.maxSingleTransfer) {
+      reject(
+        'LIMIT_MAX_SINGLE_TRANSFER',
+        `Transfers are limited to ${formatCents(limits.maxSingleTransfer)} each`,
+        'max single transfer'
+      );
+    }
+    if (limits.transfersPerHour !== null && used.transfersLastHour >= limits.transfersPerHour) {
+      reject(
+        'LIMIT_TRANSFERS_PER_HOUR',
+        `At most ${limits.transfersPerHour} transfers per hour are allowed`,
+        'transfers per hour'
+      );
+    }
+  }
+  if (type === 'withdraw' && limits.dailyWithdrawal !== null && used.withdrawnToday + amount > limits.dailyWithdrawal) {
+    reject(
+      'LIMIT_DAILY_WITHDRAWAL',
+      `Daily withdrawal limit of ${formatCents(limits.dailyWithdrawal)} exceeded`,
+      'daily withdrawal'
+    );
+  }
+  if (limits.dailyOutgoing !== null && used.outgoingToday + amount > limits.dailyOutgoing) {
+    reject(
+      'LIMIT_DAILY_OUTGOING',
+      `Daily outgoing limit of ${formatCents(limits.dailyOutgoing)} exceeded`,
+      'daily outgoing'
+    );
+  }
+}
+
+function formatLimits(limits) {
+  return {
+    maxSingleTransfer: limits.maxSingleTransfer === null ? null : formatCents(limits.maxSingleTransfer),
+    dailyWithdrawal: limits.dailyWithdrawal === null ? null : formatCents(limits.dailyWithdrawal),
+    dailyOutgoing: limits.dailyOutgoing === null ? null : formatCents(limits.dailyOutgoing),
+    transfersPerHour: limits.transfersPerHour,
+  };
+}
+
+app.get('/api/limits', authMiddleware, async (req, res) => {
+  const userId = req.query.userId ? Number(req.query.userId) : req.user.id;
+  if (!canReadUserData(req.user, userId)) return forbidden(res);
+  try {
+    if (!(await findUserById(userId))) return sendError(res, 404, 'User not found', 'USER_NOT_FOUND');
+    const now = clock.now();
+    const limits = await effectiveLimits(userId);
+    const used = await limitUsage(userId, now);
+    const left = (limit, spent) => (limit === null ? null : Math.max(limit - spent, 0));
+    const outgoingLeft = left(limits.dailyOutgoing, used.outgoingToday);
+    // withdrawals also count towards the outgoing total
+    let withdrawalLeft = left(limits.dailyWithdrawal, used.withdrawnToday);
+    if (outgoingLeft !== null) withdrawalLeft = Math.min(withdrawalLeft ?? outgoingLeft, outgoingLeft);
+    res.json({
+      currency: BASE_CURRENCY,
+      limits: formatLimits(limits),
+      used: {
+        withdrawnToday: formatCents(used.withdrawnToday),
+        outgoingToday: formatCents(used.outgoingToday),
+        transfersLastHour: used.transfersLastHour,
+      },
+      remaining: {
+        withdrawal: withdrawalLeft === null ? null : formatCents(withdrawalLeft),
+        outgoing: outgoingLeft === null ? null : formatCents(outgoingLeft),
+        transfersThisHour: left(limits.transfersPerHour, used.transfersLastHour),
+      },
+      resetsAt: new Date(startOfUtcDay(now).getTime() + DAY_MS).toISOString(),
+    });
+  } catch (err) {
+    if (err instanceof BankError) return sendError(res, err.status, err.message, err.code);
+    console.error('limits error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// Validate a limits body; { values } holds the columns to write, or { error }
+function parseLimitsBody(body) {
+  const values = {};
+  for (const [key, column] of Object.entries(LIMIT_COLUMNS)) {
+    if (!(key in body)) continue;
+    const value = body[key];
+    if (value === null) values[column] = null;
+    else if (key === 'transfersPerHour') {
+      if (!Number.isInteger(value) || value < 0) return { error: `${key} must be a non-negative integer or null` };
+      values[column] = value;
+    } else {
+      const cents = parseAmount(value);
+      if (cents === null) return { error: `${key} must be a positive amount or null` };
+      values[column] = cents;
+    }
+  }
+  if (!Object.keys(values).length) return { error: `Provide at least one of ${Object.keys(LIMIT_COLUMNS).join(', ')}` };
+  return { values };
+}
+
+async function saveLimits(scope, subject, values) {
+  const columns = Object.keys(values);
+  await runAsync(
+    `INSERT INTO transaction_limits (scope, subject, ${columns.join(', ')}) VALUES (?, ?, ${columns.map(() => '?').join(', ')})
+     ON CONFLICT(scope, subject) DO UPDATE SET ${columns.map((c) => `${c} = excluded.${c}`).join(', ')},
+       updated_at = CURRENT_TIMESTAMP`,
+    [scope, subject, ...Object.values(values)]
+  );
+  const row = await getAsync('SELECT * FROM transaction_limits WHERE scope = ? AND subject = ?', [scope, subject]);
+  const limits = {};
+  for (const [key, column] of Object.entries(LIMIT_COLUMNS)) limits[key] = row[column];
+  return { scope, subject, ...formatLimits(limits), updatedAt: row.updated_at };
+}
+
+app.put('/api/limits/roles/:role', authMiddleware, authorize('limits:manage'), async (req, res) => {
+  if (!ROLES.includes(req.params.role)) return sendError(res, 404, 'Unknown role', 'ROLE_NOT_FOUND');
+  const { values, error } = parseLimitsBody(req.body);
+  if (error) return sendError(res, 400, error, 'INVALID_REQUEST');
+  try {
+    const saved = await saveLimits('role', req.params.role, values);
+    await audit(req, { action: 'limits.update', targetType: 'role', targetId: req.params.role, details: req.body });
+    res.json(saved);
+  } catch (err) {
+    console.error('save role limits error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.put('/api/limits/users/:userId', authMiddleware, authorize('limits:manage'), async (req, res) => {
+  const { values, error } = parseLimitsBody(req.body);
+  if (error) return sendError(res, 400, error, 'INVALID_REQUEST');
+  try {
+    const user = await findUserById(req.params.userId);
+    if (!user) return sendError(res, 404, 'User not found', 'USER_NOT_FOUND');
+    const saved = await saveLimits('user', String(user.id), values);
+    await audit(req, { action: 'limits.update', targetType: 'user', targetId: user.id, details: req.body });
+    res.json(saved);
+  } catch (err) {
+    console.error('save user limits error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// -----------------------------
+// Currencies and exchange rates
+// GET  /api/fx/rates?base=&quote=        every rate, newest first; inEffect marks
+//                                        the one each pair currently uses
+// POST /api/fx/rates                     (admin) body: { base, quote, rate, effectiveFrom? }
+// GET  /api/fx/quote?amount=&from=&to=   from / to are currency codes, or use
+//                                        fromAccountId|fromAccountNumber and
+//                                        toAccountId|toAccountNumber
+// A pair's rate is the newest row whose effectiveFrom has passed; a USD/EUR
+// row also prices EUR -> USD at its inverse. Rates are never edited: a new
+// row with a later effectiveFrom replaces the old one. A quote's rateId can
+// be sent with the transfer, which then fails with RATE_CHANGED (409) instead
+// of converting at a different rate.
+// -----------------------------
+async function findExchangeRate(fromCurrency, toCurrency) {
+  return getAsync(
+    `SELECT * FROM exchange_rates
+     WHERE ((base_currency = ? AND quote_currency = ?) OR (base_currency = ? AND quote_currency = ?))
+       AND effective_from <= ?
+     ORDER BY effective_from DESC, id DESC
+     LIMIT 1`,
+    [fromCurrency, toCurrency, toCurrency, fromCurrency, clock.now().toISOString()]
+  );
+}
+
+// Price `amount` cents of fromCurrency in toCurrency:
+// { rate, rateId, effectiveFrom, convertedAmount }, rate being toCurrency per fromCurrency
+async function quoteConversion(fromCurrency, toCurrency, amount) {
+  if (fromCurrency === toCurrency) return { rate: RATE_SCALE, rateId: null, effectiveFrom: null, convertedAmount: amount };
+  const row = await findExchangeRate(fromCurrency, toCurrency);
+  if (!row) {
+    throw new BankError(400, `No exchange rate for ${fromCurrency}/${toCurrency}`, 'no exchange rate', 'NO_EXCHANGE_RATE');
+  }
+  const inverse = row.base_currency !== fromCurrency;
+  const convertedAmount = inverse ? applyInverseRate(amount, row.rate) : applyRate(amount, row.rate);
+  if (convertedAmount <= 0) {
+    throw new BankError(400, 'Amount is too small to convert', 'amount too small to convert', 'AMOUNT_TOO_SMALL');
+  }
+  return {
+    rate: inverse ? invertRate(row.rate) : row.rate,
+    rateId: row.id,
+    effectiveFrom: row.effective_from,
+    convertedAmount,
+  };
+}
+
+// `amount` cents of `currency` in BASE_CURRENCY at the rate in effect, for
+// totals and limits. Unlike quoteConversion, small amounts may round to zero.
+async function toBaseCurrency(currency, amount) {
+  if (currency === BASE_CURRENCY || !amount) return amount;
+  const row = await findExchangeRate(currency, BASE_CURRENCY);
+  if (!row) {
+    throw new BankError(400, `No exchange rate for ${currency}/${BASE_CURRENCY}`, 'no exchange rate', 'NO_EXCHANGE_RATE');
+  }
+  return row.base_currency === currency ? applyRate(amount, row.rate) : applyInverseRate(amount, row.rate);
+}
+
+function formatConversion(fromCurrency, toCurrency, amount, fx) {
+  return {
+    amount: formatCents(amount),
+    currency: fromCurrency,
+    convertedAmount: formatCents(fx.convertedAmount),
+    convertedCurrency: toCurrency,
+    rate: formatRate(fx.rate),
+    rateId: fx.rateId,
+    effectiveFrom: fx.effectiveFrom,
+  };
+}
+
+function formatExchangeRate(r) {
+  return {
+    id: r.id,
+    base: r.base_currency,
+    quote: r.quote_currency,
+    rate: formatRate(r.rate),
+    effectiveFrom: r.effective_from,
+    createdBy: r.created_by,
+    createdAt: r.created_at,
+  };
+}
+
+function parseCurrency(value) {
+  return typeof value === 'string' && CURRENCIES.includes(value.toUpperCase()) ? value.toUpperCase() : null;
+}
+
+app.get('/api/fx/rates', authMiddleware, async (req, res) => {
+  const where = [];
+  const params = [];
+  for (const [param, column] of [['base', 'base_currency'], ['quote', 'quote_currency']]) {
+    if (req.query[param] === undefined) continue;
+    const currency = parseCurrency(req.query[param]);
+    if (!currency) return sendError(res, 400, `${param} must be one of ${CURRENCIES.join(', ')}`, 'INVALID_REQUEST');
+    where.push(`${column} = ?`);
+    params.push(currency);
+  }
+  try {
+    const rows = await allAsync(
+      `SELECT * FROM exchange_rates ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY effective_from DESC, id DESC`,
+      params
+    );
+    const now = clock.now().toISOString();
+    const pairsInEffect = new Set();
+    const rates = rows.map((r) => {
+      const pair = [r.base_currency, r.quote_currency].sort().join('/');
+      const inEffect = r.effective_from <= now && !pairsInEffect.has(pair);
+      if (inEffect) pairsInEffect.add(pair);
+      return { ...formatExchangeRate(r), inEffect };
+    });
+    res.json({ baseCurrency: BASE_CURRENCY, currencies: CURRENCIES, rates });
+  } catch (err) {
+    console.error('exchange rates list error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.post('/api/fx/rates', authMiddleware, authorize('fx:manage'), async (req, res) => {
+  const base = parseCurrency(req.body.base);
+  const quote = parseCurrency(req.body.quote);
+  if (!base || !quote || base === quote) {
+    return sendError(
+      res,
+      400,
+      `base and quote must be two different currencies of ${CURRENCIES.join(', ')}`,
+      'INVALID_REQUEST'
+    );
+  }
+  const rate = parseRate(req.body.rate);
+  if (rate === null) {
+    return sendError(res, 400, 'rate must be a positive decimal with at most 8 decimals', 'INVALID_REQUEST');
+  }
+  const effectiveFrom = req.body.effectiveFrom === undefined ? clock.now() : parseIsoDate(req.body.effectiveFrom);
+  if (!effectiveFrom) return sendError(res, 400, 'effectiveFrom must be an ISO date', 'INVALID_REQUEST');
+
+  try {
+    const result = await runAsync(
+      'INSERT INTO exchange_rates (base_currency, quote_currency, rate, effective_from, created_by) VALUES (?, ?, ?, ?, ?)',
+      [base, quote, rate, effectiveFrom.toISOString(), req.user.id]
+    );
+    const row = await getAsync('SELECT * FROM exchange_rates WHERE id = ?', [result.lastID]);
+    await audit(req, {
+      action: 'fx.rate_create',
+      targetType: 'exchange_rate',
+      targetId: row.id,
+      details: { base, quote, rate: formatRate(rate), effectiveFrom: row.effective_from },
+    });
+    res.status(201).json(formatExchangeRate(row));
+  } catch (err) {
+    console.error('exchange rate create error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.get('/api/fx/quote', authMiddleware, async (req, res) => {
+  const amount = parseAmount(req.query.amount);
+  if (amount === null) return sendError(res, 400, 'Invalid amount', 'INVALID_REQUEST');
+
+  try {
+    let fromCurrency = parseCurrency(req.query.from);
+    let toCurrency = parseCurrency(req.query.to);
+    const fromRef = accountRefFromBody(req.query, 'from');
+    const toRef = accountRefFromBody(req.query, 'to');
+    if (fromRef.id != null || fromRef.number) {
+      const from = await ownAccountOrReject(req, res, fromRef);
+      if (!from) return;
+      fromCurrency = from.currency;
+    }
+    if (toRef.id != null || toRef.number) {
+      const to = await findAccount(toRef);
+      if (!to) return sendError(res, 404, 'Recipient account not found', 'ACCOUNT_NOT_FOUND');
+      toCurrency = to.currency;
+    }
+    if (!fromCurrency || !toCurrency) {
+      return sendError(res, 400, 'Give from and to as currencies or as accounts', 'INVALID_REQUEST');
+    }
+
+    const fx = await quoteConversion(fromCurrency, toCurrency, amount);
+    res.json({ ...formatConversion(fromCurrency, toCurrency, amount, fx), quotedAt: clock.now().toISOString() });
+  } catch (err) {
+    sendMoneyError(res, err, 'Quote failed');
+  }
+});
+
+// -----------------------------
+// TRANSACTIONAL TRANSFER ENDPOINT
+// moveMoney runs inside withTransaction to ensure atomicity.
+// -----------------------------
+/*
+  POST /api/transfer
+  body: { fromAccountId | fromAccountNumber, toAccountNumber | toAccountId, amount: "12.34" | 12.34,
+          rateId? }
+  headers: Idempotency-Key (optional), X-TOTP-Code (2FA users above their step-up threshold)
+  Requires auth. The source account must belong to the caller. amount is in
+  the source account's currency; when the recipient's differs, the response
+  carries the conversion (see "Currencies and exchange rates").
+*/
+app.post('/api/transfer', authMiddleware, requireStepUp, idempotency, async (req, res) => {
+  const amount = parseAmount(req.body.amount);
+  const toRef = accountRefFromBody(req.body, 'to');
+  if (amount === null || (toRef.id == null && !toRef.number)) {
+    return sendError(res, 400, 'Invalid input', 'INVALID_REQUEST');
+  }
+
+  try {
+    const from = await ownAccountOrReject(req, res, accountRefFromBody(req.body, 'from'));
+    if (!from) return;
+    const to = await findAccount(toRef);
+    if (!to) return sendError(res, 404, 'Recipient account not found', 'ACCOUNT_NOT_FOUND');
+
+    const result = await moveMoney({
+      type: 'transfer',
+      fromAccountId: from.id,
+      toAccountId: to.id,
+      amount,
+      rateId: req.body.rateId,
+      note: `transfer ${formatCents(amount)} from ${from.account_number} to ${to.account_number}`,
+    });
+
+    // Only reveal the recipient balance when the caller owns that account too
+    const body = { transactionId: result.transactionId, fromBalance: formatCents(result.from.balance) };
+    if (result.to.user_id === req.user.id) body.toBalance = formatCents(result.to.balance);
+    if (result.fx) body.conversion = formatConversion(result.from.currency, result.to.currency, result.amount, result.fx);
+    res.json(body);
+  } catch (err) {
+    sendMoneyError(res, err, 'Transfer failed, rolled back');
+  }
+});
+
+/*
+  POST /api/accounts/transfer
+  body: { fromAccountId | fromAccountNumber, toAccountId | toAccountNumber, amount, rateId? }
+  Moves money between two accounts owned by the caller, converting like /api/transfer.
+*/
+app.post('/api/accounts/transfer', authMiddleware, idempotency, async (req, res) => {
+  const amount = parseAmount(req.body.amount);
+  if (amount === null) return sendError(res, 400, 'Invalid amount', 'INVALID_REQUEST');
+
+  try {
+    const from = await ownAccountOrReject(req, res, accountRefFromBody(req.body, 'from'));
+    if (!from) return;
+    const to = await ownAccountOrReject(req, res, accountRefFromBody(req.body, 'to'));
+    if (!to) return;
+
+    const result = await moveMoney({
+      type: 'transfer',
+      fromAccountId: from.id,
+      toAccountId: to.id,
+      amount,
+      rateId: req.body.rateId,
+      note: `move ${formatCents(amount)} from ${from.account_number} to ${to.account_number}`,
+    });
+    const body = {
+      transactionId: result.transactionId,
+      fromBalance: formatCents(result.from.balance),
+      toBalance: formatCents(result.to.balance),
+    };
+    if (result.fx) body.conversion = formatConversion(result.from.currency, result.to.currency, result.amount, result.fx);
+    res.json(body);
+  } catch (err) {
+    sendMoneyError(res, err, 'Transfer failed, rolled back');
+  }
+});
+
+// -----------------------------
+// Fault injection (admin, not registered in production)
+// GET    /api/admin/faults          every point and what it is armed with
+// PUT    /api/admin/faults/:point   body: { action: 'throw' | 'delay' | 'busy', delayMs?, times? }
+// DELETE /api/admin/faults/:point   disarm one point
+// DELETE /api/admin/faults          disarm all
+// Arm a point, then use the ordinary money endpoints to watch the rollback.
+// -----------------------------
+if (FAULT_INJECTION_API) {
+  app.get('/api/admin/faults', authMiddleware, authorize('faults:manage'), (req, res) => {
+    res.json({ faults: faults.list() });
+  });
+
+  app.put('/api/admin/faults/:point', authMiddleware, authorize('faults:manage'), async (req, res) => {
+    const { point } = req.params;
+    if (!FAULT_POINTS.includes(point)) {
+      return sendError(res, 404, `Unknown fault point; one of ${FAULT_POINTS.join(', ')}`, 'FAULT_POINT_NOT_FOUND');
+    }
+    const { action = 'throw', delayMs = 0, times = null } = req.body;
+    if (!FAULT_ACTIONS.includes(action)) {
+      return sendError(res, 400, `action must be one of ${FAULT_ACTIONS.join(', ')}`, 'INVALID_REQUEST');
+    }
+    if (!Number.isInteger(delayMs) || delayMs < 0 || delayMs > 60 * 1000) {
+      return sendError(res, 400, 'delayMs must be an integer between 0 and 60000', 'INVALID_REQUEST');
+    }
+    if (times !== null && (!Number.isInteger(times) || times < 1)) {
+      return sendError(res, 400, 'times must be a positive integer or null', 'INVALID_REQUEST');
+    }
+    faults.arm(point, { action, delayMs, times });
+    await audit(req, { action: 'fault.arm', targetType: 'fault_point', targetId: point, details: { action, delayMs, times } });
+    res.json(faults.list().find((f) => f.point === point));
+  });
+
+  app.delete('/api/admin/faults/:point', authMiddleware, authorize('faults:manage'), async (req, res) => {
+    const { point } = req.params;
+    if (!FAULT_POINTS.includes(point)) return sendError(res, 404, 'Unknown fault point', 'FAULT_POINT_NOT_FOUND');
+    faults.disarm(point);
+    await audit(req, { action: 'fault.disarm', targetType: 'fault_point', targetId: point });
+    res.status(204).end();
+  });
+
+  app.delete('/api/admin/faults', authMiddleware, authorize('faults:manage'), async (req, res) => {
+    faults.disarm();
+    await audit(req, { action: 'fault.disarm', targetType: 'fault_point' });
+    res.status(204).end();
+  });
+}
+
+// -----------------------------
+// DEPOSIT / WITHDRAW — done inside transactions too (example)
+// POST /api/deposit-tx { accountId | accountNumber, amount }
+// POST /api/withdraw-tx { accountId | accountNumber, amount }
+// Both accept an optional Idempotency-Key header.
+// -----------------------------
+app.post('/api/deposit-tx', authMiddleware, idempotency, async (req, res) => {
+  const amount = parseAmount(req.body.amount);
+  if (amount === null) return sendError(res, 400, 'Invalid amount', 'INVALID_REQUEST');
+
+  try {
+    const account = await ownAccountOrReject(req, res, accountRefFromBody(req.body));
+    if (!account) return;
+    const result = await moveMoney({
+      type: 'deposit',
+      toAccountId: account.id,
+      amount,
+      note: 'deposit via deposit-tx',
+    });
+    res.json({ transactionId: result.transactionId, balance: formatCents(result.to.balance) });
+  } catch (err) {
+    sendMoneyError(res, err, 'Deposit failed, rolled back');
+  }
+});
+
+app.post('/api/withdraw-tx', authMiddleware, idempotency, async (req, res) => {
+  const amount = parseAmount(req.body.amount);
+  if (amount === null) return sendError(res, 400, 'Invalid amount', 'INVALID_REQUEST');
+
+  try {
+    const account = await ownAccountOrReject(req, res, accountRefFromBody(req.body));
+    if (!account) return;
+    const result = await moveMoney({
+      type: 'withdraw',
+      fromAccountId: account.id,
+      amount,
+      note: 'withdraw via withdraw-tx',
+    });
+    res.json({ transactionId: result.transactionId, balance: formatCents(result.from.balance) });
+  } catch (err) {
+    sendMoneyError(res, err, 'Withdraw failed, rolled back');
+  }
+});
+
+// -----------------------------
+// Authorization holds
+// GET  /api/holds?accountId=&status=  own holds (tellers/admins: ?accountId= of anyone)
+// POST /api/holds                     body: { accountId | accountNumber, amount,
+//                                             toAccountId | toAccountNumber?, description?,
+//                                             expiresAt? }
+// GET  /api/holds/:id
+// POST /api/holds/:id/capture         body: { amount? } (default: the whole hold)
+// POST /api/holds/:id/release
+// A hold reserves money on an account without moving it: the ledger balance
+// stays put while the available balance (ledger minus active holds) drops,
+// and withdrawals and transfers are checked against the available balance.
+// Capturing moves up to the held amount through moveMoney, to the payee
+// account when the hold has one and out to cash otherwise, and releases the
+// rest. Holds not captured or released by expiresAt (default
+// HOLD_DEFAULT_TTL_HOURS) stop counting at that moment and are marked
+// expired by the sweeper.
+// -----------------------------
+const HOLD_STATUSES = ['active', 'captured', 'released', 'expired'];
+
+// Sum of the account's active, unexpired holds, leaving out `exceptHoldId`
+async function heldAmount(accountId, exceptHoldId = null) {
+  const row = await getAsync(
+    `SELECT COALESCE(SUM(amount), 0) AS held FROM holds
+     WHERE account_id = ? AND status = 'active' AND expires_at > ? AND id IS NOT ?`,
+    [accountId, clock.now().toISOString(), exceptHoldId]
+  );
+  return row.held;
+}
+
+// account id -> held cents, for the given accounts
+async function heldAmounts(accountIds) {
+  if (!accountIds.length) return new Map();
+  const rows = await allAsync(
+    `SELECT account_id, SUM(amount) AS held FROM holds
+     WHERE account_id IN (${accountIds.map(() => '?').join(', ')}) AND status = 'active' AND expires_at > ?
+     GROUP BY account_id`,
+    [...accountIds, clock.now().toISOString()]
+  );
+  return new Map(rows.map((r) => [r.account_id, r.held]));
+}
+
+function formatHold(h) {
+  return {
+    id: h.id,
+    accountId: h.account_id,
+    toAccountId: h.to_account,
+    amount: formatCents(h.amount),
+    capturedAmount: h.captured_amount == null ? null : formatCents(h.captured_amount),
+    status: h.status,
+    description: h.description,
+    expiresAt: h.expires_at,
+    createdAt: h.created_at,
+    resolvedAt: h.resolved_at,
+    captureTransactionId: h.capture_transaction_id,
+  };
+}
+
+// Load a hold on one of the caller's accounts (staff may read any), or send 404/403 and return null
+async function holdOrReject(req, res, { write = false } = {}) {
+  const hold = await getAsync(
+    'SELECT h.*, a.user_id FROM holds h JOIN accounts a ON a.id = h.account_id WHERE h.id = ?',
+    [req.params.id]
+  );
+  if (!hold) {
+    sendError(res, 404, 'Hold not found', 'HOLD_NOT_FOUND');
+    return null;
+  }
+  const allowed = write ? hold.user_id === req.user.id : canReadUserData(req.user, hold.user_id);
+  if (!allowed) {
+    forbidden(res);
+    return null;
+  }
+  return hold;
+}
+
+// Mark holds past their expiry; returns how many were expired
+async function expireStaleHolds() {
+  const now = clock.now().toISOString();
+  const result = await runAsync(
+    `UPDATE holds SET status = 'expired', resolved_at = ? WHERE status = 'active' AND expires_at <= ?`,
+    [now, now]
+  );
+  return result.changes;
+}
+
+function startHoldSweeper() {
+  return setInterval(() => {
+    expireStaleHolds().catch((err) => console.error('hold sweeper error', err));
+  }, HOLD_SWEEP_INTERVAL_MS);
+}
+
+app.get('/api/holds', authMiddleware, async (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !HOLD_STATUSES.includes(status)) {
+    return sendError(res, 400, `status must be one of ${HOLD_STATUSES.join(', ')}`, 'INVALID_REQUEST');
+  }
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.accountId) {
+      const account = await findAccount({ id: req.query.accountId });
+      if (!account) return sendError(res, 404, 'Account not found', 'ACCOUNT_NOT_FOUND');
+      if (!canReadUserData(req.user, account.user_id)) return forbidden(res);
+      where.push('h.account_id = ?');
+      params.push(account.id);
+    } else {
+      where.push('a.user_id = ?');
+      params.push(req.user.id);
+    }
+    if (status) {
+      where.push('h.status = ?');
+      params.push(status);
+    }
+    const holds = await allAsync(
+      `SELECT h.* FROM holds h JOIN accounts a ON a.id = h.account_id
+       WHERE ${where.join(' AND ')} ORDER BY h.id DESC`,
+      params
+    );
+    res.json(holds.map(formatHold));
+  } catch (err) {
+    console.error('holds list error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.post('/api/holds', authMiddleware, requireStepUp, idempotency, async (req, res) => {
+  const amount = parseAmount(req.body.amount);
+  if (amount === null) return sendError(res, 400, 'Invalid amount', 'INVALID_REQUEST');
+  const expiresAt =
+    req.body.expiresAt === undefined
+      ? new Date(clock.now().getTime() + HOLD_DEFAULT_TTL_HOURS * HOUR_MS)
+      : parseIsoDate(req.body.expiresAt);
+  if (!expiresAt || expiresAt <= clock.now()) {
+    return sendError(res, 400, 'expiresAt must be a future ISO time', 'INVALID_REQUEST');
+  }
+  if (expiresAt > new Date(clock.now().getTime() + HOLD_MAX_TTL_HOURS * HOUR_MS)) {
+    return sendError(res, 400, `Holds last at most ${HOLD_MAX_TTL_HOURS} hours`, 'INVALID_REQUEST');
+  }
+  const description = typeof req.body.description === 'string' ? req.body.description.slice(0, 200) : null;
+
+  try {
+    const account = await ownAccountOrReject(req, res, accountRefFromBody(req.body));
+    if (!account) return;
+    const toRef = accountRefFromBody(req.body, 'to');
+    let payee = null;
+    if (toRef.id != null || toRef.number) {
+      payee = await findAccount(toRef);
+      if (!payee) return sendError(res, 404, 'Recipient account not found', 'ACCOUNT_NOT_FOUND');
+      if (payee.id === account.id) return sendError(res, 400, 'Cannot hold funds for the same account', 'SAME_ACCOUNT');
+    }
+
+    const hold = await withTransaction(async () => {
+      const fresh = await getAsync('SELECT * FROM accounts WHERE id = ?', [account.id]);
+      if (fresh.status !== 'open') throw new BankError(409, `Account is ${fresh.status}`, null, 'ACCOUNT_NOT_OPEN');
+      if (fresh.balance - (await heldAmount(fresh.id)) < amount) {
+        throw new BankError(400, 'Insufficient funds', null, 'INSUFFICIENT_FUNDS');
+      }
+      const result = await runAsync(
+        `INSERT INTO holds (account_id, to_account, amount, description, expires_at, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [fresh.id, payee && payee.id, amount, description, expiresAt.toISOString(), req.user.id]
+      );
+      return getAsync('SELECT * FROM holds WHERE id = ?', [result.lastID]);
+    });
+    const available = account.balance - (await heldAmount(account.id));
+    res.status(201).json({ ...formatHold(hold), availableBalance: formatCents(available) });
+  } catch (err) {
+    sendMoneyError(res, err, 'Hold failed');
+  }
+});
+
+app.get('/api/holds/:id', authMiddleware, async (req, res) => {
+  try {
+    const hold = await holdOrReject(req, res);
+    if (hold) res.json(formatHold(hold));
+  } catch (err) {
+    console.error('hold get error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.post('/api/holds/:id/capture', authMiddleware, idempotency, async (req, res) => {
+  try {
+    const hold = await holdOrReject(req, res, { write: true });
+    if (!hold) return;
+    if (hold.status !== 'active' || hold.expires_at <= clock.now().toISOString()) {
+      return sendError(res, 409, `Hold is ${hold.status === 'active' ? 'expired' : hold.status}`, 'HOLD_NOT_ACTIVE');
+    }
+    const amount = req.body.amount === undefined ? hold.amount : parseAmount(req.body.amount);
+    if (amount === null) return sendError(res, 400, 'Invalid amount', 'INVALID_REQUEST');
+    if (amount > hold.amount) {
+      return sendError(res, 400, 'Cannot capture more than the held amount', 'CAPTURE_EXCEEDS_HOLD');
+    }
+
+    const result = await moveMoney({
+      type: hold.to_account ? 'transfer' : 'withdraw',
+      fromAccountId: hold.account_id,
+      toAccountId: hold.to_account,
+      amount,
+      captureHoldId: hold.id,
+      note: `capture of hold #${hold.id}${hold.description ? `: ${hold.description}` : ''}`,
+    });
+    res.json({
+      ...formatHold(await getAsync('SELECT * FROM holds WHERE id = ?', [hold.id])),
+      transactionId: result.transactionId,
+      balance: formatCents(result.from.balance),
+    });
+  } catch (err) {
+    sendMoneyError(res, err, 'Capture failed, rolled back');
+  }
+});
+
+app.post('/api/holds/:id/release', authMiddleware, async (req, res) => {
+  try {
+    const hold = await holdOrReject(req, res, { write: true });
+    if (!hold) return;
+    const result = await runAsync(
+      `UPDATE holds SET status = 'released', resolved_at = ? WHERE id = ? AND status = 'active'`,
+      [clock.now().toISOString(), hold.id]
+    );
+    if (!result.changes) return sendError(res, 409, `Hold is ${hold.status}`, 'HOLD_NOT_ACTIVE');
+    res.json(formatHold(await getAsync('SELECT * FROM holds WHERE id = ?', [hold.id])));
+  } catch (err) {
+    console.error('hold release error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// -----------------------------
+// Scheduled and recurring transfers (standing orders)
+// GET    /api/scheduled-transfers
+// POST   /api/scheduled-transfers      body: { fromAccountId | fromAccountNumber,
+//          toAccountNumber | toAccountId, amount, frequency, startAt?, endAt?, note? }
+// GET    /api/scheduled-transfers/:id
+// PATCH  /api/scheduled-transfers/:id  body: { amount?, status?: 'active' | 'paused', endAt?, note? }
+// DELETE /api/scheduled-transfers/:id  (cancels)
+//
+// Runs repeat from startAt: weekly keeps its weekday, monthly its day of the
+// month (clamped to shorter months, so the 31st becomes Feb 28/29).
+// Setting an amount above the step-up threshold needs X-TOTP-Code, as for
+// /api/transfer.
+// -----------------------------
+const FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date of the n-th run (0-based), or null when the rule has no such run
+function nthRun(startAt, frequency, n) {
+  const start = new Date(startAt);
+  if (frequency === 'once') return n === 0 ? start : null;
+  if (frequency === 'daily') return new Date(start.getTime() + n * DAY_MS);
+  if (frequency === 'weekly') return new Date(start.getTime() + n * 7 * DAY_MS);
+  const run = new Date(start);
+  run.setUTCDate(1);
+  run.setUTCMonth(start.getUTCMonth() + n);
+  const lastDay = new Date(Date.UTC(run.getUTCFullYear(), run.getUTCMonth() + 1, 0)).getUTCDate();
+  run.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+  return run;
+}
+// ISO time of run n, or null once the rule (or its end date) is exhausted
+function nextRunAt(schedule, n) {
+  const run = nthRun(schedule.start_at, schedule.frequency, n);
+  if (!run || (schedule.end_at && run.toISOString() > schedule.end_at)) return null;
+  return run.toISOString();
+}
+
+function parseIsoDate(value) {
+  if (typeof value !== 'string') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function formatScheduledTransfer(s) {
+  return {
+    id: s.id,
+    fromAccountId: s.from_account,
+    toAccountId: s.to_account,
+    amount: formatCents(s.amount),
+    frequency: s.frequency,
+    startAt: s.start_at,
+    endAt: s.end_at,
+    nextRunAt: s.next_run_at,
+    status: s.status,
+    note: s.note,
+    runCount: s.run_count,
+    lastRunAt: s.last_run_at,
+    lastStatus: s.last_status,
+  };
+}
+
+// Load a schedule the caller may see; owners can change it, staff can read it
+async function scheduledTransferOrReject(req, res, { write = false } = {}) {
+  const schedule = await getAsync('SELECT * FROM scheduled_transfers WHERE id = ?', [req.params.id]);
+  if (!schedule) {
+    sendError(res, 404, 'Scheduled transfer not found', 'SCHEDULED_TRANSFER_NOT_FOUND');
+    return null;
+  }
+  const allowed = write ? schedule.user_id === req.user.id : canReadUserData(req.user, schedule.user_id);
+  if (!allowed) {
+    forbidden(res);
+    return null;
+  }
+  return schedule;
+}
+
+app.get('/api/scheduled-transfers', authMiddleware, async (req, res) => {
+  try {
+    const rows = await allAsync('SELECT * FROM scheduled_transfers WHERE user_id = ? ORDER BY id', [req.user.id]);
+    res.json(rows.map(formatScheduledTransfer));
+  } catch (err) {
+    console.error('scheduled transfers list error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.post('/api/scheduled-transfers', authMiddleware, requireStepUp, async (req, res) => {
+  const amount = parseAmount(req.body.amount);
+  const { frequency } = req.body;
+  const toRef = accountRefFromBody(req.body, 'to');
+  const now = clock.now();
+  const startAt = req.body.startAt === undefined ? now : parseIsoDate(req.body.startAt);
+  const endAt = req.body.endAt === undefined ? null : parseIsoDate(req.body.endAt);
+
+  if (amount === null || (toRef.id == null && !toRef.number)) {
+    return sendError(res, 400, 'Invalid input', 'INVALID_REQUEST');
+  }
+  if (!FREQUENCIES.includes(frequency)) {
+    return sendError(res, 400, `frequency must be one of ${FREQUENCIES.join(', ')}`, 'INVALID_REQUEST');
+  }
+  // a minute of slack for client clock skew; older start dates would trigger a catch-up burst
+  if (!startAt || startAt.getTime() < now.getTime() - 60 * 1000) {
+    return sendError(res, 400, 'startAt must be an ISO date that is not in the past', 'INVALID_REQUEST');
+  }
+  if (req.body.endAt !== undefined && (!endAt || endAt < startAt)) {
+    return sendError(res, 400, 'endAt must be an ISO date after startAt', 'INVALID_REQUEST');
+  }
+
+  try {
+    const from = await ownAccountOrReject(req, res, accountRefFromBody(req.body, 'from'));
+    if (!from) return;
+    const to = await findAccount(toRef);
+    if (!to) return sendError(res, 404, 'Recipient account not found', 'ACCOUNT_NOT_FOUND');
+    if (to.id === from.id) return sendError(res, 400, 'Cannot transfer to the same account', 'SAME_ACCOUNT');
+
+    const startIso = startAt.toISOString();
+    const result = await runAsync(
+      `INSERT INTO scheduled_transfers (user_id, from_account, to_account, amount, frequency, start_at, end_at, next_run_at, note)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user.id,
+        from.id,
+        to.id,
+        amount,
+        frequency,
+        startIso,
+        endAt && endAt.toISOString(),
+        startIso,
+        typeof req.body.note === 'string' ? req.body.note.slice(0, 200) : null,
+      ]
+    );
+    const schedule = await getAsync('SELECT * FROM scheduled_transfers WHERE id = ?', [result.lastID]);
+    res.status(201).json(formatScheduledTransfer(schedule));
+  } catch (err) {
+    console.error('scheduled transfer create error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.get('/api/scheduled-transfers/:id', authMiddleware, async (req, res) => {
+  try {
+    const schedule = await scheduledTransferOrReject(req, res);
+    if (!schedule) return;
+    res.json(formatScheduledTransfer(schedule));
+  } catch (err) {
+    console.error('scheduled transfer read error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.patch('/api/scheduled-transfers/:id', authMiddleware, requireStepUp, async (req, res) => {
+  try {
+    const schedule = await scheduledTransferOrReject(req, res, { write: true });
+    if (!schedule) return;
+    if (!['active', 'paused'].includes(schedule.status)) {
+      return sendError(res, 409, `Scheduled transfer is ${schedule.status}`, 'SCHEDULED_TRANSFER_ENDED');
+    }
+
+    const updated = { ...schedule };
+    if (req.body.amount !== undefined) {
+      updated.amount = parseAmount(req.body.amount);
+      if (updated.amount === null) return sendError(res, 400, 'Invalid amount', 'INVALID_REQUEST');
+    }
+    if (req.body.note !== undefined) {
+      updated.note = typeof req.body.note === 'string' ? req.body.note.slice(0, 200) : null;
+    }
+    if (req.body.endAt !== undefined) {
+      const endAt = req.body.endAt === null ? null : parseIsoDate(req.body.endAt);
+      if (req.body.endAt !== null && (!endAt || endAt.toISOString() < schedule.start_at)) {
+        return sendError(res, 400, 'endAt must be an ISO date after startAt', 'INVALID_REQUEST');
+      }
+      updated.end_at = endAt && endAt.toISOString();
+    }
+    if (req.body.status !== undefined) {
+      if (!['active', 'paused'].includes(req.body.status)) {
+        return sendError(res, 400, 'status must be active or paused', 'INVALID_REQUEST');
+      }
+      updated.status = req.body.status;
+    }
+    // Resuming skips the runs that fell inside the pause instead of catching up on them
+    if (schedule.status === 'paused' && updated.status === 'active') {
+      const nowIso = clock.now().toISOString();
+      while (nextRunAt(updated, updated.run_count) && nextRunAt(updated, updated.run_count) < nowIso) {
+        updated.run_count++;
+      }
+    }
+    updated.next_run_at = nextRunAt(updated, updated.run_count);
+    if (!updated.next_run_at) updated.status = 'completed';
+
+    await runAsync(
+      `UPDATE scheduled_transfers
+       SET amount = ?, note = ?, end_at = ?, status = ?, run_count = ?, next_run_at = ?
+       WHERE id = ?`,
+      [
+        updated.amount,
+        updated.note,
+        updated.end_at,
+        updated.status,
+        updated.run_count,
+        updated.next_run_at,
+        schedule.id,
+      ]
+    );
+    res.json(formatScheduledTransfer(updated));
+  } catch (err) {
+    console.error('scheduled transfer update error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.delete('/api/scheduled-transfers/:id', authMiddleware, async (req, res) => {
+  try {
+    const schedule = await scheduledTransferOrReject(req, res, { write: true });
+    if (!schedule) return;
+    await runAsync(`UPDATE scheduled_transfers SET status = 'cancelled', next_run_at = NULL WHERE id = ?`, [
+      schedule.id,
+    ]);
+    res.json(formatScheduledTransfer({ ...schedule, status: 'cancelled', next_run_at: null }));
+  } catch (err) {
+    console.error('scheduled transfer cancel error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// -----------------------------
+// Scheduler
+// Every SCHEDULER_INTERVAL_MS, runs whatever is due through moveMoney, the
+// same path as /api/transfer. Runs missed while the server was down are
+// caught up one by one. Tests can set clock.now and call
+// runDueScheduledTransfers() directly instead of waiting for the timer.
+// -----------------------------
+async function runScheduledTransfer(schedule, nowIso) {
+  let runCount = schedule.run_count;
+  let runAt = schedule.next_run_at;
+  let lastStatus = schedule.last_status;
+
+  while (runAt && runAt <= nowIso) {
+    // A committed row for this run means it went through before a crash
+    // but the schedule was not advanced; don't pay twice.
+    const done = await getAsync(
+      `SELECT id FROM transactions WHERE scheduled_transfer_id = ? AND scheduled_for = ? AND status = 'committed'`,
+      [schedule.id, runAt]
+    );
+    if (done) {
+      lastStatus = 'committed';
+    } else {
+      try {
+        await moveMoney({
+          type: 'transfer',
+          fromAccountId: schedule.from_account,
+          toAccountId: schedule.to_account,
+          amount: schedule.amount,
+          note: `scheduled transfer #${schedule.id}${schedule.note ? `: ${schedule.note}` : ''}`,
+          scheduledTransferId: schedule.id,
+          scheduledFor: runAt,
+        });
+        lastStatus = 'committed';
+      } catch (err) {
+        // moveMoney already recorded the rolled back run
+        if (!(err instanceof BankError)) console.error(`scheduled transfer #${schedule.id} error`, err);
+        lastStatus = 'rolledback';
+      }
+    }
+
+    runCount++;
+    const lastRunAt = runAt;
+    runAt = nextRunAt(schedule, runCount);
+    await runAsync(
+      `UPDATE scheduled_transfers
+       SET run_count = ?, next_run_at = ?, last_run_at = ?, last_status = ?,
+           status = CASE WHEN ? IS NULL THEN 'completed' ELSE status END
+       WHERE id = ?`,
+      [runCount, runAt, lastRunAt, lastStatus, runAt, schedule.id]
+    );
+  }
+}
+
+let schedulerRunning = false;
+async function runDueScheduledTransfers(now = clock.now()) {
+  // Skip a tick if the previous one is still working through a backlog
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+  try {
+    const nowIso = now.toISOString();
+    const due = await allAsync(
+      `SELECT * FROM scheduled_transfers WHERE status = 'active' AND next_run_at <= ? ORDER BY next_run_at`,
+      [nowIso]
+    );
+    for (const schedule of due) await runScheduledTransfer(schedule, nowIso);
+  } finally {
+    schedulerRunning = false;
+  }
+}
+
+function startScheduler() {
+  return setInterval(() => {
+    runDueScheduledTransfers().catch((err) => console.error('scheduler error', err));
+  }, SCHEDULER_INTERVAL_MS);
+}
+
+// -----------------------------
+// Webhooks (admin)
+// GET    /api/webhooks
+// POST   /api/webhooks                  body: { url, eventTypes: [...], secret? }
+// GET    /api/webhooks/:id
+// PATCH  /api/webhooks/:id              body: { url?, eventTypes?, status?: 'active' | 'paused' }
+// DELETE /api/webhooks/:id
+// GET    /api/webhooks/:id/deliveries   ?status=pending|succeeded|failed
+// POST   /api/webhook-deliveries/:id/redeliver
+//
+// Every transaction row becomes a `<type>.<status>` event (transfer.committed,
+// deposit.rolledback, ...); '*' subscribes to all. Deliveries are written to
+// webhook_deliveries by insertTransactionRecord, inside the same database
+// transaction as a committed row, so an event exists exactly when its
+// transaction does. The worker POSTs each due delivery with
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+// and retries non-2xx answers after WEBHOOK_RETRY_BASE_SECONDS * 2^(attempt-1),
+// giving up after WEBHOOK_MAX_ATTEMPTS. Every attempt is kept in webhook_attempts.
+// -----------------------------
+const WEBHOOK_EVENT_TYPES = ['deposit', 'withdraw', 'transfer', 'reversal'].flatMap((type) => [
+  `${type}.committed`,
+  `${type}.rolledback`,
+]);
+const WEBHOOK_STATUSES = ['active', 'paused'];
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+function signWebhook(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Queue one delivery per active subscription that wants this transaction's event
+async function enqueueWebhookEvents(transactionId) {
+  const tx = await getAsync(
+    `SELECT t.*, a1.account_number AS from_account_number, a2.account_number AS to_account_number
+     FROM transactions t
+     LEFT JOIN accounts a1 ON t.from_account = a1.id
+     LEFT JOIN accounts a2 ON t.to_account = a2.id
+     WHERE t.id = ?`,
+    [transactionId]
+  );
+  const eventType = `${tx.type}.${tx.status}`;
+  if (!WEBHOOK_EVENT_TYPES.includes(eventType)) return;
+  const subscriptions = await allAsync(`SELECT id, event_types FROM webhook_subscriptions WHERE status = 'active'`);
+  const wanted = subscriptions.filter((s) => {
+    const types = JSON.parse(s.event_types);
+    return types.includes('*') || types.includes(eventType);
+  });
+  if (!wanted.length) return;
+
+  const eventId = crypto.randomUUID();
+  const payload = JSON.stringify({
+    id: eventId,
+    type: eventType,
+    createdAt: clock.now().toISOString(),
+    data: { transaction: formatTransactionRow(tx) },
+  });
+  for (const subscription of wanted) {
+    await runAsync(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [subscription.id, eventId, eventType, payload, clock.now().toISOString()]
+    );
+  }
+}
+
+async function attemptDelivery(delivery) {
+  const timestamp = Math.floor(clock.now().getTime() / 1000);
+  const started = Date.now();
+  let statusCode = null;
+  let error = null;
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TransactionalBank-Webhooks/1',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Signature': `t=${timestamp},v1=${signWebhook(delivery.secret, timestamp, delivery.payload)}`,
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    statusCode = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? 'timed out' : err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  let status = 'succeeded';
+  let nextAttemptAt = null;
+  if (error) {
+    status = attempts >= WEBHOOK_MAX_ATTEMPTS ? 'failed' : 'pending';
+    if (status === 'pending') {
+      const delayMs = WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1) * 1000;
+      nextAttemptAt = new Date(clock.now().getTime() + delayMs).toISOString();
+    }
+  }
+  await withTransaction(async () => {
+    await runAsync(
+      `INSERT INTO webhook_attempts (delivery_id, attempted_at, status_code, error, duration_ms) VALUES (?, ?, ?, ?, ?)`,
+      [delivery.id, clock.now().toISOString(), statusCode, error, Date.now() - started]
+    );
+    await runAsync(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, next_attempt_at = ?, last_status_code = ?, last_error = ?,
+           delivered_at = CASE WHEN ? = 'succeeded' THEN ? ELSE delivered_at END
+       WHERE id = ?`,
+      [status, attempts, nextAttemptAt, statusCode, error, status, clock.now().toISOString(), delivery.id]
+    );
+  });
+}
+
+let webhookWorkerRunning = false;
+async function deliverDueWebhooks(now = clock.now()) {
+  if (webhookWorkerRunning) return;
+  webhookWorkerRunning = true;
+  try {
+    const due = await allAsync(
+      `SELECT d.*, s.url, s.secret FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.status = 'pending' AND s.status = 'active' AND d.next_attempt_at <= ?
+       ORDER BY d.id LIMIT 100`,
+      [now.toISOString()]
+    );
+    for (const delivery of due) await attemptDelivery(delivery);
+  } finally {
+    webhookWorkerRunning = false;
+  }
+}
+
+function startWebhookWorker() {
+  return setInterval(() => {
+    deliverDueWebhooks().catch((err) => console.error('webhook worker error', err));
+  }, WEBHOOK_INTERVAL_MS);
+}
+
+function formatWebhook(s) {
+  return {
+    id: s.id,
+    url: s.url,
+    eventTypes: JSON.parse(s.event_types),
+    status: s.status,
+    createdAt: s.created_at,
+  };
+}
+
+// Validate url / eventTypes from a body (none at all reads as empty); { error } on bad input
+function parseWebhookBody(body = {}, { partial = false } = {}) {
+  const values = {};
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(String(body.url));
+    } catch (err) {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return { error: 'url must be an absolute http(s) URL' };
+    values.url = url.toString();
+  }
+  if (body.eventTypes !== undefined || !partial) {
+    const types = body.eventTypes;
+    const allowed = [...WEBHOOK_EVENT_TYPES, '*'];
+    if (!Array.isArray(types) || !types.length || !types.every((t) => allowed.includes(t))) {
+      return { error: `eventTypes must be a non-empty list of: ${allowed.join(', ')}` };
+    }
+    values.event_types = JSON.stringify([...new Set(types)]);
+  }
+  if (body.status !== undefined) {
+    if (!WEBHOOK_STATUSES.includes(body.status)) return { error: `status must be ${WEBHOOK_STATUSES.join(' or ')}` };
+    values.status = body.status;
+  }
+  return { values };
+}
+
+async function webhookOrReject(res, id) {
+  const subscription = await getAsync('SELECT * FROM webhook_subscriptions WHERE id = ?', [id]);
+  if (!subscription) sendError(res, 404, 'Webhook not found', 'WEBHOOK_NOT_FOUND');
+  return subscription;
+}
+
+app.get('/api/webhooks', authMiddleware, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    const rows = await allAsync('SELECT * FROM webhook_subscriptions ORDER BY id');
+    res.json(rows.map(formatWebhook));
+  } catch (err) {
+    console.error('list webhooks error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.post('/api/webhooks', authMiddleware, authorize('webhooks:manage'), async (req, res) => {
+  const { values, error } = parseWebhookBody(req.body);
+  if (error) return sendError(res, 400, error, 'INVALID_REQUEST');
+  const { secret = `whsec_${crypto.randomBytes(24).toString('base64url')}` } = req.body;
+  if (typeof secret !== 'string' || secret.length < 16) {
+    return sendError(res, 400, 'secret must be a string of at least 16 characters', 'INVALID_REQUEST');
+  }
+  try {
+    const result = await runAsync(
+      `INSERT INTO webhook_subscriptions (user_id, url, secret, event_types, status) VALUES (?, ?, ?, ?, ?)`,
+      [req.user.id, values.url, secret, values.event_types, values.status || 'active']
+    );
+    const subscription = await getAsync('SELECT * FROM webhook_subscriptions WHERE id = ?', [result.lastID]);
+    await audit(req, { action: 'webhook.create', targetType: 'webhook', targetId: subscription.id });
+    // The secret is only ever returned here
+    res.status(201).json({ ...formatWebhook(subscription), secret });
+  } catch (err) {
+    console.error('create webhook error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.get('/api/webhooks/:id', authMiddleware, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    const subscription = await webhookOrReject(res, req.params.id);
+    if (subscription) res.json(formatWebhook(subscription));
+  } catch (err) {
+    console.error('get webhook error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.patch('/api/webhooks/:id', authMiddleware, authorize('webhooks:manage'), async (req, res) => {
+  const { values, error } = parseWebhookBody(req.body, { partial: true });
+  if (error) return sendError(res, 400, error, 'INVALID_REQUEST');
+  if (!Object.keys(values).length) return sendError(res, 400, 'Nothing to update', 'INVALID_REQUEST');
+  try {
+    const subscription = await webhookOrReject(res, req.params.id);
+    if (!subscription) return;
+    await runAsync(
+      `UPDATE webhook_subscriptions SET ${Object.keys(values).map((c) => `${c} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(values), subscription.id]
+    );
+    await audit(req, { action: 'webhook.update', targetType: 'webhook', targetId: subscription.id, details: req.body });
+    res.json(formatWebhook({ ...subscription, ...values }));
+  } catch (err) {
+    console.error('update webhook error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// Drops the subscription together with its queue and delivery log
+app.delete('/api/webhooks/:id', authMiddleware, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    const subscription = await webhookOrReject(res, req.params.id);
+    if (!subscription) return;
+    await withTransaction(async () => {
+      await runAsync(
+        `DELETE FROM webhook_attempts WHERE delivery_id IN (SELECT id FROM webhook_deliveries WHERE subscription_id = ?)`,
+        [subscription.id]
+      );
+      await runAsync('DELETE FROM webhook_deliveries WHERE subscription_id = ?', [subscription.id]);
+      await runAsync('DELETE FROM webhook_subscriptions WHERE id = ?', [subscription.id]);
+    });
+    await audit(req, { action: 'webhook.delete', targetType: 'webhook', targetId: subscription.id });
+    res.status(204).end();
+  } catch (err) {
+    console.error('delete webhook error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.get('/api/webhooks/:id/deliveries', authMiddleware, authorize('webhooks:manage'), async (req, res) => {
+  const { status } = req.query;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return sendError(res, 400, `status must be among ${DELIVERY_STATUSES.join(', ')}`, 'INVALID_REQUEST');
+  }
+  try {
+    const subscription = await webhookOrReject(res, req.params.id);
+    if (!subscription) return;
+    const deliveries = await allAsync(
+      `SELECT * FROM webhook_deliveries WHERE subscription_id = ? ${status ? 'AND status = ?' : ''}
+       ORDER BY id DESC LIMIT 200`,
+      status ? [subscription.id, status] : [subscription.id]
+    );
+    const attempts = await allAsync(
+      `SELECT * FROM webhook_attempts WHERE delivery_id IN (${deliveries.map(() => '?').join(', ') || 'NULL'})
+       ORDER BY id`,
+      deliveries.map((d) => d.id)
+    );
+    res.json(
+      deliveries.map((d) => ({
+        id: d.id,
+        eventId: d.event_id,
+        eventType: d.event_type,
+        status: d.status,
+        attempts: d.attempts,
+        nextAttemptAt: d.next_attempt_at,
+        lastStatusCode: d.last_status_code,
+        lastError: d.last_error,
+        createdAt: d.created_at,
+        deliveredAt: d.delivered_at,
+        payload: JSON.parse(d.payload),
+        log: attempts
+          .filter((a) => a.delivery_id === d.id)
+          .map((a) => ({
+            attemptedAt: a.attempted_at,
+            statusCode: a.status_code,
+            error: a.error,
+            durationMs: a.duration_ms,
+          })),
+      }))
+    );
+  } catch (err) {
+    console.error('list deliveries error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// Queue a delivery again from scratch (fresh attempt budget), whatever its status
+app.post('/api/webhook-deliveries/:id/redeliver', authMiddleware, authorize('webhooks:manage'), async (req, res) => {
+  try {
+    const result = await runAsync(
+      `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ?`,
+      [clock.now().toISOString(), req.params.id]
+    );
+    if (result.changes === 0) return sendError(res, 404, 'Delivery not found', 'DELIVERY_NOT_FOUND');
+    await audit(req, { action: 'webhook.redeliver', targetType: 'webhook_delivery', targetId: req.params.id });
+    deliverDueWebhooks().catch((err) => console.error('webhook worker error', err));
+    res.status(202).json({ id: Number(req.params.id), status: 'pending' });
+  } catch (err) {
+    console.error('redeliver error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// -----------------------------
+// Live stream (Server-Sent Events)
+// GET /api/stream     Authorization header, or ?access_token= for EventSource,
+//                     which cannot set headers
+// Pushes, per user, after every committed money movement that touches them:
+//   event: transaction   data: the transaction as listed by /api/transactions
+//   event: balance       data: { accountId, accountNumber, currency, balance } per own account
+// Events are kept in stream_events for STREAM_RETENTION_HOURS; a client that
+// reconnects with Last-Event-ID (EventSource does this itself) first gets
+// what it missed. A comment line goes out every STREAM_HEARTBEAT_MS. The
+// stream ends with `event: expired` when the access token expires and with
+// `event: revoked` on logout or any other session revocation.
+// -----------------------------
+// userId -> Set of open streams ({ res, sid, send, close })
+const streamClients = new Map();
+
+function writeStreamEvent(res, row) {
+  res.write(`id: ${row.id}\nevent: ${row.event}\ndata: ${row.data}\n\n`);
+}
+
+// Store the events for the users a committed transaction touched and push them
+// to their open streams. Called after COMMIT; never throws.
+async function publishTransactionEvents(transactionId) {
+  try {
+    const tx = await getAsync(
+      `SELECT t.*, u1.username as from_username, u2.username as to_username,
+              a1.account_number as from_account_number, a2.account_number as to_account_number,
+              a1.balance as from_balance, a2.balance as to_balance,
+              a1.currency as from_currency, a2.currency as to_currency
+       FROM transactions t
+       LEFT JOIN users u1 ON t.from_user = u1.id
+       LEFT JOIN users u2 ON t.to_user = u2.id
+       LEFT JOIN accounts a1 ON t.from_account = a1.id
+       LEFT JOIN accounts a2 ON t.to_account = a2.id
+       WHERE t.id = ?`,
+      [transactionId]
+    );
+    const {
+      from_balance: fromBalance,
+      to_balance: toBalance,
+      from_currency: fromCurrency,
+      to_currency: toCurrency,
+      ...listed
+    } = tx;
+    const perUser = new Map();
+    const add = (userId, event, data) => {
+      if (!userId) return;
+      if (!perUser.has(userId)) perUser.set(userId, []);
+      perUser.get(userId).push([event, JSON.stringify(data)]);
+    };
+    for (const userId of new Set([tx.from_user, tx.to_user])) add(userId, 'transaction', formatTransactionRow(listed));
+    // each side only sees the balance of its own account
+    if (tx.from_account) {
+      add(tx.from_user, 'balance', {
+        accountId: tx.from_account,
+        accountNumber: tx.from_account_number,
+        currency: fromCurrency,
+        balance: formatCents(fromBalance),
+      });
+    }
+    if (tx.to_account) {
+      add(tx.to_user, 'balance', {
+        accountId: tx.to_account,
+        accountNumber: tx.to_account_number,
+        currency: toCurrency,
+        balance: formatCents(toBalance),
+      });
+    }
+
+    for (const [userId, events] of perUser) {
+      const rows = [];
+      for (const [event, data] of events) {
+        const result = await runAsync('INSERT INTO stream_events (user_id, event, data) VALUES (?, ?, ?)', [
+          userId,
+          event,
+          data,
+        ]);
+        rows.push({ id: result.lastID, event, data });
+      }
+      for (const client of streamClients.get(userId) || []) rows.forEach((row) => client.send(row));
+    }
+  } catch (err) {
+    console.error('stream publish error', err);
+  }
+}
+
+// End open streams for one session or for every session of a user
+function closeStreams({ sid, userId, exceptSid }, event) {
+  for (const [owner, clients] of streamClients) {
+    if (userId != null && owner !== userId) continue;
+    for (const client of clients) {
+      if ((sid == null || client.sid === sid) && client.sid !== exceptSid) client.close(event);
+    }
+  }
+}
+
+// EventSource cannot send headers, so accept the access token as a query parameter
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+app.get('/api/stream', tokenFromQuery, authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // keep proxies from buffering the stream
+  });
+  res.write('retry: 3000\n\n');
+
+  // Live events that arrive while the backlog is being replayed wait in
+  // `pending` so the client sees ids in order and nothing twice.
+  let lastSentId = lastEventId;
+  let pending = [];
+  const client = {
+    res,
+    sid: req.user.sid,
+    send(row) {
+      if (pending) return pending.push(row);
+      if (row.id <= lastSentId) return;
+      writeStreamEvent(res, row);
+      lastSentId = row.id;
+    },
+    close(event) {
+      if (event) res.write(`event: ${event}\ndata: {}\n\n`);
+      res.end();
+    },
+  };
+  if (!streamClients.has(userId)) streamClients.set(userId, new Set());
+  streamClients.get(userId).add(client);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+  const expiry = setTimeout(() => client.close('expired'), Math.max(req.user.exp * 1000 - Date.now(), 0));
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    const clients = streamClients.get(userId);
+    clients.delete(client);
+    if (!clients.size) streamClients.delete(userId);
+  });
+
+  try {
+    if (lastEventId) {
+      const missed = await allAsync('SELECT * FROM stream_events WHERE user_id = ? AND id > ? ORDER BY id', [
+        userId,
+        lastEventId,
+      ]);
+      missed.forEach((row) => writeStreamEvent(res, row));
+      if (missed.length) lastSentId = missed[missed.length - 1].id;
+    }
+  } catch (err) {
+    console.error('stream replay error', err);
+  }
+  const queued = pending;
+  pending = null;
+  queued.forEach((row) => client.send(row));
+});
+
+setInterval(() => {
+  runAsync(`DELETE FROM stream_events WHERE created_at <= datetime('now', ?)`, [
+    `-${STREAM_RETENTION_HOURS} hours`,
+  ]).catch((err) => console.error('stream events purge error', err));
+}, 60 * 60 * 1000).unref();
+
+// -----------------------------
+// Account statements
+// GET /api/statements?accountId=|accountNumber=&from=&to=&format=json|csv|ofx&includeRolledBack=true
+// from/to are ISO dates or times (UTC); a date-only `to` includes that whole
+// day. Defaults: start of the current month until now. accountId may be
+// omitted when the caller has a single account. Rolled back attempts are left
+// out unless includeRolledBack=true; they never change the running balance
+// and are not representable in OFX.
+// -----------------------------
+const STATEMENT_FORMATS = ['json', 'csv', 'ofx'];
+const OFX_BANK_ID = process.env.OFX_BANK_ID || '000000000';
+
+// ISO input -> SQLite CURRENT_TIMESTAMP format ('YYYY-MM-DD HH:MM:SS')
+function toSqlTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+function parseStatementBound(value, { endOfDay = false } = {}) {
+  const date = parseIsoDate(value);
+  if (!date) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(date.getTime() + DAY_MS);
+  return date;
+}
+
+async function buildStatement(account, from, to, includeRolledBack) {
+  const ledgerAccount = accountLedger(account.id);
+  const opening = await getAsync(
+    `SELECT COALESCE(SUM(CASE e.direction WHEN 'credit' THEN e.amount ELSE -e.amount END), 0) AS balance
+     FROM ledger_entries e JOIN transactions t ON t.id = e.transaction_id
+     WHERE e.account = ? AND t.created_at < ?`,
+    [ledgerAccount, toSqlTime(from)]
+  );
+  const rows = await allAsync(
+    `SELECT t.id AS transaction_id, t.created_at, t.type, t.status, t.note,
+            t.from_account, t.to_account, t.amount,
+            e.direction, e.id AS entry_id, e.amount AS entry_amount,
+            a1.account_number AS from_account_number, a2.account_number AS to_account_number
+     FROM transactions t
+     LEFT JOIN ledger_entries e ON e.transaction_id = t.id AND e.account = ?
+     LEFT JOIN accounts a1 ON a1.id = t.from_account
+     LEFT JOIN accounts a2 ON a2.id = t.to_account
+     WHERE t.created_at >= ? AND t.created_at < ?
+       AND (e.id IS NOT NULL OR (? AND t.status = 'rolledback' AND (t.from_account = ? OR t.to_account = ?)))
+     ORDER BY t.created_at, t.id`,
+    // created_at has whole seconds, so round the exclusive upper bound up
+    [ledgerAccount, toSqlTime(from), toSqlTime(new Date(Math.ceil(to.getTime() / 1000) * 1000)),
+     includeRolledBack ? 1 : 0, account.id, account.id]
+  );
+
+  let balance = opening.balance;
+  const entries = rows.map((r) => {
+    const outgoing = r.direction ? r.direction === 'debit' : r.from_account === account.id;
+    // the ledger entry has this account's side of a converted transfer
+    const value = r.entry_id ? r.entry_amount : r.amount;
+    const amount = outgoing ? -value : value;
+    if (r.entry_id) balance += amount;
+    return {
+      transactionId: r.transaction_id,
+      date: r.created_at,
+      type: r.type,
+      status: r.status,
+      description: r.note || r.type,
+      counterparty: (outgoing ? r.to_account_number : r.from_account_number) || 'cash',
+      amount,
+      runningBalance: balance,
+    };
+  });
+  return { openingBalance: opening.balance, closingBalance: balance, entries };
+}
+
+function csvField(value) {
+  const s = String(value == null ? '' : value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+function statementToCsv(account, from, to, statement) {
+  const lines = [['date', 'transaction_id', 'type', 'status', 'description', 'counterparty', 'amount', 'running_balance']];
+  lines.push([toSqlTime(from), '', 'opening_balance', '', 'Opening balance', '', '', formatCents(statement.openingBalance)]);
+  for (const e of statement.entries) {
+    lines.push([
+      e.date,
+      e.transactionId,
+      e.type,
+      e.status,
+      e.description,
+      e.counterparty,
+      formatCents(e.amount),
+      formatCents(e.runningBalance),
+    ]);
+  }
+  lines.push([toSqlTime(to), '', 'closing_balance', '', 'Closing balance', '', '', formatCents(statement.closingBalance)]);
+  return lines.map((l) => l.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function ofxTime(value) {
+  // 'YYYY-MM-DD HH:MM:SS' or Date -> YYYYMMDDHHMMSS[0:GMT]
+  const s = value instanceof Date ? toSqlTime(value) : value;
+  return `${s.replace(/[-: ]/g, '')}[0:GMT]`;
+}
+function xmlEscape(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+function statementToOfx(account, from, to, statement) {
+  const transactions = statement.entries
+    .filter((e) => e.status === 'committed')
+    .map(
+      (e) => `          <STMTTRN>
+            <TRNTYPE>${e.amount < 0 ? 'DEBIT' : 'CREDIT'}</TRNTYPE>
+            <DTPOSTED>${ofxTime(e.date)}</DTPOSTED>
+            <TRNAMT>${formatCents(e.amount)}</TRNAMT>
+            <FITID>${e.transactionId}</FITID>
+            <NAME>${xmlEscape(e.counterparty.slice(0, 32))}</NAME>
+            <MEMO>${xmlEscape(e.description.slice(0, 255))}</MEMO>
+          </STMTTRN>`
+    )
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+  <SIGNONMSGSRSV1>
+    <SONRS>
+      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+      <DTSERVER>${ofxTime(clock.now())}</DTSERVER>
+      <LANGUAGE>ENG</LANGUAGE>
+    </SONRS>
+  </SIGNONMSGSRSV1>
+  <BANKMSGSRSV1>
+    <STMTTRNRS>
+      <TRNUID>${account.id}-${from.getTime()}</TRNUID>
+      <STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+      <STMTRS>
+        <CURDEF>${account.currency}</CURDEF>
+        <BANKACCTFROM>
+          <BANKID>${xmlEscape(OFX_BANK_ID)}</BANKID>
+          <ACCTID>${account.account_number}</ACCTID>
+          <ACCTTYPE>${account.type.toUpperCase()}</ACCTTYPE>
+        </BANKACCTFROM>
+        <BANKTRANLIST>
+          <DTSTART>${ofxTime(from)}</DTSTART>
+          <DTEND>${ofxTime(to)}</DTEND>
+${transactions}
+        </BANKTRANLIST>
+        <LEDGERBAL>
+          <BALAMT>${formatCents(statement.closingBalance)}</BALAMT>
+          <DTASOF>${ofxTime(to)}</DTASOF>
+        </LEDGERBAL>
+      </STMTRS>
+    </STMTTRNRS>
+  </BANKMSGSRSV1>
+</OFX>
+`;
+}
+
+app.get('/api/statements', authMiddleware, async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!STATEMENT_FORMATS.includes(format)) {
+    return sendError(res, 400, `format must be one of ${STATEMENT_FORMATS.join(', ')}`, 'INVALID_REQUEST');
+  }
+  const now = clock.now();
+  const from = req.query.from
+    ? parseStatementBound(req.query.from)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const to = req.query.to ? parseStatementBound(req.query.to, { endOfDay: true }) : now;
+  if (!from || !to || from >= to) {
+    return sendError(res, 400, 'from and to must be ISO dates with from < to', 'INVALID_REQUEST');
+  }
+  const includeRolledBack = req.query.includeRolledBack === 'true';
+
+  try {
+    let account;
+    if (req.query.accountId || req.query.accountNumber) {
+      account = await findAccount({ id: req.query.accountId, number: req.query.accountNumber });
+      if (!account) return sendError(res, 404, 'Account not found', 'ACCOUNT_NOT_FOUND');
+      if (!canReadUserData(req.user, account.user_id)) return forbidden(res);
+    } else {
+      const accounts = await allAsync('SELECT * FROM accounts WHERE user_id = ?', [req.user.id]);
+      if (accounts.length !== 1) return sendError(res, 400, 'accountId or accountNumber required', 'INVALID_REQUEST');
+      account = accounts[0];
+    }
+
+    const statement = await buildStatement(account, from, to, includeRolledBack);
+    const filename = `statement-${account.account_number}-${toSqlTime(from).slice(0, 10)}-${toSqlTime(to).slice(0, 10)}`;
+
+    if (format === 'csv') {
+      res.attachment(`${filename}.csv`).type('text/csv');
+      return res.send(statementToCsv(account, from, to, statement));
+    }
+    if (format === 'ofx') {
+      // attachment() sets the type from the extension, which mime does not know
+      res.attachment(`${filename}.ofx`).type('application/x-ofx');
+      return res.send(statementToOfx(account, from, to, statement));
+    }
+    res.json({
+      account: formatAccount(account),
+      from: from.toISOString(),
+      to: to.toISOString(),
+      openingBalance: formatCents(statement.openingBalance),
+      closingBalance: formatCents(statement.closingBalance),
+      entries: statement.entries.map((e) => ({
+        ...e,
+        amount: formatCents(e.amount),
+        runningBalance: formatCents(e.runningBalance),
+      })),
+    });
+  } catch (err) {
+    console.error('statement error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// -----------------------------
+// Endpoint: list transactions (admin/user view)
+// GET /api/transactions?userId=&type=&status=&counterparty=&minAmount=&maxAmount=
+//                       &from=&to=&q=&limit=&cursor=
+// Customers always get their own history; tellers and admins see everything
+// unless they filter by userId.
+// - type / status: comma-separated lists
+// - counterparty: username or account number of the other side (either side
+//   in the unscoped admin view)
+// - from / to: ISO dates or times; a date-only `to` includes that day
+// - q: full-text search over note (prefix match on every word)
+// Newest first. Responds { data, nextCursor }; pass nextCursor back as
+// `cursor` for the next page, it is null on the last page.
+// -----------------------------
+const TRANSACTION_TYPES = ['deposit', 'withdraw', 'transfer', 'opening_balance', 'reversal'];
+const TRANSACTION_STATUSES = ['committed', 'rolledback'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.created_at, row.id])).toString('base64url');
+}
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return typeof createdAt === 'string' && Number.isInteger(id) ? { createdAt, id } : null;
+  } catch (err) {
+    return null;
+  }
+}
+// Words -> FTS5 query: each word quoted (no operator injection) and prefix-matched
+function toFtsQuery(q) {
+  return q
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => `"${word.replace(/"/g, '""')}"*`)
+    .join(' ');
+}
+function parseList(value, allowed) {
+  const list = String(value).split(',');
+  return list.every((v) => allowed.includes(v)) ? list : null;
+}
+
+app.get('/api/transactions', authMiddleware, async (req, res) => {
+  const q = req.query;
+  let userId = q.userId;
+  if (userId && !canReadUserData(req.user, userId)) return forbidden(res);
+  if (!userId && !can(req.user, 'transactions:read:any')) userId = req.user.id;
+
+  const where = [];
+  const params = [];
+  const invalid = (message) => sendError(res, 400, message, 'INVALID_REQUEST');
+
+  if (userId) {
+    where.push('(t.from_user = ? OR t.to_user = ?)');
+    params.push(userId, userId);
+  }
+  if (q.type) {
+    const types = parseList(q.type, TRANSACTION_TYPES);
+    if (!types) return invalid(`type must be among ${TRANSACTION_TYPES.join(', ')}`);
+    where.push(`t.type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+  if (q.status) {
+    const statuses = parseList(q.status, TRANSACTION_STATUSES);
+    if (!statuses) return invalid(`status must be among ${TRANSACTION_STATUSES.join(', ')}`);
+    where.push(`t.status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  if (q.counterparty) {
+    const cp = String(q.counterparty);
+    if (userId) {
+      where.push(`((t.from_user = ? AND (u2.username = ? OR a2.account_number = ?))
+               OR (t.to_user = ? AND (u1.username = ? OR a1.account_number = ?)))`);
+      params.push(userId, cp, cp, userId, cp, cp);
+    } else {
+      where.push('(u1.username = ? OR u2.username = ? OR a1.account_number = ? OR a2.account_number = ?)');
+      params.push(cp, cp, cp, cp);
+    }
+  }
+  for (const [key, op] of [['minAmount', '>='], ['maxAmount', '<=']]) {
+    if (q[key] === undefined) continue;
+    const cents = parseAmount(q[key]);
+    if (cents === null) return invalid(`${key} must be a positive amount`);
+    where.push(`t.amount ${op} ?`);
+    params.push(cents);
+  }
+  if (q.from) {
+    const from = parseStatementBound(q.from);
+    if (!from) return invalid('from must be an ISO date');
+    where.push('t.created_at >= ?');
+    params.push(toSqlTime(from));
+  }
+  if (q.to) {
+    const to = parseStatementBound(q.to, { endOfDay: true });
+    if (!to) return invalid('to must be an ISO date');
+    where.push('t.created_at < ?');
+    params.push(toSqlTime(new Date(Math.ceil(to.getTime() / 1000) * 1000)));
+  }
+  if (q.q) {
+    const match = toFtsQuery(String(q.q));
+    if (match) {
+      where.push('t.id IN (SELECT rowid FROM transactions_fts WHERE transactions_fts MATCH ?)');
+      params.push(match);
+    }
+  }
+  if (q.cursor) {
+    const cursor = decodeCursor(String(q.cursor));
+    if (!cursor) return invalid('Invalid cursor');
+    where.push('(t.created_at < ? OR (t.created_at = ? AND t.id < ?))');
+    params.push(cursor.createdAt, cursor.createdAt, cursor.id);
+  }
+  const limit = q.limit === undefined ? DEFAULT_PAGE_SIZE : Number(q.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return invalid(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  try {
+    // one extra row tells us whether there is another page
+    const rows = await allAsync(
+      `SELECT t.*, u1.username as from_username, u2.username as to_username,
+              a1.account_number as from_account_number, a2.account_number as to_account_number,
+              r.id as reversed_by
+       FROM transactions t
+       LEFT JOIN users u1 ON t.from_user = u1.id
+       LEFT JOIN users u2 ON t.to_user = u2.id
+       LEFT JOIN accounts a1 ON t.from_account = a1.id
+       LEFT JOIN accounts a2 ON t.to_account = a2.id
+       LEFT JOIN transactions r ON r.reversal_of = t.id AND r.status = 'committed'
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY t.created_at DESC, t.id DESC
+       LIMIT ?`,
+      [...params, limit + 1]
+    );
+    const page = rows.slice(0, limit);
+    res.json({
+      data: page.map(formatTransactionRow),
+      nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null,
+    });
+  } catch (err) {
+    console.error('transactions list error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// -----------------------------
+// Reverse a committed transaction (teller, admin)
+// POST /api/transactions/:id/reverse
+// body: { reason?: string, shortfall?: 'partial' | 'negative' }
+// Moves the money back with a linked 'reversal' transaction. If the recipient
+// has already spent part of it, `shortfall` (default REVERSAL_SHORTFALL_POLICY)
+// decides between a partial reversal and a negative balance.
+// -----------------------------
+const REVERSIBLE_TYPES = ['deposit', 'withdraw', 'transfer'];
+
+app.post('/api/transactions/:id/reverse', authMiddleware, authorize('transactions:reverse'), async (req, res) => {
+  const shortfall = req.body.shortfall || REVERSAL_SHORTFALL_POLICY;
+  if (!['partial', 'negative'].includes(shortfall)) {
+    return sendError(res, 400, 'shortfall must be partial or negative', 'INVALID_REQUEST');
+  }
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.slice(0, 200) : '';
+
+  try {
+    const original = await getAsync('SELECT * FROM transactions WHERE id = ?', [req.params.id]);
+    if (!original) return sendError(res, 404, 'Transaction not found', 'TRANSACTION_NOT_FOUND');
+    if (original.status !== 'committed' || !REVERSIBLE_TYPES.includes(original.type)) {
+      return sendError(
+        res,
+        409,
+        `Cannot reverse a ${original.status} ${original.type} transaction`,
+        'TRANSACTION_NOT_REVERSIBLE'
+      );
+    }
+
+    // Swap the sides: the original recipient pays back the original sender. A
+    // converted transfer goes back at its own rate, not today's, so the sender
+    // gets back exactly what was debited.
+    const requested = original.converted_amount ?? original.amount;
+    const result = await moveMoney({
+      type: 'reversal',
+      fromAccountId: original.to_account,
+      toAccountId: original.from_account,
+      amount: requested,
+      conversion:
+        original.converted_amount == null
+          ? null
+          : {
+              rate: invertRate(original.exchange_rate),
+              rateId: original.exchange_rate_id,
+              convertedAmount: original.amount,
+            },
+      reversalOf: original.id,
+      shortfall,
+      note: `reversal of #${original.id} by ${req.user.username}${reason ? `: ${reason}` : ''}`,
+    });
+    await audit(req, {
+      action: 'transaction.reverse',
+      targetType: 'transaction',
+      targetId: original.id,
+      details: { reversalId: result.transactionId, amount: formatCents(result.amount), shortfall, reason },
+    });
+    res.json({
+      transactionId: result.transactionId,
+      reversalOf: original.id,
+      amount: formatCents(result.amount),
+      partial: result.amount < requested,
+      shortfall: formatCents(requested - result.amount),
+    });
+  } catch (err) {
+    await audit(req, {
+      action: 'transaction.reverse',
+      outcome: 'failure',
+      targetType: 'transaction',
+      targetId: req.params.id,
+      details: { error: err.message },
+    });
+    sendMoneyError(res, err, 'Reversal failed, rolled back');
+  }
+});
+
+// -----------------------------
+// User administration
+// GET /api/users                          (teller, admin)
+// PATCH /api/users/:id/role               (admin) body: { role }
+// GET /api/admin/login-lockouts           (admin) usernames / IPs currently blocked
+// POST /api/admin/login-lockouts/unlock   (admin) body: { username } | { ip }
+// -----------------------------
+// balance is the BASE_CURRENCY total, totals has one entry per currency held
+// (as in /api/balance); balances in different currencies are never added up
+app.get('/api/users', authMiddleware, authorize('users:read'), async (req, res) => {
+  try {
+    const users = await allAsync('SELECT id, username, role FROM users ORDER BY id');
+    const sums = await allAsync(
+      `SELECT user_id, currency, SUM(balance) AS balance FROM accounts GROUP BY user_id, currency ORDER BY currency`
+    );
+    res.json(
+      users.map((u) => {
+        const totals = {};
+        for (const row of sums) if (row.user_id === u.id) totals[row.currency] = formatCents(row.balance);
+        return { ...u, balance: totals[BASE_CURRENCY] || formatCents(0), currency: BASE_CURRENCY, totals };
+      })
+    );
+  } catch (err) {
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.patch('/api/users/:id/role', authMiddleware, authorize('users:manage'), async (req, res) => {
+  const { role } = req.body;
+  if (!ROLES.includes(role)) return sendError(res, 400, `role must be one of ${ROLES.join(', ')}`, 'INVALID_REQUEST');
+  const targetId = Number(req.params.id);
+  if (targetId === req.user.id) return sendError(res, 400, 'Cannot change your own role', 'CANNOT_CHANGE_OWN_ROLE');
+  try {
+    const target = await findUserById(targetId);
+    if (!target) return sendError(res, 404, 'User not found', 'USER_NOT_FOUND');
+    await runAsync('UPDATE users SET role = ? WHERE id = ?', [role, targetId]);
+    // Tokens carry the role, so make the user sign in again to pick it up
+    await revokeAllSessions(targetId, 'role changed');
+    await audit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId,
+      details: { from: target.role, to: role },
+    });
+    res.json({ id: target.id, username: target.username, role });
+  } catch (err) {
+    console.error('role change error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.get('/api/admin/login-lockouts', authMiddleware, authorize('users:manage'), async (req, res) => {
+  try {
+    const rows = await allAsync(
+      'SELECT * FROM login_throttle WHERE blocked_until > ? ORDER BY blocked_until DESC',
+      [clock.now().toISOString()]
+    );
+    res.json(
+      rows.map((r) => ({
+        kind: r.kind,
+        subject: r.subject,
+        failures: r.failures,
+        lastFailureAt: r.last_failure_at,
+        blockedUntil: r.blocked_until,
+      }))
+    );
+  } catch (err) {
+    console.error('login lockouts error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+app.post('/api/admin/login-lockouts/unlock', authMiddleware, authorize('users:manage'), async (req, res) => {
+  const { username, ip } = req.body;
+  if (!username === !ip) return sendError(res, 400, 'Provide either username or ip', 'INVALID_REQUEST');
+  try {
+    const result = username
+      ? await clearLoginFailures(username)
+      : await runAsync(`DELETE FROM login_throttle WHERE kind = 'ip' AND subject = ?`, [String(ip)]);
+    await audit(req, {
+      action: 'auth.unlock',
+      targetType: username ? 'username' : 'ip',
+      targetId: username || ip,
+      details: { unlocked: result.changes > 0 },
+    });
+    res.json({ unlocked: result.changes > 0 });
+  } catch (err) {
+    console.error('login unlock error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// -----------------------------
+// Ledger reconciliation (admin)
+// GET /api/admin/reconciliation
+// Lists accounts whose cached accounts.balance differs from their ledger sum and
+// checks that total debits equal total credits. fxPositions is the balance of
+// each FX clearing account: what the bank is long or short per currency.
+// -----------------------------
+app.get('/api/admin/reconciliation', authMiddleware, authorize('ledger:reconcile'), async (req, res) => {
+  try {
+    const mismatches = await allAsync(
+      `SELECT a.id AS account_id, a.account_number, a.user_id, a.balance AS cached_balance,
+              COALESCE(SUM(CASE e.direction WHEN 'credit' THEN e.amount ELSE -e.amount END), 0) AS ledger_balance
+       FROM accounts a
+       LEFT JOIN ledger_entries e ON e.account = 'account:' || a.id
+       GROUP BY a.id
+       HAVING cached_balance != ledger_balance`
+    );
+    const totals = await getAsync(
+      `SELECT COALESCE(SUM(CASE direction WHEN 'debit' THEN amount END), 0) AS debits,
+              COALESCE(SUM(CASE direction WHEN 'credit' THEN amount END), 0) AS credits
+       FROM ledger_entries`
+    );
+    const fxPositions = await allAsync(
+      `SELECT account, SUM(CASE direction WHEN 'credit' THEN amount ELSE -amount END) AS balance
+       FROM ledger_entries WHERE account LIKE ? GROUP BY account ORDER BY account`,
+      [`${FX_CLEARING_PREFIX}%`]
+    );
+    res.json({
+      balanced: totals.debits === totals.credits,
+      totalDebits: formatCents(totals.debits),
+      totalCredits: formatCents(totals.credits),
+      cashBalance: formatCents(await ledgerBalance(CASH_ACCOUNT)),
+      fxPositions: Object.fromEntries(
+        fxPositions.map((p) => [p.account.slice(FX_CLEARING_PREFIX.length), formatCents(p.balance)])
+      ),
+      mismatches: mismatches.map((m) => ({
+        accountId: m.account_id,
+        accountNumber: m.account_number,
+        userId: m.user_id,
+        cachedBalance: formatCents(m.cached_balance),
+        ledgerBalance: formatCents(m.ledger_balance),
+        difference: formatCents(m.cached_balance - m.ledger_balance),
+      })),
+    });
+  } catch (err) {
+    console.error('reconciliation error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// -----------------------------
+// Audit log (admin)
+// GET /api/audit?action=&outcome=&actorId=&actorUsername=&targetType=&targetId=&ip=
+//               &from=&to=&limit=&cursor=
+// GET /api/audit/verify
+// audit_events is append-only (triggers reject UPDATE and DELETE) and each row
+// stores sha256(previous hash + its own fields), so editing, deleting or
+// reordering rows behind the triggers' back breaks the chain from that row
+// on; /api/audit/verify walks it. action takes a comma-separated list; the
+// listing is newest first and pages like /api/transactions.
+// -----------------------------
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+const AUDIT_OUTCOMES = ['success', 'failure', 'denied'];
+
+function auditHash(prevHash, e) {
+  const fields = [
+    prevHash,
+    e.created_at,
+    e.action,
+    e.outcome,
+    e.actor_id,
+    e.actor_username,
+    e.target_type,
+    e.target_id,
+    e.ip,
+    e.user_agent,
+    e.details,
+  ];
+  return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+/*
+  audit(req, { action, outcome, actor, targetType, targetId, details })
+  outcome: 'success' (default), 'failure' or 'denied'. actor defaults to
+  req.user; pass { id, username } before the caller is authenticated.
+  Never throws: a failed write is logged so it cannot break the request.
+*/
+async function audit(req, { action, outcome = 'success', actor = req.user, targetType, targetId, details }) {
+  const event = {
+    created_at: clock.now().toISOString(),
+    action,
+    outcome,
+    actor_id: actor && actor.id != null ? actor.id : null,
+    actor_username: actor && actor.username != null ? String(actor.username) : null,
+    target_type: targetType || null,
+    target_id: targetId != null ? String(targetId) : null,
+    ip: req.ip || null,
+    user_agent: req.get('User-Agent') || null,
+    details: details ? JSON.stringify(details) : null,
+  };
+  try {
+    // Read the tail and append in one transaction so the chain never forks
+    await withTransaction(async () => {
+      const last = await getAsync('SELECT hash FROM audit_events ORDER BY id DESC LIMIT 1');
+      const prevHash = last ? last.hash : AUDIT_GENESIS_HASH;
+      await runAsync(
+        `INSERT INTO audit_events (created_at, action, outcome, actor_id, actor_username, target_type, target_id,
+                                   ip, user_agent, details, prev_hash, hash)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          event.created_at,
+          event.action,
+          event.outcome,
+          event.actor_id,
+          event.actor_username,
+          event.target_type,
+          event.target_id,
+          event.ip,
+          event.user_agent,
+          event.details,
+          prevHash,
+          auditHash(prevHash, event),
+        ]
+      );
+    });
+  } catch (err) {
+    console.error('audit write failed', action, err);
+  }
+}
+
+function formatAuditEvent(e) {
+  return {
+    id: e.id,
+    createdAt: e.created_at,
+    action: e.action,
+    outcome: e.outcome,
+    actor: e.actor_id != null || e.actor_username != null ? { id: e.actor_id, username: e.actor_username } : null,
+    target: e.target_type ? { type: e.target_type, id: e.target_id } : null,
+    ip: e.ip,
+    userAgent: e.user_agent,
+    details: e.details ? JSON.parse(e.details) : null,
+    hash: e.hash,
+  };
+}
+
+app.get('/api/audit', authMiddleware, authorize('audit:read'), async (req, res) => {
+  const q = req.query;
+  const where = [];
+  const params = [];
+  const invalid = (message) => sendError(res, 400, message, 'INVALID_REQUEST');
+
+  if (q.action) {
+    const actions = String(q.action).split(',');
+    where.push(`action IN (${actions.map(() => '?').join(', ')})`);
+    params.push(...actions);
+  }
+  if (q.outcome) {
+    if (!AUDIT_OUTCOMES.includes(q.outcome)) return invalid(`outcome must be among ${AUDIT_OUTCOMES.join(', ')}`);
+    where.push('outcome = ?');
+    params.push(q.outcome);
+  }
+  for (const [key, column] of [
+    ['actorId', 'actor_id'],
+    ['actorUsername', 'actor_username'],
+    ['targetType', 'target_type'],
+    ['targetId', 'target_id'],
+    ['ip', 'ip'],
+  ]) {
+    if (q[key] === undefined) continue;
+    where.push(`${column} = ?`);
+    params.push(String(q[key]));
+  }
+  if (q.from) {
+    const from = parseStatementBound(q.from);
+    if (!from) return invalid('from must be an ISO date');
+    where.push('created_at >= ?');
+    params.push(from.toISOString());
+  }
+  if (q.to) {
+    const to = parseStatementBound(q.to, { endOfDay: true });
+    if (!to) return invalid('to must be an ISO date');
+    where.push('created_at < ?');
+    params.push(to.toISOString());
+  }
+  if (q.cursor) {
+    const cursor = Number(q.cursor);
+    if (!Number.isInteger(cursor)) return invalid('Invalid cursor');
+    where.push('id < ?');
+    params.push(cursor);
+  }
+  const limit = q.limit === undefined ? DEFAULT_PAGE_SIZE : Number(q.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return invalid(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  try {
+    const rows = await allAsync(
+      `SELECT * FROM audit_events ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+      [...params, limit + 1]
+    );
+    const page = rows.slice(0, limit);
+    res.json({
+      data: page.map(formatAuditEvent),
+      nextCursor: rows.length > limit ? String(page[page.length - 1].id) : null,
+    });
+  } catch (err) {
+    console.error('audit list error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// Walks the whole chain in id order, a batch at a time
+app.get('/api/audit/verify', authMiddleware, authorize('audit:read'), async (req, res) => {
+  try {
+    let prevHash = AUDIT_GENESIS_HASH;
+    let lastId = 0;
+    let checked = 0;
+    for (;;) {
+      const rows = await allAsync('SELECT * FROM audit_events WHERE id > ? ORDER BY id LIMIT 1000', [lastId]);
+      if (!rows.length) break;
+      for (const row of rows) {
+        if (row.prev_hash !== prevHash || row.hash !== auditHash(prevHash, row)) {
+          return res.json({ valid: false, checked, brokenAt: row.id, headHash: null });
+        }
+        prevHash = row.hash;
+        lastId = row.id;
+        checked++;
+      }
+    }
+    // Rows cut off the end leave a valid chain; compare headHash with a copy kept elsewhere
+    res.json({ valid: true, checked, brokenAt: null, headHash: prevHash });
+  } catch (err) {
+    console.error('audit verify error', err);
+    sendError(res, 500, 'server error');
+  }
+});
+
+// -----------------------------
+// Root + start server
+// The schema comes from ./migrations (see migrate.js); pending migrations are
+// applied before the server listens, so no request sees a half-built
+// database. Demo users are no longer created here: `node migrate.js seed`.
+// -----------------------------
+app.get('/', (req, res) => res.send('Transactional Banking API (with rollback) running.'));
+
+// Unknown API routes and errors thrown past the handlers (malformed JSON
+// bodies among them) still answer with the envelope
+app.use('/api', notFound);
+app.use(errorHandler);
+
+async function promoteAdmins() {
+  if (!ADMIN_USERNAMES.length) return;
+  await runAsync(
+    `UPDATE users SET role = 'admin' WHERE username IN (${ADMIN_USERNAMES.map(() => '?').join(', ')})`,
+    ADMIN_USERNAMES
+  );
+}
+
+// Resolves once the database is ready to serve requests
+const ready = exclusive(async () => {
+  const applied = await migrateUp(db);
+  if (applied.length) console.log(`Applied migrations: ${applied.join(', ')}`);
+})
+  .then(promoteAdmins)
+  .then(loadBreachedPasswords);
+
+if (require.main === module) {
+  ready
+    .then(() => {
+      app.listen(PORT, () => console.log(`Server running at http://localhost:${PORT}`));
+      startScheduler();
+      startWebhookWorker();
+      startHoldSweeper();
+    })
+    .catch((err) => {
+      console.error('Startup failed', err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  app,
+  db,
+  ready,
+  clock,
+  faults,
+  mailer,
+  openApiSpec,
+  runDueScheduledTransfers,
+  deliverDueWebhooks,
+  expireStaleHolds,
+  totp,
+};
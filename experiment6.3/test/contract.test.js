@@ -0,0 +1,312 @@
+// Contract tests: every operation in the OpenAPI document is called, and
+// every response, errors included, must match the schema the document
+// declares for its status.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startServer } = require('./helpers');
+const { findOperation, validate } = require('../openapi');
+
+let s;
+let spec;
+let admin;
+let alice;
+let bob;
+const called = new Set();
+
+// s.request, checked against the contract: the status must be declared by
+// the operation (errors fall under `default`) and the body must match the
+// schema of its media type. Asserts the status, and the code of an error.
+async function call(method, url, options, status = 200, code) {
+  const found = findOperation(spec, method, url.split('?')[0]);
+  assert.ok(found, `${method} ${url} is not in the contract`);
+  called.add(`${method} ${found.template}`);
+  const res = await s.request(method, url, options);
+  const label = `${method} ${url} ${res.status} ${JSON.stringify(res.body)}`;
+  assert.equal(res.status, status, label);
+  if (code) assert.equal(res.body.code, code, label);
+
+  const declared = found.operation.responses[res.status] || (res.status >= 400 && found.operation.responses.default);
+  assert.ok(declared, `${label}: status not in the contract`);
+  const response = declared.$ref ? spec.components.responses.Error : declared;
+  const mediaType = (res.headers.get('content-type') || '').split(';')[0];
+  if (!response.content) return res;
+  assert.ok(response.content[mediaType], `${label}: ${mediaType} not in the contract`);
+  if (mediaType === 'application/json') {
+    assert.deepEqual(validate(response.content[mediaType].schema, res.body, spec), [], label);
+  }
+  return res;
+}
+
+// TOTP codes burn their time step, so every code comes from a later step
+let totpAt = Date.now();
+function nextTotp(secret) {
+  totpAt += 60 * 1000;
+  s.clock.now = () => new Date(totpAt);
+  return s.totp(secret);
+}
+
+before(async () => {
+  s = await startServer();
+  spec = s.openApiSpec();
+  admin = await s.createUser('admin', { role: 'admin' });
+  alice = await s.createUser('alice', { deposit: '500.00' });
+  bob = await s.createUser('bob', { deposit: '100.00' });
+});
+
+after(() => s.close());
+
+test('authentication and sessions', async () => {
+  await call('POST', '/api/register', { body: { username: 'carol', password: PASSWORD, email: 'carol@example.com' } });
+  await call('POST', '/api/register', { body: { username: 'carol', password: PASSWORD } }, 409, 'USERNAME_TAKEN');
+  await call('POST', '/api/register', { body: { username: 'dave', password: 'short' } }, 400, 'WEAK_PASSWORD');
+  await call('POST', '/api/register', { body: { username: 'dave' } }, 400, 'INVALID_REQUEST');
+
+  const login = await call('POST', '/api/login', { body: { username: 'carol', password: PASSWORD } });
+  const wrong = { body: { username: 'carol', password: 'wrong password' } };
+  await call('POST', '/api/login', wrong, 401, 'INVALID_CREDENTIALS');
+  // one failure blocks both the username and the IP for a second
+  await call('POST', '/api/login', { body: { username: 'carol', password: PASSWORD } }, 429, 'LOGIN_THROTTLED');
+  const lockouts = await call('GET', '/api/admin/login-lockouts', { token: admin.token });
+  assert.equal(lockouts.body.length, 2);
+  for (const { kind, subject } of lockouts.body) {
+    const key = kind === 'ip' ? { ip: subject } : { username: subject };
+    await call('POST', '/api/admin/login-lockouts/unlock', { token: admin.token, body: key });
+  }
+
+  await call('POST', '/api/token/refresh', { body: { refreshToken: login.body.refreshToken } });
+  const reused = { body: { refreshToken: login.body.refreshToken } };
+  await call('POST', '/api/token/refresh', reused, 401, 'REFRESH_TOKEN_REUSED');
+
+  const { token } = (await call('POST', '/api/login', { body: { username: 'carol', password: PASSWORD } })).body;
+  const newPassword = `${PASSWORD} again`;
+  await call('PUT', '/api/email', { token, body: { email: 'carol@example.org', password: PASSWORD } });
+  await call('POST', '/api/password', { token, body: { currentPassword: PASSWORD, newPassword } });
+  const same = { token, body: { currentPassword: newPassword, newPassword } };
+  await call('POST', '/api/password', same, 400, 'WEAK_PASSWORD');
+
+  const sent = [];
+  const send = s.mailer.send;
+  s.mailer.send = async (mail) => sent.push(mail);
+  try {
+    await call('POST', '/api/password/forgot', { body: { username: 'carol' } }, 202);
+  } finally {
+    s.mailer.send = send;
+  }
+  const resetToken = sent[0].text.match(/Your reset token: (\S+)/)[1];
+  await call('POST', '/api/password/reset', { body: { token: resetToken, newPassword: PASSWORD } });
+  await call('POST', '/api/password/reset', { body: { token: resetToken, newPassword } }, 400, 'INVALID_RESET_TOKEN');
+
+  const first = (await call('POST', '/api/login', { body: { username: 'carol', password: PASSWORD } })).body.token;
+  await call('POST', '/api/logout', { token: first });
+  await call('GET', '/api/balance', { token: first }, 401, 'SESSION_REVOKED');
+  const second = (await call('POST', '/api/login', { body: { username: 'carol', password: PASSWORD } })).body.token;
+  await call('POST', '/api/logout-all', { token: second });
+  await call('POST', '/api/logout-all', { token: second }, 401, 'SESSION_REVOKED');
+  await call('GET', '/api/balance', {}, 401, 'AUTH_REQUIRED');
+  await call('GET', '/api/balance', { token: 'not-a-token' }, 401, 'INVALID_TOKEN');
+});
+
+test('two-factor authentication', async () => {
+  const dave = await s.createUser('dave', { deposit: '50.00' });
+  const { secret } = (await call('POST', '/api/2fa/enroll', { token: dave.token })).body;
+  await call('POST', '/api/2fa/confirm', { token: dave.token, body: { code: 'abc' } }, 400, 'INVALID_REQUEST');
+  await call('POST', '/api/2fa/confirm', { token: dave.token, body: { code: nextTotp(secret) } });
+
+  const challenge = await call('POST', '/api/login', { body: { username: 'dave', password: PASSWORD } });
+  assert.equal(challenge.body.mfaRequired, true);
+  const { mfaToken } = challenge.body;
+  const loginCode = nextTotp(secret);
+  const { token } = (await call('POST', '/api/login/2fa', { body: { mfaToken, code: loginCode } })).body;
+  await call('POST', '/api/login/2fa', { body: { mfaToken: 'nope', code: loginCode } }, 401, 'INVALID_MFA_TOKEN');
+
+  // A well-formed code that is wrong is not a malformed request
+  const used = { code: loginCode };
+  await call('POST', '/api/2fa/recovery-codes', { token, body: used }, 400, 'INVALID_2FA_CODE');
+  const codes = await call('POST', '/api/2fa/recovery-codes', { token, body: { code: nextTotp(secret) } });
+  await call('PUT', '/api/2fa/step-up-threshold', { token, body: { amount: '10.00' } });
+  const transfer = { fromAccountId: dave.accountId, toAccountId: alice.accountId, amount: '20.00' };
+  await call('POST', '/api/transfer', { token, body: transfer }, 401, 'STEP_UP_REQUIRED');
+  const recoveryCode = codes.body.recoveryCodes[0];
+  await call('POST', '/api/2fa/disable', { token, body: { password: PASSWORD, recoveryCode } });
+  const again = { password: PASSWORD, recoveryCode: codes.body.recoveryCodes[1] };
+  await call('POST', '/api/2fa/disable', { token, body: again }, 409, 'TWO_FACTOR_NOT_ENABLED');
+  s.clock.now = () => new Date();
+});
+
+test('accounts, limits and exchange rates', async () => {
+  await call('GET', '/api/balance', { token: alice.token });
+  await call('GET', '/api/accounts', { token: alice.token });
+  await call('GET', `/api/accounts?userId=${alice.id}`, { token: admin.token });
+  await call('GET', `/api/accounts?userId=${bob.id}`, { token: alice.token }, 403, 'FORBIDDEN');
+
+  const euros = { type: 'savings', currency: 'EUR' };
+  const savings = await call('POST', '/api/accounts', { token: alice.token, body: euros }, 201);
+  await call('POST', '/api/accounts', { token: alice.token, body: { type: 'pension' } }, 400, 'INVALID_REQUEST');
+  const status = `/api/accounts/${savings.body.id}/status`;
+  await call('PATCH', status, { token: admin.token, body: { status: 'frozen' } });
+  await call('PATCH', status, { token: alice.token, body: { status: 'open' } }, 403, 'FORBIDDEN');
+  await call('PATCH', status, { token: admin.token, body: { status: 'open' } });
+  await call('POST', `/api/accounts/${savings.body.id}/close`, { token: alice.token });
+  await call('POST', `/api/accounts/${alice.accountId}/close`, { token: alice.token }, 409, 'ACCOUNT_BALANCE_NOT_ZERO');
+
+  await call('GET', '/api/limits', { token: alice.token });
+  await call('PUT', '/api/limits/roles/customer', { token: admin.token, body: { transfersPerHour: 100 } });
+  await call('PUT', '/api/limits/roles/customer', { token: admin.token, body: {} }, 400, 'INVALID_REQUEST');
+  const limits = { transfersPerHour: 1 };
+  await call('PUT', '/api/limits/roles/customer', { token: alice.token, body: limits }, 403, 'FORBIDDEN');
+  await call('PUT', `/api/limits/users/${bob.id}`, { token: admin.token, body: { maxSingleTransfer: '50.00' } });
+
+  await call('POST', '/api/fx/rates', { token: admin.token, body: { base: 'USD', quote: 'EUR', rate: '0.9' } }, 201);
+  await call('POST', '/api/fx/rates', { token: admin.token, body: { base: 'USD', quote: 'USD', rate: '1' } }, 400);
+  await call('GET', '/api/fx/rates?base=USD', { token: alice.token });
+  await call('GET', '/api/fx/quote?amount=10&from=USD&to=EUR', { token: alice.token });
+  await call('GET', '/api/fx/quote?amount=10&from=USD&to=GBP', { token: alice.token }, 400, 'NO_EXCHANGE_RATE');
+});
+
+test('moving money', async () => {
+  const transfer = { fromAccountId: alice.accountId, toAccountId: bob.accountId, amount: '10.00' };
+  await call('POST', '/api/transfer', { token: alice.token, body: transfer });
+  await call('POST', '/api/accounts/transfer', { token: alice.token, body: transfer }, 403, 'FORBIDDEN');
+  const savings = await call('POST', '/api/accounts', { token: alice.token, body: { type: 'savings' } }, 201);
+  const between = { ...transfer, toAccountId: savings.body.id };
+  await call('POST', '/api/accounts/transfer', { token: alice.token, body: between });
+  const tooMuch = { ...transfer, amount: '100000.00' };
+  await call('POST', '/api/transfer', { token: alice.token, body: tooMuch }, 400, 'INSUFFICIENT_FUNDS');
+  const overLimit = { fromAccountId: bob.accountId, toAccountId: alice.accountId, amount: '60.00' };
+  await call('POST', '/api/transfer', { token: bob.token, body: overLimit }, 403, 'LIMIT_MAX_SINGLE_TRANSFER');
+  const toSelf = { ...transfer, toAccountId: alice.accountId };
+  await call('POST', '/api/transfer', { token: alice.token, body: toSelf }, 400, 'SAME_ACCOUNT');
+  const tenthOfACent = { ...transfer, amount: 0.001 };
+  await call('POST', '/api/transfer', { token: alice.token, body: tenthOfACent }, 400, 'INVALID_REQUEST');
+  await call('POST', '/api/transfer', { token: alice.token, raw: '{"amount":' }, 400, 'INVALID_JSON');
+
+  const deposit = { accountId: alice.accountId, amount: '5.00' };
+  await call('POST', '/api/deposit-tx', { token: alice.token, body: deposit });
+  await call('POST', '/api/withdraw-tx', { token: alice.token, body: deposit });
+  const intoBob = { ...deposit, accountId: bob.accountId };
+  await call('POST', '/api/deposit-tx', { token: alice.token, body: intoBob }, 403, 'FORBIDDEN');
+
+  const page = await call('GET', '/api/transactions?limit=2', { token: alice.token });
+  const cursor = encodeURIComponent(page.body.nextCursor);
+  await call('GET', `/api/transactions?limit=2&cursor=${cursor}`, { token: alice.token });
+  await call('GET', '/api/transactions?limit=0', { token: alice.token }, 400, 'INVALID_REQUEST');
+  const committed = await call('GET', '/api/transactions?type=transfer&status=committed', { token: alice.token });
+  const reverse = `/api/transactions/${committed.body.data[0].id}/reverse`;
+  await call('POST', reverse, { token: alice.token, body: { reason: 'sent twice' } }, 403, 'FORBIDDEN');
+  await call('POST', reverse, { token: admin.token, body: { reason: 'sent twice' } });
+  await call('POST', reverse, { token: admin.token, body: { reason: 'sent twice' } }, 409, 'ALREADY_REVERSED');
+  // The body is optional
+  await call('POST', `/api/transactions/${committed.body.data[1].id}/reverse`, { token: admin.token });
+});
+
+test('holds', async () => {
+  const body = { accountId: alice.accountId, amount: '20.00', description: 'hotel' };
+  const held = await call('POST', '/api/holds', { token: alice.token, body }, 201);
+  const url = `/api/holds/${held.body.id}`;
+  await call('GET', '/api/holds', { token: alice.token });
+  await call('GET', url, { token: alice.token });
+  await call('GET', url, { token: bob.token }, 403, 'FORBIDDEN');
+  await call('POST', `${url}/capture`, { token: alice.token, body: { amount: '15.00' } });
+  await call('POST', `${url}/release`, { token: alice.token }, 409, 'HOLD_NOT_ACTIVE');
+
+  const other = await call('POST', '/api/holds', { token: alice.token, body: { ...body, amount: '5.00' } }, 201);
+  await call('POST', `/api/holds/${other.body.id}/release`, { token: alice.token });
+  await call('POST', `/api/holds/${other.body.id}/capture`, { token: alice.token, body: {} }, 409, 'HOLD_NOT_ACTIVE');
+});
+
+test('scheduled transfers', async () => {
+  const body = { fromAccountId: alice.accountId, toAccountId: bob.accountId, amount: '1.00', frequency: 'weekly' };
+  const created = await call('POST', '/api/scheduled-transfers', { token: alice.token, body }, 201);
+  const url = `/api/scheduled-transfers/${created.body.id}`;
+  await call('POST', '/api/scheduled-transfers', { token: alice.token, body: { ...body, frequency: 'hourly' } }, 400);
+  await call('GET', '/api/scheduled-transfers', { token: alice.token });
+  await call('GET', url, { token: alice.token });
+  await call('GET', url, { token: bob.token }, 403, 'FORBIDDEN');
+  await call('PATCH', url, { token: alice.token, body: { status: 'paused' } });
+  await call('PATCH', url, { token: alice.token, body: { status: 'done' } }, 400, 'INVALID_REQUEST');
+  await call('DELETE', url, { token: alice.token });
+});
+
+test('webhooks and the event stream', async () => {
+  const body = { url: 'http://127.0.0.1:9/hook', eventTypes: ['*'] };
+  const created = await call('POST', '/api/webhooks', { token: admin.token, body }, 201);
+  const url = `/api/webhooks/${created.body.id}`;
+  const ftp = { ...body, url: 'ftp://example.com/hook' };
+  await call('POST', '/api/webhooks', { token: admin.token, body: ftp }, 400, 'INVALID_REQUEST');
+  await call('POST', '/api/webhooks', { token: alice.token, body }, 403, 'FORBIDDEN');
+  await call('GET', '/api/webhooks', { token: admin.token });
+  await call('GET', url, { token: admin.token });
+
+  // an event for the webhook; its delivery fails, nothing listens on port 9
+  const deposit = { accountId: alice.accountId, amount: '1.00' };
+  await s.request('POST', '/api/deposit-tx', { token: alice.token, body: deposit });
+  await s.deliverDueWebhooks();
+  const deliveries = await call('GET', `${url}/deliveries`, { token: admin.token });
+  assert.ok(deliveries.body.length > 0);
+  await call('POST', `/api/webhook-deliveries/${deliveries.body[0].id}/redeliver`, { token: admin.token }, 202);
+  await call('POST', '/api/webhook-deliveries/999999/redeliver', { token: admin.token }, 404, 'DELIVERY_NOT_FOUND');
+  await call('PATCH', url, { token: admin.token, body: { status: 'paused' } });
+  await call('PATCH', url, { token: admin.token }, 400, 'INVALID_REQUEST');
+  await call('DELETE', url, { token: admin.token }, 204);
+  await call('GET', url, { token: admin.token }, 404, 'WEBHOOK_NOT_FOUND');
+
+  // The stream never ends on its own: check its head, then hang up
+  called.add('GET /api/stream');
+  const controller = new AbortController();
+  const stream = await fetch(`${s.base}/api/stream?access_token=${alice.token}`, { signal: controller.signal });
+  assert.equal(stream.status, 200);
+  assert.ok(spec.paths['/api/stream'].get.responses[200].content[stream.headers.get('content-type')]);
+  controller.abort();
+  await call('GET', '/api/stream', {}, 401, 'AUTH_REQUIRED');
+});
+
+test('statements', async () => {
+  const url = `/api/statements?accountId=${alice.accountId}`;
+  await call('GET', url, { token: alice.token });
+  await call('GET', `${url}&format=csv`, { token: alice.token });
+  await call('GET', `${url}&format=ofx`, { token: alice.token });
+  await call('GET', `${url}&format=pdf`, { token: alice.token }, 400, 'INVALID_REQUEST');
+  await call('GET', url, { token: bob.token }, 403, 'FORBIDDEN');
+});
+
+test('administration', async () => {
+  await call('GET', '/api/users', { token: admin.token });
+  await call('GET', '/api/users', { token: alice.token }, 403, 'FORBIDDEN');
+  const erin = await s.createUser('erin');
+  await call('PATCH', `/api/users/${erin.id}/role`, { token: admin.token, body: { role: 'teller' } });
+  const owner = { role: 'owner' };
+  await call('PATCH', `/api/users/${erin.id}/role`, { token: admin.token, body: owner }, 400, 'INVALID_REQUEST');
+
+  const both = { username: 'alice', ip: '127.0.0.1' };
+  await call('POST', '/api/admin/login-lockouts/unlock', { token: admin.token, body: both }, 400, 'INVALID_REQUEST');
+  await call('GET', '/api/admin/reconciliation', { token: admin.token });
+  await call('GET', '/api/audit?limit=5', { token: admin.token });
+  await call('GET', '/api/audit?limit=5', { token: alice.token }, 403, 'FORBIDDEN');
+  await call('GET', '/api/audit/verify', { token: admin.token });
+  await call('GET', '/api/openapi.json');
+
+  await call('GET', '/api/admin/faults', { token: admin.token });
+  await call('PUT', '/api/admin/faults/commit', { token: admin.token, body: { action: 'throw', times: 1 } });
+  const bad = { action: 'explode' };
+  await call('PUT', '/api/admin/faults/commit', { token: admin.token, body: bad }, 400, 'INVALID_REQUEST');
+  await call('DELETE', '/api/admin/faults/commit', { token: admin.token }, 204);
+  await call('DELETE', '/api/admin/faults', { token: admin.token }, 204);
+});
+
+test('unknown routes answer with the error envelope', async () => {
+  const res = await s.request('GET', '/api/nope');
+  assert.equal(res.status, 404);
+  assert.deepEqual(validate(spec.components.responses.Error.content['application/json'].schema, res.body, spec), []);
+  assert.equal(res.body.code, 'NOT_FOUND');
+});
+
+test('every operation in the contract was called', () => {
+  const operations = [];
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    for (const method of Object.keys(methods)) operations.push(`${method.toUpperCase()} ${path}`);
+  }
+  assert.deepEqual(
+    operations.filter((operation) => !called.has(operation)),
+    []
+  );
+});
@@ -0,0 +1,135 @@
+// Fault injection on moveMoney's transaction path: whichever point fails and
+// however, balances, the ledger and the transaction history must agree.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const AMOUNT = 500; // cents moved by each transfer
+
+let s;
+let admin;
+let alice;
+let bob;
+
+// Account balances, history row counts and the reconciliation verdict
+async function state() {
+  const accounts = await s.dbAll('SELECT id, balance FROM accounts WHERE id IN (?, ?) ORDER BY id', [
+    alice.accountId,
+    bob.accountId,
+  ]);
+  const rows = await s.dbAll(`SELECT status, COUNT(*) AS n FROM transactions WHERE type = 'transfer' GROUP BY status`);
+  const counts = Object.fromEntries(rows.map((r) => [r.status, r.n]));
+  const rec = await s.request('GET', '/api/admin/reconciliation', { token: admin.token });
+  return {
+    alice: accounts[0].balance,
+    bob: accounts[1].balance,
+    committed: counts.committed || 0,
+    rolledback: counts.rolledback || 0,
+    balanced: rec.body.balanced,
+    mismatches: rec.body.mismatches,
+  };
+}
+
+function transfer() {
+  return s.request('POST', '/api/transfer', {
+    token: alice.token,
+    body: { fromAccountId: alice.accountId, toAccountId: bob.accountId, amount: (AMOUNT / 100).toFixed(2) },
+  });
+}
+
+// Nothing moved; the attempt is in the history as rolled back
+function assertRolledBack(was, now) {
+  assert.equal(now.alice, was.alice);
+  assert.equal(now.bob, was.bob);
+  assert.equal(now.committed, was.committed);
+  assert.equal(now.rolledback, was.rolledback + 1);
+  assert.equal(now.balanced, true);
+  assert.deepEqual(now.mismatches, []);
+}
+
+// Moved exactly once, with exactly one committed history row
+function assertCommittedOnce(was, now) {
+  assert.equal(now.alice, was.alice - AMOUNT);
+  assert.equal(now.bob, was.bob + AMOUNT);
+  assert.equal(now.committed, was.committed + 1);
+  assert.equal(now.rolledback, was.rolledback);
+  assert.equal(now.balanced, true);
+  assert.deepEqual(now.mismatches, []);
+}
+
+before(async () => {
+  s = await startServer();
+  admin = await s.createUser('admin', { role: 'admin' });
+  alice = await s.createUser('alice', { deposit: '1000.00' });
+  bob = await s.createUser('bob');
+});
+
+beforeEach(() => s.faults.disarm());
+
+after(() => s.close());
+
+for (const point of ['beforeDebit', 'afterDebit', 'afterCredit', 'historyInsert', 'commit']) {
+  test(`${point}: throw rolls everything back`, async () => {
+    const was = await state();
+    s.faults.arm(point, { action: 'throw', times: 1 });
+    const res = await transfer();
+    assert.equal(res.status, 500);
+    assertRolledBack(was, await state());
+    const [row] = await s.dbAll(`SELECT note FROM transactions WHERE status = 'rolledback' ORDER BY id DESC LIMIT 1`);
+    assert.equal(row.note, `error: Injected fault at ${point}`);
+  });
+
+  test(`${point}: delay holds the transaction, then commits`, async () => {
+    const was = await state();
+    s.faults.arm(point, { action: 'delay', delayMs: 200, times: 1 });
+    const started = Date.now();
+    const [res, during] = await Promise.all([
+      transfer(),
+      // queued behind the open transaction, so it sees the committed result
+      new Promise((resolve) => setTimeout(resolve, 50)).then(() =>
+        s.request('GET', '/api/balance', { token: bob.token })
+      ),
+    ]);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.ok(Date.now() - started >= 200);
+    assert.equal(Math.round(Number(during.body.balance) * 100), was.bob + AMOUNT);
+    assertCommittedOnce(was, await state());
+  });
+
+  test(`${point}: one SQLITE_BUSY is retried and applied once`, async () => {
+    const was = await state();
+    s.faults.arm(point, { action: 'busy', times: 1 });
+    const res = await transfer();
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assertCommittedOnce(was, await state());
+  });
+
+  test(`${point}: SQLITE_BUSY on every retry gives up and rolls back`, async () => {
+    const was = await state();
+    s.faults.arm(point, { action: 'busy' });
+    const res = await transfer();
+    assert.equal(res.status, 500);
+    assertRolledBack(was, await state());
+    assert.ok(s.faults.list().find((f) => f.point === point).hits > 1);
+  });
+}
+
+test('the admin toggle arms and disarms points', async () => {
+  const armed = await s.request('PUT', '/api/admin/faults/afterDebit', {
+    token: admin.token,
+    body: { action: 'throw', times: 1 },
+  });
+  assert.equal(armed.status, 200);
+  assert.equal(armed.body.armed, true);
+  const was = await state();
+  assert.equal((await transfer()).status, 500);
+  assertRolledBack(was, await state());
+
+  const forbidden = await s.request('PUT', '/api/admin/faults/commit', { token: alice.token, body: {} });
+  assert.equal(forbidden.status, 403);
+
+  await s.request('PUT', '/api/admin/faults/commit', { token: admin.token, body: { action: 'throw' } });
+  assert.equal((await s.request('DELETE', '/api/admin/faults', { token: admin.token })).status, 204);
+  assert.ok(s.faults.list().every((f) => !f.armed));
+  assert.equal((await transfer()).status, 200);
+});
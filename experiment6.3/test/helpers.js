@@ -0,0 +1,88 @@
+// test/helpers.js
+// -----------------------------
+// Shared setup for the API tests. From experiment6.3, with the server's
+// dependencies installed:
+//   node --test test/*.test.js
+// node --test runs every file in a process of its own; startServer() gives
+// that process a fresh database in a temp directory and the app on a free port.
+// -----------------------------
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Passes the password policy; every test user gets it
+const PASSWORD = 'correct horse battery staple';
+
+// Cents from the API's "12.34" strings
+const cents = (amount) => Math.round(Number(amount) * 100);
+
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bank-test-'));
+  process.chdir(dir); // bank_tx.db and the mail outbox are relative paths
+  Object.assign(process.env, { NODE_ENV: 'test', ...env });
+  const server = require('../seerver');
+  await server.ready;
+  const listener = await new Promise((resolve) => {
+    const l = server.app.listen(0, '127.0.0.1', () => resolve(l));
+  });
+  const base = `http://127.0.0.1:${listener.address().port}`;
+
+  // { status, headers, body }; body is parsed JSON when the response is JSON
+  async function request(method, url, { token, body, raw, headers = {} } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        ...(body !== undefined || raw !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: raw !== undefined ? raw : body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    const isJson = (res.headers.get('content-type') || '').includes('application/json');
+    return { status: res.status, headers: res.headers, body: text && isJson ? JSON.parse(text) : text };
+  }
+
+  const dbRun = (sql, params = []) =>
+    new Promise((resolve, reject) => server.db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+  const dbAll = (sql, params = []) =>
+    new Promise((resolve, reject) => server.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+
+  async function login(username) {
+    const res = await request('POST', '/api/login', { body: { username, password: PASSWORD } });
+    if (res.status !== 200) throw new Error(`login ${username} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    return res.body.token;
+  }
+
+  // Registers `username` (role set straight in the database) and deposits
+  // `deposit` into their checking account: { id, username, token, accountId }
+  async function createUser(username, { role = 'customer', deposit } = {}) {
+    const res = await request('POST', '/api/register', { body: { username, password: PASSWORD } });
+    if (res.status !== 200) throw new Error(`register ${username} failed: ${res.status} ${JSON.stringify(res.body)}`);
+    const user = { id: res.body.user.id, username, token: res.body.token, accountId: res.body.account.id };
+    if (role !== 'customer') {
+      await dbRun('UPDATE users SET role = ? WHERE id = ?', [role, user.id]);
+      user.token = await login(username); // the role travels in the token
+    }
+    if (deposit) {
+      const dep = await request('POST', '/api/deposit-tx', {
+        token: user.token,
+        body: { accountId: user.accountId, amount: deposit },
+      });
+      if (dep.status !== 200) throw new Error(`deposit for ${username} failed: ${dep.status}`);
+    }
+    return user;
+  }
+
+  async function close() {
+    server.faults.disarm();
+    listener.closeAllConnections();
+    await new Promise((resolve) => listener.close(resolve));
+    await new Promise((resolve) => server.db.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { ...server, base, request, login, createUser, dbRun, dbAll, close };
+}
+
+module.exports = { PASSWORD, cents, startServer };
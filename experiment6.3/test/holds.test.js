@@ -0,0 +1,82 @@
+// Hold expiry against a moved clock: an expired hold stops reserving money at
+// once, and the sweeper (expireStaleHolds) marks it expired.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let s;
+let alice;
+let bob;
+let now;
+
+const advance = (ms) => {
+  now = new Date(now.getTime() + ms);
+};
+
+async function balance(user) {
+  const res = await s.request('GET', '/api/balance', { token: user.token });
+  return { ledger: res.body.balance, available: res.body.availableBalance };
+}
+
+function transfer(amount) {
+  return s.request('POST', '/api/transfer', {
+    token: alice.token,
+    body: { fromAccountId: alice.accountId, toAccountId: bob.accountId, amount },
+  });
+}
+
+before(async () => {
+  s = await startServer();
+  now = new Date();
+  s.clock.now = () => now;
+  alice = await s.createUser('alice', { deposit: '100.00' });
+  bob = await s.createUser('bob');
+});
+
+after(() => s.close());
+
+test('an expired hold releases the money it reserved and the sweeper marks it expired', async () => {
+  const expiresAt = new Date(now.getTime() + HOUR_MS).toISOString();
+  const created = await s.request('POST', '/api/holds', {
+    token: alice.token,
+    body: { accountId: alice.accountId, amount: '60.00', expiresAt },
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.availableBalance, '40.00');
+  const later = await s.request('POST', '/api/holds', {
+    token: alice.token,
+    body: {
+      accountId: alice.accountId,
+      amount: '10.00',
+      expiresAt: new Date(now.getTime() + 3 * HOUR_MS).toISOString(),
+    },
+  });
+  assert.equal(later.status, 201);
+  assert.deepEqual(await balance(alice), { ledger: '100.00', available: '30.00' });
+  assert.equal((await transfer('50.00')).body.code, 'INSUFFICIENT_FUNDS');
+
+  // Past expiresAt the hold no longer counts, before the sweeper has run
+  advance(HOUR_MS);
+  assert.deepEqual(await balance(alice), { ledger: '100.00', available: '90.00' });
+  const url = `/api/holds/${created.body.id}`;
+  const capture = await s.request('POST', `${url}/capture`, { token: alice.token, body: {} });
+  assert.equal(capture.status, 409);
+  assert.equal(capture.body.code, 'HOLD_NOT_ACTIVE');
+
+  assert.equal(await s.expireStaleHolds(), 1);
+  const expired = (await s.request('GET', url, { token: alice.token })).body;
+  assert.equal(expired.status, 'expired');
+  assert.equal(expired.resolvedAt, now.toISOString());
+  assert.equal((await s.request('GET', `/api/holds/${later.body.id}`, { token: alice.token })).body.status, 'active');
+  assert.equal(await s.expireStaleHolds(), 0);
+
+  // The money is spendable again; the hold that has not expired still counts
+  assert.equal((await transfer('50.00')).status, 200);
+  assert.deepEqual(await balance(alice), { ledger: '50.00', available: '40.00' });
+
+  advance(2 * HOUR_MS);
+  assert.equal(await s.expireStaleHolds(), 1);
+  assert.deepEqual(await balance(alice), { ledger: '50.00', available: '50.00' });
+});
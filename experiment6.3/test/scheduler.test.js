@@ -0,0 +1,133 @@
+// The scheduler against a moved clock: missed runs are caught up, monthly
+// runs keep to the end of shorter months, and every run, paid or not, is in
+// the transaction history.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// Years ahead, so the runs (created_at is the database's own time) never
+// count toward the per-hour and per-day limits of the moved clock
+const START = '2030-01-31T09:00:00.000Z';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let s;
+let alice;
+let bob;
+
+const at = (iso) => {
+  s.clock.now = () => new Date(iso);
+};
+const later = (ms) => new Date(new Date(START).getTime() + ms).toISOString();
+
+async function schedule(user, body) {
+  const res = await s.request('POST', '/api/scheduled-transfers', {
+    token: user.token,
+    body: { fromAccountId: user.accountId, toAccountId: bob.accountId, startAt: START, ...body },
+  });
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body.id;
+}
+
+const scheduleRow = (id) => s.dbAll('SELECT * FROM scheduled_transfers WHERE id = ?', [id]).then(([row]) => row);
+const runs = (id) =>
+  s.dbAll('SELECT status, amount, scheduled_for FROM transactions WHERE scheduled_transfer_id = ? ORDER BY id', [id]);
+const balance = (accountId) =>
+  s.dbAll('SELECT balance FROM accounts WHERE id = ?', [accountId]).then(([row]) => row.balance);
+
+before(async () => {
+  s = await startServer();
+  alice = await s.createUser('alice', { deposit: '500.00' });
+  bob = await s.createUser('bob');
+});
+
+after(() => s.close());
+
+test('runs missed while the scheduler was not running are caught up one by one', async () => {
+  at(START);
+  const id = await schedule(alice, { amount: '1.00', frequency: 'daily' });
+  const aliceBefore = await balance(alice.accountId);
+  const bobBefore = await balance(bob.accountId);
+
+  at(later(3 * DAY_MS + 60 * 60 * 1000));
+  await s.runDueScheduledTransfers();
+
+  assert.deepEqual(await runs(id), [
+    { status: 'committed', amount: 100, scheduled_for: START },
+    { status: 'committed', amount: 100, scheduled_for: later(DAY_MS) },
+    { status: 'committed', amount: 100, scheduled_for: later(2 * DAY_MS) },
+    { status: 'committed', amount: 100, scheduled_for: later(3 * DAY_MS) },
+  ]);
+  assert.equal(await balance(alice.accountId), aliceBefore - 400);
+  assert.equal(await balance(bob.accountId), bobBefore + 400);
+  const row = await scheduleRow(id);
+  assert.equal(row.run_count, 4);
+  assert.equal(row.last_run_at, later(3 * DAY_MS));
+  assert.equal(row.next_run_at, later(4 * DAY_MS));
+  assert.equal(row.last_status, 'committed');
+  assert.equal(row.status, 'active');
+
+  // Nothing more is due until the next run
+  await s.runDueScheduledTransfers();
+  assert.equal((await runs(id)).length, 4);
+
+  await s.dbRun(`UPDATE scheduled_transfers SET status = 'cancelled' WHERE id = ?`, [id]);
+});
+
+test('a one-off transfer runs once and completes', async () => {
+  at(START);
+  const id = await schedule(alice, { amount: '1.00', frequency: 'once' });
+  at(later(DAY_MS));
+  await s.runDueScheduledTransfers();
+  await s.runDueScheduledTransfers();
+
+  assert.deepEqual(await runs(id), [{ status: 'committed', amount: 100, scheduled_for: START }]);
+  const row = await scheduleRow(id);
+  assert.equal(row.status, 'completed');
+  assert.equal(row.next_run_at, null);
+});
+
+test('monthly runs on the 31st fall on the last day of shorter months', async () => {
+  at(START);
+  const id = await schedule(alice, { amount: '2.00', frequency: 'monthly' });
+
+  at('2030-05-01T00:00:00.000Z');
+  await s.runDueScheduledTransfers();
+
+  assert.deepEqual(
+    (await runs(id)).map((run) => run.scheduled_for),
+    [START, '2030-02-28T09:00:00.000Z', '2030-03-31T09:00:00.000Z', '2030-04-30T09:00:00.000Z']
+  );
+  assert.equal((await scheduleRow(id)).next_run_at, '2030-05-31T09:00:00.000Z');
+
+  await s.dbRun(`UPDATE scheduled_transfers SET status = 'cancelled' WHERE id = ?`, [id]);
+});
+
+test('a run the balance does not cover is recorded as rolled back and the schedule goes on', async () => {
+  const carol = await s.createUser('carol', { deposit: '3.00' });
+  at(START);
+  const id = await schedule(carol, { amount: '2.00', frequency: 'weekly' });
+
+  at(later(7 * DAY_MS + 1000));
+  await s.runDueScheduledTransfers();
+
+  assert.deepEqual(await runs(id), [
+    { status: 'committed', amount: 200, scheduled_for: START },
+    { status: 'rolledback', amount: 200, scheduled_for: later(7 * DAY_MS) },
+  ]);
+  assert.equal(await balance(carol.accountId), 100);
+  const row = await scheduleRow(id);
+  assert.equal(row.run_count, 2);
+  assert.equal(row.last_status, 'rolledback');
+  assert.equal(row.status, 'active');
+  assert.equal(row.next_run_at, later(14 * DAY_MS));
+
+  // Once there is money again, the next run goes through
+  at(later(14 * DAY_MS));
+  const deposit = { accountId: carol.accountId, amount: '5.00' };
+  assert.equal((await s.request('POST', '/api/deposit-tx', { token: carol.token, body: deposit })).status, 200);
+  await s.runDueScheduledTransfers();
+  assert.deepEqual(
+    (await runs(id)).map((run) => run.status),
+    ['committed', 'rolledback', 'committed']
+  );
+});
@@ -0,0 +1,120 @@
+// withTransaction under load: hundreds of parallel money moves must neither
+// interleave nor lose or create money.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { cents, startServer } = require('./helpers');
+
+const PARALLEL_TRANSFERS = 300;
+const OPENING = '500.00';
+
+let s;
+let admin;
+let users;
+
+// Balances of all test accounts in cents, plus the ledger's verdict
+async function snapshot() {
+  const balances = {};
+  for (const u of users) {
+    const res = await s.request('GET', '/api/balance', { token: u.token });
+    balances[u.username] = cents(res.body.balance);
+  }
+  const rec = await s.request('GET', '/api/admin/reconciliation', { token: admin.token });
+  return { balances, total: Object.values(balances).reduce((a, b) => a + b, 0), reconciliation: rec.body };
+}
+
+before(async () => {
+  s = await startServer();
+  admin = await s.createUser('admin', { role: 'admin' });
+  users = [];
+  for (const name of ['alice', 'bob', 'carol']) {
+    const user = await s.createUser(name, { deposit: OPENING });
+    // the customer limits would stop the test long before the database does
+    await s.request('PUT', `/api/limits/users/${user.id}`, {
+      token: admin.token,
+      body: { transfersPerHour: 10000, dailyOutgoing: '1000000', maxSingleTransfer: '1000000' },
+    });
+    users.push(user);
+  }
+});
+
+after(() => s.close());
+
+test('parallel transfers conserve money', async () => {
+  const before = await snapshot();
+  // A ring of transfers in both directions; the larger amounts overdraw
+  // some accounts on the way, so rejections race with commits too
+  const requests = [];
+  for (let i = 0; i < PARALLEL_TRANSFERS; i++) {
+    const from = users[i % users.length];
+    const to = users[(i + 1 + (i % 2)) % users.length];
+    const amount = `${1 + (i % 13) * 7}.${String(i % 100).padStart(2, '0')}`;
+    requests.push(
+      s.request('POST', '/api/transfer', {
+        token: from.token,
+        body: { fromAccountId: from.accountId, toAccountId: to.accountId, amount },
+      })
+    );
+  }
+  const responses = await Promise.all(requests);
+
+  const unexpected = responses.filter(
+    (r) => r.status !== 200 && !(r.status === 400 && r.body.code === 'INSUFFICIENT_FUNDS')
+  );
+  assert.deepEqual(unexpected.map((r) => [r.status, r.body]), []);
+  const committed = responses.filter((r) => r.status === 200).length;
+  assert.ok(committed > PARALLEL_TRANSFERS / 2, `only ${committed} transfers went through`);
+
+  const afterwards = await snapshot();
+  assert.equal(afterwards.total, before.total);
+  for (const balance of Object.values(afterwards.balances)) assert.ok(balance >= 0);
+  assert.equal(afterwards.reconciliation.balanced, true);
+  assert.deepEqual(afterwards.reconciliation.mismatches, []);
+
+  // one committed history row per 200, one rolled back row per rejection
+  const rows = await s.dbAll(`SELECT status, COUNT(*) AS n FROM transactions WHERE type = 'transfer' GROUP BY status`);
+  const counts = Object.fromEntries(rows.map((r) => [r.status, r.n]));
+  assert.equal(counts.committed, committed);
+  assert.equal(counts.rolledback || 0, PARALLEL_TRANSFERS - committed);
+});
+
+test('parallel deposits and withdrawals add up', async () => {
+  const before = await snapshot();
+  const [alice] = users;
+  const requests = [];
+  for (let i = 0; i < 200; i++) {
+    const route = i % 2 ? '/api/deposit-tx' : '/api/withdraw-tx';
+    requests.push(s.request('POST', route, { token: alice.token, body: { accountId: alice.accountId, amount: '1.25' } }));
+  }
+  const responses = await Promise.all(requests);
+  const ok = (route) => responses.filter((r, i) => r.status === 200 && (i % 2 ? 'deposit' : 'withdraw') === route);
+  assert.deepEqual(
+    responses.filter((r) => r.status !== 200 && r.body.code !== 'INSUFFICIENT_FUNDS').map((r) => r.body),
+    []
+  );
+
+  const afterwards = await snapshot();
+  const expected = before.balances.alice + (ok('deposit').length - ok('withdraw').length) * 125;
+  assert.equal(afterwards.balances.alice, expected);
+  assert.deepEqual(afterwards.reconciliation.mismatches, []);
+});
+
+test('a lock held by another process is waited out with retries', async () => {
+  const before = await snapshot();
+  const [alice, bob] = users;
+  // a second connection, as another server process would have, holds the write lock
+  const other = new sqlite3.Database('./bank_tx.db');
+  await new Promise((resolve, reject) => other.exec('BEGIN IMMEDIATE;', (err) => (err ? reject(err) : resolve())));
+  const released = new Promise((resolve) => setTimeout(() => other.exec('COMMIT;', () => other.close(resolve)), 150));
+
+  const res = await s.request('POST', '/api/transfer', {
+    token: alice.token,
+    body: { fromAccountId: alice.accountId, toAccountId: bob.accountId, amount: '1.00' },
+  });
+  await released;
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+
+  const afterwards = await snapshot();
+  assert.equal(afterwards.balances.alice, before.balances.alice - 100);
+  assert.equal(afterwards.total, before.total);
+});
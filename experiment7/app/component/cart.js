@@ -1,10 +1,30 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { removeItem, updateQuantity, clearCart } from '../features/cart/cartSlice';
+import { applyCoupon, removeCoupon } from '../features/cart/couponsSlice';
+import { findCoupon, formatMoney, priceCart } from '../features/cart/pricing';
+import { TAX_RATE, coupons, promotions } from '../features/cart/promotions';
 
 const Cart = () => {
-  const { items, totalQuantity, totalPrice } = useSelector(state => state.cart);
+  const { items, totalQuantity } = useSelector(state => state.cart);
+  const couponCodes = useSelector(state => state.coupons.codes);
   const dispatch = useDispatch();
+  const [couponInput, setCouponInput] = useState('');
+  const [couponError, setCouponError] = useState(null);
+
+  const price = priceCart(items, { couponCodes, coupons, promotions, taxRate: TAX_RATE });
+  const rejected = new Map(price.rejectedCoupons.map(({ code, reason }) => [code, reason]));
+
+  const handleApplyCoupon = e => {
+    e.preventDefault();
+    if (!findCoupon(coupons, couponInput)) {
+      setCouponError('Unknown coupon');
+      return;
+    }
+    dispatch(applyCoupon(couponInput));
+    setCouponInput('');
+    setCouponError(null);
+  };
 
   return (
     <div style={styles.container}>
@@ -34,8 +54,45 @@ const Cart = () => {
             </div>
           ))}
           <hr />
+          <form onSubmit={handleApplyCoupon} style={styles.coupon}>
+            <input
+              placeholder="Coupon code"
+              value={couponInput}
+              onChange={e => setCouponInput(e.target.value)}
+              style={styles.couponInput}
+            />
+            <button type="submit" disabled={!couponInput.trim()}>Apply</button>
+          </form>
+          {couponError && <p style={styles.error}>{couponError}</p>}
+          {couponCodes.map(code => (
+            <div key={code} style={styles.row}>
+              <span>
+                {code}
+                {rejected.has(code) && <span style={styles.error}> — {rejected.get(code)}</span>}
+              </span>
+              <button onClick={() => dispatch(removeCoupon(code))}>Remove</button>
+            </div>
+          ))}
+          <hr />
           <p><strong>Total Items:</strong> {totalQuantity}</p>
-          <p><strong>Total Price:</strong> ${totalPrice.toFixed(2)}</p>
+          <div style={styles.row}>
+            <span>Subtotal</span>
+            <span>{formatMoney(price.subtotal)}</span>
+          </div>
+          {price.discounts.map(discount => (
+            <div key={discount.code || discount.label} style={{ ...styles.row, ...styles.discount }}>
+              <span>{discount.code ? `${discount.code} (${discount.label})` : discount.label}</span>
+              <span>{formatMoney(-discount.amount)}</span>
+            </div>
+          ))}
+          <div style={styles.row}>
+            <span>Tax ({+(price.taxRate * 100).toFixed(2)}%)</span>
+            <span>{formatMoney(price.tax)}</span>
+          </div>
+          <div style={{ ...styles.row, ...styles.total }}>
+            <span>Total</span>
+            <span>{formatMoney(price.total)}</span>
+          </div>
           <button onClick={() => dispatch(clearCart())}>Clear Cart</button>
         </>
       )}
@@ -60,6 +117,30 @@ const styles = {
     width: '50px',
     marginRight: '10px',
   },
+  coupon: {
+    display: 'flex',
+    marginTop: '10px',
+  },
+  couponInput: {
+    flex: 1,
+    marginRight: '10px',
+  },
+  row: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    marginBottom: '5px',
+  },
+  discount: {
+    color: '#2a7a2a',
+  },
+  total: {
+    fontWeight: 'bold',
+    fontSize: '1.1em',
+    marginBottom: '10px',
+  },
+  error: {
+    color: '#c00',
+  },
 };
 
 export default Cart;
@@ -1,8 +1,16 @@
 import { configureStore } from '@reduxjs/toolkit';
 import cartReducer from '../features/cart/cartSlice';
+import couponsReducer from '../features/cart/couponsSlice';
+import cartSyncReducer, { cartApi, startCartSync, withCartSync } from '../features/cart/cartSync';
 
 export const store = configureStore({
   reducer: {
-    cart: cartReducer,
+    cart: withCartSync(cartReducer),
+    cartSync: cartSyncReducer,
+    coupons: couponsReducer,
   },
+  middleware: getDefaultMiddleware => getDefaultMiddleware({ thunk: { extraArgument: { cartApi } } }),
 });
+
+// Restores the saved cart; log in with store.dispatch(cartLogin(token))
+startCartSync(store);
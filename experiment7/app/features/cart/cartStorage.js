@@ -0,0 +1,78 @@
+// Cart persistence in localStorage.
+// Only the items are stored, wrapped as { version, items }; totals are
+// derived again on load. When the stored shape changes, bump
+// CART_SCHEMA_VERSION and add a migration from the previous version.
+export const CART_STORAGE_KEY = 'cart';
+export const CART_SCHEMA_VERSION = 1;
+
+// version -> function upgrading a stored cart of that version by one
+const migrations = {};
+
+// Keep only well-formed items: an id, a title, a price and a positive whole quantity
+export const normalizeItems = items =>
+  (Array.isArray(items) ? items : [])
+    .filter(
+      item =>
+        item &&
+        item.id != null &&
+        Number.isFinite(Number(item.price)) &&
+        Number.isInteger(Number(item.quantity)) &&
+        Number(item.quantity) > 0
+    )
+    .map(item => ({ ...item, price: Number(item.price), quantity: Number(item.quantity) }));
+
+export const cartTotals = items => ({
+  totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
+  totalPrice: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+});
+
+// localStorage, or null without one; reading window.localStorage itself
+// throws a SecurityError when the browser blocks storage
+export const defaultStorage = () => {
+  try {
+    return typeof window === 'undefined' ? null : window.localStorage;
+  } catch {
+    return null;
+  }
+};
+
+// Stored items upgraded to the current version, or null when there is
+// nothing usable (no cart, unreadable JSON, a version newer than this code)
+export const parseStoredCart = raw => {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    return null;
+  }
+  if (!data || !Number.isInteger(data.version) || data.version > CART_SCHEMA_VERSION) return null;
+  while (data.version < CART_SCHEMA_VERSION) {
+    const migrate = migrations[data.version];
+    if (!migrate) return null;
+    data = migrate(data);
+  }
+  return normalizeItems(data.items);
+};
+
+export const serializeCart = items => JSON.stringify({ version: CART_SCHEMA_VERSION, items });
+
+export const loadCartItems = (storage = defaultStorage()) => {
+  try {
+    const raw = storage && storage.getItem(CART_STORAGE_KEY);
+    return raw ? parseStoredCart(raw) : null;
+  } catch {
+    // storage disabled (private mode, blocked cookies)
+    return null;
+  }
+};
+
+// Writes only when the stored value would change, so tabs listening for
+// `storage` events do not echo each other's writes
+export const saveCartItems = (items, storage = defaultStorage()) => {
+  try {
+    const value = serializeCart(items);
+    if (storage && storage.getItem(CART_STORAGE_KEY) !== value) storage.setItem(CART_STORAGE_KEY, value);
+  } catch {
+    // quota exceeded or storage disabled: the cart still works in memory
+  }
+};
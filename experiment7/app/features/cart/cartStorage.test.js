@@ -0,0 +1,137 @@
+import {
+  CART_SCHEMA_VERSION,
+  CART_STORAGE_KEY,
+  defaultStorage,
+  loadCartItems,
+  normalizeItems,
+  parseStoredCart,
+  saveCartItems,
+  serializeCart,
+} from './cartStorage';
+
+const item = (id, quantity = 1) => ({ id, title: `Product ${id}`, price: 10, quantity });
+
+// The part of the Storage interface cartStorage uses
+const fakeStorage = (data = {}) => ({
+  data,
+  getItem: jest.fn(key => (key in data ? data[key] : null)),
+  setItem: jest.fn((key, value) => {
+    data[key] = String(value);
+  }),
+});
+
+describe('normalizeItems', () => {
+  test('keeps well-formed items and turns numeric strings into numbers', () => {
+    expect(normalizeItems([{ id: 1, title: 'A', price: '2.50', quantity: '3' }])).toEqual([
+      { id: 1, title: 'A', price: 2.5, quantity: 3 },
+    ]);
+  });
+
+  test('drops items without an id, a price or a positive whole quantity', () => {
+    const items = [
+      null,
+      { title: 'no id', price: 1, quantity: 1 },
+      { id: 2, price: 'free', quantity: 1 },
+      { id: 3, price: 1, quantity: 0 },
+      { id: 4, price: 1, quantity: 1.5 },
+      item(5),
+    ];
+    expect(normalizeItems(items)).toEqual([item(5)]);
+  });
+
+  test('reads anything but an array as no items', () => {
+    expect(normalizeItems(undefined)).toEqual([]);
+    expect(normalizeItems({ 0: item(1) })).toEqual([]);
+  });
+});
+
+describe('parseStoredCart', () => {
+  test('reads what serializeCart wrote', () => {
+    expect(parseStoredCart(serializeCart([item(1, 2)]))).toEqual([item(1, 2)]);
+  });
+
+  test('gives null for JSON it cannot read', () => {
+    expect(parseStoredCart('{"version":')).toBeNull();
+    expect(parseStoredCart('null')).toBeNull();
+  });
+
+  test('gives null for a cart without a version', () => {
+    expect(parseStoredCart(JSON.stringify({ items: [item(1)] }))).toBeNull();
+    expect(parseStoredCart(JSON.stringify([item(1)]))).toBeNull();
+    expect(parseStoredCart(JSON.stringify({ version: '1', items: [item(1)] }))).toBeNull();
+  });
+
+  test('gives null for a version newer than this code', () => {
+    const newer = JSON.stringify({ version: CART_SCHEMA_VERSION + 1, items: [item(1)] });
+    expect(parseStoredCart(newer)).toBeNull();
+  });
+
+  test('gives null for an older version without a migration', () => {
+    expect(parseStoredCart(JSON.stringify({ version: 0, items: [item(1)] }))).toBeNull();
+  });
+
+  test('drops malformed items from a stored cart', () => {
+    const raw = JSON.stringify({ version: CART_SCHEMA_VERSION, items: [item(1), { id: 2, quantity: -1 }] });
+    expect(parseStoredCart(raw)).toEqual([item(1)]);
+  });
+});
+
+describe('loadCartItems', () => {
+  test('reads the stored cart', () => {
+    const storage = fakeStorage({ [CART_STORAGE_KEY]: serializeCart([item(1)]) });
+    expect(loadCartItems(storage)).toEqual([item(1)]);
+  });
+
+  test('gives null without a stored cart or without storage', () => {
+    expect(loadCartItems(fakeStorage())).toBeNull();
+    expect(loadCartItems(null)).toBeNull();
+  });
+
+  test('gives null when storage throws', () => {
+    const storage = fakeStorage();
+    storage.getItem.mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+    expect(loadCartItems(storage)).toBeNull();
+  });
+});
+
+describe('saveCartItems', () => {
+  test('stores the items with the schema version', () => {
+    const storage = fakeStorage();
+    saveCartItems([item(1)], storage);
+    expect(JSON.parse(storage.data[CART_STORAGE_KEY])).toEqual({ version: CART_SCHEMA_VERSION, items: [item(1)] });
+  });
+
+  test('does not write a value that is already stored', () => {
+    const storage = fakeStorage({ [CART_STORAGE_KEY]: serializeCart([item(1)]) });
+    saveCartItems([item(1)], storage);
+    expect(storage.setItem).not.toHaveBeenCalled();
+  });
+
+  test('keeps going when the quota is exceeded or there is no storage', () => {
+    const storage = fakeStorage();
+    storage.setItem.mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    expect(() => saveCartItems([item(1)], storage)).not.toThrow();
+    expect(() => saveCartItems([item(1)], null)).not.toThrow();
+  });
+});
+
+describe('defaultStorage', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is localStorage', () => {
+    expect(defaultStorage()).toBe(window.localStorage);
+  });
+
+  test('is null when the browser blocks storage', () => {
+    jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+    expect(defaultStorage()).toBeNull();
+  });
+});
@@ -0,0 +1,207 @@
+import { createAction, createAsyncThunk, createSlice } from '@reduxjs/toolkit';
+import { clearCart } from './cartSlice';
+import {
+  CART_STORAGE_KEY,
+  cartTotals,
+  defaultStorage,
+  loadCartItems,
+  normalizeItems,
+  parseStoredCart,
+  saveCartItems,
+} from './cartStorage';
+
+// Keeps the cart across reloads (localStorage, see cartStorage.js) and, for a
+// logged-in user, across devices through the cart API:
+//   GET {CART_API_URL}/cart   -> { items: [{ id, title, price, quantity }] }  (404 = empty)
+//   PUT {CART_API_URL}/cart   body: { items }  -> { items }
+// both with `Authorization: Bearer <token>`.
+// On login the anonymous cart is merged into the saved one (see mergeCartItems);
+// after that every change is saved to the server, last write wins. A failed
+// save is tried again with a growing delay (up to MAX_RETRY_DELAY_MS), and
+// at once when the browser comes back online or the user logs in again.
+const CART_API_URL = process.env.REACT_APP_CART_API_URL || '/api';
+const SAVE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const request = async (method, token, body) => {
+  const res = await fetch(`${CART_API_URL}/cart`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body && JSON.stringify(body),
+  });
+  if (method === 'GET' && res.status === 404) return { items: [] };
+  if (!res.ok) throw new Error(`Cart ${method} failed with ${res.status}`);
+  const data = await res.json();
+  return { items: normalizeItems(data.items) };
+};
+
+export const cartApi = {
+  fetchCart: token => request('GET', token),
+  saveCart: (token, items) => request('PUT', token, { items }),
+};
+
+// Items of both carts. A product in both keeps the larger quantity rather
+// than the sum, so merging the same carts again (a second login, another
+// reload) changes nothing; its details come from the local cart, which was
+// filled from the current catalog.
+export const mergeCartItems = (localItems, serverItems) => {
+  const local = new Map(localItems.map(item => [item.id, item]));
+  const merged = serverItems.map(saved => {
+    const item = local.get(saved.id);
+    if (!item) return saved;
+    local.delete(saved.id);
+    return { ...saved, ...item, quantity: Math.max(item.quantity, saved.quantity) };
+  });
+  return [...merged, ...local.values()];
+};
+
+// Replaces the cart's items from outside the cart slice (storage, server)
+export const cartReplaced = createAction('cartSync/cartReplaced', items => ({ payload: normalizeItems(items) }));
+
+// Wraps the cart slice's reducer so cartReplaced works; its own actions pass through
+export const withCartSync = cartReducer => (state, action) =>
+  cartReplaced.match(action)
+    ? { ...state, items: action.payload, ...cartTotals(action.payload) }
+    : cartReducer(state, action);
+
+export const cartLogin = createAsyncThunk('cartSync/login', async (token, { dispatch, getState, extra }) => {
+  const api = (extra && extra.cartApi) || cartApi;
+  const saved = await api.fetchCart(token);
+  dispatch(cartReplaced(mergeCartItems(getState().cart.items, saved.items)));
+  return token;
+});
+
+const cartSyncSlice = createSlice({
+  name: 'cartSync',
+  initialState: { token: null, status: 'anonymous', error: null },
+  reducers: {
+    loggedOut: () => ({ token: null, status: 'anonymous', error: null }),
+    saving: state => {
+      state.status = 'saving';
+    },
+    saved: state => {
+      state.status = 'synced';
+      state.error = null;
+    },
+    saveFailed: (state, action) => {
+      state.status = 'error';
+      state.error = action.payload;
+    },
+  },
+  extraReducers: builder => {
+    builder
+      .addCase(cartLogin.pending, state => {
+        state.status = 'loading';
+        state.error = null;
+      })
+      .addCase(cartLogin.fulfilled, (state, action) => {
+        state.token = action.payload;
+        state.status = 'synced';
+      })
+      .addCase(cartLogin.rejected, (state, action) => {
+        state.token = null;
+        state.status = 'error';
+        state.error = action.error.message;
+      });
+  },
+});
+
+export const { loggedOut } = cartSyncSlice.actions;
+const { saving, saved, saveFailed } = cartSyncSlice.actions;
+
+// The cart of the next user starts empty; the saved cart stays on the server
+export const cartLogout = () => dispatch => {
+  dispatch(loggedOut());
+  dispatch(clearCart());
+};
+
+// Rehydrates the cart, then saves every change to localStorage and, while
+// logged in, to the server. Returns a function that stops it.
+export const startCartSync = (store, { api = cartApi, storage = defaultStorage() } = {}) => {
+  const stored = loadCartItems(storage);
+  if (stored) store.dispatch(cartReplaced(stored));
+
+  let lastItems = store.getState().cart.items;
+  let lastToken = null;
+  let pushedItems = null;
+  let timer = null;
+  let failures = 0; // saves failed in a row
+  let stopped = false;
+
+  const push = async (token, items) => {
+    timer = null;
+    // a save sent on logout does not report back: the state is the next user's by then
+    const current = () => token === lastToken;
+    if (current()) {
+      pushedItems = items;
+      store.dispatch(saving());
+    }
+    try {
+      await api.saveCart(token, items);
+      if (!current()) return;
+      failures = 0;
+      store.dispatch(saved());
+    } catch (err) {
+      if (!current()) return;
+      failures += 1;
+      store.dispatch(saveFailed(err.message));
+      // the retry sends whatever the cart holds by then, changes made meanwhile included
+      if (!stopped && !timer) {
+        const delay = Math.min(SAVE_DELAY_MS * 2 ** failures, MAX_RETRY_DELAY_MS);
+        timer = setTimeout(() => push(lastToken, store.getState().cart.items), delay);
+      }
+    }
+  };
+
+  const unsubscribe = store.subscribe(() => {
+    const { cart, cartSync } = store.getState();
+    if (cart.items !== lastItems) {
+      lastItems = cart.items;
+      saveCartItems(cart.items, storage);
+    }
+    if (cartSync.token !== lastToken) {
+      const previousToken = lastToken;
+      lastToken = cartSync.token;
+      pushedItems = null;
+      failures = 0;
+      // logging out sends a change still waiting with the old token
+      if (timer && previousToken) {
+        clearTimeout(timer);
+        push(previousToken, lastItems);
+      }
+    }
+    if (cartSync.token && cart.items !== pushedItems && !timer) {
+      timer = setTimeout(() => push(lastToken, store.getState().cart.items), SAVE_DELAY_MS);
+    }
+  });
+
+  // another tab changed the cart
+  const onStorage = event => {
+    if (event.key !== CART_STORAGE_KEY) return;
+    const items = event.newValue ? parseStoredCart(event.newValue) : [];
+    if (items) store.dispatch(cartReplaced(items));
+  };
+  // back online: a save waiting for its retry goes now
+  const onOnline = () => {
+    if (!failures || !lastToken) return;
+    clearTimeout(timer);
+    push(lastToken, store.getState().cart.items);
+  };
+  const hasWindow = typeof window !== 'undefined';
+  if (hasWindow) {
+    window.addEventListener('storage', onStorage);
+    window.addEventListener('online', onOnline);
+  }
+
+  return () => {
+    stopped = true;
+    unsubscribe();
+    clearTimeout(timer);
+    if (hasWindow) {
+      window.removeEventListener('storage', onStorage);
+      window.removeEventListener('online', onOnline);
+    }
+  };
+};
+
+export default cartSyncSlice.reducer;
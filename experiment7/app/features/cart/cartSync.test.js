@@ -0,0 +1,255 @@
+import { configureStore } from '@reduxjs/toolkit';
+import cartReducer, { addItem, clearCart } from './cartSlice';
+import cartSyncReducer, { cartLogin, cartLogout, mergeCartItems, startCartSync, withCartSync } from './cartSync';
+import { CART_SCHEMA_VERSION, CART_STORAGE_KEY, serializeCart } from './cartStorage';
+
+const product = id => ({ id, title: `Product ${id}`, price: 10 });
+const item = (id, quantity = 1) => ({ ...product(id), quantity });
+
+const fakeStorage = (data = {}) => ({
+  data,
+  getItem: jest.fn(key => (key in data ? data[key] : null)),
+  setItem: jest.fn((key, value) => {
+    data[key] = String(value);
+  }),
+});
+
+// The cart API with a saved cart of `saved`; saveCart resolves unless told otherwise
+const fakeApi = (saved = []) => ({
+  fetchCart: jest.fn(async () => ({ items: saved })),
+  saveCart: jest.fn(async (token, items) => ({ items })),
+});
+
+const makeStore = api =>
+  configureStore({
+    reducer: { cart: withCartSync(cartReducer), cartSync: cartSyncReducer },
+    middleware: getDefaultMiddleware => getDefaultMiddleware({ thunk: { extraArgument: { cartApi: api } } }),
+  });
+
+// Lets pending promise callbacks run; the timers are fake, the promises are not
+const settle = async () => {
+  for (let i = 0; i < 10; i += 1) await Promise.resolve();
+};
+
+const advance = async ms => {
+  jest.advanceTimersByTime(ms);
+  await settle();
+};
+
+describe('mergeCartItems', () => {
+  test('keeps the products of both carts', () => {
+    expect(mergeCartItems([item(1)], [item(2)])).toEqual([item(2), item(1)]);
+  });
+
+  test('a product in both keeps the larger quantity and the local details', () => {
+    const local = [{ ...item(1, 2), price: 12 }];
+    const server = [{ ...item(1, 5), title: 'Old title' }];
+    expect(mergeCartItems(local, server)).toEqual([{ ...item(1, 5), price: 12 }]);
+    expect(mergeCartItems([item(1, 7)], [item(1, 5)])).toEqual([item(1, 7)]);
+  });
+
+  test('merging the same carts again changes nothing', () => {
+    const server = [item(1, 3), item(2)];
+    const merged = mergeCartItems([item(1, 1), item(3, 2)], server);
+    expect(mergeCartItems(merged, server)).toEqual(merged);
+  });
+});
+
+describe('startCartSync', () => {
+  let store;
+  let api;
+  let storage;
+  let stop;
+
+  // `stored` is the cart in storage: items, or the raw value
+  const start = ({ saved, stored } = {}) => {
+    api = fakeApi(saved);
+    const raw = Array.isArray(stored) ? serializeCart(stored) : stored;
+    storage = fakeStorage(raw === undefined ? {} : { [CART_STORAGE_KEY]: raw });
+    store = makeStore(api);
+    stop = startCartSync(store, { api, storage });
+  };
+
+  const login = async () => {
+    await store.dispatch(cartLogin('token-1'));
+    await settle();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    stop();
+    jest.useRealTimers();
+  });
+
+  test('restores the stored cart and stores every change', () => {
+    start({ stored: [item(1, 2)] });
+    expect(store.getState().cart).toMatchObject({ items: [item(1, 2)], totalQuantity: 2, totalPrice: 20 });
+
+    store.dispatch(addItem(product(2)));
+    expect(JSON.parse(storage.data[CART_STORAGE_KEY])).toEqual({
+      version: CART_SCHEMA_VERSION,
+      items: [item(1, 2), item(2)],
+    });
+  });
+
+  test('ignores a stored cart it cannot read', () => {
+    start({ stored: JSON.stringify({ version: CART_SCHEMA_VERSION + 1, items: [item(1)] }) });
+    expect(store.getState().cart.items).toEqual([]);
+    stop();
+    start({ stored: 'not json' });
+    expect(store.getState().cart.items).toEqual([]);
+  });
+
+  test('does not save to the server before login', async () => {
+    start();
+    store.dispatch(addItem(product(1)));
+    await advance(5000);
+    expect(api.saveCart).not.toHaveBeenCalled();
+  });
+
+  test('on login merges the saved cart into the local one', async () => {
+    start({ stored: [item(1, 1), item(2)], saved: [item(1, 3), item(3)] });
+    await login();
+    expect(store.getState().cart.items).toEqual([item(1, 3), item(3), item(2)]);
+    expect(store.getState().cartSync).toEqual({ token: 'token-1', status: 'synced', error: null });
+  });
+
+  test('saves changes once they stop coming', async () => {
+    start();
+    await login();
+    await advance(500); // the merged cart
+    api.saveCart.mockClear();
+
+    store.dispatch(addItem(product(1)));
+    await advance(200);
+    store.dispatch(addItem(product(1)));
+    store.dispatch(addItem(product(2)));
+    expect(api.saveCart).not.toHaveBeenCalled();
+
+    await advance(300);
+    expect(api.saveCart).toHaveBeenCalledTimes(1);
+    expect(api.saveCart).toHaveBeenCalledWith('token-1', [item(1, 2), item(2)]);
+    expect(store.getState().cartSync.status).toBe('synced');
+  });
+
+  test('tries a failed save again with a growing delay', async () => {
+    start();
+    await login();
+    await advance(500);
+    api.saveCart.mockClear();
+    api.saveCart
+      .mockRejectedValueOnce(new Error('Cart PUT failed with 503'))
+      .mockRejectedValueOnce(new Error('Cart PUT failed with 503'));
+
+    store.dispatch(addItem(product(1)));
+    await advance(500);
+    expect(api.saveCart).toHaveBeenCalledTimes(1);
+    expect(store.getState().cartSync).toMatchObject({ status: 'error', error: 'Cart PUT failed with 503' });
+
+    await advance(999);
+    expect(api.saveCart).toHaveBeenCalledTimes(1);
+    await advance(1);
+    expect(api.saveCart).toHaveBeenCalledTimes(2);
+
+    // the retry sends the cart as it is by then
+    store.dispatch(addItem(product(2)));
+    await advance(2000);
+    expect(api.saveCart).toHaveBeenCalledTimes(3);
+    expect(api.saveCart).toHaveBeenLastCalledWith('token-1', [item(1), item(2)]);
+    expect(store.getState().cartSync).toMatchObject({ status: 'synced', error: null });
+  });
+
+  test('the retry delay stops growing at 30 seconds', async () => {
+    start();
+    await login();
+    await advance(500);
+    api.saveCart.mockClear();
+    api.saveCart.mockRejectedValue(new Error('offline'));
+
+    store.dispatch(addItem(product(1)));
+    await advance(500);
+    for (const delay of [1000, 2000, 4000, 8000, 16000, 30000, 30000]) await advance(delay);
+    expect(api.saveCart).toHaveBeenCalledTimes(8);
+  });
+
+  test('saves at once when the browser comes back online', async () => {
+    start();
+    await login();
+    await advance(500);
+    api.saveCart.mockClear();
+    api.saveCart.mockRejectedValueOnce(new Error('offline'));
+
+    store.dispatch(addItem(product(1)));
+    await advance(500);
+    window.dispatchEvent(new Event('online'));
+    await settle();
+    expect(api.saveCart).toHaveBeenCalledTimes(2);
+    expect(store.getState().cartSync.status).toBe('synced');
+
+    // nothing was waiting any more
+    await advance(5000);
+    expect(api.saveCart).toHaveBeenCalledTimes(2);
+  });
+
+  test('logging out sends a waiting change with the old token and empties the cart', async () => {
+    start();
+    await login();
+    await advance(500);
+    api.saveCart.mockClear();
+
+    store.dispatch(addItem(product(1)));
+    store.dispatch(cartLogout());
+    await settle();
+    expect(api.saveCart).toHaveBeenCalledTimes(1);
+    expect(api.saveCart).toHaveBeenCalledWith('token-1', [item(1)]);
+    expect(store.getState().cart.items).toEqual([]);
+    expect(store.getState().cartSync).toEqual({ token: null, status: 'anonymous', error: null });
+
+    await advance(5000);
+    expect(api.saveCart).toHaveBeenCalledTimes(1);
+  });
+
+  test('takes the cart another tab stored', () => {
+    start({ stored: [item(1)] });
+    const storageEvent = (key, newValue) => window.dispatchEvent(new StorageEvent('storage', { key, newValue }));
+
+    storageEvent(CART_STORAGE_KEY, serializeCart([item(2, 3)]));
+    expect(store.getState().cart).toMatchObject({ items: [item(2, 3)], totalQuantity: 3 });
+
+    storageEvent('something else', serializeCart([item(4)]));
+    storageEvent(CART_STORAGE_KEY, JSON.stringify({ version: CART_SCHEMA_VERSION + 1, items: [item(5)] }));
+    expect(store.getState().cart.items).toEqual([item(2, 3)]);
+
+    // the other tab cleared its storage
+    storageEvent(CART_STORAGE_KEY, null);
+    expect(store.getState().cart.items).toEqual([]);
+  });
+
+  test('does not write back what another tab stored', () => {
+    start();
+    const value = serializeCart([item(2)]);
+    storage.data[CART_STORAGE_KEY] = value;
+    window.dispatchEvent(new StorageEvent('storage', { key: CART_STORAGE_KEY, newValue: value }));
+    expect(storage.setItem).not.toHaveBeenCalled();
+  });
+
+  test('does nothing once stopped', async () => {
+    start();
+    await login();
+    await advance(500);
+    api.saveCart.mockClear();
+    storage.setItem.mockClear();
+    stop();
+
+    store.dispatch(clearCart());
+    store.dispatch(addItem(product(1)));
+    window.dispatchEvent(new StorageEvent('storage', { key: CART_STORAGE_KEY, newValue: serializeCart([]) }));
+    await advance(5000);
+    expect(api.saveCart).not.toHaveBeenCalled();
+    expect(storage.setItem).not.toHaveBeenCalled();
+    expect(store.getState().cart.items).toEqual([item(1)]);
+  });
+});
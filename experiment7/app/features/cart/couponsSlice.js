@@ -0,0 +1,31 @@
+import { createSlice } from '@reduxjs/toolkit';
+import { clearCart } from './cartSlice';
+import { loggedOut } from './cartSync';
+
+// Codes the shopper entered; priceCart decides whether each one applies
+const couponsSlice = createSlice({
+  name: 'coupons',
+  initialState: { codes: [] },
+  reducers: {
+    applyCoupon: (state, action) => {
+      const code = action.payload.trim().toUpperCase();
+      if (code && !state.codes.includes(code)) state.codes.push(code);
+    },
+    removeCoupon: (state, action) => {
+      state.codes = state.codes.filter(code => code !== action.payload);
+    },
+  },
+  // Codes belong to the cart they were entered for
+  extraReducers: builder => {
+    builder
+      .addCase(clearCart, state => {
+        state.codes = [];
+      })
+      .addCase(loggedOut, state => {
+        state.codes = [];
+      });
+  },
+});
+
+export const { applyCoupon, removeCoupon } = couponsSlice.actions;
+export default couponsSlice.reducer;
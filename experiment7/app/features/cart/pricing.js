@@ -0,0 +1,112 @@
+// Cart pricing: subtotal, discounts, tax and grand total.
+// Pure functions of the cart items and the rules they are given; amounts are
+// integer cents throughout, formatMoney turns them into "$12.34".
+//
+// A rule is one of
+//   { type: 'percent', percent }               percent off the discounted subtotal
+//   { type: 'fixed', amount }                  amount (dollars) off, never below zero
+//   { type: 'buyXgetY', buy, get, percentOff?, productIds? }
+//       per product line, every `get` units after `buy` paid ones are
+//       percentOff (default 100) off; productIds limits it to those products
+// and may carry minSpend (dollars): it only applies when the subtotal
+// reaches it. Coupons are rules with a code; promotions apply to every cart.
+
+export const toCents = dollars => Math.round(Number(dollars) * 100);
+
+export const formatMoney = cents => `${cents < 0 ? '-' : ''}$${(Math.abs(cents) / 100).toFixed(2)}`;
+
+export const subtotalOf = items => items.reduce((sum, item) => sum + toCents(item.price) * item.quantity, 0);
+
+// Free (or reduced) units of a buy-X-get-Y rule across the cart, in cents
+export const buyXGetYDiscount = (items, { buy, get, percentOff = 100, productIds }) => {
+  if (!(buy > 0 && get > 0)) return 0;
+  return items
+    .filter(item => !productIds || productIds.includes(item.id))
+    .reduce((sum, item) => {
+      const groups = Math.floor(item.quantity / (buy + get));
+      const rest = item.quantity % (buy + get);
+      const discountedUnits = groups * get + Math.max(rest - buy, 0);
+      return sum + Math.round((toCents(item.price) * discountedUnits * percentOff) / 100);
+    }, 0);
+};
+
+// Discount of one rule on `base` cents (what is left after earlier rules)
+export const ruleDiscount = (rule, items, base) => {
+  switch (rule.type) {
+    case 'percent':
+      return Math.round((base * rule.percent) / 100);
+    case 'fixed':
+      return toCents(rule.amount);
+    case 'buyXgetY':
+      return buyXGetYDiscount(items, rule);
+    default:
+      return 0;
+  }
+};
+
+export const ruleLabel = rule => {
+  switch (rule.type) {
+    case 'percent':
+      return `${rule.percent}% off`;
+    case 'fixed':
+      return `${formatMoney(toCents(rule.amount))} off`;
+    case 'buyXgetY':
+      return rule.percentOff && rule.percentOff < 100
+        ? `Buy ${rule.buy} get ${rule.get} ${rule.percentOff}% off`
+        : `Buy ${rule.buy} get ${rule.get} free`;
+    default:
+      return rule.type;
+  }
+};
+
+// Item-level rules first, then percentages, then fixed amounts, so a
+// percentage never applies to money another rule already took off
+const RULE_ORDER = { buyXgetY: 0, percent: 1, fixed: 2 };
+
+export const findCoupon = (coupons, code) =>
+  coupons.find(coupon => coupon.code.toUpperCase() === String(code).trim().toUpperCase()) || null;
+
+/*
+  priceCart(items, { couponCodes, coupons, promotions, taxRate })
+  -> { subtotal, discounts: [{ code?, label, amount }], discountTotal, tax,
+       taxRate, total, rejectedCoupons: [{ code, reason }] }
+  Tax is charged on the subtotal after discounts.
+*/
+export const priceCart = (items, { couponCodes = [], coupons = [], promotions = [], taxRate = 0 } = {}) => {
+  const subtotal = subtotalOf(items);
+  const rejectedCoupons = [];
+  const rules = [...promotions];
+  for (const code of couponCodes) {
+    const coupon = findCoupon(coupons, code);
+    if (!coupon) rejectedCoupons.push({ code, reason: 'Unknown coupon' });
+    else if (rules.includes(coupon)) rejectedCoupons.push({ code, reason: 'Already applied' });
+    else rules.push(coupon);
+  }
+
+  const discounts = [];
+  let remaining = subtotal;
+  for (const rule of rules.sort((a, b) => (RULE_ORDER[a.type] ?? 3) - (RULE_ORDER[b.type] ?? 3))) {
+    if (rule.minSpend && subtotal < toCents(rule.minSpend)) {
+      if (rule.code) {
+        const missing = formatMoney(toCents(rule.minSpend) - subtotal);
+        rejectedCoupons.push({ code: rule.code, reason: `Spend ${missing} more to use this coupon` });
+      }
+      continue;
+    }
+    const amount = Math.min(ruleDiscount(rule, items, remaining), remaining);
+    if (amount <= 0) continue;
+    remaining -= amount;
+    discounts.push({ code: rule.code, label: rule.label || ruleLabel(rule), amount });
+  }
+
+  const tax = Math.round(remaining * taxRate);
+  return {
+    subtotal,
+    discounts,
+    discountTotal: subtotal - remaining,
+    tax,
+    taxRate,
+    total: remaining + tax,
+    rejectedCoupons,
+  };
+};
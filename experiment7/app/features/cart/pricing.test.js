@@ -0,0 +1,140 @@
+import { buyXGetYDiscount, formatMoney, priceCart, subtotalOf } from './pricing';
+
+const item = (id, price, quantity) => ({ id, title: `Product ${id}`, price, quantity });
+
+const SAVE10 = { code: 'SAVE10', type: 'percent', percent: 10 };
+const FIVEOFF = { code: 'FIVEOFF', type: 'fixed', amount: 5 };
+const B2G1 = { code: 'B2G1', type: 'buyXgetY', buy: 2, get: 1 };
+const BIG20 = { code: 'BIG20', type: 'percent', percent: 20, minSpend: 200 };
+const coupons = [SAVE10, FIVEOFF, B2G1, BIG20];
+
+describe('subtotalOf and formatMoney', () => {
+  test('adds up lines in cents', () => {
+    expect(subtotalOf([item(1, 0.1, 3), item(2, 19.99, 2)])).toBe(4028);
+  });
+
+  test('formats cents as dollars', () => {
+    expect(formatMoney(4028)).toBe('$40.28');
+    expect(formatMoney(-500)).toBe('-$5.00');
+  });
+});
+
+describe('buyXGetYDiscount', () => {
+  test('a partial group past `buy` units gets nothing: 5 units of buy 2 get 1 is 1 free', () => {
+    expect(buyXGetYDiscount([item(1, 10, 5)], { buy: 2, get: 1 })).toBe(1000);
+  });
+
+  test('counts every full group, and the units after `buy` in the remainder', () => {
+    expect(buyXGetYDiscount([item(1, 10, 6)], { buy: 2, get: 1 })).toBe(2000);
+    expect(buyXGetYDiscount([item(1, 10, 2)], { buy: 2, get: 1 })).toBe(0);
+    expect(buyXGetYDiscount([item(1, 10, 5)], { buy: 2, get: 2 })).toBe(2000);
+    expect(buyXGetYDiscount([item(1, 10, 7)], { buy: 2, get: 2 })).toBe(3000);
+  });
+
+  test('works per product line', () => {
+    expect(buyXGetYDiscount([item(1, 10, 2), item(2, 10, 1)], { buy: 2, get: 1 })).toBe(0);
+  });
+
+  test('honours percentOff and productIds', () => {
+    expect(buyXGetYDiscount([item(1, 9.99, 3)], { buy: 2, get: 1, percentOff: 50 })).toBe(500);
+    expect(buyXGetYDiscount([item(1, 10, 3), item(2, 4, 3)], { buy: 2, get: 1, productIds: [2] })).toBe(400);
+  });
+
+  test('ignores a rule without positive buy and get', () => {
+    expect(buyXGetYDiscount([item(1, 10, 3)], { buy: 0, get: 1 })).toBe(0);
+  });
+});
+
+describe('priceCart', () => {
+  test('applies buy-X-get-Y, then percentages, then fixed amounts, whatever order the codes came in', () => {
+    const price = priceCart([item(1, 10, 3), item(2, 70, 1)], {
+      couponCodes: ['FIVEOFF', 'SAVE10', 'B2G1'],
+      coupons,
+    });
+    expect(price.subtotal).toBe(10000);
+    // one free unit (10.00), 10% of the remaining 90.00, then 5.00
+    expect(price.discounts).toEqual([
+      { code: 'B2G1', label: 'Buy 2 get 1 free', amount: 1000 },
+      { code: 'SAVE10', label: '10% off', amount: 900 },
+      { code: 'FIVEOFF', label: '$5.00 off', amount: 500 },
+    ]);
+    expect(price.discountTotal).toBe(2400);
+    expect(price.total).toBe(7600);
+  });
+
+  test('promotions apply without a code and sort in with the coupons', () => {
+    const promotion = { type: 'percent', percent: 50, label: 'Half price weekend' };
+    const price = priceCart([item(1, 20, 1)], { couponCodes: ['FIVEOFF'], coupons, promotions: [promotion] });
+    expect(price.discounts).toEqual([
+      { code: undefined, label: 'Half price weekend', amount: 1000 },
+      { code: 'FIVEOFF', label: '$5.00 off', amount: 500 },
+    ]);
+    expect(price.total).toBe(500);
+  });
+
+  test('rejects a coupon below its minimum spend and says how much is missing', () => {
+    const price = priceCart([item(1, 150, 1)], { couponCodes: ['BIG20'], coupons });
+    expect(price.discounts).toEqual([]);
+    expect(price.rejectedCoupons).toEqual([{ code: 'BIG20', reason: 'Spend $50.00 more to use this coupon' }]);
+    expect(price.total).toBe(15000);
+  });
+
+  test('applies a coupon that reaches its minimum spend exactly', () => {
+    const price = priceCart([item(1, 200, 1)], { couponCodes: ['BIG20'], coupons });
+    expect(price.discountTotal).toBe(4000);
+    expect(price.rejectedCoupons).toEqual([]);
+  });
+
+  test('a minimum spend is checked against the subtotal before other discounts', () => {
+    const price = priceCart([item(1, 200, 1)], { couponCodes: ['SAVE10', 'BIG20'], coupons });
+    expect(price.discounts.map(discount => discount.code)).toEqual(['SAVE10', 'BIG20']);
+  });
+
+  test('applies a coupon entered twice once, in any case and spacing', () => {
+    const price = priceCart([item(1, 100, 1)], { couponCodes: ['SAVE10', ' save10 '], coupons });
+    expect(price.discounts).toHaveLength(1);
+    expect(price.discountTotal).toBe(1000);
+    expect(price.rejectedCoupons).toEqual([{ code: ' save10 ', reason: 'Already applied' }]);
+  });
+
+  test('rejects unknown codes', () => {
+    const price = priceCart([item(1, 100, 1)], { couponCodes: ['NOPE'], coupons });
+    expect(price.rejectedCoupons).toEqual([{ code: 'NOPE', reason: 'Unknown coupon' }]);
+    expect(price.total).toBe(10000);
+  });
+
+  test('a fixed discount never takes the total below zero', () => {
+    const price = priceCart([item(1, 3, 1)], { couponCodes: ['FIVEOFF'], coupons, taxRate: 0.08 });
+    expect(price.discounts).toEqual([{ code: 'FIVEOFF', label: '$5.00 off', amount: 300 }]);
+    expect(price.tax).toBe(0);
+    expect(price.total).toBe(0);
+  });
+
+  test('a fixed discount after a percentage only takes what is left', () => {
+    const bigFixed = { code: 'TENOFF', type: 'fixed', amount: 10 };
+    const price = priceCart([item(1, 10, 1)], { couponCodes: ['TENOFF', 'SAVE10'], coupons: [...coupons, bigFixed] });
+    expect(price.discounts.map(discount => discount.amount)).toEqual([100, 900]);
+    expect(price.total).toBe(0);
+  });
+
+  test('charges tax on the discounted subtotal, rounded to the cent', () => {
+    expect(priceCart([item(1, 10.05, 1)], { taxRate: 0.08 }).tax).toBe(80); // 80.4
+    expect(priceCart([item(1, 10.07, 1)], { taxRate: 0.08 }).tax).toBe(81); // 80.56
+    expect(priceCart([item(1, 6.5, 1)], { taxRate: 0.05 }).tax).toBe(33); // 32.5 rounds up
+    const price = priceCart([item(1, 20.5, 1)], { couponCodes: ['SAVE10'], coupons, taxRate: 0.0725 });
+    expect(price.tax).toBe(134); // 18.45 * 7.25% = 1.337625
+    expect(price.total).toBe(1845 + 134);
+  });
+
+  test('an empty cart costs nothing', () => {
+    expect(priceCart([], { couponCodes: ['SAVE10'], coupons, taxRate: 0.08 })).toEqual({
+      subtotal: 0,
+      discounts: [],
+      discountTotal: 0,
+      tax: 0,
+      taxRate: 0.08,
+      total: 0,
+      rejectedCoupons: [],
+    });
+  });
+});
@@ -0,0 +1,25 @@
+// The shop's pricing configuration, read by priceCart (see pricing.js).
+// Amounts are in dollars.
+const DEFAULT_TAX_RATE = 0.08;
+
+// REACT_APP_TAX_RATE is a fraction (0.08 for 8%). A value that isn't one would
+// price every cart at NaN, so warn and keep the default instead.
+const taxRateFrom = value => {
+  if (value === undefined || value.trim() === '') return DEFAULT_TAX_RATE;
+  const rate = Number(value);
+  if (Number.isFinite(rate) && rate >= 0 && rate < 1) return rate;
+  console.warn(`REACT_APP_TAX_RATE must be a fraction such as 0.08, got "${value}"; using ${DEFAULT_TAX_RATE}`);
+  return DEFAULT_TAX_RATE;
+};
+
+export const TAX_RATE = taxRateFrom(process.env.REACT_APP_TAX_RATE);
+
+export const coupons = [
+  { code: 'SAVE10', type: 'percent', percent: 10 },
+  { code: 'BIG20', type: 'percent', percent: 20, minSpend: 200 },
+  { code: 'FIVEOFF', type: 'fixed', amount: 5, minSpend: 25 },
+  { code: 'B2G1', type: 'buyXgetY', buy: 2, get: 1 },
+];
+
+// Applied to every cart, no code needed
+export const promotions = [];